@@ -0,0 +1,196 @@
+// backend/adminService.js
+import { cancelPrintfulOrder, getPrintfulOrder, listPrintfulOrders } from './printfulService.js';
+import { fulfillCheckoutSession } from './fulfillmentService.js';
+import { orderStore } from './orderStore.js';
+import { createAuditLog } from './auditLog.js';
+import { notifyOrderProblem } from './notificationService.js';
+
+// Every admin order operation, successful or not
+export const adminAudit = createAuditLog('admin-audit');
+
+// Error raised when an admin operation cannot go ahead. `code` is reason_required,
+// not_found, not_retryable, not_cancelable, invalid_refund or refund_failed.
+export class AdminActionError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'AdminActionError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Ledger statuses of orders that were paid for but have not shipped
+const UNFULFILLED_STATUSES = ['paid', 'submitted', 'failed'];
+
+// Printful statuses in which an order can still be canceled
+const CANCELABLE_PRINTFUL_STATUSES = ['draft', 'pending', 'failed', 'onhold'];
+
+const getOrder = async (orderId) => {
+    const order = await orderStore.get(orderId);
+    if (!order) {
+        throw new AdminActionError(`Order ${orderId} not found.`, 'not_found', { orderId });
+    }
+    return order;
+};
+
+// Run an admin operation on an order and record it in the audit log with its actor and
+// reason, and its outcome. fn returns { order, ...result }; result goes into the entry.
+const audited = async (action, { orderId, actor, reason }, fn) => {
+    if (typeof reason !== 'string' || !reason.trim()) {
+        throw new AdminActionError('Give a reason for this action; it is kept in the audit log.', 'reason_required');
+    }
+
+    try {
+        const { order, ...result } = await fn();
+        await adminAudit.record({ action, actor, reason, orderId, outcome: 'succeeded', ...result });
+        return { order, ...result };
+    } catch (error) {
+        await adminAudit.record({ action, actor, reason, orderId, outcome: 'failed', code: error.code || null, error: error.message });
+        throw error;
+    }
+};
+
+const paymentIntentId = (session) => session.payment_intent?.id || session.payment_intent || null;
+
+const refundedAmount = (order) => (order.refunds || []).reduce((sum, refund) => sum + refund.amount, 0);
+
+// Check a refund of part (amount, in cents) or, without an amount, all of what is left
+// of an order's payment before anything is changed: { paymentIntent, amount, alreadyRefunded }
+const planRefund = async (stripe, order, amount) => {
+    if (!order.stripeSessionId) {
+        throw new AdminActionError('This order was never paid through Stripe.', 'invalid_refund', { orderId: order.id });
+    }
+
+    const session = await stripe.checkout.sessions.retrieve(order.stripeSessionId);
+    const alreadyRefunded = refundedAmount(order);
+    const refundable = (session.amount_total || 0) - alreadyRefunded;
+    const refundAmount = amount ?? refundable;
+
+    if (!Number.isInteger(refundAmount) || refundAmount <= 0 || refundAmount > refundable) {
+        throw new AdminActionError(`The refund must be a whole number of cents from 1 to ${refundable}.`, 'invalid_refund', {
+            orderId: order.id,
+            amount: refundAmount,
+            refundable
+        });
+    }
+    return { paymentIntent: paymentIntentId(session), amount: refundAmount, alreadyRefunded };
+};
+
+// Issue a planned refund and record it on the order
+const issueRefund = async (stripe, order, { paymentIntent, amount, alreadyRefunded }, { actor, reason }) => {
+    // Keyed by what was refunded before, so a repeated request cannot refund twice
+    const refund = await stripe.refunds.create({
+        payment_intent: paymentIntent,
+        amount,
+        reason: 'requested_by_customer',
+        metadata: { order_id: order.id, actor }
+    }, { idempotencyKey: `refund-${order.id}-${alreadyRefunded}-${amount}` });
+
+    const recorded = { id: refund.id, amount: refund.amount, currency: refund.currency, status: refund.status, actor, reason, at: new Date().toISOString() };
+    await orderStore.update(order.id, { refunds: [...(order.refunds || []), recorded] });
+    const updated = await orderStore.addEvent(order.id, { type: 'refund_issued', refundId: refund.id, amount: refund.amount, actor });
+    return { order: updated, refund: recorded };
+};
+
+// Recent Checkout Sessions with the ledger order each one paid for, if any
+export const listRecentCheckouts = async (stripe, { limit = 20 } = {}) => {
+    const sessions = await stripe.checkout.sessions.list({ limit });
+    return Promise.all(sessions.data.map(async (session) => {
+        const order = await orderStore.findByStripeSessionId(session.id)
+            || (session.metadata?.order_id ? await orderStore.get(session.metadata.order_id) : null);
+        return {
+            id: session.id,
+            status: session.status,
+            paymentStatus: session.payment_status,
+            amountTotal: session.amount_total,
+            currency: session.currency,
+            customerEmail: session.customer_details?.email || session.customer_email || null,
+            userId: session.metadata?.user_id || null,
+            createdAt: new Date(session.created * 1000).toISOString(),
+            order: order ? { id: order.id, status: order.status, printfulOrderId: order.printfulOrderId } : null
+        };
+    }));
+};
+
+export const listRecentOrders = ({ status, limit } = {}) => orderStore.listRecent({ status, limit });
+
+export const listRecentPrintfulOrders = async ({ status, limit, offset } = {}) => {
+    const { result, paging } = await listPrintfulOrders({ status, limit, offset });
+    return { orders: result, paging: paging || null };
+};
+
+// Submit a paid order to Printful again after createPrintfulOrder (or confirming the
+// draft) failed. Fulfilment is idempotent, so an order Printful already has is only recorded.
+export const retryOrderSubmission = (stripe, orderId, { actor, reason }) => audited('order_submission_retried', { orderId, actor, reason }, async () => {
+    const order = await getOrder(orderId);
+    if (order.status !== 'paid' || !order.stripeSessionId) {
+        throw new AdminActionError(`Only paid orders that Printful has not accepted can be retried; this order is ${order.status}.`, 'not_retryable', {
+            orderId,
+            status: order.status
+        });
+    }
+
+    await orderStore.addEvent(order.id, { type: 'submission_retried', actor, reason });
+    const session = await stripe.checkout.sessions.retrieve(order.stripeSessionId);
+    const fulfillment = await fulfillCheckoutSession(stripe, session);
+    return { order: fulfillment.order, result: fulfillment.status };
+});
+
+// Cancel a paid order that has not been fulfilled, in Printful and the ledger, then
+// refund refundAmount cents of it (default everything left; 0 for no refund). The refund
+// is checked first; if Stripe then fails to issue it the order stays canceled and the
+// error says so, and refundOrder can retry it.
+export const cancelOrder = (stripe, orderId, { actor, reason, refundAmount }) => audited('order_canceled', { orderId, actor, reason }, async () => {
+    let order = await getOrder(orderId);
+    if (!UNFULFILLED_STATUSES.includes(order.status)) {
+        throw new AdminActionError(`Only paid, unfulfilled orders can be canceled; this order is ${order.status}.`, 'not_cancelable', {
+            orderId,
+            status: order.status
+        });
+    }
+
+    const refundPlan = refundAmount === 0 ? null : await planRefund(stripe, order, refundAmount);
+
+    const printfulOrder = order.printfulOrderId
+        ? await getPrintfulOrder(order.printfulOrderId)
+        : order.externalId ? await getPrintfulOrder(`@${order.externalId}`) : null;
+    const printfulStatus = printfulOrder?.result.status || null;
+    if (printfulOrder && printfulStatus !== 'canceled') {
+        if (!CANCELABLE_PRINTFUL_STATUSES.includes(printfulStatus)) {
+            throw new AdminActionError(`Printful has already started on this order (${printfulStatus}); it can no longer be canceled.`, 'not_cancelable', {
+                orderId,
+                printfulStatus
+            });
+        }
+        // Printful's order_canceled webhook can arrive before the refund below; this tells
+        // it that the customer is emailed from here
+        await orderStore.addEvent(order.id, { type: 'cancel_requested_by_admin', actor });
+        await cancelPrintfulOrder(printfulOrder.result.id);
+    }
+
+    await orderStore.update(order.id, { status: 'canceled' });
+    order = await orderStore.addEvent(order.id, { type: 'canceled_by_admin', reason, actor });
+
+    if (!refundPlan) {
+        await notifyOrderProblem(order, 'canceled');
+        return { order, printfulStatus, refund: null };
+    }
+    try {
+        const { order: refunded, refund } = await issueRefund(stripe, order, refundPlan, { actor, reason });
+        await notifyOrderProblem(refunded, 'canceled');
+        return { order: refunded, printfulStatus, refund };
+    } catch (error) {
+        await orderStore.addEvent(order.id, { type: 'refund_failed', error: error.message, actor });
+        throw new AdminActionError(`The order was canceled but the refund failed: ${error.message}`, 'refund_failed', {
+            orderId,
+            refundCode: error.code || null
+        });
+    }
+});
+
+// Refund part (amount, in cents) or all that is left of an order's payment, without
+// canceling it (e.g. for a damaged item, or after cancelOrder's refund failed)
+export const refundOrder = (stripe, orderId, { actor, reason, amount }) => audited('order_refunded', { orderId, actor, reason }, async () => {
+    const order = await getOrder(orderId);
+    return issueRefund(stripe, order, await planRefund(stripe, order, amount), { actor, reason });
+});
@@ -0,0 +1,263 @@
+// backend/apiContract.js
+import Ajv2020 from 'ajv/dist/2020.js';
+import addFormats from 'ajv-formats';
+import dotenv from 'dotenv';
+import { sendError } from './apiErrors.js';
+import { errorEnvelope } from './apiSchemas.js';
+import { logger } from './logger.js';
+
+dotenv.config();
+
+// Responses are checked against their route's schemas too. RESPONSE_VALIDATION is log
+// (default: mismatches are logged), strict (they become 500s, for development and tests)
+// or off.
+const RESPONSE_VALIDATION = process.env.RESPONSE_VALIDATION || 'log';
+
+// JSON bodies are checked as sent; path, query and multipart fields arrive as strings, so
+// they are coerced to the schema's types first (and get its defaults)
+const jsonAjv = addFormats(new Ajv2020({ allErrors: true, strict: false }));
+const stringAjv = addFormats(new Ajv2020({ allErrors: true, strict: false, coerceTypes: true, useDefaults: true }));
+
+// Every route declared through createApi, in order: { method, path, spec, middleware }
+const operations = [];
+
+// Ajv errors as [{ in, path, message }], path being a JSON pointer into that part of the request
+const describeErrors = (location, errors) => errors.map(error => {
+    if (error.keyword === 'required') {
+        return { in: location, path: `${error.instancePath}/${error.params.missingProperty}`, message: 'is required' };
+    }
+    if (error.keyword === 'additionalProperties') {
+        return { in: location, path: `${error.instancePath}/${error.params.additionalProperty}`, message: 'is not allowed' };
+    }
+    return { in: location, path: error.instancePath || '/', message: error.message };
+});
+
+// Schema of a JSON response, from the shorthand used in route specs (see createApi)
+const jsonResponseSchema = (response) => {
+    if (!response) return null;
+    return response.content ? response.content['application/json']?.schema || null : response;
+};
+
+// Middleware rejecting requests whose params, query or body (and, for multipart routes,
+// files) do not match the route's schemas, with a 400 invalid_request listing every problem
+const checkRequest = (spec) => {
+    const validators = {
+        params: spec.params && stringAjv.compile(spec.params),
+        query: spec.query && stringAjv.compile(spec.query),
+        body: spec.body && (spec.files ? stringAjv : jsonAjv).compile(spec.body)
+    };
+
+    return (req, res, next) => {
+        const errors = [];
+        for (const [location, validate] of Object.entries(validators)) {
+            if (validate && !validate(req[location] ?? {})) {
+                errors.push(...describeErrors(location, validate.errors));
+            }
+        }
+        for (const field of Object.keys(spec.files || {})) {
+            const uploaded = req.file?.fieldname === field || req.files?.[field]?.length;
+            if (!uploaded) {
+                errors.push({ in: 'body', path: `/${field}`, message: 'must be uploaded' });
+            }
+        }
+        if (errors.length > 0) {
+            return sendError(res, 400, 'invalid_request', 'The request is invalid.', { errors });
+        }
+        next();
+    };
+};
+
+// Middleware checking JSON responses against the schema for their status; error
+// responses are checked against the error envelope
+const checkResponses = (method, path, spec) => {
+    if (RESPONSE_VALIDATION === 'off') {
+        return (req, res, next) => next();
+    }
+
+    const validators = {};
+    for (const [status, response] of Object.entries(spec.responses || {})) {
+        const schema = jsonResponseSchema(response);
+        if (schema) validators[status] = jsonAjv.compile(schema);
+    }
+    const validateError = jsonAjv.compile(errorEnvelope);
+
+    return (req, res, next) => {
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            const validate = validators[res.statusCode] || (res.statusCode >= 400 ? validateError : null);
+            if (validate && !validate(body)) {
+                const errors = describeErrors('response', validate.errors);
+                logger.error('Response does not match its schema', { route: `${method.toUpperCase()} ${path}`, status: res.statusCode, errors });
+                if (RESPONSE_VALIDATION === 'strict') {
+                    res.json = json;
+                    return sendError(res, 500, 'invalid_response', 'The response did not match its schema.', { errors });
+                }
+            }
+            return json(body);
+        };
+        next();
+    };
+};
+
+// Declare routes with their contract and register them on an Express app or router:
+//   api.post(path, spec, ...middleware, handler)
+// spec: { summary, description?, tags?, params?, query?, body?, files?, requestBody?,
+//         responses, errors?, security? }
+// params, query and body are JSON Schemas, enforced before the handler runs (after the
+// other middleware, so authentication still answers first). files names the multipart file
+// fields that must be present ({ field: description }); body then describes the other form
+// fields. requestBody documents bodies that are not JSON (OpenAPI, not enforced).
+// responses maps statuses to a JSON Schema (a JSON body), null (no body) or an OpenAPI
+// response object ({ description, content }) for anything else. errors lists further
+// 4xx/5xx statuses the handler sends; middleware annotated with describeMiddleware adds
+// its own security and statuses. basePath is the router's mount path.
+export const createApi = (target, { basePath = '' } = {}) => {
+    const register = (method) => (path, spec, ...handlers) => {
+        const handler = handlers.pop();
+        operations.push({ method, path: `${basePath}${path}`, spec, middleware: handlers });
+        target[method](path, checkResponses(method, `${basePath}${path}`, spec), ...handlers, checkRequest(spec), handler);
+    };
+
+    return {
+        get: register('get'),
+        head: register('head'),
+        post: register('post'),
+        put: register('put'),
+        patch: register('patch'),
+        delete: register('delete')
+    };
+};
+
+// Annotate middleware for the OpenAPI document: { security: [requirement], errors: [status] }
+export const describeMiddleware = (middleware, description) => {
+    middleware.openapi = description;
+    return middleware;
+};
+
+const STATUS_DESCRIPTIONS = {
+    200: 'OK',
+    201: 'Created',
+    202: 'Accepted',
+    204: 'No content',
+    400: 'The request is invalid',
+    401: 'Not authenticated',
+    402: 'Payment required',
+    403: 'Not allowed',
+    404: 'Not found',
+    409: 'Conflicts with the current state',
+    410: 'Gone',
+    413: 'Too large',
+    415: 'Unsupported media type',
+    429: 'Rate limit exceeded',
+    500: 'Unexpected failure',
+    502: 'An upstream service failed',
+    503: 'A dependency is unavailable'
+};
+
+const SECURITY_SCHEMES = {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'Session token from /auth/login or /auth/register' },
+    apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'Partner API key from /me/api-keys' },
+    adminKey: { type: 'apiKey', in: 'header', name: 'X-Admin-Key', description: 'ADMIN_API_KEY, or a key from ADMIN_API_KEYS' },
+    metricsToken: { type: 'http', scheme: 'bearer', description: 'METRICS_TOKEN (optional in the sandbox)' }
+};
+
+const openApiPath = (path) => path.replace(/:(\w+)/g, '{$1}').replace(/\/\*$/, '/{key}');
+
+const parametersFrom = (schema, location) => Object.entries(schema?.properties || {}).map(([name, property]) => ({
+    name,
+    in: location,
+    required: location === 'path' || (schema.required || []).includes(name),
+    description: property.description,
+    schema: property
+}));
+
+const requestBodyFor = (spec) => {
+    if (spec.files) {
+        const files = Object.fromEntries(Object.entries(spec.files).map(([field, description]) => [field, { type: 'string', format: 'binary', description }]));
+        return {
+            required: true,
+            content: {
+                'multipart/form-data': {
+                    schema: {
+                        type: 'object',
+                        required: [...Object.keys(files), ...(spec.body?.required || [])],
+                        properties: { ...files, ...(spec.body?.properties || {}) }
+                    }
+                }
+            }
+        };
+    }
+    if (spec.body) {
+        return { required: true, content: { 'application/json': { schema: spec.body } } };
+    }
+    return spec.requestBody;
+};
+
+const responseFor = (status, response) => {
+    if (response === null) {
+        return { description: STATUS_DESCRIPTIONS[status] || 'No content' };
+    }
+    if (response.content) {
+        return { description: STATUS_DESCRIPTIONS[status], ...response };
+    }
+    return {
+        description: response.description || STATUS_DESCRIPTIONS[status] || 'Response',
+        content: { 'application/json': { schema: response } }
+    };
+};
+
+// The OpenAPI 3.1 document of every declared route, generated from the same schemas the
+// middleware enforces
+export const openApiDocument = ({ title, version, description }) => {
+    const paths = {};
+    for (const { method, path, spec, middleware } of operations) {
+        const annotations = middleware.map(fn => fn.openapi).filter(Boolean);
+        const security = [...(spec.security || []), ...annotations.flatMap(annotation => annotation.security || [])];
+        const errorStatuses = new Set([...annotations.flatMap(annotation => annotation.errors || []), ...(spec.errors || [])]);
+        if (spec.params || spec.query || spec.body || spec.files) {
+            errorStatuses.add(400);
+        }
+
+        const responses = {};
+        for (const [status, response] of Object.entries(spec.responses || {})) {
+            responses[status] = responseFor(status, response);
+        }
+        for (const status of [...errorStatuses].sort()) {
+            responses[status] = { $ref: `#/components/responses/Error${status}` };
+        }
+        responses.default = { $ref: '#/components/responses/Error' };
+
+        const parameters = [...parametersFrom(spec.params, 'path'), ...parametersFrom(spec.query, 'query')];
+        if (path.endsWith('/*')) {
+            parameters.unshift({ name: 'key', in: 'path', required: true, description: 'Storage key', schema: { type: 'string' } });
+        }
+        paths[openApiPath(path)] = {
+            ...paths[openApiPath(path)],
+            [method]: {
+                summary: spec.summary,
+                description: spec.description,
+                tags: spec.tags,
+                security: security.length > 0 ? security : undefined,
+                parameters: parameters.length > 0 ? parameters : undefined,
+                requestBody: requestBodyFor(spec),
+                responses
+            }
+        };
+    }
+
+    const errorResponse = (description) => ({ description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } });
+    const errorResponses = Object.fromEntries(Object.entries(STATUS_DESCRIPTIONS)
+        .filter(([status]) => status >= 400)
+        .map(([status, text]) => [`Error${status}`, errorResponse(text)]));
+
+    return {
+        openapi: '3.1.0',
+        info: { title, version, description },
+        paths,
+        components: {
+            schemas: { Error: errorEnvelope },
+            responses: { Error: errorResponse('Error'), ...errorResponses },
+            securitySchemes: SECURITY_SCHEMES
+        }
+    };
+};
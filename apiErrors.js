@@ -0,0 +1,68 @@
+// backend/apiErrors.js
+import multer from 'multer';
+import { logger } from './logger.js';
+
+// Every error response has the same body, the error envelope:
+//   { code, message, details, requestId }
+// `code` is a stable, machine-readable reason, `message` is for people, `details` is an
+// object with specifics (or null) and `requestId` finds the request in the logs.
+
+// Error answered with the envelope and an HTTP status, from middleware or handlers
+export class ApiError extends Error {
+    constructor(status, code, message, details = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+export const sendError = (res, status, code, message, details = null) => {
+    return res.status(status).json({ code, message, details: details ?? null, requestId: res.req.id ?? null });
+};
+
+// Log an unexpected failure and answer 500 without its internals; the requestId in the
+// response finds the logged error
+export const sendInternalError = (res, message, error) => {
+    logger.error(message, { error });
+    return sendError(res, 500, 'internal_error', message);
+};
+
+const MULTER_ERRORS = {
+    LIMIT_FILE_SIZE: [413, 'file_too_large', 'The uploaded file is too large.'],
+    LIMIT_FILE_COUNT: [400, 'too_many_files', 'Too many files were uploaded.'],
+    LIMIT_UNEXPECTED_FILE: [400, 'unexpected_file', 'A file was uploaded in an unexpected form field.']
+};
+
+// Answer requests no route matched
+export const notFoundHandler = (req, res) => {
+    return sendError(res, 404, 'route_not_found', `No endpoint ${req.method} ${req.path}.`);
+};
+
+// Express error handler, last in the chain: errors passed to next() by middleware (auth,
+// CORS, body parsing, multer) become envelopes with the right status
+export const errorHandler = (error, req, res, next) => {
+    if (res.headersSent) {
+        return next(error);
+    }
+    if (error instanceof ApiError) {
+        return sendError(res, error.status, error.code, error.message, error.details);
+    }
+    if (error instanceof multer.MulterError) {
+        const [status, code, message] = MULTER_ERRORS[error.code] || [400, 'invalid_multipart', error.message];
+        return sendError(res, status, code, message, { field: error.field || null });
+    }
+    // body-parser: malformed or oversized bodies
+    if (error.type === 'entity.parse.failed') {
+        return sendError(res, 400, 'invalid_json', 'The request body is not valid JSON.');
+    }
+    if (error.type === 'entity.too.large') {
+        return sendError(res, 413, 'payload_too_large', `The request body is larger than ${error.limit} bytes.`);
+    }
+    if (error.expose && error.status >= 400 && error.status < 500) {
+        return sendError(res, error.status, 'bad_request', error.message);
+    }
+    logger.error('Unhandled error', { error });
+    return sendError(res, 500, 'internal_error', 'An unexpected error occurred.');
+};
@@ -0,0 +1,283 @@
+// backend/apiSchemas.js
+
+// JSON Schemas (2020-12) shared by the route contracts in app.js (see apiContract.js).
+// Request schemas are what the routes accept; services still check what schemas cannot
+// (prices, addresses per country, ownership). Response schemas pin down the fields
+// clients rely on and leave the rest open, so adding a field is not a breaking change.
+
+// Object schema with the given properties, of which `required` must be present
+export const objectSchema = (properties, required = [], extra = {}) => ({ type: 'object', required, properties, ...extra });
+
+export const arrayOf = (items, extra = {}) => ({ type: 'array', items, ...extra });
+
+// Body of every error response
+export const errorEnvelope = objectSchema({
+    code: { type: 'string', description: 'Stable, machine-readable reason' },
+    message: { type: 'string' },
+    details: { type: ['object', 'null'], description: 'Specifics of the error, depending on its code' },
+    requestId: { type: ['string', 'null'], description: 'X-Request-Id of the request, to find it in the logs' }
+}, ['code', 'message', 'details', 'requestId']);
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+const url = { type: 'string', minLength: 1, description: 'URL of an image' };
+const timestamp = { type: 'string', format: 'date-time' };
+const cents = { type: 'integer', minimum: 0, description: 'Amount in cents' };
+
+// Path parameters
+export const idParams = objectSchema({ id: nonEmptyString }, ['id']);
+export const integerIdParams = objectSchema({ id: { type: 'integer', minimum: 1 } }, ['id']);
+
+// ?limit=, defaulting to fallback and at most max
+export const limitParam = (fallback, max) => ({ type: 'integer', minimum: 1, maximum: max, default: fallback });
+
+// Responses carrying only a human-readable message besides their data
+export const messageResponse = (properties = {}, required = []) => objectSchema({ message: { type: 'string' }, ...properties }, ['message', ...required]);
+
+// Accounts
+export const user = objectSchema({
+    id: { type: 'string' },
+    email: { type: 'string' },
+    createdAt: timestamp
+}, ['id', 'email']);
+
+export const credentials = objectSchema({
+    email: { type: 'string', format: 'email', maxLength: 254 },
+    password: { type: 'string', minLength: 1, maxLength: 1024 }
+}, ['email', 'password']);
+
+export const session = objectSchema({ token: { type: 'string' }, user }, ['token', 'user']);
+
+export const apiKey = objectSchema({
+    id: { type: 'string' },
+    name: { type: 'string' },
+    prefix: { type: 'string' },
+    createdAt: timestamp
+}, ['id', 'name']);
+
+export const usage = objectSchema({
+    policy: { type: 'string' },
+    description: { type: ['string', 'null'] },
+    limit: { type: 'integer' },
+    windowMs: { type: 'integer' },
+    used: { type: 'integer' },
+    remaining: { type: 'integer' },
+    resetAt: { type: ['string', 'null'] }
+}, ['policy', 'limit', 'windowMs', 'used', 'remaining', 'resetAt']);
+
+// Gallery assets (see assetService.js)
+export const asset = objectSchema({
+    id: { type: 'string' },
+    kind: { type: 'string' },
+    url: { type: 'string' },
+    tags: arrayOf({ type: 'string' }),
+    expiresAt: { type: ['string', 'null'] },
+    createdAt: timestamp
+}, ['id', 'kind', 'url']);
+
+export const auditEntry = objectSchema({
+    id: { type: 'string' },
+    action: { type: 'string' },
+    actor: { type: ['string', 'null'] },
+    at: timestamp
+}, ['action']);
+
+// Face uploads. consent must confirm that everyone pictured agreed to their face being
+// processed (true, "true", "1", "yes" or "on"); without it the upload is refused with
+// consent_required.
+export const consent = { type: ['boolean', 'string'], description: 'Must be true: everyone pictured agreed to their face being processed' };
+
+export const signUploadBody = objectSchema({
+    kind: { enum: ['target', 'selfie'] },
+    contentType: { enum: ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/heic', 'image/heif'] },
+    size: { type: 'integer', minimum: 1, description: 'Size of the file in bytes' },
+    consent
+}, ['kind', 'contentType', 'size']);
+
+export const signedUpload = objectSchema({
+    uploadId: { type: 'string' },
+    expiresAt: timestamp,
+    upload: objectSchema({
+        method: { enum: ['POST', 'PUT'] },
+        url: { type: 'string' },
+        headers: { type: 'object' },
+        fields: { type: ['object', 'null'] }
+    }, ['method', 'url']),
+    resumableUrl: { type: ['string', 'null'] }
+}, ['uploadId', 'expiresAt', 'upload']);
+
+// Face-swap jobs (see swapJobService.js)
+export const swapJob = objectSchema({
+    id: { type: 'string' },
+    status: { type: 'string' },
+    targetImageUrl: { type: 'string' },
+    swapImageUrl: { type: 'string' },
+    resultImageUrl: { type: ['string', 'null'] },
+    error: {},
+    attempts: { type: 'integer' },
+    nextAttemptAt: { type: ['string', 'null'], description: 'When a failed attempt is retried' },
+    createdAt: timestamp
+}, ['id', 'status']);
+
+// Design documents are checked layer by layer by designDocument.js, which reports every
+// problem with its path
+export const designDocument = { type: 'object', description: 'Layered design document (see designDocument.js)' };
+
+export const mockupProduct = objectSchema({
+    id: { type: ['integer', 'string'], description: 'Printful product ID' },
+    variantId: { type: ['integer', 'string'] },
+    name: { type: 'string' },
+    baseImageUrl: { type: 'string' },
+    templateId: { type: 'string' }
+}, ['id']);
+
+export const mockupResult = objectSchema({
+    productId: { type: ['integer', 'string'] },
+    variantId: { type: ['integer', 'string', 'null'] },
+    productName: { type: ['string', 'null'] },
+    mockupUrl: { type: 'string' }
+}, []);
+
+// Catalog and prices
+export const catalogQuery = objectSchema({
+    q: { type: 'string' },
+    category: { type: 'string' },
+    color: { type: 'string' },
+    size: { type: 'string' },
+    minPrice: { type: 'number', minimum: 0 },
+    maxPrice: { type: 'number', minimum: 0 },
+    offset: { type: 'integer', minimum: 0, default: 0 },
+    limit: limitParam(20, 100)
+});
+
+export const catalogProduct = objectSchema({
+    id: { type: 'integer' },
+    title: { type: 'string' },
+    variants: { type: 'array' }
+}, ['id']);
+
+export const priceCatalog = objectSchema({
+    currency: { type: 'string' },
+    variants: arrayOf(objectSchema({
+        variantId: { type: 'integer' },
+        name: { type: 'string' },
+        unitAmount: cents,
+        price: { type: 'number' }
+    }, ['variantId', 'unitAmount', 'price']))
+}, ['currency', 'variants']);
+
+// Mockup templates are checked field by field by mockupTemplateService.js
+export const mockupTemplate = { type: 'object', description: 'Mockup template (see mockupTemplateService.js)' };
+
+// Carts and orders. Items are priced from the server-side catalog; price, when sent, is
+// what the client showed and must match it.
+const placement = { type: 'string', description: 'Print placement (e.g. front); the variant\'s default when omitted' };
+
+export const cartItem = objectSchema({
+    variantId: { type: 'integer', minimum: 1 },
+    quantity: { type: 'integer', minimum: 1, maximum: 1000 },
+    designUrl: url,
+    placement,
+    price: { type: 'number', minimum: 0, description: 'Unit price shown to the customer, in dollars' }
+}, ['variantId', 'quantity', 'designUrl']);
+
+export const recipient = objectSchema({
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    company: { type: 'string', maxLength: 100 },
+    address1: { type: 'string', minLength: 1, maxLength: 100 },
+    address2: { type: 'string', maxLength: 100 },
+    city: { type: 'string', minLength: 1, maxLength: 50 },
+    state_code: { type: 'string', description: 'Required where the country has states' },
+    country_code: { type: 'string', pattern: '^[A-Za-z]{2}$', description: 'ISO 3166-1 alpha-2' },
+    zip: { type: ['string', 'integer'] },
+    email: { type: 'string', maxLength: 100 },
+    phone: { type: ['string', 'integer'] }
+}, ['name', 'address1', 'city', 'country_code'], { description: 'Checked against the rules of its country (see recipientValidation.js)' });
+
+export const orderBody = objectSchema({
+    recipient,
+    items: arrayOf(cartItem, { minItems: 1, maxItems: 100 }),
+    shipping: { type: 'string', description: 'Shipping method ID from /orders/quote; the cheapest when omitted' }
+}, ['recipient', 'items']);
+
+export const shippingOption = objectSchema({
+    id: { type: 'string' },
+    name: { type: 'string' },
+    amount: cents,
+    minDeliveryDays: { type: ['integer', 'null'] },
+    maxDeliveryDays: { type: ['integer', 'null'] }
+}, ['id', 'name', 'amount']);
+
+export const quote = objectSchema({
+    currency: { type: 'string' },
+    recipient: { type: 'object' },
+    items: { type: 'array' },
+    subtotal: cents,
+    shipping: shippingOption,
+    shippingOptions: arrayOf(shippingOption),
+    tax: cents,
+    total: cents
+}, ['currency', 'subtotal', 'shipping', 'tax', 'total']);
+
+export const order = objectSchema({
+    id: { type: 'string' },
+    status: { type: 'string' },
+    email: { type: ['string', 'null'] },
+    events: { type: 'array' },
+    createdAt: timestamp
+}, ['id', 'status']);
+
+export const checkoutBody = objectSchema({
+    orderId: { type: 'string', minLength: 1, description: 'Draft order from /place-order to pay for' },
+    cartItems: arrayOf(cartItem, { minItems: 1, maxItems: 100 })
+}, [], { oneOf: [{ required: ['orderId'] }, { required: ['cartItems'] }] });
+
+export const checkoutUrl = objectSchema({ url: { type: 'string' } }, ['url']);
+
+// Store products (see storeProductService.js)
+const storeVariant = objectSchema({
+    variantId: { type: 'integer', minimum: 1 },
+    retailPrice: { type: ['number', 'string'] },
+    placements: { type: 'array' }
+}, ['variantId']);
+
+const storeProductFields = {
+    title: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    designUrl: url,
+    thumbnailUrl: url,
+    externalId: { type: 'string' },
+    placements: { type: 'array' },
+    retailPrice: { type: ['number', 'string'] },
+    variants: arrayOf(storeVariant, { minItems: 1 }),
+    productId: { type: 'integer', minimum: 1 },
+    colors: arrayOf({ type: 'string' }),
+    sizes: arrayOf({ type: 'string' })
+};
+
+export const storeProductBody = objectSchema(storeProductFields, ['title', 'designUrl'], {
+    anyOf: [{ required: ['variants'] }, { required: ['productId'] }]
+});
+
+export const storeProductUpdate = objectSchema(storeProductFields);
+
+export const storeProduct = { type: 'object', description: 'Printful store product' };
+
+// Printful's own response bodies, passed through
+export const printfulResult = objectSchema({ code: { type: 'integer' }, result: {} }, ['result']);
+
+// Admin
+export const adminReason = { type: 'string', minLength: 1, maxLength: 500, description: 'Why, for the audit log' };
+
+// Outgoing customer emails (see emailQueue.js); addresses are left out
+export const queuedEmail = objectSchema({
+    id: { type: 'string' },
+    key: { type: 'string' },
+    template: { type: 'string' },
+    status: { enum: ['queued', 'sent', 'failed'] },
+    attempts: { type: 'integer' },
+    nextAttemptAt: { type: ['string', 'null'] },
+    lastError: { type: ['string', 'null'] },
+    messageId: { type: ['string', 'null'] },
+    createdAt: timestamp,
+    sentAt: { type: ['string', 'null'] }
+}, ['id', 'template', 'status', 'attempts']);
@@ -0,0 +1,1789 @@
+// backend/app.js
+
+import crypto from 'crypto';
+import express from 'express';
+import multer from 'multer';
+import dotenv from 'dotenv';
+import cors from 'cors';
+import { v4 as uuidv4 } from 'uuid';
+import { getPrintfulProducts, uploadFileToPrintful, getFileInfoFromPrintful, PrintfulError } from './printfulService.js';
+import { fulfillCheckoutSession, recordPrintfulEvent } from './fulfillmentService.js';
+import { orderStore } from './orderStore.js';
+import { loadPriceCatalog, resolveCartItems, PricingError } from './pricingService.js';
+import { listTemplates, getTemplate, createTemplate, updateTemplate, deleteTemplate, TemplateValidationError } from './mockupTemplateService.js';
+import { generateMockups, loadDesign } from './mockupService.js';
+import { storage } from './storageService.js';
+import { fetchRemoteImage, RemoteFetchError } from './remoteImageFetcher.js';
+import { ingestImage, IngestError } from './imageIngest.js';
+import { preparePrintFile, PrintFileError } from './printFileService.js';
+import { searchCatalog, getCatalogEntry, syncCatalog, CatalogError } from './catalogService.js';
+import { listStoreProducts, getStoreProduct, createStoreProduct, updateStoreProduct, deleteStoreProduct, StoreProductError } from './storeProductService.js';
+import { registerUser, loginUser, userFromToken, authenticateApiKey, createApiKey, listApiKeys, revokeApiKey, AuthError } from './authService.js';
+import { storeUserAsset, listAssets, setAssetTags, assertOwnsUrls, assertReleasedUrls, getOriginalUrl, ASSET_FOLDERS, AssetError } from './assetService.js';
+import { faceUploadTerms, deleteOwnAsset, forgetSubject, purgeExpiredFaces, deletionAudit, ConsentError } from './retentionService.js';
+import { rateLimit, costPerEntry, getUsage } from './rateLimiter.js';
+import { quoteOrder, createDraftOrder, cancelDraftOrder, expireDraftCheckouts, OrderError } from './orderService.js';
+import { shippingCountries, RecipientError } from './recipientValidation.js';
+import { createSwapJob, getSwapJob, subscribeToSwapJob, isFinished } from './swapJobService.js';
+import { createDesign } from './designService.js';
+import { createSignedUpload, completeUpload, UploadError } from './uploadService.js';
+import { createLocalUploadRouter } from './localUploadRoutes.js';
+import { listRecentCheckouts, listRecentOrders, listRecentPrintfulOrders, retryOrderSubmission, cancelOrder, refundOrder, adminAudit, AdminActionError } from './adminService.js';
+import { FONTS, DesignError } from './designDocument.js';
+import { listEmails, retryEmail, EmailQueueError } from './emailQueue.js';
+import { SANDBOX } from './sandbox.js';
+import { createStripeClient } from './stripeClient.js';
+import { createSandboxRouter } from './sandboxRoutes.js';
+import { logger, withRequestContext, keepRequestContext } from './logger.js';
+import { registry, observeHttpRequest } from './metrics.js';
+import { liveness, readiness } from './healthService.js';
+import { ApiError, sendError, sendInternalError, notFoundHandler, errorHandler } from './apiErrors.js';
+import { createApi, describeMiddleware, openApiDocument } from './apiContract.js';
+import {
+    objectSchema, arrayOf, idParams, integerIdParams, limitParam, messageResponse, user, credentials, session, apiKey, usage,
+    asset, auditEntry, consent, signUploadBody, signedUpload, swapJob, designDocument, mockupProduct, mockupResult,
+    catalogQuery, catalogProduct, priceCatalog, mockupTemplate, cartItem, orderBody, quote, order, checkoutBody, checkoutUrl,
+    storeProductBody, storeProductUpdate, storeProduct, printfulResult, adminReason, queuedEmail
+} from './apiSchemas.js';
+
+// Load environment variables from .env file
+dotenv.config();
+
+// Build the Express app with every route, without listening or starting background
+// work (see server.js), so tests can run it on a port of their own. In the sandbox each
+// app gets its own fake Stripe.
+export const createApp = () => {
+    // Initialize Stripe (a fake in the sandbox, whose payments go straight to handleStripeEvent)
+    const stripe = createStripeClient({ onSandboxEvent: event => handleStripeEvent(event) });
+
+    // Initialize express app. Routes are declared through `api` with their request and
+    // response schemas (see apiContract.js), which also make up /openapi.json.
+    const app = express();
+    const api = createApi(app);
+
+    // Behind a proxy (e.g. Vercel), set TRUST_PROXY to its hop count so req.ip, which
+    // anonymous rate limits are keyed by, is the client's address
+    if (process.env.TRUST_PROXY) {
+        app.set('trust proxy', Number(process.env.TRUST_PROXY));
+    }
+
+    // Tag every request with a correlation ID (the caller's X-Request-Id when it looks like
+    // one), which log lines and upstream calls made for it carry. When the response is sent,
+    // log the request and record its latency under its route pattern.
+    app.use((req, res, next) => {
+        const incomingId = req.headers['x-request-id'];
+        req.id = typeof incomingId === 'string' && /^[\w.:-]{1,128}$/.test(incomingId) ? incomingId : uuidv4();
+        res.set('X-Request-Id', req.id);
+
+        const startedAt = process.hrtime.bigint();
+        res.on('finish', () => {
+            const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+            const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+            observeHttpRequest({ method: req.method, route, status: res.statusCode, seconds });
+
+            const level = res.statusCode >= 500 ? 'error' : ['/healthz', '/readyz', '/metrics'].includes(route) ? 'debug' : 'info';
+            logger[level]('Request completed', {
+                requestId: req.id,
+                method: req.method,
+                route,
+                path: req.path,
+                status: res.statusCode,
+                durationMs: Math.round(seconds * 1000),
+                userId: req.user?.id
+            });
+        });
+
+        withRequestContext({ requestId: req.id }, next);
+    });
+
+    // Enable CORS with specific origin
+    const allowedOrigins = [
+        'https://front-end-face-swap.vercel.app',
+        process.env.FRONTEND_URL || 'https://front-end-face-swap.vercel.app'
+    ];
+    app.use(cors({
+        origin: function (origin, callback) {
+            // Allow requests with no origin (like mobile apps or curl requests)
+            if (!origin) return callback(null, true);
+            if (allowedOrigins.indexOf(origin) === -1) {
+                const msg = `The CORS policy for this site does not allow access from the specified Origin: ${origin}`;
+                return callback(new ApiError(403, 'cors_denied', msg, { origin }), false);
+            }
+            return callback(null, true);
+        },
+        methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-Admin-Key', 'X-API-Key', 'X-Request-Id', 'Tus-Resumable', 'Upload-Offset', 'Upload-Length'],
+        exposedHeaders: ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After', 'X-Request-Id', 'Tus-Resumable', 'Upload-Offset', 'Upload-Length'],
+        preflightContinue: false,
+        optionsSuccessStatus: 204
+    }));
+
+    // Middleware to parse JSON bodies, keeping the raw body for webhook signature verification
+    app.use(express.json({
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        }
+    }));
+
+    // Fake Printful API and Stripe checkout pages for SANDBOX mode
+    if (SANDBOX) {
+        logger.info('SANDBOX mode: Stripe, Printful and storage are faked locally.');
+        app.use('/sandbox', createSandboxRouter({ stripe, onPrintfulEvent: recordPrintfulEvent }));
+    }
+
+    // Error classes of the services and, by their code, the status they are answered with.
+    // Codes not listed are the caller's input (400).
+    const DOMAIN_ERRORS = [
+        [AuthError, { email_taken: 409, invalid_credentials: 401, unauthenticated: 401, not_found: 404 }],
+        [AssetError, { not_found: 404, asset_not_owned: 403, not_purchased: 402 }],
+        [UploadError, { not_found: 404, upload_incomplete: 409, too_large: 413 }],
+        [IngestError, { unsupported_type: 415, too_large: 413 }],
+        [OrderError, { not_found: 404, not_draft: 409 }],
+        [CatalogError, { catalog_syncing: 503 }],
+        [AdminActionError, { not_found: 404, not_retryable: 409, not_cancelable: 409, refund_failed: 502 }],
+        [EmailQueueError, { not_found: 404, not_retryable: 409 }],
+        [DesignError, {}],
+        [PrintFileError, {}],
+        [RemoteFetchError, {}],
+        [ConsentError, {}]
+    ];
+
+    // Errors whose details list every problem found, and the code they are answered with
+    const LISTED_ERRORS = [
+        [TemplateValidationError, 'invalid_template'],
+        [StoreProductError, 'invalid_store_product'],
+        [PricingError, 'invalid_items'],
+        [RecipientError, 'invalid_recipient']
+    ];
+
+    // Respond to an error thrown by a route's services with the error envelope. Printful's
+    // 400/404/409 describe the caller's input and are passed through; any other Printful or
+    // Stripe failure (bad credentials, rate limits, outages) is a 502. Anything unexpected is
+    // logged with message and answered with a 500.
+    const sendRouteError = (res, message, error) => {
+        for (const [ErrorClass, statuses] of DOMAIN_ERRORS) {
+            if (error instanceof ErrorClass) {
+                // Uploads and consent are refused per form field
+                const details = error instanceof ConsentError ? { field: 'consent' }
+                    : error.field ? { field: error.field, ...error.details }
+                    : error.details;
+                return sendError(res, statuses[error.code] || 400, error.code, error.message, details);
+            }
+        }
+        for (const [ErrorClass, code] of LISTED_ERRORS) {
+            if (error instanceof ErrorClass) {
+                return sendError(res, 400, code, error.message, { errors: error.details });
+            }
+        }
+        if (error instanceof PrintfulError) {
+            logger.error(message, { error });
+            const status = [400, 404, 409].includes(error.status) ? error.status : 502;
+            return sendError(res, status, 'printful_error', `${message} ${error.message}`, {
+                printfulStatus: error.status,
+                printfulCode: error.code,
+                reason: error.reason
+            });
+        }
+        // Stripe errors carry the status Stripe answered with
+        if (error.type?.startsWith('Stripe')) {
+            logger.error(message, { error });
+            const status = [400, 404].includes(error.statusCode) ? error.statusCode : 502;
+            return sendError(res, status, error.code || 'stripe_error', `${message} ${error.message}`, { stripeType: error.type });
+        }
+        return sendInternalError(res, message, error);
+    };
+
+    // Identify the caller from a session token (Authorization: Bearer <jwt>) or a partner
+    // API key (X-API-Key) and set req.user (and req.apiKey); requests with neither are rejected
+    const requireUser = describeMiddleware(async (req, res, next) => {
+        const apiKey = req.headers['x-api-key'];
+        const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+        try {
+            if (apiKey) {
+                Object.assign(req, await authenticateApiKey(apiKey));
+            } else if (scheme === 'Bearer' && token) {
+                req.user = await userFromToken(token);
+            } else {
+                return sendError(res, 401, 'unauthenticated', 'Sign in or pass an API key to use this endpoint.');
+            }
+            next();
+        } catch (error) {
+            if (error instanceof AuthError) {
+                return sendError(res, 401, error.code, error.message);
+            }
+            next(error);
+        }
+    }, { security: [{ bearerAuth: [] }, { apiKey: [] }], errors: [401] });
+
+    // Compare a secret the caller presented with the configured one in constant time
+    const matchesSecret = (presented, secret) => {
+        if (typeof presented !== 'string' || !secret) return false;
+        const digest = (value) => crypto.createHash('sha256').update(value).digest();
+        return crypto.timingSafeEqual(digest(presented), digest(secret));
+    };
+
+    // Admin keys: ADMIN_API_KEY, and ADMIN_API_KEYS (name:key,...) to give each admin their own
+    // key, which audit entries then name them by
+    const ADMIN_KEYS = [
+        ...(process.env.ADMIN_API_KEY ? [{ actor: 'admin-key', key: process.env.ADMIN_API_KEY }] : []),
+        ...(process.env.ADMIN_API_KEYS || '').split(',').map(entry => entry.trim().match(/^([^:]+):(.+)$/)).filter(Boolean)
+            .map(([, name, key]) => ({ actor: `admin-key:${name}`, key }))
+    ];
+
+    // Restrict management endpoints to callers presenting an admin key (X-Admin-Key), and set
+    // req.adminActor, who audit entries name. Every key is compared, so the time taken does
+    // not tell which one nearly matched.
+    const requireAdmin = describeMiddleware((req, res, next) => {
+        const presented = req.headers['x-admin-key'];
+        const matched = ADMIN_KEYS.filter(({ key }) => matchesSecret(presented, key));
+        if (matched.length === 0) {
+            return sendError(res, 401, 'invalid_admin_key', 'A valid admin key is required.');
+        }
+        req.adminActor = matched[0].actor;
+        next();
+    }, { security: [{ adminKey: [] }], errors: [401] });
+
+    // Set up multer storage engine (in-memory storage)
+    const memoryStorage = multer.memoryStorage();
+
+    // File filter to allow only images. The client's mimetype is only a first hint
+    // (HEIC often arrives as octet-stream); ingestImage checks the real type.
+    const fileFilter = (req, file, cb) => {
+        if (file.mimetype.startsWith('image/') || file.mimetype === 'application/octet-stream') {
+            cb(null, true);
+        } else {
+            cb(new ApiError(415, 'unsupported_type', 'Invalid file type. Only JPEG, PNG, GIF, WebP and HEIC are allowed.', { field: file.fieldname }), false);
+        }
+    };
+
+    // Normalise an uploaded file, tagging refusals with the form field they came from
+    const ingestUploadedFile = async (file) => {
+        try {
+            return await ingestImage(file.buffer);
+        } catch (error) {
+            if (error instanceof IngestError) {
+                error.field = file.fieldname;
+            }
+            throw error;
+        }
+    };
+
+    // Multer middleware with file size limit (e.g., 10MB per file)
+    const upload = multer({
+        storage: memoryStorage,
+        fileFilter: fileFilter,
+        limits: { fileSize: 10 * 1024 * 1024 } // 10MB
+    });
+
+    // Statuses multer answers with (see apiErrors.js): too large, unexpected field, wrong type
+    const UPLOAD_ERRORS = [413, 415];
+
+    const uploadedFaces = {
+        consent,
+        expiresAt: { type: 'string', format: 'date-time', description: 'When the faces are deleted' }
+    };
+
+    // API description, generated from the route declarations below
+    api.get('/openapi.json', {
+        summary: 'OpenAPI description of this API',
+        tags: ['Meta'],
+        responses: { 200: { type: 'object' } }
+    }, (req, res) => {
+        return res.status(200).json(openApiDocument({
+            title: 'Face swap merch API',
+            version: process.env.npm_package_version || '1.0.0',
+            description: 'Every error is answered with { code, message, details, requestId }.'
+        }));
+    });
+
+    // Health checks: liveness, and readiness of every dependency (503 when one is down)
+    const readinessReport = objectSchema({ status: { enum: ['ok', 'error'] }, checks: { type: 'object' } }, ['status', 'checks']);
+
+    api.get('/healthz', {
+        summary: 'Liveness',
+        tags: ['Health'],
+        responses: { 200: objectSchema({ status: { const: 'ok' }, uptimeSeconds: { type: 'integer' } }, ['status']) }
+    }, (req, res) => {
+        return res.status(200).json(liveness());
+    });
+
+    api.get('/readyz', {
+        summary: 'Readiness of every dependency',
+        tags: ['Health'],
+        responses: { 200: readinessReport, 503: readinessReport }
+    }, async (req, res) => {
+        const result = await readiness({ stripe });
+        return res.status(result.status === 'ok' ? 200 : 503).json(result);
+    });
+
+    // Prometheus metrics, behind METRICS_TOKEN as a bearer token. Without one they are
+    // only served in the sandbox.
+    api.get('/metrics', {
+        summary: 'Prometheus metrics',
+        tags: ['Health'],
+        security: [{ metricsToken: [] }],
+        responses: { 200: { content: { 'text/plain': { schema: { type: 'string' } } } } },
+        errors: [401, 503]
+    }, async (req, res) => {
+        const token = process.env.METRICS_TOKEN;
+        if (!token && !SANDBOX) {
+            return sendError(res, 503, 'metrics_not_configured', 'Metrics are not configured.');
+        }
+        const presented = (req.headers.authorization || '').replace(/^Bearer /, '');
+        if (token && !matchesSecret(presented, token)) {
+            return sendError(res, 401, 'invalid_metrics_token', 'A valid metrics token is required.');
+        }
+        res.set('Content-Type', registry.contentType);
+        return res.send(await registry.metrics());
+    });
+
+    // Accounts: sign up or log in with email/password to get a session token (JWT)
+    api.post('/auth/register', {
+        summary: 'Create an account',
+        tags: ['Accounts'],
+        body: credentials,
+        responses: { 201: session },
+        errors: [409]
+    }, rateLimit('auth'), async (req, res) => {
+        try {
+            return res.status(201).json(await registerUser(req.body));
+        } catch (error) {
+            return sendRouteError(res, 'Error registering user.', error);
+        }
+    });
+
+    api.post('/auth/login', {
+        summary: 'Log in',
+        tags: ['Accounts'],
+        body: credentials,
+        responses: { 200: session },
+        errors: [401]
+    }, rateLimit('auth'), async (req, res) => {
+        try {
+            return res.status(200).json(await loginUser(req.body));
+        } catch (error) {
+            return sendRouteError(res, 'Error logging in.', error);
+        }
+    });
+
+    api.get('/me', {
+        summary: 'The signed-in user',
+        tags: ['Accounts'],
+        responses: { 200: objectSchema({ user }, ['user']) }
+    }, requireUser, (req, res) => {
+        return res.status(200).json({ user: req.user });
+    });
+
+    // Remaining quota per rate-limit policy, for the API key used or else the user
+    api.get('/me/usage', {
+        summary: 'Remaining rate-limit quota',
+        tags: ['Accounts'],
+        responses: { 200: objectSchema({ usage: arrayOf(usage) }, ['usage']) }
+    }, requireUser, async (req, res) => {
+        try {
+            return res.status(200).json({ usage: await getUsage(req) });
+        } catch (error) {
+            return sendRouteError(res, 'Error reading usage.', error);
+        }
+    });
+
+    // API keys for partner apps; send the key in the X-API-Key header
+    api.get('/me/api-keys', {
+        summary: 'List API keys',
+        tags: ['Accounts'],
+        responses: { 200: objectSchema({ apiKeys: arrayOf(apiKey) }, ['apiKeys']) }
+    }, requireUser, async (req, res) => {
+        try {
+            return res.status(200).json({ apiKeys: await listApiKeys(req.user.id) });
+        } catch (error) {
+            return sendRouteError(res, 'Error listing API keys.', error);
+        }
+    });
+
+    api.post('/me/api-keys', {
+        summary: 'Create an API key',
+        description: 'The key itself is only returned here.',
+        tags: ['Accounts'],
+        body: objectSchema({ name: { type: 'string', maxLength: 100 } }),
+        responses: { 201: objectSchema({ apiKey: { type: 'string' }, key: apiKey }, ['apiKey', 'key']) }
+    }, requireUser, async (req, res) => {
+        try {
+            return res.status(201).json(await createApiKey(req.user.id, req.body));
+        } catch (error) {
+            return sendRouteError(res, 'Error creating API key.', error);
+        }
+    });
+
+    api.delete('/me/api-keys/:id', {
+        summary: 'Revoke an API key',
+        tags: ['Accounts'],
+        params: idParams,
+        responses: { 204: null },
+        errors: [404]
+    }, requireUser, async (req, res) => {
+        try {
+            await revokeApiKey(req.user.id, req.params.id);
+            return res.status(204).end();
+        } catch (error) {
+            return sendRouteError(res, 'Error revoking API key.', error);
+        }
+    });
+
+    // Gallery of the user's selfies, targets, swap results and mockups.
+    // Filters: kind (selfie, target, swap_result, mockup) and tag.
+    api.get('/me/gallery', {
+        summary: 'List the user\'s images',
+        tags: ['Gallery'],
+        query: objectSchema({ kind: { enum: Object.keys(ASSET_FOLDERS) }, tag: { type: 'string' } }),
+        responses: { 200: objectSchema({ assets: arrayOf(asset) }, ['assets']) }
+    }, requireUser, async (req, res) => {
+        try {
+            const { kind, tag } = req.query;
+            return res.status(200).json({ assets: await listAssets(req.user.id, { kind, tag }) });
+        } catch (error) {
+            return sendRouteError(res, 'Error listing images.', error);
+        }
+    });
+
+    api.patch('/me/gallery/:id', {
+        summary: 'Tag an image',
+        tags: ['Gallery'],
+        params: idParams,
+        body: objectSchema({ tags: arrayOf({ type: 'string' }) }, ['tags']),
+        responses: { 200: objectSchema({ asset }, ['asset']) },
+        errors: [403, 404]
+    }, requireUser, async (req, res) => {
+        try {
+            return res.status(200).json({ asset: await setAssetTags(req.user.id, req.params.id, req.body.tags) });
+        } catch (error) {
+            return sendRouteError(res, 'Error tagging asset.', error);
+        }
+    });
+
+    // Signed, expiring URL of an asset's clean original. Swap results and mockups are only
+    // shown as watermarked previews until an order for them has been paid.
+    api.get('/me/gallery/:id/original', {
+        summary: 'Signed URL of an image\'s clean original',
+        tags: ['Gallery'],
+        params: idParams,
+        responses: { 200: objectSchema({ url: { type: 'string' }, expiresAt: { type: 'string' } }, ['url', 'expiresAt']) },
+        errors: [402, 403, 404]
+    }, requireUser, async (req, res) => {
+        try {
+            return res.status(200).json(await getOriginalUrl(req.user.id, req.params.id));
+        } catch (error) {
+            return sendRouteError(res, 'Error signing original image URL.', error);
+        }
+    });
+
+    // Delete one of the user's assets; every deletion is recorded in the deletion audit log
+    const deleteAssetSpec = {
+        summary: 'Delete an image',
+        tags: ['Gallery'],
+        params: idParams,
+        responses: { 204: null },
+        errors: [403, 404]
+    };
+
+    const deleteAssetRoute = async (req, res) => {
+        try {
+            await deleteOwnAsset(req.user.id, req.params.id);
+            return res.status(204).end();
+        } catch (error) {
+            return sendRouteError(res, 'Error deleting asset.', error);
+        }
+    };
+
+    api.delete('/me/gallery/:id', deleteAssetSpec, requireUser, deleteAssetRoute);
+    api.delete('/assets/:id', deleteAssetSpec, requireUser, deleteAssetRoute);
+
+    // "Forget me": delete all of the user's faces, swap results and mockups. Orders already
+    // placed keep their print files, which Printful needs to fulfil them.
+    api.post('/me/forget', {
+        summary: 'Delete all of the user\'s images',
+        tags: ['Gallery'],
+        responses: { 200: messageResponse({ deleted: { type: 'array' }, failed: { type: 'array' } }, ['deleted', 'failed']) },
+        errors: [500]
+    }, requireUser, async (req, res) => {
+        try {
+            const { deleted, failed } = await forgetSubject(req.user.id);
+            if (failed.length) {
+                return sendError(res, 500, 'forget_incomplete', 'Some images could not be deleted; try again.', { deleted, failed });
+            }
+            return res.status(200).json({ message: 'All your images have been deleted.', deleted, failed });
+        } catch (error) {
+            return sendRouteError(res, 'Error deleting your images.', error);
+        }
+    });
+
+    // The deletion audit log entries about the user's own assets
+    api.get('/me/deletions', {
+        summary: 'Deletions of the user\'s images',
+        tags: ['Gallery'],
+        responses: { 200: objectSchema({ deletions: arrayOf(auditEntry) }, ['deletions']) }
+    }, requireUser, async (req, res) => {
+        try {
+            return res.status(200).json({ deletions: await deletionAudit.list({ ownerId: req.user.id }) });
+        } catch (error) {
+            return sendRouteError(res, 'Error listing deletions.', error);
+        }
+    });
+
+    // Retention: purge expired face uploads now (for cron jobs), and read the deletion audit log
+    api.post('/retention/purge', {
+        summary: 'Purge expired face uploads',
+        tags: ['Retention'],
+        responses: { 200: objectSchema({ purged: { type: 'integer' }, failed: { type: 'array' } }, ['purged']) }
+    }, requireAdmin, async (req, res) => {
+        try {
+            return res.status(200).json(await purgeExpiredFaces());
+        } catch (error) {
+            return sendRouteError(res, 'Error purging expired faces.', error);
+        }
+    });
+
+    api.get('/retention/audit', {
+        summary: 'Deletion audit log',
+        tags: ['Retention'],
+        query: objectSchema({ ownerId: { type: 'string' }, action: { type: 'string' }, limit: limitParam(100, 1000) }),
+        responses: { 200: objectSchema({ entries: arrayOf(auditEntry) }, ['entries']) }
+    }, requireAdmin, async (req, res) => {
+        try {
+            const { ownerId, action, limit } = req.query;
+            return res.status(200).json({ entries: await deletionAudit.list({ ownerId, action, limit }) });
+        } catch (error) {
+            return sendRouteError(res, 'Error reading the deletion audit log.', error);
+        }
+    });
+
+    // Endpoint 1: Upload both targetImage and swapImage
+    api.post('/upload', {
+        summary: 'Upload a target image and a face',
+        tags: ['Uploads'],
+        files: { targetImage: 'Image whose face is replaced', swapImage: 'Face to swap in' },
+        body: objectSchema({ consent }),
+        responses: {
+            200: messageResponse({
+                targetImageUrl: { type: 'string' },
+                swapImageUrl: { type: 'string' },
+                targetAssetId: { type: 'string' },
+                swapAssetId: { type: 'string' },
+                expiresAt: uploadedFaces.expiresAt
+            }, ['targetImageUrl', 'swapImageUrl'])
+        },
+        errors: UPLOAD_ERRORS
+    }, requireUser, rateLimit('uploads'), keepRequestContext(upload.fields([
+        { name: 'targetImage', maxCount: 1 },
+        { name: 'swapImage', maxCount: 1 }
+    ])), async (req, res) => {
+        try {
+            // Faces are only stored with the uploader's confirmation of consent
+            const faceTerms = faceUploadTerms(req.body.consent);
+
+            const targetImageFile = req.files['targetImage'][0];
+            const swapImageFile = req.files['swapImage'][0];
+
+            // Check and normalise both images before anything is stored
+            const targetImage = await ingestUploadedFile(targetImageFile);
+            const swapImage = await ingestUploadedFile(swapImageFile);
+
+            // Store both images in the user's gallery
+            const targetAsset = await storeUserAsset(targetImage.buffer, { ownerId: req.user.id, kind: 'target', ...faceTerms });
+            const swapAsset = await storeUserAsset(swapImage.buffer, { ownerId: req.user.id, kind: 'selfie', ...faceTerms });
+
+            // Return both image URLs
+            return res.status(200).json({
+                message: 'Images uploaded successfully!',
+                targetImageUrl: targetAsset.url,
+                swapImageUrl: swapAsset.url,
+                targetAssetId: targetAsset.id,
+                swapAssetId: swapAsset.id,
+                expiresAt: faceTerms.expiresAt
+            });
+        } catch (error) {
+            return sendRouteError(res, 'Error uploading images to storage.', error);
+        }
+    });
+
+    // Endpoint 2: Upload only swapImage
+    api.post('/uploadSwap', {
+        summary: 'Upload a face',
+        tags: ['Uploads'],
+        files: { swapImage: 'Face to swap in' },
+        body: objectSchema({ consent }),
+        responses: {
+            200: messageResponse({
+                swapImageUrl: { type: 'string' },
+                swapAssetId: { type: 'string' },
+                expiresAt: uploadedFaces.expiresAt
+            }, ['swapImageUrl'])
+        },
+        errors: UPLOAD_ERRORS
+    }, requireUser, rateLimit('uploads'), keepRequestContext(upload.single('swapImage')), async (req, res) => {
+        try {
+            // Faces are only stored with the uploader's confirmation of consent
+            const faceTerms = faceUploadTerms(req.body.consent);
+
+            // Check and normalise the image before it is stored
+            const swapImage = await ingestUploadedFile(req.file);
+
+            // Store the swap image in the user's gallery
+            const swapAsset = await storeUserAsset(swapImage.buffer, { ownerId: req.user.id, kind: 'selfie', ...faceTerms });
+
+            // Return swap image URL
+            return res.status(200).json({
+                message: 'Swap image uploaded successfully!',
+                swapImageUrl: swapAsset.url,
+                swapAssetId: swapAsset.id,
+                expiresAt: faceTerms.expiresAt
+            });
+        } catch (error) {
+            return sendRouteError(res, 'Error uploading swap image to storage.', error);
+        }
+    });
+
+    // Direct uploads: sign an upload of one face image ({ kind: target | selfie, contentType,
+    // size, consent }) that the browser sends straight to storage, then complete it ({ uploadId })
+    // to have it checked and added to the gallery
+    api.post('/uploads/sign', {
+        summary: 'Sign a direct upload to storage',
+        tags: ['Uploads'],
+        body: signUploadBody,
+        responses: { 201: signedUpload }
+    }, requireUser, rateLimit('uploads'), async (req, res) => {
+        try {
+            const { kind, contentType, size, consent } = req.body;
+            const signed = await createSignedUpload({ ownerId: req.user.id, kind, contentType, size, consent });
+            return res.status(201).json(signed);
+        } catch (error) {
+            return sendRouteError(res, 'Error signing upload.', error);
+        }
+    });
+
+    api.post('/uploads/complete', {
+        summary: 'Check a direct upload and add it to the gallery',
+        tags: ['Uploads'],
+        body: objectSchema({ uploadId: { type: 'string', minLength: 1 } }, ['uploadId']),
+        responses: {
+            200: objectSchema({
+                assetId: { type: 'string' },
+                kind: { type: 'string' },
+                url: { type: 'string' },
+                expiresAt: { type: ['string', 'null'] }
+            }, ['assetId', 'kind', 'url'])
+        },
+        errors: [404, 409, 413, 415]
+    }, requireUser, async (req, res) => {
+        try {
+            const asset = await completeUpload(req.user.id, req.body.uploadId);
+            return res.status(200).json({ assetId: asset.id, kind: asset.kind, url: asset.url, expiresAt: asset.expiresAt });
+        } catch (error) {
+            return sendRouteError(res, 'Error completing upload.', error);
+        }
+    });
+
+    // Endpoint 3: Upload result image from URL to storage. The clean image is kept private;
+    // resultImageUrl is its watermarked preview.
+    api.post('/uploadResult', {
+        summary: 'Store a face-swap result',
+        tags: ['Uploads'],
+        body: objectSchema({ resultUrl: { type: 'string', minLength: 1 } }, ['resultUrl']),
+        responses: { 200: messageResponse({ resultImageUrl: { type: 'string' }, resultAssetId: { type: 'string' } }, ['resultImageUrl']) },
+        errors: [403]
+    }, requireUser, rateLimit('uploads'), async (req, res) => {
+        try {
+            const { resultUrl } = req.body;
+
+            // Fetch the image from the resultUrl
+            await assertOwnsUrls(req.user.id, [resultUrl]);
+            const buffer = await fetchRemoteImage(resultUrl);
+
+            // Store the fetched image in the user's gallery
+            const resultAsset = await storeUserAsset(buffer, { ownerId: req.user.id, kind: 'swap_result' });
+
+            // Return the new storage URL
+            return res.status(200).json({
+                message: 'Result image uploaded successfully!',
+                resultImageUrl: resultAsset.url,
+                resultAssetId: resultAsset.id
+            });
+        } catch (error) {
+            return sendRouteError(res, 'Error uploading result image to storage.', error);
+        }
+    });
+
+    // Face-swap job endpoints: queue a swap of the images returned by /upload
+    api.post('/swap-jobs', {
+        summary: 'Queue a face swap',
+        tags: ['Face swap'],
+        body: objectSchema({
+            targetImageUrl: { type: 'string', minLength: 1 },
+            swapImageUrl: { type: 'string', minLength: 1 }
+        }, ['targetImageUrl', 'swapImageUrl']),
+        responses: { 202: { ...swapJob, properties: { ...swapJob.properties, statusUrl: { type: 'string' }, eventsUrl: { type: 'string' } } } },
+        errors: [403]
+    }, requireUser, rateLimit('swaps'), async (req, res) => {
+        try {
+            const { targetImageUrl, swapImageUrl } = req.body;
+
+            await assertOwnsUrls(req.user.id, [targetImageUrl, swapImageUrl]);
+            const job = createSwapJob({ targetImageUrl, swapImageUrl, ownerId: req.user.id });
+            return res.status(202).json({
+                ...job,
+                statusUrl: `/swap-jobs/${job.id}`,
+                eventsUrl: `/swap-jobs/${job.id}/events`
+            });
+        } catch (error) {
+            return sendRouteError(res, 'Error creating face-swap job.', error);
+        }
+    });
+
+    api.get('/swap-jobs/:id', {
+        summary: 'Status of a face swap',
+        tags: ['Face swap'],
+        params: idParams,
+        responses: { 200: swapJob },
+        errors: [404]
+    }, requireUser, (req, res) => {
+        const job = getSwapJob(req.params.id);
+        if (!job || job.ownerId !== req.user.id) {
+            return sendError(res, 404, 'not_found', 'Face-swap job not found.');
+        }
+        return res.status(200).json(job);
+    });
+
+    // Stream job status changes as Server-Sent Events until the job finishes
+    api.get('/swap-jobs/:id/events', {
+        summary: 'Stream a face swap\'s status changes',
+        tags: ['Face swap'],
+        params: idParams,
+        responses: { 200: { description: '`status` events with the job', content: { 'text/event-stream': { schema: { type: 'string' } } } } },
+        errors: [404]
+    }, requireUser, (req, res) => {
+        const job = getSwapJob(req.params.id);
+        if (!job || job.ownerId !== req.user.id) {
+            return sendError(res, 404, 'not_found', 'Face-swap job not found.');
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+
+        const send = (snapshot) => {
+            res.write(`event: status\ndata: ${JSON.stringify(snapshot)}\n\n`);
+            if (isFinished(snapshot)) {
+                unsubscribe();
+                res.end();
+            }
+        };
+
+        const unsubscribe = subscribeToSwapJob(job.id, send);
+        req.on('close', unsubscribe);
+        send(job);
+    });
+
+    // Design documents: layered image, text and shape designs (see designDocument.js).
+    // POST { document } saves one as a design asset; its designUrl works wherever a design
+    // image URL does (mockups, carts, orders, print files), and print files are rendered
+    // from the document itself. GET /designs/fonts lists the font families and weights.
+    api.get('/designs/fonts', {
+        summary: 'Fonts for text layers',
+        tags: ['Designs'],
+        responses: { 200: objectSchema({ fonts: { type: 'array' } }, ['fonts']) }
+    }, (req, res) => {
+        return res.status(200).json({ fonts: FONTS });
+    });
+
+    api.post('/designs', {
+        summary: 'Save a design document',
+        tags: ['Designs'],
+        body: objectSchema({ document: designDocument }, ['document']),
+        responses: {
+            201: objectSchema({ designUrl: { type: 'string' }, designAssetId: { type: 'string' }, document: designDocument }, ['designUrl', 'designAssetId'])
+        },
+        errors: [403]
+    }, requireUser, rateLimit('designs'), async (req, res) => {
+        try {
+            const asset = await createDesign({ ownerId: req.user.id, document: req.body.document });
+            return res.status(201).json({ designUrl: asset.url, designAssetId: asset.id, document: asset.document });
+        } catch (error) {
+            return sendRouteError(res, 'Error creating design.', error);
+        }
+    });
+
+    // Endpoint 4: Generate mockups by overlaying swapped image onto product images.
+    // Mockups are rendered from the clean design and returned as watermarked previews.
+    // Instead of resultImageUrl, `design` may be a design document, which is saved first
+    // (as by POST /designs); its designUrl and designAssetId come back with the mockups.
+    // Products render concurrently. With ?stream=ndjson or ?stream=sse (or an Accept header
+    // of application/x-ndjson or text/event-stream) each result is sent as soon as it is
+    // ready, followed by a final summary; otherwise one JSON response is sent at the end.
+    const mockupStreamSchema = { type: 'string', description: '`mockup` events, one per product, then a `done` summary' };
+    // Each product counts against the mockups rate limit
+    const MOCKUP_MAX_PRODUCTS = 20;
+
+    api.post('/generateMockups', {
+        summary: 'Render product mockups of a design',
+        tags: ['Designs'],
+        query: objectSchema({ stream: { enum: ['ndjson', 'sse'] } }),
+        body: objectSchema({
+            resultImageUrl: { type: 'string', minLength: 1 },
+            design: designDocument,
+            products: arrayOf(mockupProduct, { minItems: 1, maxItems: MOCKUP_MAX_PRODUCTS })
+        }, ['products'], { anyOf: [{ required: ['resultImageUrl'] }, { required: ['design'] }] }),
+        responses: {
+            200: {
+                content: {
+                    'application/json': {
+                        schema: messageResponse({
+                            designUrl: { type: 'string' },
+                            designAssetId: { type: 'string' },
+                            mockupUrls: arrayOf(mockupResult),
+                            skipped: { type: 'array' }
+                        }, ['mockupUrls', 'skipped'])
+                    },
+                    'application/x-ndjson': { schema: mockupStreamSchema },
+                    'text/event-stream': { schema: mockupStreamSchema }
+                }
+            }
+        },
+        errors: [403]
+    }, requireUser, rateLimit('mockups', { cost: costPerEntry('products', MOCKUP_MAX_PRODUCTS) }), async (req, res) => {
+        try {
+            const { resultImageUrl, design: document, products } = req.body; // products is an array of { id, variantId, name, baseImageUrl } (Printful IDs)
+
+            // Fetch the swapped image buffer, or render the design document
+            let design;
+            let designAsset = null;
+            try {
+                if (document) {
+                    designAsset = await createDesign({ ownerId: req.user.id, document });
+                }
+                const designUrl = designAsset ? designAsset.url : resultImageUrl;
+                await assertOwnsUrls(req.user.id, [designUrl, ...products.map(product => product.baseImageUrl)]);
+                design = await loadDesign(designUrl);
+            } catch (error) {
+                return sendRouteError(res, 'Error loading the design.', error);
+            }
+
+            const designFields = designAsset ? { designUrl: designAsset.url, designAssetId: designAsset.id } : {};
+            const accept = req.headers.accept || '';
+            const stream = req.query.stream
+                || (accept.includes('application/x-ndjson') && 'ndjson')
+                || (accept.includes('text/event-stream') && 'sse');
+
+            if (stream === 'ndjson' || stream === 'sse') {
+                res.writeHead(200, {
+                    'Content-Type': stream === 'sse' ? 'text/event-stream' : 'application/x-ndjson',
+                    'Cache-Control': 'no-cache',
+                    'Connection': 'keep-alive'
+                });
+                const send = (event, data) => {
+                    res.write(stream === 'sse' ? `event: ${event}\ndata: ${JSON.stringify(data)}\n\n` : `${JSON.stringify({ event, ...data })}\n`);
+                };
+
+                const results = await generateMockups({
+                    ownerId: req.user.id,
+                    design,
+                    products,
+                    onResult: result => send('mockup', result)
+                });
+                send('done', { total: results.length, succeeded: results.filter(result => result.status === 'succeeded').length, ...designFields });
+                return res.end();
+            }
+
+            const results = await generateMockups({ ownerId: req.user.id, design, products });
+            return res.status(200).json({
+                message: 'Mockups generated successfully!',
+                ...designFields,
+                mockupUrls: results
+                    .filter(result => result.status === 'succeeded')
+                    .map(({ status, ...result }) => result),
+                skipped: results.filter(result => result.status !== 'succeeded')
+            });
+
+        } catch (error) {
+            if (res.headersSent) {
+                logger.error('Error generating mockups', { error });
+                return res.end();
+            }
+            return sendRouteError(res, 'Error generating mockups.', error);
+        }
+    });
+
+    // Serve files written by the local storage driver
+    if (storage.name === 'local') {
+        api.get('/storage-signed/*', {
+            summary: 'Private file behind a signed URL (local storage)',
+            tags: ['Storage'],
+            query: objectSchema({ expires: { type: 'string' }, signature: { type: 'string' } }, ['expires', 'signature']),
+            responses: { 200: { content: { 'image/*': { schema: { type: 'string', format: 'binary' } } } } },
+            errors: [403]
+        }, (req, res) => {
+            const filePath = storage.verifySignedUrl(req.params[0], req.query.expires, req.query.signature);
+            if (!filePath) {
+                return sendError(res, 403, 'invalid_signature', 'Invalid or expired signed URL.');
+            }
+            res.sendFile(filePath);
+        });
+        app.use('/storage', express.static(storage.directory));
+        app.use('/storage-upload', createLocalUploadRouter(storage));
+    }
+
+    // Mockup template registry endpoints
+    api.get('/mockup-templates', {
+        summary: 'List mockup templates',
+        tags: ['Mockup templates'],
+        responses: { 200: objectSchema({ templates: arrayOf(mockupTemplate) }, ['templates']) }
+    }, async (req, res) => {
+        try {
+            const templates = await listTemplates();
+            return res.status(200).json({ templates });
+        } catch (error) {
+            return sendRouteError(res, 'Error listing mockup templates.', error);
+        }
+    });
+
+    api.get('/mockup-templates/:id', {
+        summary: 'Get a mockup template',
+        tags: ['Mockup templates'],
+        params: idParams,
+        responses: { 200: mockupTemplate },
+        errors: [404]
+    }, async (req, res) => {
+        try {
+            const template = await getTemplate(req.params.id);
+            if (!template) {
+                return sendError(res, 404, 'not_found', 'Mockup template not found.');
+            }
+            return res.status(200).json(template);
+        } catch (error) {
+            return sendRouteError(res, 'Error retrieving mockup template.', error);
+        }
+    });
+
+    api.post('/mockup-templates', {
+        summary: 'Create a mockup template',
+        tags: ['Mockup templates'],
+        body: mockupTemplate,
+        responses: { 201: mockupTemplate }
+    }, requireAdmin, async (req, res) => {
+        try {
+            const template = await createTemplate(req.body);
+            return res.status(201).json(template);
+        } catch (error) {
+            return sendRouteError(res, 'Error creating mockup template.', error);
+        }
+    });
+
+    api.put('/mockup-templates/:id', {
+        summary: 'Update a mockup template',
+        tags: ['Mockup templates'],
+        params: idParams,
+        body: mockupTemplate,
+        responses: { 200: mockupTemplate },
+        errors: [404]
+    }, requireAdmin, async (req, res) => {
+        try {
+            const template = await updateTemplate(req.params.id, req.body);
+            if (!template) {
+                return sendError(res, 404, 'not_found', 'Mockup template not found.');
+            }
+            return res.status(200).json(template);
+        } catch (error) {
+            return sendRouteError(res, 'Error updating mockup template.', error);
+        }
+    });
+
+    api.delete('/mockup-templates/:id', {
+        summary: 'Delete a mockup template',
+        tags: ['Mockup templates'],
+        params: idParams,
+        responses: { 204: null },
+        errors: [404]
+    }, requireAdmin, async (req, res) => {
+        try {
+            const deleted = await deleteTemplate(req.params.id);
+            if (!deleted) {
+                return sendError(res, 404, 'not_found', 'Mockup template not found.');
+            }
+            return res.status(204).end();
+        } catch (error) {
+            return sendRouteError(res, 'Error deleting mockup template.', error);
+        }
+    });
+
+    // Endpoint 5: Fetch Printful products
+    api.get('/fetchPrintfulProducts', {
+        summary: 'Catalog products, in brief',
+        tags: ['Catalog'],
+        responses: {
+            200: messageResponse({
+                products: arrayOf(objectSchema({ id: { type: 'integer' }, name: { type: 'string' }, image: { type: ['string', 'null'] } }, ['id']))
+            }, ['products'])
+        },
+        errors: [502]
+    }, async (req, res) => {
+        try {
+            const { products } = await searchCatalog({ limit: Infinity });
+
+            const selectedProducts = products.map(product => ({
+                id: product.id,
+                name: product.title,
+                image: product.image
+            }));
+
+            return res.status(200).json({
+                message: 'Printful products fetched successfully!',
+                products: selectedProducts
+            });
+        } catch (error) {
+            return sendRouteError(res, 'Error fetching Printful products.', error);
+        }
+    });
+
+    // Catalog search: products with their variants (size, colour, price, print areas) from
+    // the local catalog cache. Filters: q, category, color, size, minPrice, maxPrice, offset, limit.
+    api.get('/catalog/products', {
+        summary: 'Search the catalog',
+        tags: ['Catalog'],
+        query: catalogQuery,
+        responses: {
+            200: objectSchema({
+                syncedAt: { type: ['string', 'null'] },
+                total: { type: 'integer' },
+                offset: { type: 'integer' },
+                limit: { type: 'integer' },
+                products: arrayOf(catalogProduct)
+            }, ['total', 'products'])
+        },
+        errors: [502, 503]
+    }, async (req, res) => {
+        try {
+            const { q, category, color, size, minPrice, maxPrice, offset, limit } = req.query;
+            return res.status(200).json(await searchCatalog({ q, category, color, size, minPrice, maxPrice, offset, limit }));
+        } catch (error) {
+            return sendRouteError(res, 'Error searching catalog.', error);
+        }
+    });
+
+    api.get('/catalog/products/:id', {
+        summary: 'Get a catalog product',
+        tags: ['Catalog'],
+        params: integerIdParams,
+        responses: { 200: objectSchema({ product: catalogProduct }, ['product']) },
+        errors: [404, 502, 503]
+    }, async (req, res) => {
+        try {
+            const product = await getCatalogEntry(Number(req.params.id));
+            if (!product) {
+                return sendError(res, 404, 'not_found', 'Product not found.');
+            }
+            return res.status(200).json({ product });
+        } catch (error) {
+            return sendRouteError(res, 'Error fetching catalog product.', error);
+        }
+    });
+
+    // Re-sync the catalog cache from Printful now instead of waiting for CATALOG_TTL_MS
+    api.post('/catalog/refresh', {
+        summary: 'Re-sync the catalog from Printful',
+        tags: ['Catalog'],
+        responses: { 200: objectSchema({ syncedAt: { type: 'string' }, products: { type: 'integer' } }, ['syncedAt', 'products']) },
+        errors: [502]
+    }, requireAdmin, async (req, res) => {
+        try {
+            const catalog = await syncCatalog();
+            return res.status(200).json({ syncedAt: catalog.syncedAt, products: catalog.products.length });
+        } catch (error) {
+            return sendRouteError(res, 'Error refreshing catalog.', error);
+        }
+    });
+
+    // Price catalog endpoint: list the sellable variants and their prices
+    api.get('/price-catalog', {
+        summary: 'Sellable variants and their prices',
+        tags: ['Catalog'],
+        responses: { 200: priceCatalog }
+    }, async (req, res) => {
+        try {
+            const catalog = await loadPriceCatalog();
+            const variants = Object.values(catalog.variants).map(({ cost, ...entry }) => ({
+                ...entry,
+                price: entry.unitAmount / 100
+            }));
+
+            return res.status(200).json({ currency: catalog.currency, variants });
+        } catch (error) {
+            return sendRouteError(res, 'Error loading price catalog.', error);
+        }
+    });
+
+    // Endpoint 6: Create a Stripe Checkout Session
+    api.post('/create-checkout-session', {
+        summary: 'Start a Stripe Checkout for a cart or a draft order',
+        tags: ['Checkout'],
+        body: checkoutBody,
+        responses: { 200: checkoutUrl },
+        errors: [403, 404, 409, 502]
+    }, requireUser, rateLimit('printFiles', { cost: costPerEntry('cartItems', checkoutBody.properties.cartItems.maxItems) }), async (req, res) => {
+        try {
+            const { cartItems, orderId } = req.body;
+
+            // Paying for a draft order from /place-order: charge its quoted lines, shipping and
+            // tax; the Stripe webhook confirms the draft with Printful once payment succeeds
+            if (orderId) {
+                const order = await orderStore.get(orderId);
+                if (!order || order.userId !== req.user.id) {
+                    return sendError(res, 404, 'not_found', 'Order not found.');
+                }
+                if (order.status !== 'draft') {
+                    return sendError(res, 409, 'not_draft', `Only draft orders can be paid; this order is ${order.status}.`, { status: order.status });
+                }
+
+                // Only the newest checkout of a draft can be paid
+                await expireDraftCheckouts(stripe, order);
+
+                const { quote } = order;
+                const lineItems = quote.lines.map(line => ({
+                    price_data: {
+                        currency: quote.currency,
+                        product_data: { name: line.name, images: [line.image] },
+                        unit_amount: line.unitAmount
+                    },
+                    quantity: line.quantity
+                }));
+                if (quote.tax > 0) {
+                    lineItems.push({
+                        price_data: { currency: quote.currency, product_data: { name: 'Sales tax' }, unit_amount: quote.tax },
+                        quantity: 1
+                    });
+                }
+
+                const session = await stripe.checkout.sessions.create({
+                    payment_method_types: ['card'],
+                    line_items: lineItems,
+                    mode: 'payment',
+                    customer_email: order.email || undefined,
+                    metadata: { user_id: req.user.id, order_id: order.id },
+                    shipping_options: [{
+                        shipping_rate_data: {
+                            type: 'fixed_amount',
+                            display_name: quote.shipping.name,
+                            fixed_amount: { amount: quote.shipping.amount, currency: quote.currency }
+                        }
+                    }],
+                    success_url: `${process.env.FRONTEND_URL}/success?session_id={CHECKOUT_SESSION_ID}`,
+                    cancel_url: `${process.env.FRONTEND_URL}/checkout`,
+                });
+                await orderStore.addEvent(order.id, { type: 'checkout_started', stripeSessionId: session.id });
+                return res.json({ url: session.url });
+            }
+
+            // Price every line from the server-side catalog; the client only sends
+            // variantId, quantity and designUrl (plus an optional price to check against)
+            const resolvedItems = await resolveCartItems(cartItems);
+            await assertOwnsUrls(req.user.id, resolvedItems.map(item => item.designUrl));
+
+            // Make the print-ready file of every line before charging, so designs too small
+            // to print well are refused up front. Printful only gets it once paid for.
+            for (const item of resolvedItems) {
+                const printFile = await preparePrintFile({ designUrl: item.designUrl, variantId: item.variantId, placement: item.placement });
+                item.placement = printFile.placement;
+            }
+
+            // Map cart items to Stripe line items. The product metadata carries what the
+            // Stripe webhook needs to build the Printful order once payment succeeds.
+            const lineItems = resolvedItems.map(item => ({
+                price_data: {
+                    currency: item.currency,
+                    product_data: {
+                        name: item.name,
+                        images: [item.image],
+                        metadata: {
+                            variant_id: String(item.variantId),
+                            file_url: item.designUrl,
+                            placement: item.placement
+                        }
+                    },
+                    unit_amount: item.unitAmount,
+                },
+                quantity: item.quantity,
+            }));
+
+            // Create Stripe checkout session
+            const session = await stripe.checkout.sessions.create({
+                payment_method_types: ['card'],
+                line_items: lineItems,
+                mode: 'payment',
+                metadata: { user_id: req.user.id },
+                shipping_address_collection: {
+                    allowed_countries: shippingCountries()
+                },
+                success_url: `${process.env.FRONTEND_URL}/success?session_id={CHECKOUT_SESSION_ID}`,
+                cancel_url: `${process.env.FRONTEND_URL}/checkout`,
+            });
+
+            res.json({ url: session.url });
+        } catch (error) {
+            return sendRouteError(res, 'Error creating Stripe Checkout Session.', error);
+        }
+    });
+
+    // Endpoint 7: Retrieve Stripe Checkout Session
+    api.get('/checkout-session', {
+        summary: 'Get a Stripe Checkout Session',
+        tags: ['Checkout'],
+        query: objectSchema({ session_id: { type: 'string', minLength: 1 } }, ['session_id']),
+        responses: { 200: objectSchema({ id: { type: 'string' } }, ['id']) },
+        errors: [404, 502]
+    }, async (req, res) => {
+        try {
+            const session = await stripe.checkout.sessions.retrieve(req.query.session_id);
+
+            res.json(session);
+        } catch (error) {
+            return sendRouteError(res, 'Error retrieving Stripe Checkout Session.', error);
+        }
+    });
+
+    // Fulfil paid checkout sessions as Printful orders
+    const handleStripeEvent = async (event) => {
+        if (event.type === 'checkout.session.completed' || event.type === 'checkout.session.async_payment_succeeded') {
+            const fulfillment = await fulfillCheckoutSession(stripe, event.data.object);
+            logger.info('Checkout session fulfilled', { sessionId: fulfillment.sessionId, status: fulfillment.status });
+        }
+    };
+
+    const webhookReceived = objectSchema({ received: { const: true } }, ['received']);
+
+    // Stripe webhook endpoint
+    api.post('/webhooks/stripe', {
+        summary: 'Stripe webhook',
+        tags: ['Webhooks'],
+        requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', description: 'Stripe event, signed in Stripe-Signature' } } } },
+        responses: { 200: webhookReceived },
+        errors: [400, 500]
+    }, async (req, res) => {
+        let event;
+        try {
+            event = stripe.webhooks.constructEvent(req.rawBody, req.headers['stripe-signature'], process.env.STRIPE_WEBHOOK_SECRET);
+        } catch (error) {
+            logger.warn('Stripe webhook signature verification failed', { error });
+            return sendError(res, 400, 'invalid_signature', `Invalid Stripe webhook signature. ${error.message}`);
+        }
+
+        try {
+            await handleStripeEvent(event);
+            res.status(200).json({ received: true });
+        } catch (error) {
+            // A non-2xx response makes Stripe retry the event later
+            return sendInternalError(res, 'Error fulfilling checkout session.', error);
+        }
+    });
+
+    // Store products: one design as a Printful sync product with many variants, each with its
+    // own retail price and placements. Body for create (and, partially, update):
+    // { title, description?, designUrl, thumbnailUrl?, placements?, retailPrice?,
+    //   variants: [{ variantId, retailPrice?, placements? }] } or, instead of variants,
+    // { productId, colors?, sizes? } to use every matching catalog variant.
+    api.get('/store/products', {
+        summary: 'List store products',
+        tags: ['Store'],
+        responses: { 200: objectSchema({ products: arrayOf(storeProduct) }, ['products']) },
+        errors: [502]
+    }, async (req, res) => {
+        try {
+            return res.status(200).json({ products: await listStoreProducts() });
+        } catch (error) {
+            return sendRouteError(res, 'Error listing store products.', error);
+        }
+    });
+
+    api.get('/store/products/:id', {
+        summary: 'Get a store product',
+        tags: ['Store'],
+        params: idParams,
+        responses: { 200: storeProduct },
+        errors: [404, 502]
+    }, async (req, res) => {
+        try {
+            const product = await getStoreProduct(req.params.id);
+            if (!product) {
+                return sendError(res, 404, 'not_found', 'Store product not found.');
+            }
+            return res.status(200).json(product);
+        } catch (error) {
+            return sendRouteError(res, 'Error fetching store product.', error);
+        }
+    });
+
+    api.post('/store/products', {
+        summary: 'Create a store product from a design',
+        tags: ['Store'],
+        body: storeProductBody,
+        responses: { 201: objectSchema({ product: storeProduct }, ['product']) },
+        errors: [402, 403, 502, 503]
+    }, requireUser, async (req, res) => {
+        try {
+            // Printful gets the clean design, so it must have been paid for
+            await assertOwnsUrls(req.user.id, [req.body.designUrl, req.body.thumbnailUrl]);
+            await assertReleasedUrls([req.body.designUrl]);
+            return res.status(201).json({ product: await createStoreProduct(req.body) });
+        } catch (error) {
+            return sendRouteError(res, 'Error creating store product.', error);
+        }
+    });
+
+    api.put('/store/products/:id', {
+        summary: 'Update a store product',
+        tags: ['Store'],
+        params: idParams,
+        body: storeProductUpdate,
+        responses: { 200: objectSchema({ product: storeProduct }, ['product']) },
+        errors: [404, 502, 503]
+    }, requireAdmin, async (req, res) => {
+        try {
+            return res.status(200).json({ product: await updateStoreProduct(req.params.id, req.body) });
+        } catch (error) {
+            return sendRouteError(res, 'Error updating store product.', error);
+        }
+    });
+
+    api.delete('/store/products/:id', {
+        summary: 'Delete a store product',
+        tags: ['Store'],
+        params: idParams,
+        responses: { 204: null },
+        errors: [404, 502]
+    }, requireAdmin, async (req, res) => {
+        try {
+            await deleteStoreProduct(req.params.id);
+            return res.status(204).end();
+        } catch (error) {
+            return sendRouteError(res, 'Error deleting store product.', error);
+        }
+    });
+
+    // Add to Store endpoint, kept for older clients: `productType` is a single variant ID,
+    // `variants` (as for POST /store/products) adds several
+    api.post('/add-to-store', {
+        summary: 'Create a store product (older clients)',
+        description: 'Use POST /store/products instead.',
+        tags: ['Store'],
+        body: objectSchema({
+            imageUrl: { type: 'string', minLength: 1 },
+            productType: { type: ['integer', 'string'], description: 'Variant ID' },
+            title: { type: 'string', minLength: 1 },
+            description: { type: 'string', minLength: 1 },
+            variants: storeProductBody.properties.variants
+        }, ['imageUrl', 'title', 'description'], { anyOf: [{ required: ['productType'] }, { required: ['variants'] }] }),
+        responses: { 200: objectSchema({ code: { const: 200 }, result: storeProduct }, ['code', 'result']) },
+        errors: [402, 403, 502]
+    }, requireUser, async (req, res) => {
+        const { imageUrl, productType, title, description, variants } = req.body;
+
+        try {
+            await assertOwnsUrls(req.user.id, [imageUrl]);
+            await assertReleasedUrls([imageUrl]);
+            const product = await createStoreProduct({
+                title,
+                description,
+                designUrl: imageUrl,
+                variants: variants || [{ variantId: Number(productType) }] // e.g., 4011 for t-shirt
+            });
+            res.status(200).json({ code: 200, result: product });
+        } catch (error) {
+            sendRouteError(res, 'Error adding product to store.', error);
+        }
+    });
+
+    // Quote endpoint: subtotal, shipping options, tax and total (all in cents) for
+    // { recipient, items: [{ variantId, quantity, designUrl, placement? }], shipping? }
+    api.post('/orders/quote', {
+        summary: 'Price an order',
+        tags: ['Orders'],
+        body: orderBody,
+        responses: { 200: quote },
+        errors: [403, 502]
+    }, requireUser, rateLimit('quotes'), async (req, res) => {
+        try {
+            const { recipient, items, shipping } = req.body;
+            await assertOwnsUrls(req.user.id, items.map(item => item.designUrl));
+            return res.status(200).json(await quoteOrder({ recipient, items, shipping }));
+        } catch (error) {
+            return sendRouteError(res, 'Error quoting order.', error);
+        }
+    });
+
+    // Place Order endpoint: creates the order as a Printful draft, priced as /orders/quote
+    // would. Pay for it with /create-checkout-session { orderId }; it is confirmed with
+    // Printful only once payment succeeds.
+    api.post('/place-order', {
+        summary: 'Place an order as a draft to pay for',
+        tags: ['Orders'],
+        body: orderBody,
+        responses: { 201: objectSchema({ orderId: { type: 'string' }, order }, ['orderId', 'order']) },
+        errors: [403, 502]
+    }, requireUser, rateLimit('printFiles', { cost: costPerEntry('items', orderBody.properties.items.maxItems) }), async (req, res) => {
+        try {
+            const { recipient, items, shipping } = req.body;
+            await assertOwnsUrls(req.user.id, items.map(item => item.designUrl));
+
+            const order = await createDraftOrder({ userId: req.user.id, recipient, items, shipping });
+            return res.status(201).json({ orderId: order.id, order });
+        } catch (error) {
+            return sendRouteError(res, 'Error placing order.', error);
+        }
+    });
+
+    // Cancel a draft order that has not been paid for
+    api.post('/orders/:id/cancel', {
+        summary: 'Cancel an unpaid draft order',
+        tags: ['Orders'],
+        params: idParams,
+        responses: { 200: objectSchema({ order }, ['order']) },
+        errors: [404, 409, 502]
+    }, requireUser, async (req, res) => {
+        try {
+            const order = await orderStore.get(req.params.id);
+            if (!order || order.userId !== req.user.id) {
+                return sendError(res, 404, 'not_found', 'Order not found.');
+            }
+            return res.status(200).json({ order: await cancelDraftOrder(stripe, order.id) });
+        } catch (error) {
+            return sendRouteError(res, 'Error canceling order.', error);
+        }
+    });
+
+    // Order status endpoint. Orders carry the recipient's address, so only the user who
+    // placed one can see it; anyone else is told it does not exist.
+    api.get('/orders/:id', {
+        summary: 'Get one of your orders',
+        tags: ['Orders'],
+        params: idParams,
+        responses: { 200: order },
+        errors: [404]
+    }, requireUser, async (req, res) => {
+        try {
+            const order = await orderStore.get(req.params.id);
+            if (!order || order.userId !== req.user.id) {
+                return sendError(res, 404, 'not_found', 'Order not found.');
+            }
+            return res.status(200).json(order);
+        } catch (error) {
+            return sendRouteError(res, 'Error retrieving order.', error);
+        }
+    });
+
+    // The signed-in user's orders
+    api.get('/orders', {
+        summary: 'List your orders',
+        tags: ['Orders'],
+        responses: { 200: objectSchema({ orders: arrayOf(order) }, ['orders']) }
+    }, requireUser, async (req, res) => {
+        try {
+            const orders = await orderStore.listByUser(req.user.id);
+            return res.status(200).json({ orders });
+        } catch (error) {
+            return sendRouteError(res, 'Error listing orders.', error);
+        }
+    });
+
+    // Admin order operations. Every change needs a reason and is recorded in the admin
+    // audit log with its actor, whether it succeeded or not.
+    const adminOrderChange = objectSchema({ order }, ['order']);
+
+    api.get('/admin/checkouts', {
+        summary: 'Recent Stripe checkouts and their orders',
+        tags: ['Admin'],
+        query: objectSchema({ limit: limitParam(20, 100) }),
+        responses: { 200: objectSchema({ checkouts: { type: 'array' } }, ['checkouts']) },
+        errors: [502]
+    }, requireAdmin, async (req, res) => {
+        try {
+            const checkouts = await listRecentCheckouts(stripe, { limit: req.query.limit });
+            return res.status(200).json({ checkouts });
+        } catch (error) {
+            return sendRouteError(res, 'Error listing checkouts.', error);
+        }
+    });
+
+    api.get('/admin/orders', {
+        summary: 'Recent orders',
+        tags: ['Admin'],
+        query: objectSchema({ status: { type: 'string' }, limit: limitParam(50, 500) }),
+        responses: { 200: objectSchema({ orders: arrayOf(order) }, ['orders']) }
+    }, requireAdmin, async (req, res) => {
+        try {
+            const { status, limit } = req.query;
+            return res.status(200).json({ orders: await listRecentOrders({ status, limit }) });
+        } catch (error) {
+            return sendRouteError(res, 'Error listing orders.', error);
+        }
+    });
+
+    api.get('/admin/orders/:id', {
+        summary: 'An order and its audit log',
+        tags: ['Admin'],
+        params: idParams,
+        responses: { 200: objectSchema({ order, audit: arrayOf(auditEntry) }, ['order', 'audit']) },
+        errors: [404]
+    }, requireAdmin, async (req, res) => {
+        try {
+            const order = await orderStore.get(req.params.id);
+            if (!order) {
+                return sendError(res, 404, 'not_found', 'Order not found.');
+            }
+            return res.status(200).json({ order, audit: await adminAudit.list({ orderId: order.id }) });
+        } catch (error) {
+            return sendRouteError(res, 'Error retrieving order.', error);
+        }
+    });
+
+    api.get('/admin/printful-orders', {
+        summary: 'Recent Printful orders',
+        tags: ['Admin'],
+        query: objectSchema({ status: { type: 'string' }, limit: limitParam(20, 100), offset: { type: 'integer', minimum: 0, default: 0 } }),
+        responses: { 200: objectSchema({ orders: { type: 'array' }, paging: { type: ['object', 'null'] } }, ['orders']) },
+        errors: [502]
+    }, requireAdmin, async (req, res) => {
+        try {
+            const { status, limit, offset } = req.query;
+            return res.status(200).json(await listRecentPrintfulOrders({ status, limit, offset }));
+        } catch (error) {
+            return sendRouteError(res, 'Error listing Printful orders.', error);
+        }
+    });
+
+    // Submit a paid order whose Printful submission failed again
+    api.post('/admin/orders/:id/retry', {
+        summary: 'Retry a failed Printful submission',
+        tags: ['Admin'],
+        params: idParams,
+        body: objectSchema({ reason: adminReason }, ['reason']),
+        responses: { 200: { ...adminOrderChange, properties: { ...adminOrderChange.properties, result: { type: 'string' } } } },
+        errors: [404, 409, 502]
+    }, requireAdmin, async (req, res) => {
+        try {
+            const result = await retryOrderSubmission(stripe, req.params.id, { actor: req.adminActor, reason: req.body.reason });
+            return res.status(200).json(result);
+        } catch (error) {
+            return sendRouteError(res, 'Error retrying the order submission.', error);
+        }
+    });
+
+    // Cancel an unfulfilled order and refund it: refundAmount cents, all of it when omitted,
+    // or nothing when 0
+    api.post('/admin/orders/:id/cancel', {
+        summary: 'Cancel an order and refund it',
+        tags: ['Admin'],
+        params: idParams,
+        body: objectSchema({
+            reason: adminReason,
+            refundAmount: { type: 'integer', minimum: 0, description: 'Cents to refund; everything when omitted' }
+        }, ['reason']),
+        responses: { 200: adminOrderChange },
+        errors: [404, 409, 502]
+    }, requireAdmin, async (req, res) => {
+        try {
+            const { reason, refundAmount } = req.body;
+            const result = await cancelOrder(stripe, req.params.id, { actor: req.adminActor, reason, refundAmount });
+            return res.status(200).json(result);
+        } catch (error) {
+            return sendRouteError(res, 'Error canceling the order.', error);
+        }
+    });
+
+    // Refund amount cents of an order (all that is left when omitted) without canceling it
+    api.post('/admin/orders/:id/refund', {
+        summary: 'Refund an order',
+        tags: ['Admin'],
+        params: idParams,
+        body: objectSchema({
+            reason: adminReason,
+            amount: { type: 'integer', minimum: 1, description: 'Cents to refund; all that is left when omitted' }
+        }, ['reason']),
+        responses: { 200: adminOrderChange },
+        errors: [404, 502]
+    }, requireAdmin, async (req, res) => {
+        try {
+            const { reason, amount } = req.body;
+            const result = await refundOrder(stripe, req.params.id, { actor: req.adminActor, reason, amount });
+            return res.status(200).json(result);
+        } catch (error) {
+            return sendRouteError(res, 'Error refunding the order.', error);
+        }
+    });
+
+    api.get('/admin/audit', {
+        summary: 'Admin audit log',
+        tags: ['Admin'],
+        query: objectSchema({ action: { type: 'string' }, orderId: { type: 'string' }, limit: limitParam(100, 1000) }),
+        responses: { 200: objectSchema({ entries: arrayOf(auditEntry) }, ['entries']) }
+    }, requireAdmin, async (req, res) => {
+        try {
+            const { action, orderId, limit } = req.query;
+            return res.status(200).json({ entries: await adminAudit.list({ action, orderId, limit }) });
+        } catch (error) {
+            return sendRouteError(res, 'Error reading the admin audit log.', error);
+        }
+    });
+
+    // Customer emails: what was sent, and what is still being retried or gave up
+    api.get('/admin/emails', {
+        summary: 'Queued and sent customer emails',
+        tags: ['Admin'],
+        query: objectSchema({ status: { enum: ['queued', 'sent', 'failed'] }, limit: limitParam(100, 1000) }),
+        responses: { 200: objectSchema({ emails: arrayOf(queuedEmail) }, ['emails']) }
+    }, requireAdmin, async (req, res) => {
+        try {
+            const { status, limit } = req.query;
+            return res.status(200).json({ emails: await listEmails({ status, limit }) });
+        } catch (error) {
+            return sendRouteError(res, 'Error listing emails.', error);
+        }
+    });
+
+    // Send an email that ran out of attempts again, e.g. once the SMTP server is fixed
+    api.post('/admin/emails/:id/retry', {
+        summary: 'Retry a failed email',
+        tags: ['Admin'],
+        params: idParams,
+        body: objectSchema({ reason: adminReason }, ['reason']),
+        responses: { 200: objectSchema({ email: queuedEmail }, ['email']) },
+        errors: [404, 409]
+    }, requireAdmin, async (req, res) => {
+        try {
+            const email = await retryEmail(req.params.id);
+            await adminAudit.record({ action: 'email_retried', actor: req.adminActor, reason: req.body.reason, emailId: email.id, template: email.template });
+            return res.status(200).json({ email });
+        } catch (error) {
+            return sendRouteError(res, 'Error retrying the email.', error);
+        }
+    });
+
+    // Printful webhook endpoint: record shipments, failures and cancellations on the order timeline.
+    // Printful does not sign webhooks, so the URL registered with Printful carries a shared secret.
+    api.post('/webhooks/printful', {
+        summary: 'Printful webhook',
+        tags: ['Webhooks'],
+        query: objectSchema({ secret: { type: 'string' } }),
+        body: objectSchema({ type: { type: 'string' }, data: { type: 'object' } }, ['type']),
+        responses: { 200: webhookReceived },
+        errors: [401, 500, 503]
+    }, async (req, res) => {
+        // Without a secret anyone could post events, so they are refused until one is set
+        // (the sandbox's fake Printful records its events directly)
+        if (!process.env.PRINTFUL_WEBHOOK_SECRET && !SANDBOX) {
+            logger.error('Refused a Printful webhook: PRINTFUL_WEBHOOK_SECRET is not set');
+            return sendError(res, 503, 'webhook_not_configured', 'Printful webhooks are not configured.');
+        }
+        if (process.env.PRINTFUL_WEBHOOK_SECRET && !matchesSecret(req.query.secret, process.env.PRINTFUL_WEBHOOK_SECRET)) {
+            return sendError(res, 401, 'invalid_secret', 'Invalid Printful webhook secret.');
+        }
+
+        try {
+            const order = await recordPrintfulEvent(req.body);
+            if (!order) {
+                logger.info('Ignored Printful webhook event', { type: req.body.type });
+            }
+            res.status(200).json({ received: true });
+        } catch (error) {
+            return sendInternalError(res, 'Error recording Printful webhook event.', error);
+        }
+    });
+
+    // Print file endpoint: render a design at a variant's print-area size and DPI, checking it
+    // prints well. The file stays private; Printful gets it when an order for it is paid.
+    api.post('/print-files', {
+        summary: 'Render and check a print file',
+        tags: ['Designs'],
+        body: objectSchema({
+            designUrl: { type: 'string', minLength: 1 },
+            variantId: { type: 'integer', minimum: 1 },
+            placement: { type: 'string' }
+        }, ['designUrl', 'variantId']),
+        responses: { 200: messageResponse({ placement: { type: 'string' } }, ['placement']) },
+        errors: [403, 502]
+    }, requireUser, rateLimit('printFiles'), async (req, res) => {
+        try {
+            const { designUrl, variantId, placement } = req.body;
+
+            await assertOwnsUrls(req.user.id, [designUrl]);
+            const printFile = await preparePrintFile({ designUrl, variantId, placement });
+            return res.status(200).json({
+                message: 'Print file ready.',
+                ...printFile
+            });
+        } catch (error) {
+            return sendRouteError(res, 'Error generating print file.', error);
+        }
+    });
+
+    // Printful file library: upload a file by URL, and read one back by its Printful file ID
+    api.post('/files', {
+        summary: 'Add a file to the Printful file library',
+        tags: ['Printful'],
+        body: objectSchema({ fileUrl: { type: 'string', minLength: 1 }, fileName: { type: 'string' } }, ['fileUrl']),
+        responses: { 200: messageResponse({ data: { type: 'object' } }, ['data']) },
+        errors: [403, 502]
+    }, requireUser, async (req, res) => {
+        try {
+            const { fileUrl, fileName } = req.body;
+
+            // Upload file to Printful’s File Library
+            await assertOwnsUrls(req.user.id, [fileUrl]);
+            const result = await uploadFileToPrintful(fileUrl, fileName);
+
+            // `result.result.id` is the Printful File ID
+            return res.status(200).json({
+                message: 'File uploaded to Printful successfully!',
+                data: result.result,  // Contains fields like { id, filename, hash, url, ... }
+            });
+        } catch (error) {
+            return sendRouteError(res, 'Error uploading file to Printful.', error);
+        }
+    });
+
+    api.get('/files/:id', {
+        summary: 'Get a file from the Printful file library',
+        tags: ['Printful'],
+        params: idParams,
+        responses: { 200: printfulResult },
+        errors: [404, 502]
+    }, async (req, res) => {
+        try {
+            // { code: 200, result: { id, url, preview_url, filename, ... } }
+            const fileData = await getFileInfoFromPrintful(req.params.id);
+            return res.status(200).json(fileData);
+        } catch (error) {
+            return sendRouteError(res, 'Error retrieving file from Printful.', error);
+        }
+    });
+
+    // Fetch Printful products endpoint
+    api.get('/printful-products', {
+        summary: 'Products in the Printful store',
+        tags: ['Printful'],
+        responses: { 200: printfulResult },
+        errors: [502]
+    }, async (req, res) => {
+        try {
+            const products = await getPrintfulProducts();
+            res.status(200).json(products);
+        } catch (error) {
+            sendRouteError(res, 'Error fetching Printful products.', error);
+        }
+    });
+
+    // Unknown routes, and errors passed on by middleware (CORS, body parsing, uploads), are
+    // answered with the error envelope too
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+
+    return app;
+};
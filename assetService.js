@@ -0,0 +1,239 @@
+// backend/assetService.js
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import dotenv from 'dotenv';
+import { storage } from './storageService.js';
+import { createJsonFileStore, DATA_DIR } from './jsonFileStore.js';
+import { renderPreview } from './previewService.js';
+import { fetchRemoteImage, RemoteFetchError } from './remoteImageFetcher.js';
+
+dotenv.config();
+
+// Storage folder for each kind of user asset; files live under users/<ownerId>/<folder>
+export const ASSET_FOLDERS = {
+    target: 'target_images',
+    selfie: 'swap_images',
+    swap_result: 'result_images',
+    mockup: 'mockups',
+    design: 'designs'
+};
+
+// Kinds sold as prints: the clean image is stored privately and only a watermarked
+// preview is public, until an order for it is paid (see releasePurchasedAssets)
+export const PREVIEWED_KINDS = ['swap_result', 'mockup', 'design'];
+
+// Lifetime of the signed URLs handed out for released originals
+const ORIGINAL_URL_TTL_SECONDS = Number(process.env.ORIGINAL_URL_TTL_SECONDS || 15 * 60);
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+// Registry of stored user assets, keyed by asset ID
+const assetStore = createJsonFileStore(path.join(DATA_DIR, 'assets.json'));
+
+// Error raised when an asset is missing, not the caller's, or given bad tags.
+// `code` is not_found, asset_not_owned, invalid_tags or not_purchased.
+export class AssetError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'AssetError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+const ownerPrefix = (ownerId) => `users/${ownerId}/`;
+
+// Store an image under its owner and register it. Returns the asset
+// ({ id, ownerId, kind, key, url, previewKey, releasedAt, orderIds, tags, contentHash,
+// consent, expiresAt, document, createdAt }); contentHash is an optional caller-chosen hash
+// of what the image was made from (see findAssetByContentHash); consent and expiresAt are
+// set for face uploads (see retentionService), document for designs (see designService).
+// For PREVIEWED_KINDS, key is the private original and url the public preview (stored at
+// previewKey).
+export const storeUserAsset = async (buffer, { ownerId, kind, format, contentHash = null, consent = null, expiresAt = null, document = null }) => {
+    const id = uuidv4();
+    const folder = `${ownerPrefix(ownerId)}${ASSET_FOLDERS[kind]}`;
+    const previewed = PREVIEWED_KINDS.includes(kind);
+
+    const { key, url } = await storage.put(buffer, { folder, id, format, access: previewed ? 'private' : 'public' });
+    let preview = { key: null, url };
+    if (previewed) {
+        preview = await storage.put(await renderPreview(buffer), { folder: `${folder}/previews`, id });
+    }
+
+    const assets = await assetStore.load();
+    assets[id] = {
+        id,
+        ownerId,
+        kind,
+        key,
+        url: preview.url,
+        previewKey: preview.key,
+        releasedAt: null,
+        orderIds: [],
+        tags: [],
+        contentHash,
+        consent,
+        expiresAt,
+        document,
+        createdAt: new Date().toISOString()
+    };
+    await assetStore.persist();
+    return assets[id];
+};
+
+export const getAsset = async (assetId) => {
+    const assets = await assetStore.load();
+    return assets[assetId] || null;
+};
+
+// Every registered asset matching predicate, whoever owns it
+export const findAssets = async (predicate) => {
+    const assets = await assetStore.load();
+    return Object.values(assets).filter(predicate);
+};
+
+// An owner's asset of the given kind made from the same inputs, if one is stored
+export const findAssetByContentHash = async (ownerId, kind, contentHash) => {
+    const assets = await assetStore.load();
+    return Object.values(assets).find(asset => asset.ownerId === ownerId && asset.kind === kind && asset.contentHash === contentHash) || null;
+};
+
+// List an owner's assets, newest first, optionally narrowed to one kind and/or tag
+export const listAssets = async (ownerId, { kind, tag } = {}) => {
+    const assets = await assetStore.load();
+    return Object.values(assets)
+        .filter(asset => asset.ownerId === ownerId
+            && (!kind || asset.kind === kind)
+            && (!tag || asset.tags.includes(tag)))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+const getOwnedAsset = async (ownerId, assetId) => {
+    const asset = await getAsset(assetId);
+    if (!asset || asset.ownerId !== ownerId) {
+        throw new AssetError('Asset not found.', 'not_found', { assetId });
+    }
+    return asset;
+};
+
+// Replace an asset's tags (trimmed, de-duplicated)
+export const setAssetTags = async (ownerId, assetId, tags) => {
+    if (!Array.isArray(tags) || tags.length > MAX_TAGS
+        || tags.some(tag => typeof tag !== 'string' || !tag.trim() || tag.trim().length > MAX_TAG_LENGTH)) {
+        throw new AssetError(`tags must be a list of at most ${MAX_TAGS} non-empty strings of up to ${MAX_TAG_LENGTH} characters.`, 'invalid_tags');
+    }
+
+    const asset = await getOwnedAsset(ownerId, assetId);
+    asset.tags = [...new Set(tags.map(tag => tag.trim()))];
+    await assetStore.persist();
+    return asset;
+};
+
+// Delete an asset (and its preview) from storage and the registry. The registry entry
+// is only dropped once storage has deleted the files, so a failed delete can be retried.
+export const removeAsset = async (asset) => {
+    await storage.delete(asset.key);
+    if (asset.previewKey) {
+        await storage.delete(asset.previewKey);
+    }
+
+    const assets = await assetStore.load();
+    delete assets[asset.id];
+    await assetStore.persist();
+    return asset;
+};
+
+// Delete one of the owner's assets
+export const deleteAsset = async (ownerId, assetId) => {
+    return removeAsset(await getOwnedAsset(ownerId, assetId));
+};
+
+// The registered asset a URL points to (its public URL, or a storage URL of its key)
+const findAssetByUrl = (assets, url) => {
+    const key = storage.keyFromUrl(url);
+    return assets.find(entry => entry.url === url || (key && (entry.key === key || entry.previewKey === key))) || null;
+};
+
+// The registered asset a URL points to, if any
+export const getAssetByUrl = async (url) => {
+    return typeof url === 'string' ? findAssetByUrl(Object.values(await assetStore.load()), url) : null;
+};
+
+// Read an image for rendering mockups and print files. Previews of registered assets
+// are read from their clean original; any other URL is fetched with fetchRemoteImage.
+export const loadAssetImage = async (url) => {
+    const asset = await getAssetByUrl(url);
+    if (asset?.previewKey) {
+        try {
+            return await storage.get(asset.key);
+        } catch (error) {
+            throw new RemoteFetchError(`Stored image ${asset.key} could not be read.`, 'fetch_failed');
+        }
+    }
+    return fetchRemoteImage(url);
+};
+
+// Give the owner the clean originals of the assets at urls once an order for them is
+// paid. Assets that are not the owner's are left alone. Returns the released assets.
+export const releasePurchasedAssets = async ({ ownerId, urls, orderId }) => {
+    const assets = await assetStore.load();
+    const released = [...new Set(urls.map(url => findAssetByUrl(Object.values(assets), url)))]
+        .filter(asset => asset && asset.ownerId === ownerId);
+
+    for (const asset of released) {
+        asset.releasedAt = asset.releasedAt || new Date().toISOString();
+        asset.orderIds = [...new Set([...(asset.orderIds || []), orderId])];
+    }
+    if (released.length > 0) {
+        await assetStore.persist();
+    }
+    return released;
+};
+
+// Signed, expiring URL of one of the owner's clean originals: { url, expiresAt }.
+// Previewed assets must have been released by a paid order first.
+export const getOriginalUrl = async (ownerId, assetId) => {
+    const asset = await getOwnedAsset(ownerId, assetId);
+    if (asset.previewKey && !asset.releasedAt) {
+        throw new AssetError('The full-resolution image is available once an order for it has been paid.', 'not_purchased', { assetId });
+    }
+    return {
+        url: await storage.signedUrl(asset.key, { expiresIn: ORIGINAL_URL_TTL_SECONDS }),
+        expiresAt: new Date(Date.now() + ORIGINAL_URL_TTL_SECONDS * 1000).toISOString()
+    };
+};
+
+// Check that no URL points at a previewed asset whose clean original has not been
+// released by a paid order, before that original goes anywhere outside (e.g. to Printful
+// as a store product's print file)
+export const assertReleasedUrls = async (urls) => {
+    const assets = Object.values(await assetStore.load());
+    const unreleased = urls.filter(url => {
+        const asset = typeof url === 'string' && url ? findAssetByUrl(assets, url) : null;
+        return Boolean(asset?.previewKey && !asset.releasedAt);
+    });
+
+    if (unreleased.length > 0) {
+        throw new AssetError('Designs can be added to the store once an order for them has been paid.', 'not_purchased', { urls: unreleased });
+    }
+};
+
+// Check that every URL the caller passes in is theirs to use. URLs of registered
+// assets must belong to the owner, as must anything stored under another user's
+// folder; other URLs (e.g. Printful product images) are not ours to police.
+export const assertOwnsUrls = async (ownerId, urls) => {
+    const assets = Object.values(await assetStore.load());
+    const notOwned = urls.filter(url => {
+        if (typeof url !== 'string' || !url) return false;
+        const key = storage.keyFromUrl(url);
+        const asset = findAssetByUrl(assets, url);
+        if (asset) return asset.ownerId !== ownerId;
+        return Boolean(key && key.startsWith('users/') && !key.startsWith(ownerPrefix(ownerId)));
+    });
+
+    if (notOwned.length > 0) {
+        throw new AssetError('Some of the referenced images do not belong to you.', 'asset_not_owned', { urls: notOwned });
+    }
+};
@@ -0,0 +1,31 @@
+// backend/auditLog.js
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { createJsonFileStore, DATA_DIR } from './jsonFileStore.js';
+
+// Append-only log of sensitive actions, kept in DATA_DIR/<name>.json. Entries are
+// { id, action, actor, reason, at, ...details } and are never edited or removed.
+export const createAuditLog = (name) => {
+    const { load, persist } = createJsonFileStore(path.join(DATA_DIR, `${name}.json`), []);
+
+    return {
+        async record(entry) {
+            const entries = await load();
+            const recorded = { id: uuidv4(), ...entry, at: new Date().toISOString() };
+            entries.push(recorded);
+            await persist();
+            return recorded;
+        },
+
+        // Newest first, optionally narrowed to one subject (ownerId), order or action
+        async list({ ownerId, orderId, action, limit = 100 } = {}) {
+            const entries = await load();
+            return entries
+                .filter(entry => (!ownerId || entry.ownerId === ownerId)
+                    && (!orderId || entry.orderId === orderId)
+                    && (!action || entry.action === action))
+                .slice(-limit)
+                .reverse();
+        }
+    };
+};
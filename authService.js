@@ -0,0 +1,154 @@
+// backend/authService.js
+import crypto from 'crypto';
+import path from 'path';
+import { promisify } from 'util';
+import jwt from 'jsonwebtoken';
+import dotenv from 'dotenv';
+import { logger } from './logger.js';
+import { v4 as uuidv4 } from 'uuid';
+import { createJsonFileStore, DATA_DIR } from './jsonFileStore.js';
+
+dotenv.config();
+
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const PASSWORD_MIN_LENGTH = 8;
+const scrypt = promisify(crypto.scrypt);
+
+// Without JWT_SECRET sessions only survive until the process restarts
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.JWT_SECRET) {
+    logger.warn('JWT_SECRET is not set; using a random secret, so sessions end on restart.');
+}
+
+// Users keyed by ID, and partner API keys keyed by ID (only the key's hash is kept)
+const userStore = createJsonFileStore(path.join(DATA_DIR, 'users.json'), { users: {}, apiKeys: {} });
+
+// Error raised for failed sign-ups, logins and key lookups. `code` is invalid_input,
+// email_taken, invalid_credentials, unauthenticated or not_found.
+export class AuthError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'AuthError';
+        this.code = code;
+    }
+}
+
+const normaliseEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+    const [, salt, expected] = stored.split('$');
+    const hash = await scrypt(password, salt, 64);
+    return crypto.timingSafeEqual(hash, Buffer.from(expected, 'hex'));
+};
+
+const hashApiKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+const publicApiKey = ({ keyHash, ...key }) => key;
+
+// The user as returned to clients, without the password hash
+export const publicUser = ({ passwordHash, ...user }) => user;
+
+const issueToken = (user) => jwt.sign({ sub: user.id, email: user.email }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+
+export const registerUser = async ({ email, password }) => {
+    const normalised = normaliseEmail(email);
+    if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(normalised)) {
+        throw new AuthError('A valid email address is required.', 'invalid_input');
+    }
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+        throw new AuthError(`Passwords must be at least ${PASSWORD_MIN_LENGTH} characters long.`, 'invalid_input');
+    }
+
+    const passwordHash = await hashPassword(password);
+    const data = await userStore.load();
+    if (Object.values(data.users).some(user => user.email === normalised)) {
+        throw new AuthError('An account with this email already exists.', 'email_taken');
+    }
+
+    const user = { id: uuidv4(), email: normalised, passwordHash, createdAt: new Date().toISOString() };
+    data.users[user.id] = user;
+    await userStore.persist();
+    return { token: issueToken(user), user: publicUser(user) };
+};
+
+export const loginUser = async ({ email, password }) => {
+    const data = await userStore.load();
+    const user = Object.values(data.users).find(entry => entry.email === normaliseEmail(email));
+    if (!user || typeof password !== 'string' || !(await verifyPassword(password, user.passwordHash))) {
+        throw new AuthError('Email or password is incorrect.', 'invalid_credentials');
+    }
+    return { token: issueToken(user), user: publicUser(user) };
+};
+
+export const getUser = async (userId) => {
+    const data = await userStore.load();
+    const user = data.users[userId];
+    return user ? publicUser(user) : null;
+};
+
+// Resolve a session JWT to its user
+export const userFromToken = async (token) => {
+    let payload;
+    try {
+        payload = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+        throw new AuthError('The session token is invalid or has expired.', 'unauthenticated');
+    }
+    const user = await getUser(payload.sub);
+    if (!user) {
+        throw new AuthError('The session token is invalid or has expired.', 'unauthenticated');
+    }
+    return user;
+};
+
+// Resolve a partner API key to { user, apiKey } (the user that created it and the key's record)
+export const authenticateApiKey = async (apiKey) => {
+    const data = await userStore.load();
+    const keyHash = hashApiKey(apiKey);
+    const key = Object.values(data.apiKeys).find(entry => entry.keyHash === keyHash);
+    if (!key || !data.users[key.userId]) {
+        throw new AuthError('The API key is invalid or has been revoked.', 'unauthenticated');
+    }
+
+    key.lastUsedAt = new Date().toISOString();
+    await userStore.persist();
+    return { user: publicUser(data.users[key.userId]), apiKey: publicApiKey(key) };
+};
+
+// Create an API key for a partner app. The key itself is only ever returned here.
+export const createApiKey = async (userId, { name } = {}) => {
+    const apiKey = `sbk_${crypto.randomBytes(24).toString('base64url')}`;
+    const data = await userStore.load();
+    const key = {
+        id: uuidv4(),
+        userId,
+        name: typeof name === 'string' && name.trim() ? name.trim() : 'API key',
+        prefix: apiKey.slice(0, 10),
+        keyHash: hashApiKey(apiKey),
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null
+    };
+    data.apiKeys[key.id] = key;
+    await userStore.persist();
+    return { apiKey, key: publicApiKey(key) };
+};
+
+export const listApiKeys = async (userId) => {
+    const data = await userStore.load();
+    return Object.values(data.apiKeys).filter(key => key.userId === userId).map(publicApiKey);
+};
+
+export const revokeApiKey = async (userId, keyId) => {
+    const data = await userStore.load();
+    if (data.apiKeys[keyId]?.userId !== userId) {
+        throw new AuthError('API key not found.', 'not_found');
+    }
+    delete data.apiKeys[keyId];
+    await userStore.persist();
+};
@@ -0,0 +1,210 @@
+// backend/catalogService.js
+import path from 'path';
+import { getCatalogProducts, getCatalogProduct, getPrintfulPrintfiles } from './printfulService.js';
+import { loadPriceCatalog } from './pricingService.js';
+import { createJsonFileStore, DATA_DIR } from './jsonFileStore.js';
+import { logger } from './logger.js';
+
+const CATALOG_TTL_MS = Number(process.env.CATALOG_TTL_MS || 24 * 60 * 60 * 1000);
+const CATALOG_RETRY_MS = Number(process.env.CATALOG_RETRY_MS || 5 * 60 * 1000);
+// Optional comma-separated product IDs to sync variants for; all products when unset
+const CATALOG_PRODUCT_IDS = (process.env.CATALOG_PRODUCT_IDS || '')
+    .split(',')
+    .map(Number)
+    .filter(Boolean);
+
+// { syncedAt, products, failedProducts, failedAttempts, nextAttemptAt, lastError }
+const catalogStore = createJsonFileStore(path.join(DATA_DIR, 'catalog.json'), { syncedAt: null, products: [], failedProducts: [] });
+let syncInFlight = null;
+
+// Error raised while the catalog has never been synced. `code` is catalog_syncing.
+export class CatalogError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'CatalogError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Print areas per placement of one variant, from the product's print files
+const printAreasFor = (variantId, printfiles) => {
+    const placements = printfiles.variant_printfiles.find(entry => entry.variant_id === variantId)?.placements || {};
+    return Object.entries(placements).map(([placement, printfileId]) => {
+        const printfile = printfiles.printfiles.find(entry => entry.printfile_id === printfileId) || {};
+        return {
+            placement,
+            title: printfiles.available_placements?.[placement] || placement,
+            width: printfile.width,
+            height: printfile.height,
+            dpi: printfile.dpi
+        };
+    });
+};
+
+const syncProduct = async (summary) => {
+    const [{ result: { product, variants } }, { result: printfiles }] = await Promise.all([
+        getCatalogProduct(summary.id),
+        getPrintfulPrintfiles(summary.id)
+    ]);
+
+    return {
+        id: product.id,
+        title: product.title,
+        type: product.type,
+        category: product.type_name,
+        brand: product.brand,
+        model: product.model,
+        image: product.image,
+        placements: Object.keys(printfiles.available_placements || {}),
+        variants: variants.map(variant => ({
+            id: variant.id,
+            name: variant.name,
+            size: variant.size,
+            color: variant.color,
+            colorCode: variant.color_code,
+            image: variant.image,
+            inStock: variant.in_stock,
+            cost: Number(variant.price),
+            printAreas: printAreasFor(variant.id, printfiles)
+        }))
+    };
+};
+
+// Pull products, variants and print areas from Printful into the local cache. A product
+// that fails keeps its previous entry, if any, and is listed in failedProducts; a sync
+// that fails outright, or gets no product at all, is retried no sooner than nextAttemptAt,
+// CATALOG_RETRY_MS after the first failure and doubling up to CATALOG_TTL_MS.
+export const syncCatalog = () => {
+    if (!syncInFlight) {
+        syncInFlight = (async () => {
+            const catalog = await catalogStore.load();
+            try {
+                const { result: summaries } = await getCatalogProducts();
+                const selected = CATALOG_PRODUCT_IDS.length > 0
+                    ? summaries.filter(summary => CATALOG_PRODUCT_IDS.includes(summary.id))
+                    : summaries;
+
+                // One product at a time keeps us well inside Printful's rate limit
+                const products = [];
+                const failedProducts = [];
+                for (const summary of selected) {
+                    try {
+                        products.push(await syncProduct(summary));
+                    } catch (error) {
+                        logger.warn('Error syncing a Printful catalog product', { productId: summary.id, error });
+                        failedProducts.push({ id: summary.id, error: error.message });
+                        const previous = catalog.products.find(product => product.id === summary.id);
+                        if (previous) products.push(previous);
+                    }
+                }
+                if (selected.length > 0 && failedProducts.length === selected.length) {
+                    throw new Error(`Every one of the ${selected.length} products failed to sync; the first: ${failedProducts[0].error}`);
+                }
+
+                Object.assign(catalog, { products, failedProducts, syncedAt: new Date().toISOString(), failedAttempts: 0, nextAttemptAt: null, lastError: null });
+            } catch (error) {
+                const failedAttempts = (catalog.failedAttempts || 0) + 1;
+                const delay = Math.min(CATALOG_RETRY_MS * 2 ** (failedAttempts - 1), CATALOG_TTL_MS);
+                Object.assign(catalog, { failedAttempts, nextAttemptAt: new Date(Date.now() + delay).toISOString(), lastError: error.message });
+                await catalogStore.persist();
+                throw error;
+            }
+            await catalogStore.persist();
+            return catalog;
+        })().finally(() => {
+            syncInFlight = null;
+        });
+    }
+    return syncInFlight;
+};
+
+// Stale (or never synced), and not waiting out a failure
+const isDue = (catalog) => (!catalog.syncedAt || Date.now() - new Date(catalog.syncedAt).getTime() > CATALOG_TTL_MS)
+    && (!catalog.nextAttemptAt || Date.now() >= new Date(catalog.nextAttemptAt).getTime());
+
+// Sync in the background, unless a sync is already running
+const refreshCatalog = () => {
+    if (!syncInFlight) {
+        syncCatalog().catch(error => logger.error('Error refreshing Printful catalog', { error }));
+    }
+};
+
+// Return the cached catalog. A full sync makes a request per product, so requests never
+// wait for one: a stale cache is served as-is while it refreshes in the background, and
+// with an empty one a CatalogError is thrown until the first sync is done.
+const getCatalog = async () => {
+    const catalog = await catalogStore.load();
+    if (isDue(catalog)) {
+        refreshCatalog();
+    }
+    if (!catalog.syncedAt) {
+        throw new CatalogError('The product catalog is being loaded; try again in a minute.', 'catalog_syncing');
+    }
+    return catalog;
+};
+
+// Sync the catalog now if it is due, and check again every CATALOG_RETRY_MS. Only
+// long-running servers start this (see server.js): on Vercel, run npm run sync-catalog,
+// or POST /catalog/refresh from a cron job.
+export const startCatalogSync = () => {
+    const check = () => catalogStore.load()
+        .then(catalog => isDue(catalog) && refreshCatalog())
+        .catch(error => logger.error('Error loading the catalog cache', { error }));
+
+    check();
+    setInterval(check, CATALOG_RETRY_MS).unref();
+};
+
+// Add our retail price (from the price catalog, null when not for sale) to each variant
+const withRetailPrices = async (product) => {
+    const priceCatalog = await loadPriceCatalog();
+    return {
+        ...product,
+        variants: product.variants.map(variant => {
+            const entry = priceCatalog.variants[variant.id];
+            return { ...variant, retailPrice: entry ? entry.unitAmount / 100 : null };
+        })
+    };
+};
+
+const matches = (value, filter) => !filter || (value || '').toLowerCase() === filter.toLowerCase();
+
+// Search the catalog. Filters: q (title), category, color, size, minPrice, maxPrice.
+// Prices compare against the retail price where we sell the variant, else Printful's cost.
+// Products are returned with only their matching variants.
+export const searchCatalog = async ({ q, category, color, size, minPrice, maxPrice, offset = 0, limit = 20 } = {}) => {
+    const catalog = await getCatalog();
+    const results = [];
+
+    for (const product of catalog.products) {
+        if (q && !product.title.toLowerCase().includes(q.toLowerCase())) continue;
+        if (category && !matches(product.category, category) && !matches(product.type, category)) continue;
+
+        const priced = await withRetailPrices(product);
+        const variants = priced.variants.filter(variant => {
+            const price = variant.retailPrice ?? variant.cost;
+            return matches(variant.color, color)
+                && matches(variant.size, size)
+                && (minPrice === undefined || price >= minPrice)
+                && (maxPrice === undefined || price <= maxPrice);
+        });
+        if (variants.length > 0) {
+            results.push({ ...priced, variants });
+        }
+    }
+
+    return {
+        syncedAt: catalog.syncedAt,
+        total: results.length,
+        offset,
+        limit,
+        products: results.slice(offset, offset + limit)
+    };
+};
+
+export const getCatalogEntry = async (productId) => {
+    const catalog = await getCatalog();
+    const product = catalog.products.find(entry => entry.id === productId);
+    return product ? withRetailPrices(product) : null;
+};
@@ -0,0 +1,309 @@
+// backend/designDocument.js
+import fs from 'fs';
+import { createRequire } from 'module';
+import opentype from 'opentype.js';
+import sharp from 'sharp';
+
+// A design document describes a personalised design as layers drawn bottom to top on a
+// canvas measured in design units:
+//   { width, height, background?, layers: [layer, ...] }
+// Every layer has type ('image', 'text' or 'shape'), x and y (its centre; default the
+// canvas centre), scale (1), rotation (degrees clockwise, 0) and opacity (0-1, 1).
+//   image: url, width, height (the box it fills), fit ('cover' or 'contain')
+//   text:  text (lines split on \n), font (one of FONTS), weight ('normal' or 'bold'),
+//          size, color, align ('left', 'center' or 'right'), lineHeight (times size)
+//   shape: shape ('rect' or 'ellipse'), width, height, fill, stroke, strokeWidth, radius
+// Text is drawn as SVG paths from the bundled fonts, so the design renders the same on
+// every machine, and the same document renders mockups and print files at any size.
+
+const require = createRequire(import.meta.url);
+
+const MAX_LAYERS = 30;
+const MAX_TEXT_LENGTH = 500;
+const MAX_CANVAS_SIZE = 10000;
+
+// Bundled font families and the @fontsource weights they ship with. Each weight loads
+// the latin subset, then latin-ext for characters latin lacks.
+const FONT_FAMILIES = {
+    Roboto: { package: 'roboto', weights: { normal: 400, bold: 700 } },
+    Oswald: { package: 'oswald', weights: { normal: 400, bold: 700 } },
+    Merriweather: { package: 'merriweather', weights: { normal: 400, bold: 700 } },
+    Lobster: { package: 'lobster', weights: { normal: 400 } },
+    Pacifico: { package: 'pacifico', weights: { normal: 400 } }
+};
+const FONT_SUBSETS = ['latin', 'latin-ext'];
+
+export const FONTS = Object.fromEntries(Object.entries(FONT_FAMILIES).map(([family, { weights }]) => [family, Object.keys(weights)]));
+
+const LAYER_TYPES = ['image', 'text', 'shape'];
+const FITS = ['cover', 'contain'];
+const ALIGNMENTS = ['center', 'left', 'right'];
+const SHAPES = ['rect', 'ellipse'];
+
+// Colours are written into SVG attributes, so only plain colour syntax is accepted
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|[a-z]{3,20}|rgba?\(\s*[\d.]+%?\s*(,\s*[\d.]+%?\s*){2,3}\))$/i;
+
+// Error raised for a design document that cannot be rendered. `code` is invalid_design;
+// details.errors lists each problem as { path, message }.
+export class DesignError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'DesignError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+const fontCache = new Map();
+
+// The font files of a family's weight, in fallback order
+const loadFonts = (family, weight) => {
+    const cacheKey = `${family}:${weight}`;
+    if (!fontCache.has(cacheKey)) {
+        const { package: name, weights } = FONT_FAMILIES[family];
+        fontCache.set(cacheKey, FONT_SUBSETS.map(subset => {
+            const file = fs.readFileSync(require.resolve(`@fontsource/${name}/files/${name}-${subset}-${weights[weight]}-normal.woff`));
+            return opentype.parse(file.buffer.slice(file.byteOffset, file.byteOffset + file.length));
+        }));
+    }
+    return fontCache.get(cacheKey);
+};
+
+const fontFor = (fonts, char) => fonts.find(font => font.charToGlyphIndex(char) > 0) || null;
+
+// Check a design document and fill in the defaults. Throws DesignError listing every problem.
+export const normalizeDesignDocument = (input) => {
+    const errors = [];
+    const fail = (path, message) => errors.push({ path, message });
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new DesignError('The design must be an object with width, height and layers.', 'invalid_design', {
+            errors: [{ path: '', message: 'Expected an object.' }]
+        });
+    }
+
+    const number = (value, path, { min, max, fallback }) => {
+        if (value === undefined || value === null) {
+            if (fallback === undefined) fail(path, 'Required.');
+            return fallback;
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+            fail(path, `Must be a number from ${min} to ${max}.`);
+            return fallback;
+        }
+        return value;
+    };
+    const choice = (value, path, options) => {
+        if (value === undefined || value === null) return options[0];
+        if (!options.includes(value)) fail(path, `Must be one of: ${options.join(', ')}.`);
+        return value;
+    };
+    const color = (value, path, fallback) => {
+        if (value === undefined || value === null) return fallback;
+        if (typeof value !== 'string' || !COLOR_PATTERN.test(value.trim())) {
+            fail(path, 'Must be a colour such as #ff0000, red or rgba(255, 0, 0, 0.5).');
+            return fallback;
+        }
+        return value.trim();
+    };
+
+    const width = number(input.width, 'width', { min: 1, max: MAX_CANVAS_SIZE, fallback: 1000 });
+    const height = number(input.height, 'height', { min: 1, max: MAX_CANVAS_SIZE, fallback: 1000 });
+    const background = color(input.background, 'background', null);
+
+    if (!Array.isArray(input.layers) || input.layers.length === 0 || input.layers.length > MAX_LAYERS) {
+        fail('layers', `Must be a list of 1 to ${MAX_LAYERS} layers.`);
+    }
+
+    const layers = (Array.isArray(input.layers) ? input.layers.slice(0, MAX_LAYERS) : []).map((layer, index) => {
+        const path = `layers[${index}]`;
+        if (!layer || typeof layer !== 'object' || !LAYER_TYPES.includes(layer.type)) {
+            fail(`${path}.type`, `Must be one of: ${LAYER_TYPES.join(', ')}.`);
+            return null;
+        }
+
+        const common = {
+            type: layer.type,
+            x: number(layer.x, `${path}.x`, { min: -MAX_CANVAS_SIZE, max: 2 * MAX_CANVAS_SIZE, fallback: width / 2 }),
+            y: number(layer.y, `${path}.y`, { min: -MAX_CANVAS_SIZE, max: 2 * MAX_CANVAS_SIZE, fallback: height / 2 }),
+            scale: number(layer.scale, `${path}.scale`, { min: 0.01, max: 100, fallback: 1 }),
+            rotation: number(layer.rotation, `${path}.rotation`, { min: -360, max: 360, fallback: 0 }),
+            opacity: number(layer.opacity, `${path}.opacity`, { min: 0, max: 1, fallback: 1 })
+        };
+        const box = () => ({
+            width: number(layer.width, `${path}.width`, { min: 1, max: 2 * MAX_CANVAS_SIZE }),
+            height: number(layer.height, `${path}.height`, { min: 1, max: 2 * MAX_CANVAS_SIZE })
+        });
+
+        if (layer.type === 'image') {
+            if (typeof layer.url !== 'string' || !layer.url) fail(`${path}.url`, 'Required.');
+            return { ...common, ...box(), url: layer.url, fit: choice(layer.fit, `${path}.fit`, FITS) };
+        }
+
+        if (layer.type === 'shape') {
+            return {
+                ...common,
+                ...box(),
+                shape: choice(layer.shape, `${path}.shape`, SHAPES),
+                fill: color(layer.fill, `${path}.fill`, '#000000'),
+                stroke: color(layer.stroke, `${path}.stroke`, null),
+                strokeWidth: number(layer.strokeWidth, `${path}.strokeWidth`, { min: 0, max: MAX_CANVAS_SIZE, fallback: 0 }),
+                radius: number(layer.radius, `${path}.radius`, { min: 0, max: MAX_CANVAS_SIZE, fallback: 0 })
+            };
+        }
+
+        if (typeof layer.text !== 'string' || !layer.text.trim() || layer.text.length > MAX_TEXT_LENGTH) {
+            fail(`${path}.text`, `Must be 1 to ${MAX_TEXT_LENGTH} characters.`);
+        }
+        const font = choice(layer.font, `${path}.font`, Object.keys(FONTS));
+        const weight = choice(layer.weight, `${path}.weight`, ['normal', 'bold']);
+        if (FONTS[font] && !FONTS[font].includes(weight)) {
+            fail(`${path}.weight`, `${font} has no ${weight} weight.`);
+        }
+
+        const text = typeof layer.text === 'string' ? layer.text.replace(/\r\n?/g, '\n') : '';
+        if (FONTS[font]?.includes(weight)) {
+            const fonts = loadFonts(font, weight);
+            const missing = [...new Set([...text.replace(/\n/g, '')].filter(char => !fontFor(fonts, char)))];
+            if (missing.length > 0) {
+                fail(`${path}.text`, `${font} cannot draw: ${missing.join(' ')}`);
+            }
+        }
+
+        return {
+            ...common,
+            text,
+            font,
+            weight,
+            size: number(layer.size, `${path}.size`, { min: 1, max: MAX_CANVAS_SIZE, fallback: 64 }),
+            color: color(layer.color, `${path}.color`, '#000000'),
+            align: choice(layer.align, `${path}.align`, ALIGNMENTS),
+            lineHeight: number(layer.lineHeight, `${path}.lineHeight`, { min: 0.5, max: 5, fallback: 1.2 })
+        };
+    });
+
+    if (errors.length > 0) {
+        throw new DesignError('The design document is invalid.', 'invalid_design', { errors });
+    }
+    return { width, height, background, layers };
+};
+
+// URLs of every image the document draws, for loading them before rendering
+export const designImageUrls = (document) => [...new Set(document.layers.filter(layer => layer.type === 'image').map(layer => layer.url))];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Glyphs of one text line with their offsets from its start, kerned within each font
+const layoutLine = (fonts, line, size) => {
+    const glyphs = [];
+    let width = 0;
+    let previous = null;
+    for (const char of line) {
+        const font = fontFor(fonts, char);
+        if (!font) continue;
+        const glyph = font.charToGlyph(char);
+        const unit = size / font.unitsPerEm;
+        if (previous && previous.font === font) {
+            width += font.getKerningValue(previous.glyph, glyph) * unit;
+        }
+        glyphs.push({ glyph, x: width });
+        width += glyph.advanceWidth * unit;
+        previous = { font, glyph };
+    }
+    return { glyphs, width };
+};
+
+// Text block centred on the layer origin
+const textSvg = (layer) => {
+    const fonts = loadFonts(layer.font, layer.weight);
+    const [primary] = fonts;
+    const ascender = primary.ascender / primary.unitsPerEm * layer.size;
+    const descender = primary.descender / primary.unitsPerEm * layer.size;
+    const lineHeight = layer.size * layer.lineHeight;
+
+    const lines = layer.text.split('\n').map(line => layoutLine(fonts, line, layer.size));
+    const blockWidth = Math.max(...lines.map(line => line.width));
+    const top = -((lines.length - 1) * lineHeight + ascender - descender) / 2;
+
+    const paths = lines.flatMap((line, index) => {
+        const start = -blockWidth / 2 + { left: 0, center: (blockWidth - line.width) / 2, right: blockWidth - line.width }[layer.align];
+        const baseline = top + ascender + index * lineHeight;
+        return line.glyphs.map(({ glyph, x }) => glyph.getPath(start + x, baseline, layer.size).toPathData(2));
+    });
+    return `<path d="${paths.join('')}" fill="${layer.color}"/>`;
+};
+
+const shapeSvg = (layer) => {
+    const stroke = layer.stroke && layer.strokeWidth ? ` stroke="${layer.stroke}" stroke-width="${layer.strokeWidth}"` : '';
+    if (layer.shape === 'ellipse') {
+        return `<ellipse cx="0" cy="0" rx="${layer.width / 2}" ry="${layer.height / 2}" fill="${layer.fill}"${stroke}/>`;
+    }
+    return `<rect x="${-layer.width / 2}" y="${-layer.height / 2}" width="${layer.width}" height="${layer.height}" rx="${layer.radius}" fill="${layer.fill}"${stroke}/>`;
+};
+
+// Image fitted into its box; cover crops to the box, contain letterboxes inside it.
+// The image is resized to the pixels the box covers at this render size before embedding.
+const imageSvg = async (layer, index, buffer, pixelsPerUnit) => {
+    const boxWidth = Math.max(1, Math.ceil(layer.width * layer.scale * pixelsPerUnit));
+    const boxHeight = Math.max(1, Math.ceil(layer.height * layer.scale * pixelsPerUnit));
+    const image = await sharp(buffer)
+        .rotate()
+        .resize(boxWidth, boxHeight, { fit: layer.fit === 'cover' ? 'outside' : 'inside', withoutEnlargement: true })
+        .png()
+        .toBuffer();
+
+    const x = -layer.width / 2, y = -layer.height / 2;
+    const aspect = layer.fit === 'cover' ? 'xMidYMid slice' : 'xMidYMid meet';
+    return `<clipPath id="clip${index}"><rect x="${x}" y="${y}" width="${layer.width}" height="${layer.height}"/></clipPath>`
+        + `<image clip-path="url(#clip${index})" x="${x}" y="${y}" width="${layer.width}" height="${layer.height}" preserveAspectRatio="${aspect}" href="data:image/png;base64,${image.toString('base64')}"/>`;
+};
+
+// Pixel size of the document rendered as large as fits in maxWidth x maxHeight
+export const renderedSize = (document, maxWidth, maxHeight) => {
+    const scale = Math.min(maxWidth / document.width, maxHeight / document.height);
+    return { width: Math.max(1, Math.round(document.width * scale)), height: Math.max(1, Math.round(document.height * scale)), scale };
+};
+
+// Render a normalised document as a transparent PNG as large as fits in
+// maxWidth x maxHeight. images maps each image layer's URL to its image buffer.
+export const renderDesignDocument = async (document, images, { maxWidth, maxHeight }) => {
+    const { width, height, scale } = renderedSize(document, maxWidth, maxHeight);
+
+    const layers = await Promise.all(document.layers.map(async (layer, index) => {
+        let content;
+        if (layer.type === 'image') {
+            content = await imageSvg(layer, index, images.get(layer.url), scale);
+        } else if (layer.type === 'text') {
+            content = textSvg(layer);
+        } else {
+            content = shapeSvg(layer);
+        }
+        const transform = `translate(${round(layer.x)} ${round(layer.y)}) rotate(${layer.rotation}) scale(${layer.scale})`;
+        return `<g transform="${transform}" opacity="${layer.opacity}">${content}</g>`;
+    }));
+
+    const background = document.background ? `<rect width="100%" height="100%" fill="${document.background}"/>` : '';
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${document.width} ${document.height}">${background}${layers.join('')}</svg>`;
+    return sharp(Buffer.from(svg)).ensureAlpha().png().toBuffer();
+};
+
+// DPI the document's images would print at when it is rendered to fit maxWidth x
+// maxHeight pixels at dpi, or dpi itself when it has no images (text and shapes are
+// vector). Returns { effectiveDpi, layer } naming the image layer that limits it.
+export const documentEffectiveDpi = async (document, images, { maxWidth, maxHeight, dpi }) => {
+    const { scale } = renderedSize(document, maxWidth, maxHeight);
+    let lowest = { effectiveDpi: dpi, layer: null };
+
+    for (const [index, layer] of document.layers.entries()) {
+        if (layer.type !== 'image') continue;
+        const { width: storedWidth, height: storedHeight, orientation } = await sharp(images.get(layer.url)).metadata();
+        const [width, height] = orientation >= 5 ? [storedHeight, storedWidth] : [storedWidth, storedHeight];
+        const fit = layer.fit === 'cover' ? Math.max : Math.min;
+        const printedPixelsPerSourcePixel = fit(layer.width / width, layer.height / height) * layer.scale * scale;
+        const layerDpi = Math.round(dpi / printedPixelsPerSourcePixel);
+        if (layerDpi < lowest.effectiveDpi) {
+            lowest = { effectiveDpi: layerDpi, layer: index };
+        }
+    }
+    return lowest;
+};
@@ -0,0 +1,53 @@
+// backend/designService.js
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { normalizeDesignDocument, designImageUrls, renderDesignDocument, documentEffectiveDpi } from './designDocument.js';
+import { storeUserAsset, findAssetByContentHash, assertOwnsUrls, loadAssetImage } from './assetService.js';
+
+dotenv.config();
+
+// Longest side of the stored render of a design, which mockups are made from. Print
+// files are rendered from the document itself, at the print area's size.
+const DESIGN_RENDER_SIZE = Number(process.env.DESIGN_RENDER_SIZE || 2000);
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Load every image a document draws (clean originals for the user's own previews)
+export const loadDesignImages = async (document) => {
+    const urls = designImageUrls(document);
+    const buffers = await Promise.all(urls.map(url => loadAssetImage(url)));
+    return new Map(urls.map((url, index) => [url, buffers[index]]));
+};
+
+// Save a design document (see designDocument.js) as one of the owner's design assets,
+// rendered for mockups, with the document kept for print files and later edits. The same
+// document with the same images returns the existing asset. Throws DesignError for an
+// invalid document, AssetError for images that are not the owner's and RemoteFetchError
+// for images that cannot be read.
+export const createDesign = async ({ ownerId, document: input }) => {
+    const document = normalizeDesignDocument(input);
+    await assertOwnsUrls(ownerId, designImageUrls(document));
+    const images = await loadDesignImages(document);
+
+    const imageHashes = [...images.entries()].map(([url, buffer]) => `${url}=${sha256(buffer)}`);
+    const contentHash = sha256(JSON.stringify({ document, imageHashes }));
+    const existing = await findAssetByContentHash(ownerId, 'design', contentHash);
+    if (existing) {
+        return existing;
+    }
+
+    const rendered = await renderDesignDocument(document, images, { maxWidth: DESIGN_RENDER_SIZE, maxHeight: DESIGN_RENDER_SIZE });
+    return storeUserAsset(rendered, { ownerId, kind: 'design', format: 'png', contentHash, document });
+};
+
+// Render a document as large as fits in a print area ({ width, height, dpi }), with the
+// DPI its images would print at: { buffer, effectiveDpi, layer (the limiting image layer) }
+export const renderDesignForPrint = async (document, printArea) => {
+    const images = await loadDesignImages(document);
+    const size = { maxWidth: printArea.width, maxHeight: printArea.height };
+    const [buffer, { effectiveDpi, layer }] = await Promise.all([
+        renderDesignDocument(document, images, size),
+        documentEffectiveDpi(document, images, { ...size, dpi: printArea.dpi })
+    ]);
+    return { buffer, effectiveDpi, layer };
+};
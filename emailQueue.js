@@ -0,0 +1,167 @@
+// backend/emailQueue.js
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import dotenv from 'dotenv';
+import { createJsonFileStore, DATA_DIR } from './jsonFileStore.js';
+import { renderEmail } from './emailTemplates.js';
+import { createEmailTransport } from './emailTransports.js';
+import { logger } from './logger.js';
+
+dotenv.config();
+
+// Outgoing emails are queued in DATA_DIR/email-queue.json and sent by the configured
+// transport. A failed send is retried after EMAIL_RETRY_BASE_MS, doubling each time up to
+// an hour, until EMAIL_MAX_ATTEMPTS; the email is then left failed for an admin to retry.
+const EMAIL_FROM = process.env.EMAIL_FROM || 'Face Swap Merch <orders@localhost>';
+const EMAIL_REPLY_TO = process.env.EMAIL_REPLY_TO || undefined;
+const EMAIL_MAX_ATTEMPTS = Number(process.env.EMAIL_MAX_ATTEMPTS || 6);
+const EMAIL_RETRY_BASE_MS = Number(process.env.EMAIL_RETRY_BASE_MS || 30 * 1000);
+const EMAIL_RETRY_MAX_MS = 60 * 60 * 1000;
+const EMAIL_WORKER_INTERVAL_MS = Number(process.env.EMAIL_WORKER_INTERVAL_MS || 15 * 1000);
+// Sent and failed emails (and the addresses in them) are forgotten after a week
+const EMAIL_KEEP_MS = 7 * 24 * 60 * 60 * 1000;
+
+// { [id]: { id, key, template, to, data, status, attempts, nextAttemptAt, lastError,
+//   messageId, createdAt, sentAt } }; status is queued, sent or failed
+const emailStore = createJsonFileStore(path.join(DATA_DIR, 'email-queue.json'));
+
+let transport = null;
+let processing = null;
+
+// Error raised by admin operations on the queue. `code` is not_found or not_retryable.
+export class EmailQueueError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'EmailQueueError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+const retryDelay = (attempts) => Math.min(EMAIL_RETRY_BASE_MS * 2 ** (attempts - 1), EMAIL_RETRY_MAX_MS);
+
+// Addresses stay out of the listing
+const publicEmail = ({ to, data, ...email }) => email;
+
+const sendEmail = async (email) => {
+    transport = transport || createEmailTransport();
+    const { subject, html, text, attachments } = await renderEmail(email.template, email.data);
+    return transport.send({ from: EMAIL_FROM, replyTo: EMAIL_REPLY_TO, to: email.to, subject, html, text, attachments });
+};
+
+const attemptEmail = async (email) => {
+    email.attempts++;
+    try {
+        const { messageId } = await sendEmail(email);
+        Object.assign(email, { status: 'sent', messageId, lastError: null, nextAttemptAt: null, sentAt: new Date().toISOString() });
+        logger.info('Email sent', { emailId: email.id, template: email.template, attempts: email.attempts });
+    } catch (error) {
+        const exhausted = email.attempts >= EMAIL_MAX_ATTEMPTS;
+        Object.assign(email, {
+            status: exhausted ? 'failed' : 'queued',
+            lastError: error.message,
+            nextAttemptAt: exhausted ? null : new Date(Date.now() + retryDelay(email.attempts)).toISOString()
+        });
+        logger[exhausted ? 'error' : 'warn']('Email could not be sent', { emailId: email.id, template: email.template, attempts: email.attempts, error });
+    }
+};
+
+// Send every queued email that is due, one at a time, and forget old ones. Calls made
+// while a run is in progress share it.
+export const processEmailQueue = () => {
+    if (!processing) {
+        processing = (async () => {
+            const emails = await emailStore.load();
+            const now = Date.now();
+            const due = Object.values(emails)
+                .filter(email => email.status === 'queued' && Date.parse(email.nextAttemptAt) <= now)
+                .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+            for (const email of due) {
+                await attemptEmail(email);
+                await emailStore.persist();
+            }
+
+            for (const email of Object.values(emails)) {
+                if (email.status !== 'queued' && now - Date.parse(email.createdAt) > EMAIL_KEEP_MS) {
+                    delete emails[email.id];
+                }
+            }
+            await emailStore.persist();
+            return due.length;
+        })().finally(() => {
+            processing = null;
+        });
+    }
+    return processing;
+};
+
+// Process the queue soon; after the run in progress, if any, which may have missed new emails
+const kick = () => setImmediate(() => Promise.resolve(processing)
+    .catch(() => null)
+    .then(processEmailQueue)
+    .catch(error => logger.error('Email queue run failed', { error })));
+
+// Queue template (see emailTemplates.js) rendered with data for to, and send it soon.
+// key names the occasion (e.g. order_shipped:<orderId>:<shipmentId>): an email with the
+// same key is only ever queued once, so webhook redeliveries do not send it again.
+export const queueEmail = async ({ key, template, to, data }) => {
+    const emails = await emailStore.load();
+    const existing = Object.values(emails).find(email => email.key === key);
+    if (existing) return publicEmail(existing);
+
+    const now = new Date().toISOString();
+    const email = {
+        id: uuidv4(),
+        key,
+        template,
+        to,
+        data,
+        status: 'queued',
+        attempts: 0,
+        nextAttemptAt: now,
+        lastError: null,
+        messageId: null,
+        createdAt: now,
+        sentAt: null
+    };
+    emails[email.id] = email;
+    await emailStore.persist();
+    logger.info('Email queued', { emailId: email.id, template });
+    kick();
+    return publicEmail(email);
+};
+
+// Newest first, optionally narrowed to one status
+export const listEmails = async ({ status, limit = 100 } = {}) => {
+    const emails = await emailStore.load();
+    return Object.values(emails)
+        .filter(email => !status || email.status === status)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit)
+        .map(publicEmail);
+};
+
+// Queue a failed email for another round of attempts
+export const retryEmail = async (emailId) => {
+    const emails = await emailStore.load();
+    const email = emails[emailId];
+    if (!email) {
+        throw new EmailQueueError('Email not found.', 'not_found', { emailId });
+    }
+    if (email.status !== 'failed') {
+        throw new EmailQueueError(`Only failed emails can be retried; this one is ${email.status}.`, 'not_retryable', { emailId, status: email.status });
+    }
+    Object.assign(email, { status: 'queued', attempts: 0, nextAttemptAt: new Date().toISOString() });
+    await emailStore.persist();
+    kick();
+    return publicEmail(email);
+};
+
+// Send due emails now (those queued before a restart) and every EMAIL_WORKER_INTERVAL_MS
+export const startEmailWorker = () => {
+    const run = () => processEmailQueue().catch(error => logger.error('Email queue run failed', { error }));
+
+    run();
+    setInterval(run, EMAIL_WORKER_INTERVAL_MS).unref();
+};
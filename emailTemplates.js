@@ -0,0 +1,180 @@
+// backend/emailTemplates.js
+import sharp from 'sharp';
+import dotenv from 'dotenv';
+import { getAsset } from './assetService.js';
+import { renderMockupPreview } from './mockupService.js';
+import { storage } from './storageService.js';
+import { logger } from './logger.js';
+
+dotenv.config();
+
+const BRAND_NAME = process.env.EMAIL_BRAND_NAME || 'Face Swap Merch';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://front-end-face-swap.vercel.app';
+const THUMBNAIL_WIDTH = 480;
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const formatMoney = (cents, currency = 'usd') => new Intl.NumberFormat('en-US', { style: 'currency', currency: currency.toUpperCase() }).format(cents / 100);
+
+// Both parts of an email share one frame: a greeting, the body and a sign-off
+const layout = ({ title, greeting, html, text }) => ({
+    html: `<!doctype html>
+<html>
+<body style="margin:0;padding:24px;background:#f4f4f5;font-family:Helvetica,Arial,sans-serif;color:#18181b">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px">
+<tr><td style="padding:24px 32px;border-bottom:1px solid #e4e4e7;font-size:18px;font-weight:bold">${escapeHtml(BRAND_NAME)}</td></tr>
+<tr><td style="padding:24px 32px;font-size:15px;line-height:1.5">
+<h1 style="font-size:20px;margin:0 0 16px">${escapeHtml(title)}</h1>
+<p>${escapeHtml(greeting)}</p>
+${html}
+<p style="margin-top:32px;color:#71717a;font-size:13px">Questions? Reply to this email.<br>${escapeHtml(BRAND_NAME)}</p>
+</td></tr>
+</table>
+</body>
+</html>
+`,
+    text: `${title}\n\n${greeting}\n\n${text}\n\nQuestions? Reply to this email.\n${BRAND_NAME}\n`
+});
+
+const greetingFor = (name) => (name ? `Hi ${name},` : 'Hi,');
+
+const button = (href, label) => `<p style="margin:24px 0"><a href="${escapeHtml(href)}" style="background:#18181b;color:#ffffff;padding:12px 20px;border-radius:6px;text-decoration:none;display:inline-block">${escapeHtml(label)}</a></p>`;
+
+// The lines, shipping, tax and total of an order summary (see notificationService.js)
+const orderTable = ({ lines, shipping, tax, total, currency }) => {
+    const rows = [
+        ...lines.map(line => [`${line.name} × ${line.quantity}`, formatMoney(line.amount, currency)]),
+        ...(shipping ? [[`Shipping (${shipping.name})`, formatMoney(shipping.amount, currency)]] : []),
+        ...(tax ? [['Tax', formatMoney(tax, currency)]] : [])
+    ];
+    const html = `<table role="presentation" width="100%" cellpadding="6" cellspacing="0" style="border-collapse:collapse;margin:16px 0">
+${rows.map(([label, amount]) => `<tr><td style="border-bottom:1px solid #e4e4e7">${escapeHtml(label)}</td><td align="right" style="border-bottom:1px solid #e4e4e7">${escapeHtml(amount)}</td></tr>`).join('\n')}
+<tr><td><strong>Total</strong></td><td align="right"><strong>${escapeHtml(formatMoney(total, currency))}</strong></td></tr>
+</table>`;
+    const text = [...rows, ['Total', formatMoney(total, currency)]].map(([label, amount]) => `${label}: ${amount}`).join('\n');
+    return { html, text };
+};
+
+const addressLines = (address) => (address || []).filter(Boolean);
+
+// Templates by name. Each renders its data (JSON, as queued) to { subject, title,
+// greeting, html, text, attachments? }.
+const templates = {
+    // data: { orderId, reference, name, lines, shipping, tax, total, currency, address }
+    order_confirmation: (data) => {
+        const table = orderTable(data);
+        const address = addressLines(data.address);
+        return {
+            subject: `Order ${data.reference} confirmed`,
+            title: 'Thanks for your order!',
+            greeting: greetingFor(data.name),
+            html: `<p>We have your payment and your order <strong>${escapeHtml(data.reference)}</strong> is on its way to production. We will email you again when it ships.</p>
+${table.html}
+${address.length ? `<p><strong>Shipping to</strong><br>${address.map(escapeHtml).join('<br>')}</p>` : ''}`,
+            text: `We have your payment and your order ${data.reference} is on its way to production. We will email you again when it ships.\n\n${table.text}${address.length ? `\n\nShipping to:\n${address.join('\n')}` : ''}`
+        };
+    },
+
+    // data: { orderId, reference, name, shipment: { carrier, service, trackingNumber, trackingUrl, shipDate } }
+    order_shipped: (data) => {
+        const { carrier, service, trackingNumber } = data.shipment;
+        const trackingUrl = /^https?:\/\//i.test(data.shipment.trackingUrl || '') ? data.shipment.trackingUrl : null;
+        // Printful's service names usually start with the carrier's
+        const via = service || carrier;
+        return {
+            subject: `Order ${data.reference} has shipped`,
+            title: 'Your order has shipped',
+            greeting: greetingFor(data.name),
+            html: `<p>Your order <strong>${escapeHtml(data.reference)}</strong> is on its way${via ? ` with ${escapeHtml(via)}` : ''}.</p>
+${trackingNumber ? `<p>Tracking number: <strong>${escapeHtml(trackingNumber)}</strong></p>` : ''}
+${trackingUrl ? button(trackingUrl, 'Track your package') : ''}`,
+            text: `Your order ${data.reference} is on its way${via ? ` with ${via}` : ''}.${trackingNumber ? `\n\nTracking number: ${trackingNumber}` : ''}${trackingUrl ? `\nTrack your package: ${trackingUrl}` : ''}`
+        };
+    },
+
+    // data: { orderId, reference, name, problem: 'failed' | 'canceled', refunded, currency }
+    order_problem: (data) => {
+        const canceled = data.problem === 'canceled';
+        const summary = canceled
+            ? `Your order ${data.reference} has been canceled.`
+            : `We ran into a problem producing your order ${data.reference}, and we are looking into it.`;
+        const refund = data.refunded ? `We have refunded ${formatMoney(data.refunded, data.currency)}; it can take 5 to 10 days to reach your account.` : null;
+        const next = canceled
+            ? 'If you did not expect this, reply to this email and we will sort it out.'
+            : 'We will be in touch about putting it right. You do not need to do anything.';
+        return {
+            subject: canceled ? `Order ${data.reference} was canceled` : `A problem with order ${data.reference}`,
+            title: canceled ? 'Your order was canceled' : 'A problem with your order',
+            greeting: greetingFor(data.name),
+            html: `<p>${escapeHtml(summary)}</p>
+${refund ? `<p>${escapeHtml(refund)}</p>` : ''}
+<p>${escapeHtml(next)}</p>`,
+            text: [summary, refund, next].filter(Boolean).join('\n\n')
+        };
+    },
+
+    // data: { jobId, resultAssetId, mockupProduct: { id, name, baseImageUrl } | null }; the
+    // thumbnail shows the result on that product, or alone, and is attached inline, as
+    // mail clients often block remote images
+    swap_ready: async (data) => {
+        const asset = data.resultAssetId ? await getAsset(data.resultAssetId) : null;
+        const mockup = asset && data.mockupProduct ? await loadMockupThumbnail(asset, data.mockupProduct) : null;
+        const thumbnail = mockup || (asset && await loadThumbnail(asset));
+        const caption = mockup ? `Here it is on a ${data.mockupProduct.name}:` : 'Here it is:';
+        return {
+            subject: 'Your face swap is ready',
+            title: 'Your face swap is ready',
+            greeting: greetingFor(null),
+            html: `<p>Your face swap has finished. ${thumbnail ? escapeHtml(caption) : ''}</p>
+${thumbnail ? `<p><img src="cid:${thumbnail.cid}" width="${THUMBNAIL_WIDTH / 2}" alt="Preview of your face swap" style="max-width:100%;border-radius:6px"></p>` : ''}
+${button(FRONTEND_URL, 'See it and put it on merch')}`,
+            text: `Your face swap has finished. See it and put it on merch: ${FRONTEND_URL}`,
+            attachments: thumbnail ? [thumbnail] : []
+        };
+    }
+};
+
+const toAttachment = async (image, cid) => ({
+    filename: 'preview.jpg',
+    content: await sharp(image).resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true }).jpeg({ quality: 80 }).toBuffer(),
+    contentType: 'image/jpeg',
+    cid
+});
+
+// The watermarked preview of an asset (its image if it has none), shrunk to an inline
+// attachment. Returns null when its image is gone, e.g. the user deleted it.
+const loadThumbnail = async (asset) => {
+    try {
+        return await toAttachment(await storage.get(asset.previewKey || asset.key), `preview-${asset.id}@email`);
+    } catch (error) {
+        logger.warn('Email thumbnail could not be rendered', { assetId: asset.id, error });
+        return null;
+    }
+};
+
+// The asset rendered onto a product, watermarked and kept out of the user's gallery
+const loadMockupThumbnail = async (asset, product) => {
+    try {
+        const image = await renderMockupPreview({ designUrl: asset.url, product });
+        return image ? await toAttachment(image, `mockup-${asset.id}@email`) : null;
+    } catch (error) {
+        logger.warn('Email mockup thumbnail could not be rendered', { assetId: asset.id, productId: product.id, error });
+        return null;
+    }
+};
+
+export const EMAIL_TEMPLATES = Object.keys(templates);
+
+// Render the named template with data to { subject, html, text, attachments }
+export const renderEmail = async (template, data) => {
+    if (!templates[template]) {
+        throw new Error(`Unknown email template "${template}".`);
+    }
+    const { subject, title, greeting, html, text, attachments = [] } = await templates[template](data);
+    return { subject, ...layout({ title, greeting, html, text }), attachments };
+};
@@ -0,0 +1,73 @@
+// backend/emailTransports.js
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import dotenv from 'dotenv';
+import { DATA_DIR } from './jsonFileStore.js';
+import { timeUpstreamCall } from './metrics.js';
+
+dotenv.config();
+
+// Every email transport implements:
+//   send({ from, replyTo?, to, subject, html, text, attachments }) -> { messageId }
+// (attachments as nodemailer takes them: { filename, content, contentType, cid? })
+
+// SMTP server at SMTP_HOST:SMTP_PORT. SMTP_SECURE=true connects over TLS (port 465);
+// otherwise STARTTLS is used when the server offers it. SMTP_USER and SMTP_PASS log in,
+// if set. For local testing point it at a catcher such as MailHog (SMTP_PORT=1025).
+const createSmtpTransport = () => {
+    if (!process.env.SMTP_HOST) {
+        throw new Error('SMTP_HOST is not configured.');
+    }
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT || 587),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+        connectionTimeout: 10000,
+        greetingTimeout: 10000,
+        socketTimeout: 30000
+    });
+
+    return {
+        name: 'smtp',
+
+        async send(message) {
+            const info = await timeUpstreamCall('smtp', 'send', () => transporter.sendMail(message));
+            return { messageId: info.messageId };
+        }
+    };
+};
+
+// Development: write each message to EMAIL_OUTBOX_DIR (default <DATA_DIR>/outbox) as an
+// .eml file, which mail clients open as the email would have arrived
+const createFileTransport = () => {
+    const directory = process.env.EMAIL_OUTBOX_DIR || path.join(DATA_DIR, 'outbox');
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+    return {
+        name: 'file',
+        directory,
+
+        async send(message) {
+            const info = await transporter.sendMail(message);
+            await fs.mkdir(directory, { recursive: true });
+            const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+            await fs.writeFile(path.join(directory, fileName), info.message);
+            return { messageId: info.messageId };
+        }
+    };
+};
+
+const transports = {
+    smtp: createSmtpTransport,
+    file: createFileTransport
+};
+
+// EMAIL_TRANSPORT picks the transport: smtp when SMTP_HOST is set, file otherwise
+export const createEmailTransport = (transport = process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'file')) => {
+    if (!transports[transport]) {
+        throw new Error(`Unknown EMAIL_TRANSPORT "${transport}".`);
+    }
+    return transports[transport]();
+};
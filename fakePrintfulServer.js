@@ -0,0 +1,388 @@
+// backend/fakePrintfulServer.js
+// In-memory stand-in for the parts of the Printful API this backend uses, for offline
+// development and testing. Run it with `npm run fake-printful` and point the client at
+// it with PRINTFUL_API_URL=http://localhost:4010 (any PRINTFUL_API_KEY is accepted).
+// SANDBOX mode serves it in-process instead (see sandboxRoutes.js).
+import express from 'express';
+import fetch from 'node-fetch';
+import { fileURLToPath } from 'url';
+import { logger } from './logger.js';
+
+const catalogProducts = [
+    {
+        id: 71,
+        type: 'T-SHIRT',
+        type_name: 'T-Shirt',
+        title: 'Unisex Staple T-Shirt | Bella + Canvas 3001',
+        brand: 'Bella + Canvas',
+        model: '3001',
+        image: 'https://files.cdn.printful.com/o/products/71/product_1613463122.jpg',
+        variant_count: 3,
+        currency: 'USD',
+        files: [{ id: 'default', type: 'default', title: 'Front print' }, { id: 'back', type: 'back', title: 'Back print' }]
+    },
+    {
+        id: 19,
+        type: 'MUG',
+        type_name: 'Mug',
+        title: 'White Glossy Mug',
+        brand: null,
+        model: 'White Glossy Mug',
+        image: 'https://files.cdn.printful.com/o/products/19/product_1550594502.jpg',
+        variant_count: 1,
+        currency: 'USD',
+        files: [{ id: 'default', type: 'default', title: 'Print file' }]
+    }
+];
+
+export const catalogVariants = [
+    { id: 4011, product_id: 71, name: 'Unisex Staple T-Shirt | Bella + Canvas 3001 (White / S)', size: 'S', color: 'White', color_code: '#ffffff', image: 'https://files.cdn.printful.com/products/71/4011_1581412484.jpg', price: '9.25', in_stock: true },
+    { id: 4012, product_id: 71, name: 'Unisex Staple T-Shirt | Bella + Canvas 3001 (White / M)', size: 'M', color: 'White', color_code: '#ffffff', image: 'https://files.cdn.printful.com/products/71/4012_1581412484.jpg', price: '9.25', in_stock: true },
+    { id: 4017, product_id: 71, name: 'Unisex Staple T-Shirt | Bella + Canvas 3001 (Black / M)', size: 'M', color: 'Black', color_code: '#0b0b0b', image: 'https://files.cdn.printful.com/products/71/4017_1581412484.jpg', price: '9.25', in_stock: true },
+    { id: 1320, product_id: 19, name: 'White Glossy Mug (11 oz)', size: '11 oz', color: 'White', color_code: '#ffffff', image: 'https://files.cdn.printful.com/products/19/1320_1550594502.jpg', price: '5.95', in_stock: true }
+];
+
+const printfilesByProduct = {
+    71: {
+        product_id: 71,
+        available_placements: { front: 'Front print', back: 'Back print' },
+        printfiles: [
+            { printfile_id: 1, width: 1800, height: 2400, dpi: 150, fill_mode: 'fit', can_rotate: false }
+        ],
+        variant_printfiles: [4011, 4012, 4017].map(variantId => ({ variant_id: variantId, placements: { front: 1, back: 1 } })),
+        option_groups: [],
+        options: []
+    },
+    19: {
+        product_id: 19,
+        available_placements: { default: 'Print file' },
+        printfiles: [
+            { printfile_id: 40, width: 2700, height: 1050, dpi: 300, fill_mode: 'cover', can_rotate: false }
+        ],
+        variant_printfiles: [{ variant_id: 1320, placements: { default: 40 } }],
+        option_groups: [],
+        options: []
+    }
+};
+
+const sendError = (res, status, reason, message) => {
+    res.status(status).json({ code: status, result: message, error: { reason, message } });
+};
+
+const paginate = (req, items) => {
+    const offset = Number(req.query.offset || 0);
+    const limit = Math.min(Number(req.query.limit || 20), 100);
+    return {
+        code: 200,
+        result: items.slice(offset, offset + limit),
+        paging: { total: items.length, offset, limit }
+    };
+};
+
+// Statuses a confirmed order moves through, one every orderStepMs
+const ORDER_PROGRESSION = ['pending', 'inprocess', 'fulfilled'];
+
+// Build the fake API. Options:
+//   rateLimitEvery: answer every Nth request with 429 and Retry-After: 1 (0 = never)
+//   orderStepMs: move confirmed orders on to their next status this often (0 = never)
+//   onEvent: called with each webhook event ({ type, created, retries, store, data })
+//            as the real API would deliver it
+export const createFakePrintfulServer = ({ rateLimitEvery = 0, orderStepMs = 0, onEvent = () => {} } = {}) => {
+    const app = express();
+    app.use(express.json());
+
+    const files = new Map();
+    const orders = new Map();
+    const syncProducts = new Map();
+    let nextId = 1000;
+    let requestCount = 0;
+
+    const emit = (type, data) => {
+        Promise.resolve()
+            .then(() => onEvent({ type, created: Math.floor(Date.now() / 1000), retries: 0, store: 1, data }))
+            .catch(error => logger.error('Fake Printful webhook failed', { type, error }));
+    };
+
+    // Walk a confirmed order through the rest of ORDER_PROGRESSION, shipping it at the end.
+    // Orders canceled in the meantime stop where they are.
+    const scheduleProgress = (order) => {
+        if (orderStepMs <= 0) return;
+        setTimeout(() => {
+            const step = ORDER_PROGRESSION.indexOf(order.status);
+            const next = step >= 0 && ORDER_PROGRESSION[step + 1];
+            if (!next) return;
+
+            order.status = next;
+            order.updated = Math.floor(Date.now() / 1000);
+            if (next === 'fulfilled') {
+                const shipment = {
+                    id: nextId++,
+                    carrier: 'USPS',
+                    service: 'USPS First Class Package',
+                    tracking_number: `9400${String(order.id).padStart(18, '0')}`,
+                    tracking_url: `https://tools.usps.com/go/TrackConfirmAction?tLabels=9400${String(order.id).padStart(18, '0')}`,
+                    ship_date: new Date().toISOString().slice(0, 10),
+                    shipped_at: order.updated
+                };
+                order.shipments.push(shipment);
+                emit('package_shipped', { shipment, order: { ...order } });
+            } else {
+                emit('order_updated', { order: { ...order } });
+                scheduleProgress(order);
+            }
+        }, orderStepMs).unref();
+    };
+
+    app.use((req, res, next) => {
+        if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+            return sendError(res, 401, 'Unauthorized', 'Missing or invalid access token.');
+        }
+        requestCount++;
+        if (rateLimitEvery > 0 && requestCount % rateLimitEvery === 0) {
+            res.set('Retry-After', '1');
+            return sendError(res, 429, 'TooManyRequests', 'Too many requests. Please try again after 1 seconds.');
+        }
+        next();
+    });
+
+    app.get('/products', (req, res) => {
+        res.json({ code: 200, result: catalogProducts });
+    });
+
+    app.get('/products/variant/:id', (req, res) => {
+        const variant = catalogVariants.find(entry => entry.id === Number(req.params.id));
+        if (!variant) return sendError(res, 404, 'NotFound', 'Variant not found.');
+        const product = catalogProducts.find(entry => entry.id === variant.product_id);
+        res.json({ code: 200, result: { variant, product } });
+    });
+
+    app.get('/products/:id', (req, res) => {
+        const product = catalogProducts.find(entry => entry.id === Number(req.params.id));
+        if (!product) return sendError(res, 404, 'NotFound', 'Product not found.');
+        res.json({ code: 200, result: { product, variants: catalogVariants.filter(entry => entry.product_id === product.id) } });
+    });
+
+    app.get('/mockup-generator/printfiles/:productId', (req, res) => {
+        const printfiles = printfilesByProduct[req.params.productId];
+        if (!printfiles) return sendError(res, 404, 'NotFound', 'Product not found.');
+        res.json({ code: 200, result: printfiles });
+    });
+
+    app.post('/files', (req, res) => {
+        if (!req.body.url) return sendError(res, 400, 'BadRequest', 'File URL is required.');
+        const file = {
+            id: nextId++,
+            type: req.body.type || 'default',
+            url: req.body.url,
+            filename: req.body.filename || req.body.url.split('/').pop(),
+            status: 'ok',
+            created: Math.floor(Date.now() / 1000)
+        };
+        files.set(file.id, file);
+        res.json({ code: 200, result: file });
+    });
+
+    app.get('/files/:id', (req, res) => {
+        const file = files.get(Number(req.params.id));
+        if (!file) return sendError(res, 404, 'NotFound', 'File not found.');
+        res.json({ code: 200, result: file });
+    });
+
+    app.post('/orders', (req, res) => {
+        const { recipient, items, external_id: externalId } = req.body;
+        if (!recipient?.address1 || !recipient?.country_code) {
+            return sendError(res, 400, 'BadRequest', 'Recipient address is required.');
+        }
+        if (!Array.isArray(items) || items.length === 0) {
+            return sendError(res, 400, 'BadRequest', 'Items are required.');
+        }
+        if (externalId && [...orders.values()].some(order => order.external_id === externalId)) {
+            return sendError(res, 400, 'BadRequest', `Order with external ID ${externalId} already exists.`);
+        }
+        const unknown = items.find(item => !catalogVariants.some(variant => variant.id === Number(item.variant_id)));
+        if (unknown) {
+            return sendError(res, 400, 'BadRequest', `Item variant ${unknown.variant_id} not found.`);
+        }
+
+        const order = {
+            id: nextId++,
+            external_id: externalId || null,
+            status: req.query.confirm === 'true' || req.query.confirm === '1' ? 'pending' : 'draft',
+            shipping: req.body.shipping || 'STANDARD',
+            created: Math.floor(Date.now() / 1000),
+            recipient,
+            items: items.map(item => ({ id: nextId++, ...item })),
+            shipments: []
+        };
+        orders.set(order.id, order);
+        if (order.status === 'pending') scheduleProgress(order);
+        res.json({ code: 200, result: order });
+    });
+
+    // Flat-rate shipping and a US-only sales tax, so quotes are predictable in tests
+    const shippingRatesFor = (items) => {
+        const quantity = items.reduce((sum, item) => sum + Number(item.quantity || 1), 0);
+        return [
+            { id: 'STANDARD', name: 'Flat Rate (3-4 business days after fulfillment)', rate: (3.99 + 2 * (quantity - 1)).toFixed(2), currency: 'USD', minDeliveryDays: 3, maxDeliveryDays: 4 },
+            { id: 'EXPRESS', name: 'Express (1-2 business days after fulfillment)', rate: (12.49 + 3 * (quantity - 1)).toFixed(2), currency: 'USD', minDeliveryDays: 1, maxDeliveryDays: 2 }
+        ];
+    };
+
+    const sumCosts = (items, priceOf) => items.reduce((sum, item) => sum + priceOf(item) * Number(item.quantity || 1), 0);
+
+    app.post('/shipping/rates', (req, res) => {
+        const { recipient, items } = req.body;
+        if (!recipient?.country_code || !Array.isArray(items) || items.length === 0) {
+            return sendError(res, 400, 'BadRequest', 'Recipient country and items are required.');
+        }
+        res.json({ code: 200, result: shippingRatesFor(items) });
+    });
+
+    app.post('/orders/estimate-costs', (req, res) => {
+        const { recipient, items, shipping = 'STANDARD' } = req.body;
+        if (!recipient?.country_code || !Array.isArray(items) || items.length === 0) {
+            return sendError(res, 400, 'BadRequest', 'Recipient country and items are required.');
+        }
+        const unknown = items.find(item => !catalogVariants.some(variant => variant.id === Number(item.variant_id)));
+        if (unknown) {
+            return sendError(res, 400, 'BadRequest', `Item variant ${unknown.variant_id} not found.`);
+        }
+
+        const rate = Number(shippingRatesFor(items).find(entry => entry.id === shipping)?.rate || 0);
+        const costsFor = (subtotal) => {
+            const tax = recipient.country_code === 'US' ? Math.round(subtotal * 7.25) / 100 : 0;
+            return {
+                currency: 'USD',
+                subtotal: subtotal.toFixed(2),
+                discount: '0.00',
+                shipping: rate.toFixed(2),
+                tax: tax.toFixed(2),
+                vat: '0.00',
+                total: (subtotal + rate + tax).toFixed(2)
+            };
+        };
+        res.json({
+            code: 200,
+            result: {
+                costs: costsFor(sumCosts(items, item => Number(catalogVariants.find(variant => variant.id === Number(item.variant_id)).price))),
+                retail_costs: costsFor(sumCosts(items, item => Number(item.retail_price || 0)))
+            }
+        });
+    });
+
+    app.post('/orders/:id/confirm', (req, res) => {
+        const order = orders.get(Number(req.params.id));
+        if (!order) return sendError(res, 404, 'NotFound', 'Order not found.');
+        if (order.status !== 'draft') return sendError(res, 400, 'BadRequest', 'Only draft orders can be confirmed.');
+        order.status = 'pending';
+        scheduleProgress(order);
+        res.json({ code: 200, result: order });
+    });
+
+    app.delete('/orders/:id', (req, res) => {
+        const order = orders.get(Number(req.params.id));
+        if (!order) return sendError(res, 404, 'NotFound', 'Order not found.');
+        if (!['draft', 'pending', 'failed'].includes(order.status)) {
+            return sendError(res, 400, 'BadRequest', 'Order can not be canceled.');
+        }
+        order.status = 'canceled';
+        emit('order_canceled', { order: { ...order }, reason: 'Canceled by the store.' });
+        res.json({ code: 200, result: order });
+    });
+
+    app.get('/orders', (req, res) => {
+        res.json(paginate(req, [...orders.values()].reverse()));
+    });
+
+    app.get('/orders/:id', (req, res) => {
+        const { id } = req.params;
+        const order = id.startsWith('@')
+            ? [...orders.values()].find(entry => entry.external_id === id.slice(1))
+            : orders.get(Number(id));
+        if (!order) return sendError(res, 404, 'NotFound', 'Order not found.');
+        res.json({ code: 200, result: order });
+    });
+
+    app.get('/store/products', (req, res) => {
+        res.json(paginate(req, [...syncProducts.values()].map(({ sync_variants, ...product }) => product)));
+    });
+
+    app.post('/store/products', (req, res) => {
+        const { sync_product: syncProduct, sync_variants: syncVariants } = req.body;
+        if (!syncProduct?.name || !Array.isArray(syncVariants) || syncVariants.length === 0) {
+            return sendError(res, 400, 'BadRequest', 'sync_product.name and sync_variants are required.');
+        }
+        const product = {
+            id: nextId++,
+            external_id: syncProduct.external_id || null,
+            name: syncProduct.name,
+            thumbnail_url: syncProduct.thumbnail || null,
+            variants: syncVariants.length,
+            synced: syncVariants.length,
+            sync_variants: syncVariants.map(variant => ({ id: nextId++, ...variant }))
+        };
+        syncProducts.set(product.id, product);
+        const { sync_variants: variants, ...summary } = product;
+        res.json({ code: 200, result: summary });
+    });
+
+    app.get('/store/products/:id', (req, res) => {
+        const product = syncProducts.get(Number(req.params.id));
+        if (!product) return sendError(res, 404, 'NotFound', 'Sync product not found.');
+        const { sync_variants: syncVariants, ...summary } = product;
+        res.json({ code: 200, result: { sync_product: summary, sync_variants: syncVariants } });
+    });
+
+    app.put('/store/products/:id', (req, res) => {
+        const product = syncProducts.get(Number(req.params.id));
+        if (!product) return sendError(res, 404, 'NotFound', 'Sync product not found.');
+        const { sync_product: syncProduct = {}, sync_variants: syncVariants } = req.body;
+
+        if (syncProduct.name) product.name = syncProduct.name;
+        if (syncProduct.thumbnail) product.thumbnail_url = syncProduct.thumbnail;
+        if (Array.isArray(syncVariants)) {
+            product.sync_variants = syncVariants.map(variant => ({
+                ...product.sync_variants.find(existing => existing.id === variant.id),
+                ...variant,
+                id: variant.id || nextId++
+            }));
+            product.variants = product.synced = product.sync_variants.length;
+        }
+        const { sync_variants: variants, ...summary } = product;
+        res.json({ code: 200, result: summary });
+    });
+
+    app.delete('/store/products/:id', (req, res) => {
+        const product = syncProducts.get(Number(req.params.id));
+        if (!product) return sendError(res, 404, 'NotFound', 'Sync product not found.');
+        syncProducts.delete(product.id);
+        const { sync_variants: variants, ...summary } = product;
+        res.json({ code: 200, result: { sync_product: summary, sync_variants: variants } });
+    });
+
+    app.get('/stores', (req, res) => {
+        res.json({ code: 200, result: [{ id: 1, name: 'Fake Printful Store', type: 'native' }] });
+    });
+
+    app.use((req, res) => sendError(res, 404, 'NotFound', `No fake for ${req.method} ${req.path}.`));
+
+    return app;
+};
+
+// Start the server when run directly. Webhook events are POSTed to FAKE_PRINTFUL_WEBHOOK_URL, if set.
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const port = process.env.FAKE_PRINTFUL_PORT || 4010;
+    const webhookUrl = process.env.FAKE_PRINTFUL_WEBHOOK_URL;
+    createFakePrintfulServer({
+        rateLimitEvery: Number(process.env.FAKE_PRINTFUL_RATE_LIMIT_EVERY || 0),
+        orderStepMs: Number(process.env.FAKE_PRINTFUL_ORDER_STEP_MS || 0),
+        onEvent: webhookUrl ? event => fetch(webhookUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(event)
+        }) : undefined
+    })
+        .listen(port, () => {
+            console.log(`Fake Printful API is running on port ${port}`);
+        });
+}
@@ -0,0 +1,253 @@
+// backend/fakeStripe.js
+import crypto from 'crypto';
+import Stripe from 'stripe';
+import { logger } from './logger.js';
+
+// In-memory stand-in for the parts of the Stripe client this backend uses
+// (checkout.sessions.create/retrieve/list/listLineItems/expire, refunds.create, balance.retrieve
+// and webhooks), for SANDBOX mode.
+// Sessions are paid from the sandbox's own checkout page (see sandboxRoutes.js), which
+// calls sandbox.completeSession; the checkout.session.completed event is then handed
+// to onEvent, as Stripe would deliver it to the webhook.
+
+const EVENT_RETRY_DELAY_MS = 5000;
+const EVENT_MAX_ATTEMPTS = 4;
+
+const randomId = (prefix) => `${prefix}_test_${crypto.randomBytes(12).toString('hex')}`;
+
+// Errors shaped like the Stripe SDK's, so callers can treat both the same way
+const invalidRequest = (message, code, statusCode = 400) => {
+    const error = new Error(message);
+    error.type = 'StripeInvalidRequestError';
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+};
+
+const toLineItem = ({ price_data: priceData, quantity = 1 }) => {
+    const amount = priceData.unit_amount * quantity;
+    return {
+        id: randomId('li'),
+        object: 'item',
+        description: priceData.product_data.name,
+        currency: priceData.currency,
+        quantity,
+        amount_subtotal: amount,
+        amount_total: amount,
+        price: {
+            id: randomId('price'),
+            object: 'price',
+            currency: priceData.currency,
+            unit_amount: priceData.unit_amount,
+            product: {
+                id: randomId('prod'),
+                object: 'product',
+                name: priceData.product_data.name,
+                images: priceData.product_data.images || [],
+                metadata: priceData.product_data.metadata || {}
+            }
+        }
+    };
+};
+
+// checkoutUrl(sessionId) is where the customer pays for a session
+export const createFakeStripe = ({ checkoutUrl, onEvent = () => {} }) => {
+    const sessions = new Map();
+    const lineItemsBySession = new Map();
+    const refunds = new Map();
+
+    const getSession = (id) => {
+        const session = sessions.get(id);
+        if (!session) {
+            throw invalidRequest(`No such checkout.session: '${id}'`, 'resource_missing', 404);
+        }
+        return session;
+    };
+
+    // Hand the event over, retrying in the background a few times if it fails
+    const deliverEvent = async (event, attempt = 1) => {
+        try {
+            await onEvent(event);
+        } catch (error) {
+            logger.error('Sandbox Stripe event failed', { type: event.type, attempt, error });
+            if (attempt < EVENT_MAX_ATTEMPTS) {
+                setTimeout(() => deliverEvent(event, attempt + 1), EVENT_RETRY_DELAY_MS).unref();
+            }
+        }
+    };
+
+    return {
+        checkout: {
+            sessions: {
+                async create(params) {
+                    if (!Array.isArray(params.line_items) || params.line_items.length === 0) {
+                        throw invalidRequest('line_items must contain at least one item.', 'parameter_missing');
+                    }
+
+                    const id = randomId('cs');
+                    const lineItems = params.line_items.map(toLineItem);
+                    const amountSubtotal = lineItems.reduce((sum, item) => sum + item.amount_total, 0);
+                    const shippingRate = params.shipping_options?.[0]?.shipping_rate_data || null;
+                    const shippingAmount = shippingRate?.fixed_amount?.amount || 0;
+                    const now = Math.floor(Date.now() / 1000);
+
+                    const session = {
+                        id,
+                        object: 'checkout.session',
+                        mode: params.mode,
+                        status: 'open',
+                        payment_status: 'unpaid',
+                        currency: lineItems[0].currency,
+                        amount_subtotal: amountSubtotal,
+                        amount_total: amountSubtotal + shippingAmount,
+                        shipping_cost: shippingRate ? { amount_total: shippingAmount, display_name: shippingRate.display_name } : null,
+                        shipping_address_collection: params.shipping_address_collection || null,
+                        customer_email: params.customer_email || null,
+                        customer_details: null,
+                        shipping_details: null,
+                        payment_intent: null,
+                        metadata: params.metadata || {},
+                        success_url: params.success_url,
+                        cancel_url: params.cancel_url,
+                        url: checkoutUrl(id),
+                        created: now,
+                        expires_at: now + 24 * 60 * 60
+                    };
+                    sessions.set(id, session);
+                    lineItemsBySession.set(id, lineItems);
+                    return structuredClone(session);
+                },
+
+                async retrieve(id) {
+                    return structuredClone(getSession(id));
+                },
+
+                // Newest first
+                async list({ limit = 10 } = {}) {
+                    const data = [...sessions.values()].reverse();
+                    return { object: 'list', data: structuredClone(data.slice(0, limit)), has_more: data.length > limit };
+                },
+
+                // Products are IDs unless expanded with expand: ['data.price.product'], as in Stripe
+                async listLineItems(id, { limit = 10, expand = [] } = {}) {
+                    getSession(id);
+                    const data = lineItemsBySession.get(id).slice(0, limit).map(item => {
+                        const copy = structuredClone(item);
+                        if (!expand.includes('data.price.product')) copy.price.product = item.price.product.id;
+                        return copy;
+                    });
+                    return { object: 'list', data, has_more: lineItemsBySession.get(id).length > limit };
+                },
+
+                // Only open sessions can be expired; they can no longer be paid, as in Stripe
+                async expire(id) {
+                    const session = getSession(id);
+                    if (session.status !== 'open') {
+                        throw invalidRequest(`Only Checkout Sessions with a status in ["open"] can be expired; ${id} is ${session.status}.`, 'checkout_session_not_open');
+                    }
+                    session.status = 'expired';
+                    return structuredClone(session);
+                }
+            }
+        },
+
+        // Refunds of paid sessions' payment intents, at most what was paid. Repeating a
+        // request with the same idempotencyKey returns the first refund, as in Stripe.
+        refunds: {
+            async create({ payment_intent: paymentIntent, amount, reason = null, metadata = {} }, { idempotencyKey } = {}) {
+                if (idempotencyKey && refunds.has(idempotencyKey)) {
+                    return structuredClone(refunds.get(idempotencyKey));
+                }
+
+                const session = [...sessions.values()].find(entry => entry.payment_intent === paymentIntent);
+                if (!session) {
+                    throw invalidRequest(`No such payment_intent: '${paymentIntent}'`, 'resource_missing', 404);
+                }
+                const refunded = [...refunds.values()]
+                    .filter(refund => refund.payment_intent === paymentIntent)
+                    .reduce((sum, refund) => sum + refund.amount, 0);
+                const refundAmount = amount ?? session.amount_total - refunded;
+                if (refundAmount <= 0 || refunded + refundAmount > session.amount_total) {
+                    throw invalidRequest(`Refund amount (${refundAmount}) is greater than unrefunded amount on charge (${session.amount_total - refunded}).`, 'amount_too_large');
+                }
+
+                const refund = {
+                    id: randomId('re'),
+                    object: 'refund',
+                    amount: refundAmount,
+                    currency: session.currency,
+                    payment_intent: paymentIntent,
+                    reason,
+                    metadata,
+                    status: 'succeeded',
+                    created: Math.floor(Date.now() / 1000)
+                };
+                refunds.set(idempotencyKey || refund.id, refund);
+                return structuredClone(refund);
+            }
+        },
+
+        // Readiness checks call this
+        balance: {
+            async retrieve() {
+                return { object: 'balance', available: [], pending: [], livemode: false };
+            }
+        },
+
+        // Signature checks are local in the real SDK, so they are used as they are
+        webhooks: Stripe.webhooks,
+
+        // Sandbox-only calls, made by the checkout page
+        sandbox: {
+            // Pay for an open session. customer: { email, name, address: { line1, line2,
+            // city, state, postal_code, country } }; the address is required when the
+            // session collects one. Resolves once the first event delivery has been tried.
+            async completeSession(id, customer = {}) {
+                const session = getSession(id);
+                if (session.status !== 'open') {
+                    throw invalidRequest(`Checkout session ${id} is ${session.status}.`, 'checkout_session_not_open');
+                }
+
+                const collection = session.shipping_address_collection;
+                const address = customer.address?.line1 ? customer.address : null;
+                if (collection) {
+                    if (!address?.line1 || !address.city || !address.country) {
+                        throw invalidRequest('A shipping address (line1, city, country) is required.', 'parameter_missing');
+                    }
+                    if (!collection.allowed_countries.includes(address.country)) {
+                        throw invalidRequest(`Shipping to ${address.country} is not allowed.`, 'shipping_address_invalid');
+                    }
+                }
+
+                Object.assign(session, {
+                    status: 'complete',
+                    payment_status: 'paid',
+                    payment_intent: randomId('pi'),
+                    customer_details: {
+                        email: customer.email || session.customer_email,
+                        name: customer.name || null,
+                        phone: null,
+                        address
+                    },
+                    shipping_details: collection ? { name: customer.name || null, address } : null
+                });
+
+                await deliverEvent({
+                    id: randomId('evt'),
+                    object: 'event',
+                    type: 'checkout.session.completed',
+                    created: Math.floor(Date.now() / 1000),
+                    data: { object: structuredClone(session) }
+                });
+                return structuredClone(session);
+            },
+
+            // Abandon an open session, as when the customer leaves the checkout page
+            async expireSession(id) {
+                const session = getSession(id);
+                if (session.status === 'open') session.status = 'expired';
+                return structuredClone(session);
+            }
+        }
+    };
+};
@@ -0,0 +1,291 @@
+// backend/fulfillmentService.js
+import crypto from 'crypto';
+import { createPrintfulOrder, confirmPrintfulOrder, getPrintfulOrder } from './printfulService.js';
+import { orderStore, designUrlsFromItems } from './orderStore.js';
+import { toPrintReadyFiles } from './printFileService.js';
+import { confirmDraftOrder } from './orderService.js';
+import { releasePurchasedAssets } from './assetService.js';
+import { logger } from './logger.js';
+import { notifyOrderConfirmed, notifyOrderShipped, notifyOrderProblem } from './notificationService.js';
+
+// Fulfilments currently being processed in this instance, keyed by Stripe session ID.
+// Stripe can deliver the same event twice in quick succession, before the first
+// Printful order exists, so concurrent calls share one promise.
+const inFlightFulfillments = new Map();
+
+// Printful limits external_id to 32 characters, Stripe session IDs are longer,
+// so derive a stable ID from the session ID instead.
+export const printfulExternalIdForSession = (sessionId) => {
+    return crypto.createHash('sha256').update(sessionId).digest('hex').slice(0, 32);
+};
+
+// Build the createPrintfulOrder payload from a completed Checkout Session and its line items
+// (fetched with `data.price.product` expanded so the product metadata is available)
+export const buildPrintfulOrderFromSession = (session, lineItems) => {
+    const shipping = session.shipping_details;
+    const customer = session.customer_details || {};
+
+    if (!shipping || !shipping.address) {
+        throw new Error(`Checkout session ${session.id} has no shipping details.`);
+    }
+
+    const { address } = shipping;
+    const recipient = {
+        name: shipping.name || customer.name,
+        address1: address.line1,
+        address2: address.line2 || undefined,
+        city: address.city,
+        state_code: address.state || undefined,
+        country_code: address.country,
+        zip: address.postal_code,
+        email: customer.email || undefined,
+        phone: customer.phone || undefined
+    };
+
+    const items = lineItems.map(lineItem => {
+        const metadata = lineItem.price?.product?.metadata || {};
+        const variantId = Number(metadata.variant_id);
+        const fileUrl = metadata.file_url || session.metadata?.file_url;
+
+        if (!variantId || !fileUrl) {
+            throw new Error(`Line item ${lineItem.id} in checkout session ${session.id} is missing Printful variant or file metadata.`);
+        }
+
+        // The print file registered at checkout is reused; otherwise one is made at submission
+        const file = { type: metadata.placement || undefined, url: fileUrl };
+        if (metadata.print_file_id) {
+            file.id = Number(metadata.print_file_id);
+        }
+
+        return {
+            variant_id: variantId,
+            quantity: lineItem.quantity,
+            retail_price: (lineItem.price.unit_amount / 100).toFixed(2),
+            files: [file]
+        };
+    });
+
+    return {
+        external_id: printfulExternalIdForSession(session.id),
+        shipping: session.metadata?.shipping || 'STANDARD',
+        recipient,
+        items
+    };
+};
+
+// Refund in full a payment a draft could not take (see confirmDraftOrder). It is not the
+// order's own payment, so it goes in the timeline rather than the order's refunds.
+const refundUnwantedPayment = async (stripe, order, session, reason) => {
+    if (order.timeline.some(event => event.type === 'unwanted_payment_refunded' && event.stripeSessionId === session.id)) {
+        return order;
+    }
+    logger.warn('Refunding a payment the order could not take', { orderId: order.id, sessionId: session.id, reason });
+    const refund = await stripe.refunds.create({
+        payment_intent: session.payment_intent?.id || session.payment_intent,
+        reason: 'requested_by_customer',
+        metadata: { order_id: order.id }
+    }, { idempotencyKey: `refund-unwanted-${session.id}` });
+    return orderStore.addEvent(order.id, {
+        type: 'unwanted_payment_refunded',
+        stripeSessionId: session.id,
+        refundId: refund.id,
+        amount: refund.amount,
+        reason
+    });
+};
+
+// Create and confirm the Printful order for a paid Checkout Session, at most once per
+// session ID, releasing the clean designs it paid for. Sessions for a draft order
+// (metadata.order_id) confirm that draft instead, or are refunded if it cannot take them.
+export const fulfillCheckoutSession = async (stripe, session) => {
+    if (inFlightFulfillments.has(session.id)) {
+        return inFlightFulfillments.get(session.id);
+    }
+
+    const fulfillment = (async () => {
+        if (session.payment_status !== 'paid' && session.payment_status !== 'no_payment_required') {
+            return { status: 'unpaid', sessionId: session.id };
+        }
+
+        if (session.metadata?.order_id) {
+            const { status, order, reason } = await confirmDraftOrder(session.metadata.order_id, {
+                stripeSessionId: session.id,
+                amountTotal: session.amount_total
+            });
+            if (status === 'unwanted') {
+                return { status: 'refunded', sessionId: session.id, order: await refundUnwantedPayment(stripe, order, session, reason) };
+            }
+            return { status, sessionId: session.id, order };
+        }
+
+        let order = await orderStore.findByStripeSessionId(session.id);
+        if (order?.printfulOrderId) {
+            return { status: 'duplicate', sessionId: session.id, order };
+        }
+
+        // Printful is the source of truth for whether this session was already fulfilled,
+        // so retries are safe even if the ledger write after a previous attempt was lost.
+        const externalId = printfulExternalIdForSession(session.id);
+        const existingOrder = await getPrintfulOrder(`@${externalId}`);
+
+        if (!existingOrder) {
+            const lineItems = await stripe.checkout.sessions.listLineItems(session.id, {
+                limit: 100,
+                expand: ['data.price.product']
+            });
+            const orderData = buildPrintfulOrderFromSession(session, lineItems.data);
+
+            if (!order) {
+                order = await orderStore.create({
+                    status: 'paid',
+                    stripeSessionId: session.id,
+                    externalId,
+                    userId: session.metadata?.user_id || null,
+                    email: orderData.recipient.email || null,
+                    recipient: orderData.recipient,
+                    items: orderData.items,
+                    designUrls: designUrlsFromItems(orderData.items),
+                    timeline: [{ type: 'payment_succeeded', at: new Date().toISOString(), amountTotal: session.amount_total }]
+                });
+            }
+
+            // Payment has succeeded, so the customer gets their clean designs and Printful
+            // the print files
+            if (order.userId) {
+                await releasePurchasedAssets({ ownerId: order.userId, urls: order.designUrls, orderId: order.id });
+            }
+
+            // Created as a draft and confirmed straight away, as payment has already succeeded
+            let result;
+            try {
+                result = await createPrintfulOrder({
+                    ...orderData,
+                    items: await Promise.all(orderData.items.map(async item => ({
+                        ...item,
+                        files: await toPrintReadyFiles(item.variant_id, item.files)
+                    })))
+                });
+                await confirmPrintfulOrder(result.result.id);
+            } catch (error) {
+                await orderStore.addEvent(order.id, {
+                    type: 'printful_submission_failed',
+                    error: error.message
+                });
+                throw error;
+            }
+
+            order = await orderStore.update(order.id, { status: 'submitted', printfulOrderId: result.result.id });
+            await orderStore.addEvent(order.id, { type: 'printful_order_created', printfulOrderId: result.result.id });
+            return { status: 'created', sessionId: session.id, order };
+        }
+
+        // The Printful order exists but the ledger does not know about it yet, and may
+        // still be a draft if confirming it failed last time
+        const printfulOrder = existingOrder.result;
+        if (printfulOrder.status === 'draft') {
+            await confirmPrintfulOrder(printfulOrder.id);
+        }
+        const recorded = {
+            status: 'submitted',
+            stripeSessionId: session.id,
+            printfulOrderId: printfulOrder.id,
+            externalId,
+            userId: session.metadata?.user_id || null,
+            email: printfulOrder.recipient?.email || null,
+            recipient: printfulOrder.recipient,
+            items: printfulOrder.items,
+            designUrls: designUrlsFromItems(printfulOrder.items)
+        };
+        order = order
+            ? await orderStore.update(order.id, recorded)
+            : await orderStore.create(recorded);
+        return { status: 'duplicate', sessionId: session.id, order };
+    })();
+
+    inFlightFulfillments.set(session.id, fulfillment);
+    try {
+        const result = await fulfillment;
+        if (result.status === 'created') {
+            await notifyOrderConfirmed(result.order);
+        }
+        return result;
+    } finally {
+        inFlightFulfillments.delete(session.id);
+    }
+};
+
+// Order status after each Printful webhook event we track
+const PRINTFUL_EVENT_STATUSES = {
+    package_shipped: 'shipped',
+    order_failed: 'failed',
+    order_canceled: 'canceled'
+};
+
+// Record a Printful webhook event on the matching ledger order's timeline.
+// Returns null when the event type is not tracked or the order is unknown.
+export const recordPrintfulEvent = async (event) => {
+    const status = PRINTFUL_EVENT_STATUSES[event.type];
+    const printfulOrder = event.data?.order;
+    if (!status || !printfulOrder) {
+        return null;
+    }
+
+    const order = await orderStore.findByPrintfulOrderId(printfulOrder.id)
+        || (printfulOrder.external_id && await orderStore.findByExternalId(printfulOrder.external_id));
+    if (!order) {
+        return null;
+    }
+
+    const timelineEntry = { type: event.type, printfulStatus: printfulOrder.status };
+    const changes = { status };
+
+    if (event.type === 'package_shipped') {
+        const { shipment = {} } = event.data;
+        const trackedShipment = toTrackedShipment(shipment);
+        changes.shipments = [...order.shipments.filter(existing => existing.id !== shipment.id), trackedShipment];
+        Object.assign(timelineEntry, { trackingNumber: trackedShipment.trackingNumber, trackingUrl: trackedShipment.trackingUrl, carrier: trackedShipment.carrier });
+    } else {
+        timelineEntry.reason = event.data.reason;
+    }
+
+    await orderStore.update(order.id, changes);
+    const updated = await orderStore.addEvent(order.id, timelineEntry);
+    await notifyPrintfulEvent(updated, event);
+    return updated;
+};
+
+const toTrackedShipment = (shipment) => ({
+    id: shipment.id,
+    carrier: shipment.carrier,
+    service: shipment.service,
+    trackingNumber: shipment.tracking_number,
+    trackingUrl: shipment.tracking_url,
+    shipDate: shipment.ship_date
+});
+
+// Email the customer about a webhook event, going by what Printful reports for the order
+// rather than the event itself, which anyone holding the webhook URL could have sent.
+// Cancellations an admin asked for are emailed by cancelOrder once the refund settles.
+const notifyPrintfulEvent = async (order, event) => {
+    if (event.type === 'order_canceled' && order.timeline.some(entry => entry.type === 'cancel_requested_by_admin')) {
+        return;
+    }
+
+    let printfulOrder;
+    try {
+        printfulOrder = (await getPrintfulOrder(order.printfulOrderId || `@${order.externalId}`))?.result;
+    } catch (error) {
+        logger.error('Could not check a Printful event before emailing the customer', { orderId: order.id, type: event.type, error });
+        return;
+    }
+    if (!printfulOrder) return;
+
+    if (event.type === 'package_shipped') {
+        const shipment = (printfulOrder.shipments || []).find(entry => entry.id === event.data.shipment?.id);
+        if (shipment) {
+            await notifyOrderShipped(order, toTrackedShipment(shipment));
+        }
+    } else if (printfulOrder.status === PRINTFUL_EVENT_STATUSES[event.type]) {
+        await notifyOrderProblem(order, PRINTFUL_EVENT_STATUSES[event.type]);
+    }
+};
@@ -0,0 +1,79 @@
+// backend/healthService.js
+import fs from 'fs/promises';
+import dotenv from 'dotenv';
+import { storage } from './storageService.js';
+import { printfulRequest } from './printfulService.js';
+import { rateLimitStore } from './rateLimiter.js';
+import { DATA_DIR } from './jsonFileStore.js';
+
+dotenv.config();
+
+// Each readiness check gives up after HEALTH_CHECK_TIMEOUT_MS
+const CHECK_TIMEOUT_MS = Number(process.env.HEALTH_CHECK_TIMEOUT_MS || 3000);
+// /readyz is public, so its report is reused for READINESS_CACHE_MS rather than calling
+// every upstream on each hit
+const READINESS_CACHE_MS = Number(process.env.READINESS_CACHE_MS || 5000);
+
+const startedAt = Date.now();
+
+// Liveness: the process is up and serving requests
+export const liveness = () => ({ status: 'ok', uptimeSeconds: Math.round((Date.now() - startedAt) / 1000) });
+
+const runCheck = async (check) => {
+    const checkStartedAt = Date.now();
+    let timer;
+    try {
+        await Promise.race([
+            check(),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`Timed out after ${CHECK_TIMEOUT_MS}ms.`)), CHECK_TIMEOUT_MS);
+            })
+        ]);
+        return { status: 'ok', latencyMs: Date.now() - checkStartedAt };
+    } catch (error) {
+        return { status: 'error', latencyMs: Date.now() - checkStartedAt, error: error.message };
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+// Reports by Stripe client (one per app): { report, checkedAt }, checkedAt null while
+// the checks run
+const readinessReports = new WeakMap();
+
+const checkReadiness = async ({ stripe }) => {
+    const checks = {
+        dataDir: async () => {
+            await fs.mkdir(DATA_DIR, { recursive: true });
+            await fs.access(DATA_DIR, fs.constants.W_OK);
+        },
+        storage: () => storage.ping(),
+        printful: () => printfulRequest('get', '/stores'),
+        stripe: () => stripe.balance.retrieve(),
+        rateLimitStore: () => rateLimitStore.ping()
+    };
+
+    const names = Object.keys(checks);
+    const results = await Promise.all(names.map(name => runCheck(checks[name])));
+    const byName = Object.fromEntries(names.map((name, index) => [name, results[index]]));
+    return {
+        status: results.every(result => result.status === 'ok') ? 'ok' : 'error',
+        checks: byName
+    };
+};
+
+// Readiness: every dependency can be reached. Returns { status: 'ok' | 'error',
+// checks: { [dependency]: { status, latencyMs, error? } } }, at most READINESS_CACHE_MS
+// old; calls made while the checks run share them.
+export const readiness = ({ stripe }) => {
+    const cached = readinessReports.get(stripe);
+    if (cached && (cached.checkedAt === null || Date.now() - cached.checkedAt < READINESS_CACHE_MS)) {
+        return cached.report;
+    }
+    const entry = { report: null, checkedAt: null };
+    entry.report = checkReadiness({ stripe }).finally(() => {
+        entry.checkedAt = Date.now();
+    });
+    readinessReports.set(stripe, entry);
+    return entry.report;
+};
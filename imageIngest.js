@@ -0,0 +1,131 @@
+// backend/imageIngest.js
+import sharp from 'sharp';
+import heicConvert from 'heic-convert';
+import dotenv from 'dotenv';
+import { detectImageType, heifDimensions } from './imageType.js';
+
+dotenv.config();
+
+const ACCEPTED_TYPES = ['jpeg', 'png', 'gif', 'webp', 'heic'];
+const MIN_DIMENSION = Number(process.env.UPLOAD_MIN_DIMENSION || 256);
+const MAX_DIMENSION = Number(process.env.UPLOAD_MAX_DIMENSION || 2048);
+// Images are decoded in full before they are downscaled, so larger ones are refused from
+// their header: a small compressed file can claim enormous dimensions. The default admits
+// 48-megapixel phone photos.
+const MAX_INPUT_PIXELS = Number(process.env.UPLOAD_MAX_INPUT_PIXELS || 50_000_000);
+// Minimum variance of the Laplacian (measured at 512px); 0 disables the blur check
+const MIN_SHARPNESS = Number(process.env.UPLOAD_MIN_SHARPNESS ?? 15);
+
+// Error raised when an upload is refused. `code` is one of unsupported_type,
+// corrupt_image, too_small, too_large or too_blurry, for the frontend to show a specific message.
+export class IngestError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'IngestError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Variance of the Laplacian of the greyscale image: low values mean few edges, i.e. blur
+const measureSharpness = async (image) => {
+    const { data, info } = await image
+        .greyscale()
+        .resize(512, 512, { fit: 'inside', withoutEnlargement: true })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const { width, height } = info;
+    let sum = 0;
+    let sumOfSquares = 0;
+    let count = 0;
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const laplacian = data[i - 1] + data[i + 1] + data[i - width] + data[i + width] - 4 * data[i];
+            sum += laplacian;
+            sumOfSquares += laplacian * laplacian;
+            count++;
+        }
+    }
+    if (count === 0) return 0;
+    return sumOfSquares / count - (sum / count) ** 2;
+};
+
+// Normalise an uploaded image: verify its real type from the magic bytes, decode HEIC,
+// apply the EXIF orientation, strip all metadata (EXIF, GPS, ICC) and downscale
+// oversized images. Refuses images that are too small or badly blurred.
+export const ingestImage = async (buffer) => {
+    const type = detectImageType(buffer);
+    if (!ACCEPTED_TYPES.includes(type)) {
+        throw new IngestError('Unsupported image type. Upload a JPEG, PNG, GIF, WebP or HEIC image.', 'unsupported_type');
+    }
+
+    // HEIC is measured from its headers, as it is decoded in JavaScript (see below)
+    let header;
+    try {
+        header = type === 'heic' ? heifDimensions(buffer) : await sharp(buffer, { limitInputPixels: false }).metadata();
+    } catch (error) {
+        header = null;
+    }
+    if (!header?.width || !header.height) {
+        throw new IngestError('The image could not be decoded.', 'corrupt_image');
+    }
+    if (header.width * header.height > MAX_INPUT_PIXELS) {
+        throw new IngestError(
+            `The image is ${header.width}x${header.height}; it may have at most ${MAX_INPUT_PIXELS} pixels.`,
+            'too_large',
+            { width: header.width, height: header.height, maxPixels: MAX_INPUT_PIXELS }
+        );
+    }
+
+    let source = buffer;
+    if (type === 'heic') {
+        try {
+            // libvips builds shipped with sharp cannot decode HEVC, so convert first
+            source = Buffer.from(await heicConvert({ buffer, format: 'JPEG', quality: 0.95 }));
+        } catch (error) {
+            throw new IngestError('The HEIC image could not be decoded.', 'corrupt_image');
+        }
+    }
+
+    let oriented;
+    try {
+        // rotate() with no angle applies the EXIF orientation; sharp drops metadata on output
+        oriented = await sharp(source, { limitInputPixels: MAX_INPUT_PIXELS }).rotate().raw().toBuffer({ resolveWithObject: true });
+    } catch (error) {
+        throw new IngestError('The image could not be decoded.', 'corrupt_image');
+    }
+
+    const { width, height } = oriented.info;
+    if (Math.min(width, height) < MIN_DIMENSION) {
+        throw new IngestError(
+            `The image is ${width}x${height}; both sides must be at least ${MIN_DIMENSION} pixels.`,
+            'too_small',
+            { width, height, minDimension: MIN_DIMENSION }
+        );
+    }
+
+    const decoded = () => sharp(oriented.data, {
+        raw: { width, height, channels: oriented.info.channels }
+    });
+
+    if (MIN_SHARPNESS > 0) {
+        const sharpness = await measureSharpness(decoded());
+        if (sharpness < MIN_SHARPNESS) {
+            throw new IngestError('The image is too blurry. Please upload a sharper photo.', 'too_blurry', {
+                sharpness: Math.round(sharpness * 10) / 10,
+                minSharpness: MIN_SHARPNESS
+            });
+        }
+    }
+
+    const normalized = decoded()
+        .resize(MAX_DIMENSION, MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true });
+    const output = oriented.info.channels === 4
+        ? normalized.png()
+        : normalized.jpeg({ quality: 90, mozjpeg: true });
+
+    const { data, info } = await output.toBuffer({ resolveWithObject: true });
+    return { buffer: data, width: info.width, height: info.height, format: info.format };
+};
@@ -0,0 +1,61 @@
+// backend/imageType.js
+
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+const AVIF_BRANDS = ['avif', 'avis'];
+
+// Identify an image from its magic bytes, ignoring whatever the client claims.
+// Returns 'jpeg', 'png', 'gif', 'webp', 'avif', 'heic', 'tiff' or 'bmp', or null.
+export const detectImageType = (buffer) => {
+    if (!buffer || buffer.length < 12) return null;
+
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+    if (buffer.toString('ascii', 0, 6) === 'GIF87a' || buffer.toString('ascii', 0, 6) === 'GIF89a') return 'gif';
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+    if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+        const brand = buffer.toString('ascii', 8, 12);
+        if (AVIF_BRANDS.includes(brand)) return 'avif';
+        if (HEIC_BRANDS.includes(brand)) return 'heic';
+    }
+    if (buffer.toString('ascii', 0, 4) === 'II*\0' || buffer.toString('ascii', 0, 4) === 'MM\0*') return 'tiff';
+    if (buffer.toString('ascii', 0, 2) === 'BM') return 'bmp';
+
+    return null;
+};
+
+// ISO BMFF boxes directly inside buffer[start, end): [{ type, start, end }] (start of contents)
+const readBoxes = (buffer, start, end) => {
+    const boxes = [];
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = buffer.readUInt32BE(offset);
+        let headerSize = 8;
+        if (size === 1) {
+            if (offset + 16 > end) break;
+            size = Number(buffer.readBigUInt64BE(offset + 8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < headerSize || offset + size > end) break;
+        boxes.push({ type: buffer.toString('ascii', offset + 4, offset + 8), start: offset + headerSize, end: offset + size });
+        offset += size;
+    }
+    return boxes;
+};
+
+// Dimensions of a HEIC image from its headers, without decoding it: the largest image
+// spatial extent (ispe) property, as thumbnails and grid tiles have smaller ones.
+// Returns { width, height }, or null when there is none.
+export const heifDimensions = (buffer) => {
+    const child = (box, type, fullBox = false) => box && readBoxes(buffer, box.start + (fullBox ? 4 : 0), box.end).find(entry => entry.type === type);
+    const meta = readBoxes(buffer, 0, buffer.length).find(box => box.type === 'meta');
+    const ipco = child(child(meta, 'iprp', true), 'ipco');
+    if (!ipco) return null;
+
+    const extents = readBoxes(buffer, ipco.start, ipco.end)
+        .filter(box => box.type === 'ispe' && box.end - box.start >= 12)
+        .map(box => ({ width: buffer.readUInt32BE(box.start + 4), height: buffer.readUInt32BE(box.start + 8) }));
+    if (extents.length === 0) return null;
+    return extents.reduce((largest, extent) => (extent.width * extent.height > largest.width * largest.height ? extent : largest));
+};
@@ -0,0 +1,40 @@
+// backend/jsonFileStore.js
+import fs from 'fs/promises';
+import path from 'path';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const DATA_DIR = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+
+// A JSON document kept in memory and written back to disk on persist().
+// Writes are serialised and atomic (temp file + rename), so concurrent
+// requests never interleave file contents.
+export const createJsonFileStore = (filePath, initialValue = {}) => {
+    let data = null;
+    let writeQueue = Promise.resolve();
+
+    const load = async () => {
+        if (!data) {
+            try {
+                data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+                data = structuredClone(initialValue);
+            }
+        }
+        return data;
+    };
+
+    const persist = () => {
+        writeQueue = writeQueue.then(async () => {
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            const tempPath = `${filePath}.${process.pid}.tmp`;
+            await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+            await fs.rename(tempPath, filePath);
+        });
+        return writeQueue;
+    };
+
+    return { load, persist };
+};
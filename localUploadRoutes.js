@@ -0,0 +1,198 @@
+// backend/localUploadRoutes.js
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import express from 'express';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { sendError, sendInternalError } from './apiErrors.js';
+import { createApi } from './apiContract.js';
+
+const TUS_VERSION = '1.0.0';
+
+// Files with a write in progress; a second write to the same file is refused until it ends
+const writing = new Set();
+
+const currentOffset = async (filePath) => {
+    try {
+        return (await fsp.stat(filePath)).size;
+    } catch (error) {
+        if (error.code === 'ENOENT') return 0;
+        throw error;
+    }
+};
+
+// Pass a stream through, failing with code too_large once more than limit bytes went past
+const limitTo = (limit) => {
+    let received = 0;
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            received += chunk.length;
+            if (received > limit) {
+                const error = new Error(`The upload is larger than the ${limit} bytes it was signed for.`);
+                error.code = 'too_large';
+                return callback(error);
+            }
+            callback(null, chunk);
+        }
+    });
+};
+
+// Query of a signed upload URL (see signUpload in storageService.js), checked by the
+// signature before anything else
+const signedUploadQuery = {
+    type: 'object',
+    required: ['expires', 'size', 'type', 'signature'],
+    properties: {
+        expires: { type: 'string' },
+        size: { type: 'string' },
+        type: { type: 'string' },
+        signature: { type: 'string' }
+    }
+};
+
+const tusHeaders = {
+    'Upload-Offset': { schema: { type: 'integer' } },
+    'Upload-Length': { schema: { type: 'integer' } }
+};
+
+// Answer an upload refused part way through its body. The rest of the body is never read,
+// so the connection cannot take another request.
+const sendTooLarge = (res, error, size) => {
+    res.set('Connection', 'close');
+    return sendError(res, 413, 'too_large', error.message, { expected: size });
+};
+
+// Write the request body to filePath ('w' to replace it, 'a' to append to it). Bytes that
+// arrived before the connection dropped stay written, which is what makes uploads resumable.
+const writeBody = async (req, filePath, { limit, flags }) => {
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    await pipeline(req, limitTo(limit), fs.createWriteStream(filePath, { flags }));
+};
+
+// Routes taking the signed uploads of the local storage driver (see storageService.js),
+// mounted at /storage-upload. A file is sent whole with PUT, or in chunks over tus 1.0
+// (https://tus.io): HEAD reports how much has arrived (Upload-Offset) and each PATCH
+// appends from there. Clients check the result with POST /uploads/complete.
+export const createLocalUploadRouter = (storage) => {
+    const router = express.Router();
+    const api = createApi(router, { basePath: '/storage-upload' });
+
+    router.use((req, res, next) => {
+        res.set('Tus-Resumable', TUS_VERSION);
+        let upload = null;
+        try {
+            upload = storage.verifySignedUpload(decodeURIComponent(req.path.slice(1)), req.query);
+        } catch (error) {
+            upload = null;
+        }
+        if (!upload) {
+            return sendError(res, 403, 'invalid_signature', 'Invalid or expired upload URL.');
+        }
+        req.signedUpload = upload;
+        next();
+    });
+
+    api.head('/*', {
+        summary: 'How much of a resumable upload has arrived',
+        tags: ['Uploads'],
+        query: signedUploadQuery,
+        responses: { 200: { description: 'Upload-Offset and Upload-Length headers', headers: tusHeaders } },
+        errors: [403]
+    }, async (req, res) => {
+        const { filePath, size } = req.signedUpload;
+        res.set({
+            'Upload-Offset': String(await currentOffset(filePath)),
+            'Upload-Length': String(size),
+            'Cache-Control': 'no-store'
+        });
+        return res.status(200).end();
+    });
+
+    // Replace the file with the whole body, which must be exactly the signed size
+    api.put('/*', {
+        summary: 'Upload a whole file to a signed upload URL',
+        tags: ['Uploads'],
+        query: signedUploadQuery,
+        requestBody: { required: true, content: { 'image/*': { schema: { type: 'string', format: 'binary' } } } },
+        responses: { 204: null },
+        errors: [400, 403, 409, 413, 415]
+    }, async (req, res) => {
+        const { filePath, size, contentType } = req.signedUpload;
+        if (req.headers['content-type'] !== contentType) {
+            return sendError(res, 415, 'unsupported_type', `This upload URL only takes ${contentType}.`, { contentType });
+        }
+        if (writing.has(filePath)) {
+            return sendError(res, 409, 'upload_in_progress', 'Another upload to this URL is in progress.');
+        }
+
+        writing.add(filePath);
+        const partPath = `${filePath}.part`;
+        try {
+            await writeBody(req, partPath, { limit: size, flags: 'w' });
+            const received = await currentOffset(partPath);
+            if (received !== size) {
+                await fsp.rm(partPath, { force: true });
+                return sendError(res, 400, 'incomplete', `Received ${received} of the ${size} bytes signed for.`, { received, expected: size });
+            }
+            await fsp.rename(partPath, filePath);
+            return res.status(204).end();
+        } catch (error) {
+            await fsp.rm(partPath, { force: true });
+            if (error.code === 'too_large') {
+                return sendTooLarge(res, error, size);
+            }
+            return sendInternalError(res, 'Error storing the upload.', error);
+        } finally {
+            writing.delete(filePath);
+        }
+    });
+
+    // tus: append the body at Upload-Offset, which must be what has arrived so far
+    api.patch('/*', {
+        summary: 'Append a chunk to a resumable upload (tus)',
+        tags: ['Uploads'],
+        query: signedUploadQuery,
+        requestBody: { required: true, content: { 'application/offset+octet-stream': { schema: { type: 'string', format: 'binary' } } } },
+        responses: { 204: { description: 'Chunk stored; Upload-Offset is the new offset', headers: tusHeaders } },
+        errors: [403, 409, 413, 415]
+    }, async (req, res) => {
+        const { filePath, size } = req.signedUpload;
+        if (req.headers['content-type'] !== 'application/offset+octet-stream') {
+            return sendError(res, 415, 'unsupported_type', 'Chunks must be sent as application/offset+octet-stream.', { contentType: 'application/offset+octet-stream' });
+        }
+        if (writing.has(filePath)) {
+            return sendError(res, 409, 'upload_in_progress', 'Another upload to this URL is in progress.');
+        }
+
+        writing.add(filePath);
+        try {
+            const offset = await currentOffset(filePath);
+            if (req.headers['upload-offset'] !== String(offset)) {
+                res.set('Upload-Offset', String(offset));
+                return sendError(res, 409, 'offset_mismatch', `The upload is at offset ${offset}; resume from there.`, { offset });
+            }
+
+            try {
+                await writeBody(req, filePath, { limit: size - offset, flags: 'a' });
+            } catch (error) {
+                if (error.code === 'too_large') {
+                    res.set('Upload-Offset', String(await currentOffset(filePath)));
+                    return sendTooLarge(res, error, size);
+                }
+                // The client went away; what arrived is kept for it to resume from
+                if (req.aborted || error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+                    return res.end();
+                }
+                return sendInternalError(res, 'Error storing the upload chunk.', error);
+            }
+
+            res.set('Upload-Offset', String(await currentOffset(filePath)));
+            return res.status(204).end();
+        } finally {
+            writing.delete(filePath);
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,102 @@
+// backend/logger.js
+import { AsyncLocalStorage, AsyncResource } from 'async_hooks';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Structured logger: one JSON object per line ({ level, time, msg, requestId?, ...fields })
+// on stdout, warnings and errors on stderr. LOG_LEVEL is debug, info (default), warn or error.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+
+const REDACTED = '[REDACTED]';
+
+// Fields whose values never reach the logs: recipient addresses and customer details,
+// and credentials. Compared lower-cased with - and _ removed.
+const REDACTED_KEYS = new Set([
+    'recipient', 'address', 'customerdetails', 'shippingdetails', 'email', 'phone',
+    'password', 'passwordhash', 'token', 'accesstoken', 'authorization', 'cookie',
+    'apikey', 'xapikey', 'secret', 'signature', 'stripesignature'
+]);
+
+// Credentials and email addresses inside free text, e.g. error messages and URLs
+const REDACTED_PATTERNS = [
+    [/Bearer\s+[\w.~+/-]+=*/gi, `Bearer ${REDACTED}`],
+    [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, REDACTED],
+    [/\b(?:sk|rk|pk)_(?:live|test)_\w+|\bwhsec_\w+|\bsbk_[\w-]+/g, REDACTED],
+    [/([?&](?:signature|secret|token|api_key|apikey|email)=)[^&\s]+/gi, `$1${REDACTED}`],
+    [/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, REDACTED]
+];
+
+const MAX_DEPTH = 6;
+
+export const redactString = (text) => REDACTED_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+
+const isRedactedKey = (key) => REDACTED_KEYS.has(key.toLowerCase().replace(/[-_]/g, ''));
+
+// Copy a value for logging with PII and credentials removed. Errors keep only their
+// own descriptive fields, so e.g. HTTP client configs (with auth headers) are dropped.
+export const redact = (value, depth = 0) => {
+    if (typeof value === 'string') return redactString(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+    if (depth >= MAX_DEPTH) return '[Truncated]';
+
+    if (value instanceof Error) {
+        const { name, message, stack, code, status, reason, details } = value;
+        return redact({ name, message, code, status, reason, details, stack }, depth);
+    }
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        if (item === undefined) continue;
+        copy[key] = isRedactedKey(key) && item !== null ? REDACTED : redact(item, depth + 1);
+    }
+    return copy;
+};
+
+// Per-request context ({ requestId }), carried across awaits so log lines and outbound
+// calls made while handling a request can be tied back to it
+const requestContext = new AsyncLocalStorage();
+
+export const withRequestContext = (context, fn) => requestContext.run(context, fn);
+
+export const currentRequestId = () => requestContext.getStore()?.requestId || null;
+
+// Header passing the current request's ID on to an upstream service
+export const requestIdHeader = () => {
+    const requestId = currentRequestId();
+    return requestId ? { 'X-Request-Id': requestId } : {};
+};
+
+// Wrap middleware that calls next() from stream events (e.g. multer), which run
+// outside the request's context, so what follows still sees the context
+export const keepRequestContext = (middleware) => (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+
+const write = (level, bindings, msg, fields = {}) => {
+    if (LEVELS[level] < MIN_LEVEL) return;
+
+    const requestId = currentRequestId();
+    const entry = {
+        level,
+        time: new Date().toISOString(),
+        msg: redactString(String(msg)),
+        ...(requestId && { requestId }),
+        ...redact(bindings),
+        ...redact(fields)
+    };
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(entry)}\n`);
+};
+
+// logger.info(msg, fields?) etc.; child(bindings) adds fields to every line it logs
+export const createLogger = (bindings = {}) => ({
+    debug: (msg, fields) => write('debug', bindings, msg, fields),
+    info: (msg, fields) => write('info', bindings, msg, fields),
+    warn: (msg, fields) => write('warn', bindings, msg, fields),
+    error: (msg, fields) => write('error', bindings, msg, fields),
+    child: (more) => createLogger({ ...bindings, ...more })
+});
+
+export const logger = createLogger();
@@ -0,0 +1,49 @@
+// backend/lruCache.js
+
+// In-memory cache bounded by total size, evicting the least recently used entries
+// first. Entries older than ttlMs are treated as missing. sizeOf(value) gives each
+// entry's size in bytes (Buffer length by default).
+export const createLruCache = ({ maxBytes, ttlMs = Infinity, sizeOf = (value) => value.length || 0 }) => {
+    const entries = new Map();
+    let totalBytes = 0;
+
+    const remove = (key) => {
+        const entry = entries.get(key);
+        if (entry) {
+            totalBytes -= entry.size;
+            entries.delete(key);
+        }
+    };
+
+    return {
+        get(key) {
+            const entry = entries.get(key);
+            if (!entry) return undefined;
+            if (Date.now() - entry.storedAt > ttlMs) {
+                remove(key);
+                return undefined;
+            }
+            // Re-insert so the Map's order stays least to most recently used
+            entries.delete(key);
+            entries.set(key, entry);
+            return entry.value;
+        },
+
+        set(key, value) {
+            const size = sizeOf(value);
+            remove(key);
+            if (size > maxBytes) return;
+
+            entries.set(key, { value, size, storedAt: Date.now() });
+            totalBytes += size;
+            for (const oldest of entries.keys()) {
+                if (totalBytes <= maxBytes) break;
+                remove(oldest);
+            }
+        },
+
+        get size() {
+            return entries.size;
+        }
+    };
+};
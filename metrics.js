@@ -0,0 +1,66 @@
+// backend/metrics.js
+import client from 'prom-client';
+
+// Prometheus metrics, served by GET /metrics: process defaults, plus latency and
+// error counts per route and per upstream service
+export const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const httpRequestDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'Latency of HTTP requests served, by route',
+    labelNames: ['method', 'route', 'status'],
+    buckets: LATENCY_BUCKETS,
+    registers: [registry]
+});
+
+const httpRequestErrors = new client.Counter({
+    name: 'http_request_errors_total',
+    help: 'HTTP requests answered with a 4xx or 5xx status, by route',
+    labelNames: ['method', 'route', 'status'],
+    registers: [registry]
+});
+
+const upstreamRequestDuration = new client.Histogram({
+    name: 'upstream_request_duration_seconds',
+    help: 'Latency of calls to upstream services (printful, stripe, cloudinary, s3, local storage, redis, smtp)',
+    labelNames: ['upstream', 'operation', 'outcome'],
+    buckets: LATENCY_BUCKETS,
+    registers: [registry]
+});
+
+const upstreamRequestErrors = new client.Counter({
+    name: 'upstream_request_errors_total',
+    help: 'Failed calls to upstream services',
+    labelNames: ['upstream', 'operation'],
+    registers: [registry]
+});
+
+// route is the matched route pattern (e.g. /orders/:id), never the raw path
+export const observeHttpRequest = ({ method, route, status, seconds }) => {
+    const labels = { method, route, status: String(status) };
+    httpRequestDuration.observe(labels, seconds);
+    if (status >= 400) httpRequestErrors.inc(labels);
+};
+
+// operation must not contain IDs (e.g. GET /orders/:id), to keep label sets small
+export const observeUpstreamCall = ({ upstream, operation, seconds, failed = false }) => {
+    upstreamRequestDuration.observe({ upstream, operation, outcome: failed ? 'error' : 'success' }, seconds);
+    if (failed) upstreamRequestErrors.inc({ upstream, operation });
+};
+
+// Run fn() as one call to an upstream service and record it
+export const timeUpstreamCall = async (upstream, operation, fn) => {
+    const startedAt = process.hrtime.bigint();
+    let failed = false;
+    try {
+        return await fn();
+    } catch (error) {
+        failed = true;
+        throw error;
+    } finally {
+        observeUpstreamCall({ upstream, operation, seconds: Number(process.hrtime.bigint() - startedAt) / 1e9, failed });
+    }
+};
@@ -0,0 +1,164 @@
+// backend/mockupRenderer.js
+import sharp from 'sharp';
+
+// Homography mapping the unit square (0,0),(1,0),(1,1),(0,1) onto the quad
+// [topLeft, topRight, bottomRight, bottomLeft] (Heckbert's square-to-quad).
+const squareToQuad = ([[x0, y0], [x1, y1], [x2, y2], [x3, y3]]) => {
+    const dx1 = x1 - x2, dx2 = x3 - x2, sx = x0 - x1 + x2 - x3;
+    const dy1 = y1 - y2, dy2 = y3 - y2, sy = y0 - y1 + y2 - y3;
+    const det = dx1 * dy2 - dx2 * dy1;
+    const g = (sx * dy2 - dx2 * sy) / det;
+    const h = (dx1 * sy - sx * dy1) / det;
+
+    return [
+        x1 - x0 + g * x1, x3 - x0 + h * x3, x0,
+        y1 - y0 + g * y1, y3 - y0 + h * y3, y0,
+        g, h, 1
+    ];
+};
+
+const invert3x3 = ([a, b, c, d, e, f, g, h, i]) => {
+    const A = e * i - f * h, B = -(d * i - f * g), C = d * h - e * g;
+    const det = a * A + b * B + c * C;
+    return [
+        A / det, -(b * i - c * h) / det, (b * f - c * e) / det,
+        B / det, (a * i - c * g) / det, -(a * f - c * d) / det,
+        C / det, -(a * h - b * g) / det, (a * e - b * d) / det
+    ];
+};
+
+// Warp the design onto a four-corner quad (in pixels) of a width x height canvas,
+// returning the RGBA layer and its offset on the canvas
+const warpToQuad = async (designBuffer, corners, width, height) => {
+    const { data: source, info } = await sharp(designBuffer)
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const xs = corners.map(([x]) => x);
+    const ys = corners.map(([, y]) => y);
+    const left = Math.max(0, Math.floor(Math.min(...xs)));
+    const top = Math.max(0, Math.floor(Math.min(...ys)));
+    const right = Math.min(width, Math.ceil(Math.max(...xs)));
+    const bottom = Math.min(height, Math.ceil(Math.max(...ys)));
+    const layerWidth = right - left;
+    const layerHeight = bottom - top;
+    if (layerWidth <= 0 || layerHeight <= 0) {
+        return null;
+    }
+
+    const [a, b, c, d, e, f, g, h, i] = invert3x3(squareToQuad(corners));
+    const layer = Buffer.alloc(layerWidth * layerHeight * 4);
+
+    for (let row = 0; row < layerHeight; row++) {
+        for (let col = 0; col < layerWidth; col++) {
+            const x = left + col + 0.5;
+            const y = top + row + 0.5;
+            const w = g * x + h * y + i;
+            const u = (a * x + b * y + c) / w;
+            const v = (d * x + e * y + f) / w;
+            if (u < 0 || u > 1 || v < 0 || v > 1) continue;
+
+            // Bilinear sample from the source design
+            const sx = Math.min(u * info.width - 0.5, info.width - 1);
+            const sy = Math.min(v * info.height - 0.5, info.height - 1);
+            const x0 = Math.max(0, Math.floor(sx)), y0 = Math.max(0, Math.floor(sy));
+            const x1 = Math.min(x0 + 1, info.width - 1), y1 = Math.min(y0 + 1, info.height - 1);
+            const fx = Math.max(0, sx - x0), fy = Math.max(0, sy - y0);
+            const target = (row * layerWidth + col) * 4;
+
+            for (let channel = 0; channel < 4; channel++) {
+                const p00 = source[(y0 * info.width + x0) * 4 + channel];
+                const p10 = source[(y0 * info.width + x1) * 4 + channel];
+                const p01 = source[(y1 * info.width + x0) * 4 + channel];
+                const p11 = source[(y1 * info.width + x1) * 4 + channel];
+                layer[target + channel] = Math.round(
+                    p00 * (1 - fx) * (1 - fy) + p10 * fx * (1 - fy) + p01 * (1 - fx) * fy + p11 * fx * fy
+                );
+            }
+        }
+    }
+
+    const input = await sharp(layer, { raw: { width: layerWidth, height: layerHeight, channels: 4 } }).png().toBuffer();
+    return { input, left, top };
+};
+
+// Fit the design inside the print area box without distorting it, as print files are
+// (see renderPrintFile), rotate it around the box centre and clip it to the canvas
+const placeInBox = async (designBuffer, box, rotation, width, height) => {
+    let design = sharp(designBuffer)
+        .ensureAlpha()
+        .resize(Math.max(1, Math.round(box.width)), Math.max(1, Math.round(box.height)), { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } });
+
+    if (rotation) {
+        design = sharp(await design.png().toBuffer())
+            .rotate(rotation, { background: { r: 0, g: 0, b: 0, alpha: 0 } });
+    }
+
+    const { data, info } = await design.png().toBuffer({ resolveWithObject: true });
+    const left = Math.round(box.x + box.width / 2 - info.width / 2);
+    const top = Math.round(box.y + box.height / 2 - info.height / 2);
+
+    // Clip to the canvas so oversized or rotated designs never exceed the base image
+    const clipLeft = Math.max(0, left), clipTop = Math.max(0, top);
+    const clipRight = Math.min(width, left + info.width), clipBottom = Math.min(height, top + info.height);
+    if (clipRight <= clipLeft || clipBottom <= clipTop) {
+        return null;
+    }
+
+    const input = await sharp(data)
+        .extract({ left: clipLeft - left, top: clipTop - top, width: clipRight - clipLeft, height: clipBottom - clipTop })
+        .png()
+        .toBuffer();
+    return { input, left: clipLeft, top: clipTop };
+};
+
+// Render the design layer of a mockup: a transparent PNG the size of the base image
+// (width x height) with the design placed by the template, or null when the design
+// falls outside the image. Print area, warp corners and rotation are relative to the
+// base image size; the optional mask's alpha channel clips the design (e.g. around a
+// mug handle). The layer only depends on its inputs, so callers may cache it.
+export const renderDesignLayer = async (designBuffer, template, width, height, maskBuffer = null) => {
+    let placement;
+    if (template.warp) {
+        const corners = template.warp.corners.map(([x, y]) => [x * width, y * height]);
+        placement = await warpToQuad(designBuffer, corners, width, height);
+    } else {
+        const { x, y, width: areaWidth, height: areaHeight } = template.printArea;
+        const box = { x: x * width, y: y * height, width: areaWidth * width, height: areaHeight * height };
+        placement = await placeInBox(designBuffer, box, template.rotation || 0, width, height);
+    }
+
+    if (!placement) {
+        return null;
+    }
+
+    // Build the design layer on a transparent canvas the size of the base image
+    let layer = await sharp({ create: { width, height, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } })
+        .composite([placement])
+        .png()
+        .toBuffer();
+
+    if (maskBuffer) {
+        const mask = await sharp(maskBuffer).ensureAlpha().resize(width, height, { fit: 'fill' }).png().toBuffer();
+        layer = await sharp(layer).composite([{ input: mask, blend: 'dest-in' }]).png().toBuffer();
+    }
+    return layer;
+};
+
+// Composite a design layer from renderDesignLayer onto its base image
+export const compositeDesignLayer = (baseImageBuffer, layer) => {
+    if (!layer) {
+        return baseImageBuffer;
+    }
+    return sharp(baseImageBuffer)
+        .composite([{ input: layer, top: 0, left: 0 }])
+        .toBuffer();
+};
+
+// Composite a design onto a base product image using a mockup template
+export const renderMockup = async (baseImageBuffer, designBuffer, template, maskBuffer = null) => {
+    const { width, height } = await sharp(baseImageBuffer).metadata();
+    const layer = await renderDesignLayer(designBuffer, template, width, height, maskBuffer);
+    return compositeDesignLayer(baseImageBuffer, layer);
+};
@@ -0,0 +1,151 @@
+// backend/mockupService.js
+import crypto from 'crypto';
+import sharp from 'sharp';
+import dotenv from 'dotenv';
+import { findTemplateForProduct } from './mockupTemplateService.js';
+import { renderDesignLayer, compositeDesignLayer, renderMockup } from './mockupRenderer.js';
+import { renderPreview } from './previewService.js';
+import { RemoteFetchError } from './remoteImageFetcher.js';
+import { storeUserAsset, findAssetByContentHash, loadAssetImage } from './assetService.js';
+import { createLruCache } from './lruCache.js';
+import { logger } from './logger.js';
+
+dotenv.config();
+
+// Products rendered at once per request, and the memory given to each image cache
+const MOCKUP_CONCURRENCY = Number(process.env.MOCKUP_CONCURRENCY || 4);
+const MOCKUP_CACHE_BYTES = Number(process.env.MOCKUP_CACHE_MB || 64) * 1024 * 1024;
+const MOCKUP_CACHE_TTL_MS = Number(process.env.MOCKUP_CACHE_TTL_MS || 60 * 60 * 1000);
+
+// Fetched images by URL ({ buffer, hash }), and rendered design layers by their inputs
+const imageCache = createLruCache({ maxBytes: MOCKUP_CACHE_BYTES, ttlMs: MOCKUP_CACHE_TTL_MS, sizeOf: image => image.buffer.length });
+const layerCache = createLruCache({ maxBytes: MOCKUP_CACHE_BYTES, ttlMs: MOCKUP_CACHE_TTL_MS, sizeOf: layer => layer?.length || 1 });
+const pendingFetches = new Map();
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Fetch an image once; concurrent requests for the same URL share the fetch. Previews of
+// the user's swap results are read from their clean originals.
+const loadImage = async (url) => {
+    const cached = imageCache.get(url);
+    if (cached) return cached;
+
+    if (!pendingFetches.has(url)) {
+        pendingFetches.set(url, loadAssetImage(url)
+            .then(buffer => {
+                const image = { buffer, hash: sha256(buffer) };
+                imageCache.set(url, image);
+                return image;
+            })
+            .finally(() => pendingFetches.delete(url)));
+    }
+    return pendingFetches.get(url);
+};
+
+// Only the fields that change how a template renders
+const templateHash = (template) => sha256(JSON.stringify({
+    printArea: template.printArea,
+    rotation: template.rotation || 0,
+    warp: template.warp || null
+}));
+
+// Run fn over items with at most `limit` running at once; results keep the items' order
+const mapWithConcurrency = async (items, limit, fn) => {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+};
+
+const renderProduct = async ({ ownerId, design, product }) => {
+    const { id, variantId, name } = product;
+    const summary = { productId: id, variantId, productName: name };
+
+    // Match the mockup template by Printful product/variant ID
+    const template = await findTemplateForProduct(id, variantId);
+    if (!template) {
+        return { ...summary, status: 'skipped', reason: 'no_template', message: `No mockup template defined for product ${id} (variant ${variantId}).` };
+    }
+
+    const baseImageUrl = product.baseImageUrl || template.baseImageUrl;
+    if (!baseImageUrl) {
+        return { ...summary, status: 'skipped', reason: 'no_base_image', message: `No base image for product ${name}.` };
+    }
+
+    // Fetch the base product image and the optional clipping mask
+    let base;
+    let mask = null;
+    try {
+        [base, mask] = await Promise.all([
+            loadImage(baseImageUrl),
+            template.maskUrl ? loadImage(template.maskUrl) : null
+        ]);
+    } catch (error) {
+        if (!(error instanceof RemoteFetchError)) throw error;
+        return { ...summary, status: 'skipped', reason: 'fetch_failed', message: `Failed to fetch images for product ${name}: ${error.message}` };
+    }
+
+    // The same design, template and base image always make the same mockup
+    const layerInputs = `${design.hash}|${templateHash(template)}|${mask?.hash || ''}`;
+    const contentHash = sha256(`${layerInputs}|${base.hash}`);
+    const existing = await findAssetByContentHash(ownerId, 'mockup', contentHash);
+    if (existing) {
+        return { ...summary, status: 'succeeded', templateId: template.id, mockupImageUrl: existing.url, mockupAssetId: existing.id, cached: true };
+    }
+
+    const { width, height } = await sharp(base.buffer).metadata();
+    const layerKey = `${layerInputs}|${width}x${height}`;
+    let layer = layerCache.get(layerKey);
+    if (layer === undefined) {
+        layer = await renderDesignLayer(design.buffer, template, width, height, mask?.buffer);
+        layerCache.set(layerKey, layer);
+    }
+
+    const compositeImage = await compositeDesignLayer(base.buffer, layer);
+    const asset = await storeUserAsset(compositeImage, { ownerId, kind: 'mockup', contentHash });
+    return { ...summary, status: 'succeeded', templateId: template.id, mockupImageUrl: asset.url, mockupAssetId: asset.id, cached: false };
+};
+
+// Fetch a design once (throws RemoteFetchError), for generateMockups
+export const loadDesign = (designUrl) => loadImage(designUrl);
+
+// Render the design at designUrl onto a product ({ id, variantId?, baseImageUrl? }) as a
+// watermarked preview, without storing it; null when the product has no template or base
+// image. For pictures that are not part of the user's gallery, e.g. in emails.
+export const renderMockupPreview = async ({ designUrl, product }) => {
+    const template = await findTemplateForProduct(product.id, product.variantId);
+    const baseImageUrl = product.baseImageUrl || template?.baseImageUrl;
+    if (!template || !baseImageUrl) return null;
+
+    const [design, base, mask] = await Promise.all([
+        loadImage(designUrl),
+        loadImage(baseImageUrl),
+        template.maskUrl ? loadImage(template.maskUrl) : null
+    ]);
+    return renderPreview(await renderMockup(base.buffer, design.buffer, template, mask?.buffer));
+};
+
+// Render the design onto each product ({ id, variantId, name, baseImageUrl? }) for the
+// user ownerId, MOCKUP_CONCURRENCY at a time. onResult is called with each product's
+// result as soon as it is ready; all results are returned in product order. A result
+// has status 'succeeded' (with mockupImageUrl, a watermarked preview, mockupAssetId and
+// cached), 'skipped' (reason no_template, no_base_image or fetch_failed) or 'failed'.
+export const generateMockups = async ({ ownerId, design, products, onResult = () => {} }) => {
+    return mapWithConcurrency(products, MOCKUP_CONCURRENCY, async (product) => {
+        let result;
+        try {
+            result = await renderProduct({ ownerId, design, product });
+        } catch (error) {
+            logger.error('Mockup failed', { productId: product.id, error });
+            result = { productId: product.id, variantId: product.variantId, productName: product.name, status: 'failed', message: error.message };
+        }
+        onResult(result);
+        return result;
+    });
+};
@@ -0,0 +1,137 @@
+// backend/mockupTemplateService.js
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const MOCKUP_TEMPLATES_PATH = process.env.MOCKUP_TEMPLATES_PATH
+    || path.join(path.dirname(fileURLToPath(import.meta.url)), 'mockupTemplates.json');
+
+let cachedTemplates = null;
+
+// Error raised when a template definition is invalid, with one entry per bad field
+export class TemplateValidationError extends Error {
+    constructor(details) {
+        super('Invalid mockup template.');
+        this.name = 'TemplateValidationError';
+        this.details = details;
+    }
+}
+
+const isFraction = (value) => typeof value === 'number' && value >= -1 && value <= 2;
+
+// Check a template definition. Coordinates are fractions of the base image size,
+// so small overhangs outside 0..1 are allowed for bleed.
+export const validateTemplate = (template) => {
+    const errors = [];
+
+    if (typeof template.name !== 'string' || !template.name) {
+        errors.push({ field: 'name', message: 'name is required.' });
+    }
+    if (!Number.isInteger(template.productId)) {
+        errors.push({ field: 'productId', message: 'productId must be a Printful product ID.' });
+    }
+    if (template.variantIds !== undefined && (!Array.isArray(template.variantIds) || !template.variantIds.every(Number.isInteger))) {
+        errors.push({ field: 'variantIds', message: 'variantIds must be an array of Printful variant IDs.' });
+    }
+
+    if (template.warp) {
+        const corners = template.warp.corners;
+        if (!Array.isArray(corners) || corners.length !== 4 || !corners.every(corner => Array.isArray(corner) && corner.length === 2 && corner.every(isFraction))) {
+            errors.push({ field: 'warp.corners', message: 'warp.corners must be four [x, y] points: top-left, top-right, bottom-right, bottom-left.' });
+        }
+    } else {
+        const area = template.printArea || {};
+        if (!['x', 'y', 'width', 'height'].every(key => isFraction(area[key])) || area.width <= 0 || area.height <= 0) {
+            errors.push({ field: 'printArea', message: 'printArea needs x, y, width and height as fractions of the base image.' });
+        }
+    }
+
+    if (template.rotation !== undefined && typeof template.rotation !== 'number') {
+        errors.push({ field: 'rotation', message: 'rotation must be a number of degrees.' });
+    }
+    for (const field of ['maskUrl', 'baseImageUrl']) {
+        if (template[field] !== undefined && template[field] !== null && typeof template[field] !== 'string') {
+            errors.push({ field, message: `${field} must be a URL.` });
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new TemplateValidationError(errors);
+    }
+};
+
+const pickTemplateFields = (data) => ({
+    name: data.name,
+    productId: data.productId,
+    variantIds: data.variantIds || [],
+    printArea: data.printArea || null,
+    rotation: data.rotation || 0,
+    warp: data.warp || null,
+    maskUrl: data.maskUrl || null,
+    baseImageUrl: data.baseImageUrl || null
+});
+
+const loadTemplates = async () => {
+    if (!cachedTemplates) {
+        cachedTemplates = JSON.parse(await fs.readFile(MOCKUP_TEMPLATES_PATH, 'utf8'));
+    }
+    return cachedTemplates;
+};
+
+const saveTemplates = async () => {
+    await fs.writeFile(MOCKUP_TEMPLATES_PATH, `${JSON.stringify(cachedTemplates, null, 2)}\n`);
+};
+
+export const listTemplates = async () => {
+    const registry = await loadTemplates();
+    return registry.templates;
+};
+
+export const getTemplate = async (id) => {
+    const registry = await loadTemplates();
+    return registry.templates.find(template => template.id === id) || null;
+};
+
+export const createTemplate = async (data) => {
+    validateTemplate(data);
+    const registry = await loadTemplates();
+    const template = { id: uuidv4(), ...pickTemplateFields(data) };
+    registry.templates.push(template);
+    await saveTemplates();
+    return template;
+};
+
+export const updateTemplate = async (id, data) => {
+    const registry = await loadTemplates();
+    const index = registry.templates.findIndex(template => template.id === id);
+    if (index === -1) return null;
+
+    const merged = { ...registry.templates[index], ...data };
+    validateTemplate(merged);
+    registry.templates[index] = { id, ...pickTemplateFields(merged) };
+    await saveTemplates();
+    return registry.templates[index];
+};
+
+export const deleteTemplate = async (id) => {
+    const registry = await loadTemplates();
+    const index = registry.templates.findIndex(template => template.id === id);
+    if (index === -1) return false;
+
+    registry.templates.splice(index, 1);
+    await saveTemplates();
+    return true;
+};
+
+// Find the template for a Printful product/variant. A template listing the variant
+// wins over a product-wide template (one with no variantIds).
+export const findTemplateForProduct = async (productId, variantId) => {
+    const templates = await listTemplates();
+    return (variantId && templates.find(template => template.variantIds.includes(variantId)))
+        || templates.find(template => template.productId === productId && template.variantIds.length === 0)
+        || null;
+};
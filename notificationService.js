@@ -0,0 +1,133 @@
+// backend/notificationService.js
+import dotenv from 'dotenv';
+import { queueEmail } from './emailQueue.js';
+import { getUser } from './authService.js';
+import { loadPriceCatalog } from './pricingService.js';
+import { getCatalogEntry } from './catalogService.js';
+import { logger } from './logger.js';
+
+dotenv.config();
+
+// Customer emails for order and swap-job events. Each is queued once per occasion (see
+// queueEmail) and none of these throw: a notification that cannot be queued is logged
+// and never fails the payment, webhook or job that triggered it.
+
+// The catalog product "your swap is ready" emails show the result on (the T-shirt)
+const SWAP_READY_MOCKUP_PRODUCT_ID = Number(process.env.SWAP_READY_MOCKUP_PRODUCT_ID || 71);
+
+const notify = async (description, fields, fn) => {
+    try {
+        return await fn();
+    } catch (error) {
+        logger.error(`Could not queue the ${description} email`, { ...fields, error });
+        return null;
+    }
+};
+
+const recipientEmail = async (order) => order.email || order.recipient?.email || (order.userId && (await getUser(order.userId))?.email) || null;
+
+// Short reference customers can quote back to us
+const orderReference = (order) => `#${order.id.replace(/-/g, '').slice(0, 8).toUpperCase()}`;
+
+const orderBasics = (order) => ({
+    orderId: order.id,
+    reference: orderReference(order),
+    name: order.recipient?.name?.split(' ')[0] || null
+});
+
+const toCents = (amount) => Math.round(Number(amount || 0) * 100);
+
+// Lines and totals from the order's quote (orders placed with /place-order) or, for
+// checkouts straight from a cart, from its Printful items and what Stripe charged
+const orderSummary = async (order) => {
+    const paid = order.timeline?.find(event => event.type === 'payment_succeeded')?.amountTotal;
+    if (order.quote) {
+        const { currency, lines, shipping, tax, total } = order.quote;
+        return {
+            currency,
+            lines: lines.map(line => ({ name: line.name, quantity: line.quantity, amount: line.unitAmount * line.quantity })),
+            shipping: { name: shipping.name, amount: shipping.amount },
+            tax,
+            total: paid ?? total
+        };
+    }
+
+    const catalog = await loadPriceCatalog();
+    const lines = order.items.map(item => ({
+        name: catalog.variants[item.variant_id]?.name || `Variant ${item.variant_id}`,
+        quantity: item.quantity,
+        amount: toCents(item.retail_price) * item.quantity
+    }));
+    return {
+        currency: catalog.currency || 'usd',
+        lines,
+        shipping: null,
+        tax: 0,
+        total: paid ?? lines.reduce((sum, line) => sum + line.amount, 0)
+    };
+};
+
+const addressOf = ({ recipient = {} }) => [
+    recipient.name,
+    recipient.address1,
+    recipient.address2,
+    [recipient.city, recipient.state_code, recipient.zip].filter(Boolean).join(' '),
+    recipient.country_code
+];
+
+// A ledger order was paid for and sent to production
+export const notifyOrderConfirmed = (order) => notify('order confirmation', { orderId: order.id }, async () => {
+    const to = await recipientEmail(order);
+    if (!to) return null;
+    return queueEmail({
+        key: `order_confirmation:${order.id}`,
+        template: 'order_confirmation',
+        to,
+        data: { ...orderBasics(order), ...(await orderSummary(order)), address: addressOf(order) }
+    });
+});
+
+// Printful shipped a package of the order ({ id, carrier, service, trackingNumber, trackingUrl, shipDate })
+export const notifyOrderShipped = (order, shipment) => notify('order shipped', { orderId: order.id }, async () => {
+    const to = await recipientEmail(order);
+    if (!to) return null;
+    return queueEmail({
+        key: `order_shipped:${order.id}:${shipment.id ?? shipment.trackingNumber}`,
+        template: 'order_shipped',
+        to,
+        data: { ...orderBasics(order), shipment }
+    });
+});
+
+// Production of a paid order failed, or it was canceled (problem: 'failed' or 'canceled').
+// Printful's and admins' reasons are internal and stay out of the email. Unpaid drafts
+// are left alone: there is nothing to tell their customer.
+export const notifyOrderProblem = (order, problem) => notify('order problem', { orderId: order.id, problem }, async () => {
+    const to = await recipientEmail(order);
+    if (!to || !order.timeline?.some(event => event.type === 'payment_succeeded')) return null;
+    const refunded = (order.refunds || []).reduce((sum, refund) => sum + refund.amount, 0);
+    return queueEmail({
+        key: `order_problem:${order.id}:${problem}`,
+        template: 'order_problem',
+        to,
+        data: { ...orderBasics(order), problem, refunded, currency: order.quote?.currency || 'usd' }
+    });
+});
+
+// A face-swap job of a signed-in user succeeded. The email shows the result on a product,
+// rendered when it is sent.
+export const notifySwapReady = (job) => notify('swap ready', { jobId: job.id }, async () => {
+    const to = job.ownerId && (await getUser(job.ownerId))?.email;
+    if (!to) return null;
+    const product = await getCatalogEntry(SWAP_READY_MOCKUP_PRODUCT_ID).catch(() => null);
+    return queueEmail({
+        key: `swap_ready:${job.id}`,
+        template: 'swap_ready',
+        to,
+        data: {
+            jobId: job.id,
+            resultAssetId: job.resultAssetId,
+            mockupProduct: product && { id: product.id, name: product.title, baseImageUrl: product.image }
+        }
+    });
+});
@@ -0,0 +1,242 @@
+// backend/orderService.js
+import {
+    createPrintfulOrder,
+    confirmPrintfulOrder,
+    getPrintfulOrder,
+    estimatePrintfulOrderCosts,
+    getPrintfulShippingRates
+} from './printfulService.js';
+import { resolveCartItems, PricingError } from './pricingService.js';
+import { validateRecipient } from './recipientValidation.js';
+import { preparePrintFile, toPrintReadyFiles } from './printFileService.js';
+import { orderStore, designUrlsFromItems } from './orderStore.js';
+import { releasePurchasedAssets } from './assetService.js';
+
+// Error raised for order requests that cannot go ahead. `code` is invalid_shipping,
+// not_found or not_draft.
+export class OrderError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'OrderError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+const toCents = (amount) => Math.round(Number(amount || 0) * 100);
+const toAmount = (cents) => (cents / 100).toFixed(2);
+
+// Order lines in Printful's format; files are the customer's design URLs
+const printfulItemsFor = (items) => items.map(item => ({
+    variant_id: item.variantId,
+    quantity: item.quantity,
+    retail_price: toAmount(item.unitAmount),
+    files: [{ type: item.placement || undefined, url: item.designUrl }]
+}));
+
+// Price an order before it is placed: { recipient, items (cart items, as for checkout),
+// shipping? (a shipping method ID, default the cheapest) }. All amounts are in cents:
+// { recipient, items, currency, subtotal, shippingOptions, shipping, tax, total }.
+export const quoteOrder = async ({ recipient, items, shipping }) => {
+    const validRecipient = validateRecipient(recipient);
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new PricingError('Order items must be provided.', [{ code: 'no_items', message: 'Pass at least one item.' }]);
+    }
+
+    const resolvedItems = await resolveCartItems(items);
+    const currency = resolvedItems[0].currency;
+
+    const { result: rates } = await getPrintfulShippingRates({
+        recipient: validRecipient,
+        items: resolvedItems.map(item => ({ variant_id: item.variantId, quantity: item.quantity })),
+        currency: currency.toUpperCase()
+    });
+    const shippingOptions = rates
+        .map(rate => ({
+            id: rate.id,
+            name: rate.name,
+            amount: toCents(rate.rate),
+            minDeliveryDays: rate.minDeliveryDays ?? null,
+            maxDeliveryDays: rate.maxDeliveryDays ?? null
+        }))
+        .sort((a, b) => a.amount - b.amount);
+
+    const selected = shipping ? shippingOptions.find(option => option.id === shipping) : shippingOptions[0];
+    if (!selected) {
+        throw new OrderError(`Shipping method "${shipping}" is not available for this address.`, 'invalid_shipping', {
+            shipping,
+            available: shippingOptions.map(option => option.id)
+        });
+    }
+
+    // Printful works out the sales tax / VAT due on our retail prices for this address
+    const { result: estimate } = await estimatePrintfulOrderCosts({
+        recipient: validRecipient,
+        items: printfulItemsFor(resolvedItems),
+        shipping: selected.id
+    });
+
+    const subtotal = resolvedItems.reduce((sum, item) => sum + item.unitAmount * item.quantity, 0);
+    const tax = toCents(estimate.retail_costs?.tax) + toCents(estimate.retail_costs?.vat);
+
+    return {
+        recipient: validRecipient,
+        items: resolvedItems.map(({ cost, ...item }) => item),
+        currency,
+        subtotal,
+        shippingOptions,
+        shipping: selected,
+        tax,
+        total: subtotal + selected.amount + tax
+    };
+};
+
+// Quote an order and record it as a draft, to be sent to Printful once paid (see
+// confirmDraftOrder). Returns the ledger order, which carries the quote.
+export const createDraftOrder = async ({ userId = null, recipient, items, shipping }) => {
+    const quote = await quoteOrder({ recipient, items, shipping });
+
+    // Make every print file before anything is recorded, so unprintable designs are
+    // refused up front. Printful only gets them once the order is paid.
+    const orderItems = [];
+    for (const item of quote.items) {
+        const printFile = await preparePrintFile({ designUrl: item.designUrl, variantId: item.variantId, placement: item.placement });
+        const [printfulItem] = printfulItemsFor([item]);
+        orderItems.push({ ...printfulItem, files: [{ type: printFile.placement, url: item.designUrl }] });
+    }
+
+    const order = await orderStore.create({
+        status: 'draft',
+        userId,
+        email: quote.recipient.email || null,
+        recipient: quote.recipient,
+        items: orderItems,
+        designUrls: designUrlsFromItems(orderItems),
+        quote: {
+            currency: quote.currency,
+            lines: quote.items,
+            subtotal: quote.subtotal,
+            shipping: quote.shipping,
+            tax: quote.tax,
+            total: quote.total
+        }
+    });
+
+    // The ledger ID without dashes fits Printful's 32-character external_id
+    const externalId = order.id.replace(/-/g, '');
+    await orderStore.update(order.id, { externalId });
+    return orderStore.addEvent(order.id, { type: 'draft_created' });
+};
+
+// Create the paid order in Printful, with its print files registered now, unless a
+// previous attempt got that far. Returns the Printful order ID.
+const submitPaidOrder = async (order) => {
+    if (order.printfulOrderId) {
+        return order.printfulOrderId;
+    }
+
+    const existing = await getPrintfulOrder(`@${order.externalId}`);
+    if (existing) {
+        return existing.result.id;
+    }
+
+    const { quote } = order;
+    const { result } = await createPrintfulOrder({
+        external_id: order.externalId,
+        shipping: quote.shipping.id,
+        recipient: order.recipient,
+        items: await Promise.all(order.items.map(async item => ({
+            ...item,
+            files: await toPrintReadyFiles(item.variant_id, item.files)
+        }))),
+        retail_costs: {
+            currency: quote.currency.toUpperCase(),
+            subtotal: toAmount(quote.subtotal),
+            shipping: toAmount(quote.shipping.amount),
+            tax: toAmount(quote.tax)
+        }
+    });
+    await orderStore.addEvent(order.id, { type: 'printful_order_created', printfulOrderId: result.id });
+    return result.id;
+};
+
+// Send a paid draft to Printful and confirm it so it is fulfilled, releasing the
+// customer's clean designs. Safe to call again for the same payment: orders already
+// past 'paid' are returned as duplicates.
+// Returns { status: 'created' | 'duplicate' | 'unwanted', order, reason? }. A payment the
+// draft cannot take (it was canceled, another checkout already paid for it, or the amount
+// is not the quote's) leaves the order as it is and is 'unwanted', for the caller to refund.
+export const confirmDraftOrder = async (orderId, { stripeSessionId = null, amountTotal = null } = {}) => {
+    let order = await orderStore.get(orderId);
+    if (!order) {
+        throw new OrderError(`Order ${orderId} not found.`, 'not_found', { orderId });
+    }
+    if (order.status === 'canceled') {
+        return { status: 'unwanted', order, reason: 'Paid after the order was canceled.' };
+    }
+    if (order.status !== 'draft' && order.stripeSessionId !== stripeSessionId) {
+        return { status: 'unwanted', order, reason: 'The order was already paid through another checkout.' };
+    }
+    if (order.status !== 'draft' && order.status !== 'paid') {
+        return { status: 'duplicate', order };
+    }
+
+    if (order.status === 'draft') {
+        if (amountTotal !== order.quote.total) {
+            return { status: 'unwanted', order, reason: `Paid ${amountTotal} instead of the quoted ${order.quote.total}.` };
+        }
+        order = await orderStore.update(order.id, { status: 'paid', stripeSessionId });
+        order = await orderStore.addEvent(order.id, { type: 'payment_succeeded', stripeSessionId, amountTotal });
+    }
+    if (order.userId) {
+        await releasePurchasedAssets({ ownerId: order.userId, urls: order.designUrls, orderId: order.id });
+    }
+
+    try {
+        const printfulOrderId = await submitPaidOrder(order);
+        order = await orderStore.update(order.id, { printfulOrderId });
+
+        // A previous attempt may have confirmed it before the ledger was updated
+        const printfulOrder = await getPrintfulOrder(printfulOrderId);
+        if (printfulOrder?.result.status === 'draft') {
+            await confirmPrintfulOrder(printfulOrderId);
+        }
+    } catch (error) {
+        await orderStore.addEvent(order.id, { type: 'printful_submission_failed', error: error.message });
+        throw error;
+    }
+
+    order = await orderStore.update(order.id, { status: 'submitted' });
+    order = await orderStore.addEvent(order.id, { type: 'printful_order_confirmed', printfulOrderId: order.printfulOrderId });
+    return { status: 'created', order };
+};
+
+// Expire a draft's open Stripe checkouts, so that none of them can be paid any more.
+// Throws if one was paid meanwhile: the draft is then an order like any other.
+export const expireDraftCheckouts = async (stripe, order) => {
+    const sessionIds = order.timeline.filter(event => event.type === 'checkout_started').map(event => event.stripeSessionId);
+    for (const sessionId of sessionIds) {
+        const session = await stripe.checkout.sessions.retrieve(sessionId);
+        if (session.status === 'complete') {
+            throw new OrderError('This order has just been paid for.', 'not_draft', { status: 'paid' });
+        }
+        if (session.status === 'open') {
+            await stripe.checkout.sessions.expire(sessionId);
+        }
+    }
+};
+
+// Cancel an unpaid draft in the ledger, once its checkouts are expired
+export const cancelDraftOrder = async (stripe, orderId) => {
+    const order = await orderStore.get(orderId);
+    if (!order) {
+        throw new OrderError(`Order ${orderId} not found.`, 'not_found', { orderId });
+    }
+    if (order.status !== 'draft') {
+        throw new OrderError(`Only draft orders can be canceled here; this order is ${order.status}.`, 'not_draft', { status: order.status });
+    }
+
+    await expireDraftCheckouts(stripe, order);
+    await orderStore.update(order.id, { status: 'canceled' });
+    return orderStore.addEvent(order.id, { type: 'order_canceled', reason: 'Draft canceled by customer.' });
+};
@@ -0,0 +1,118 @@
+// backend/orderStore.js
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { createJsonFileStore, DATA_DIR } from './jsonFileStore.js';
+
+// File-backed order repository. Every repository exposes the same methods:
+// create, get, update, addEvent, findByStripeSessionId, findByPrintfulOrderId,
+// findByExternalId, listByUser and listRecent.
+export const createFileOrderRepository = (filePath = path.join(DATA_DIR, 'orders.json')) => {
+    const { load, persist } = createJsonFileStore(filePath);
+
+    const findOne = async (predicate) => {
+        const all = await load();
+        return Object.values(all).find(predicate) || null;
+    };
+
+    return {
+        async create(data) {
+            const all = await load();
+            const now = new Date().toISOString();
+            const order = {
+                id: uuidv4(),
+                status: 'pending',
+                stripeSessionId: null,
+                printfulOrderId: null,
+                externalId: null,
+                userId: null,
+                email: null,
+                recipient: null,
+                items: [],
+                designUrls: [],
+                quote: null,
+                shipments: [],
+                refunds: [],
+                timeline: [],
+                ...data,
+                createdAt: now,
+                updatedAt: now
+            };
+            all[order.id] = order;
+            await persist();
+            return order;
+        },
+
+        async get(id) {
+            const all = await load();
+            return all[id] || null;
+        },
+
+        async update(id, changes) {
+            const all = await load();
+            if (!all[id]) return null;
+            all[id] = { ...all[id], ...changes, id, updatedAt: new Date().toISOString() };
+            await persist();
+            return all[id];
+        },
+
+        // Append an entry ({ type, ...data }) to the order timeline
+        async addEvent(id, event) {
+            const all = await load();
+            if (!all[id]) return null;
+            const now = new Date().toISOString();
+            all[id].timeline.push({ at: now, ...event });
+            all[id].updatedAt = now;
+            await persist();
+            return all[id];
+        },
+
+        findByStripeSessionId(sessionId) {
+            return findOne(order => order.stripeSessionId === sessionId);
+        },
+
+        findByPrintfulOrderId(printfulOrderId) {
+            return findOne(order => order.printfulOrderId === printfulOrderId);
+        },
+
+        findByExternalId(externalId) {
+            return findOne(order => order.externalId === externalId);
+        },
+
+        // A user's orders, newest first
+        async listByUser(userId) {
+            const all = await load();
+            return Object.values(all)
+                .filter(order => order.userId === userId)
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        },
+
+        // Newest first, optionally only orders in one status
+        async listRecent({ status, limit = 50 } = {}) {
+            const all = await load();
+            return Object.values(all)
+                .filter(order => !status || order.status === status)
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+                .slice(0, limit);
+        }
+    };
+};
+
+const repositories = {
+    file: createFileOrderRepository
+};
+
+const createOrderRepository = () => {
+    const driver = process.env.ORDER_STORE || 'file';
+    if (!repositories[driver]) {
+        throw new Error(`Unknown ORDER_STORE "${driver}".`);
+    }
+    return repositories[driver]();
+};
+
+export const orderStore = createOrderRepository();
+
+// Collect the design file URLs referenced by Printful order items
+export const designUrlsFromItems = (items = []) => {
+    const urls = items.flatMap(item => (item.files || []).map(file => file.url).filter(Boolean));
+    return [...new Set(urls)];
+};
@@ -0,0 +1,57 @@
+// backend/previewService.js
+import fs from 'fs';
+import sharp from 'sharp';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Previews are at most PREVIEW_MAX_SIZE pixels on their longest side, tiled with a
+// watermark every PREVIEW_WATERMARK_TILE pixels: PREVIEW_WATERMARK_TEXT, or the image
+// at PREVIEW_WATERMARK_IMAGE (a local file) when set, at PREVIEW_WATERMARK_OPACITY.
+const PREVIEW_MAX_SIZE = Number(process.env.PREVIEW_MAX_SIZE || 800);
+const PREVIEW_WATERMARK_TILE = Number(process.env.PREVIEW_WATERMARK_TILE || 220);
+const PREVIEW_WATERMARK_TEXT = process.env.PREVIEW_WATERMARK_TEXT || 'PREVIEW';
+const PREVIEW_WATERMARK_IMAGE = process.env.PREVIEW_WATERMARK_IMAGE || null;
+const PREVIEW_WATERMARK_OPACITY = Number(process.env.PREVIEW_WATERMARK_OPACITY || 0.35);
+
+const escapeXml = (value) => String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+}[char]));
+
+let watermarkTile = null;
+
+// One tile of the watermark, drawn diagonally so cropping cannot remove it
+const loadWatermarkTile = () => {
+    if (!watermarkTile) {
+        const size = PREVIEW_WATERMARK_TILE;
+        const mark = PREVIEW_WATERMARK_IMAGE
+            ? `<image href="data:image/png;base64,${fs.readFileSync(PREVIEW_WATERMARK_IMAGE).toString('base64')}" x="${size * 0.15}" y="${size * 0.15}" width="${size * 0.7}" height="${size * 0.7}" preserveAspectRatio="xMidYMid meet"/>`
+            : `<text x="50%" y="50%" text-anchor="middle" dominant-baseline="middle" font-family="sans-serif" font-weight="bold" font-size="${Math.round(size / 6)}" fill="#ffffff" stroke="#000000" stroke-width="1">${escapeXml(PREVIEW_WATERMARK_TEXT)}</text>`;
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">
+            <g opacity="${PREVIEW_WATERMARK_OPACITY}" transform="rotate(-30 ${size / 2} ${size / 2})">${mark}</g>
+        </svg>`;
+        watermarkTile = sharp(Buffer.from(svg)).png().toBuffer();
+    }
+    return watermarkTile;
+};
+
+// Downscaled, watermarked copy of an image for showing before purchase. Images with
+// transparency stay PNG; everything else becomes JPEG.
+export const renderPreview = async (buffer) => {
+    const { hasAlpha } = await sharp(buffer).metadata();
+    const resized = await sharp(buffer)
+        .rotate()
+        .resize(PREVIEW_MAX_SIZE, PREVIEW_MAX_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .toBuffer();
+
+    // Sharp refuses to composite a tile larger than the image, so small images get a
+    // smaller tile
+    const { width, height } = await sharp(resized).metadata();
+    const tileSize = Math.min(PREVIEW_WATERMARK_TILE, width, height);
+    const tile = tileSize < PREVIEW_WATERMARK_TILE
+        ? await sharp(await loadWatermarkTile()).resize(tileSize, tileSize).toBuffer()
+        : await loadWatermarkTile();
+
+    const preview = sharp(resized).composite([{ input: tile, tile: true, blend: 'over' }]);
+    return hasAlpha ? preview.png().toBuffer() : preview.jpeg({ quality: 80 }).toBuffer();
+};
@@ -0,0 +1,129 @@
+// backend/pricingService.js
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getPrintfulVariant } from './printfulService.js';
+import { DATA_DIR } from './jsonFileStore.js';
+import { SANDBOX } from './sandbox.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Prices live in DATA_DIR, as the deployed code is read-only on Vercel; priceCatalog.json
+// in the repo is only the catalog they start from. The sandbox prices the fake Printful
+// catalog in a catalog of its own (see seedSandboxPrices).
+const BUNDLED_PRICE_CATALOG_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'priceCatalog.json');
+const PRICE_CATALOG_PATH = SANDBOX
+    ? path.join(DATA_DIR, 'sandbox-price-catalog.json')
+    : process.env.PRICE_CATALOG_PATH || path.join(DATA_DIR, 'price-catalog.json');
+
+// Default margin applied on top of Printful's variant cost, e.g. 0.4 = 40%
+const DEFAULT_MARGIN = Number(process.env.PRICE_MARGIN || 0.4);
+
+// The catalog as last read, and the modification time of the file it was read from
+// (null while there is no file yet)
+let cachedCatalog = null;
+let cachedMtimeMs = null;
+
+// Error raised when a cart cannot be priced, with per-line details for the client
+export class PricingError extends Error {
+    constructor(message, details = []) {
+        super(message);
+        this.name = 'PricingError';
+        this.details = details;
+    }
+}
+
+const readCatalogFile = async (filePath) => JSON.parse(await fs.readFile(filePath, 'utf8'));
+
+// Load the price catalog ({ currency, margin, variants: { [variantId]: entry } }). It is read
+// again once its file changes, so prices seeded by npm run seed-prices apply without a restart.
+export const loadPriceCatalog = async () => {
+    const stats = await fs.stat(PRICE_CATALOG_PATH).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+        return null;
+    });
+    const mtimeMs = stats ? stats.mtimeMs : null;
+    if (!cachedCatalog || mtimeMs !== cachedMtimeMs) {
+        if (stats) {
+            cachedCatalog = await readCatalogFile(PRICE_CATALOG_PATH);
+        } else {
+            cachedCatalog = SANDBOX
+                ? { currency: 'usd', margin: DEFAULT_MARGIN, variants: {} }
+                : await readCatalogFile(BUNDLED_PRICE_CATALOG_PATH);
+        }
+        cachedMtimeMs = mtimeMs;
+    }
+    return cachedCatalog;
+};
+
+// Fetch the given variants from Printful and store them with their retail price
+// (Printful cost plus margin). Existing entries for other variants are kept.
+export const seedPriceCatalog = async (variantIds, margin = DEFAULT_MARGIN) => {
+    const catalog = await loadPriceCatalog();
+
+    for (const variantId of variantIds) {
+        const { result } = await getPrintfulVariant(variantId);
+        const cost = Math.round(Number(result.variant.price) * 100);
+
+        catalog.variants[result.variant.id] = {
+            variantId: result.variant.id,
+            productId: result.variant.product_id,
+            name: result.variant.name,
+            image: result.variant.image,
+            cost,
+            unitAmount: Math.round(cost * (1 + margin))
+        };
+    }
+
+    catalog.margin = margin;
+    catalog.updatedAt = new Date().toISOString();
+    // Written atomically, as running servers read it whenever it changes
+    await fs.mkdir(path.dirname(PRICE_CATALOG_PATH), { recursive: true });
+    const tempPath = `${PRICE_CATALOG_PATH}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, `${JSON.stringify(catalog, null, 2)}\n`);
+    await fs.rename(tempPath, PRICE_CATALOG_PATH);
+    return catalog;
+};
+
+// Resolve client cart lines ({ variantId, quantity, designUrl, placement?, price? }) against the
+// catalog. Prices always come from the catalog; a client-side price is only checked.
+export const resolveCartItems = async (cartItems) => {
+    const catalog = await loadPriceCatalog();
+    const errors = [];
+
+    const resolvedItems = cartItems.map((item, index) => {
+        const entry = catalog.variants[item.variantId];
+
+        if (!Number.isInteger(item.variantId) || !Number.isInteger(item.quantity) || item.quantity <= 0 || typeof item.designUrl !== 'string' || !item.designUrl) {
+            errors.push({ index, code: 'invalid_item', message: 'Each cart item needs an integer variantId, a positive integer quantity and a designUrl.' });
+            return null;
+        }
+        if (!entry) {
+            errors.push({ index, variantId: item.variantId, code: 'unknown_variant', message: `Variant ${item.variantId} is not for sale.` });
+            return null;
+        }
+        if (item.price !== undefined && Math.round(item.price * 100) !== entry.unitAmount) {
+            errors.push({
+                index,
+                variantId: item.variantId,
+                code: 'price_mismatch',
+                message: `Price for variant ${item.variantId} is ${(entry.unitAmount / 100).toFixed(2)}, not ${item.price}.`
+            });
+            return null;
+        }
+
+        return {
+            ...entry,
+            currency: catalog.currency,
+            quantity: item.quantity,
+            designUrl: item.designUrl,
+            placement: item.placement
+        };
+    });
+
+    if (errors.length > 0) {
+        throw new PricingError('Some cart items could not be priced.', errors);
+    }
+    return resolvedItems;
+};
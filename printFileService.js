@@ -0,0 +1,183 @@
+// backend/printFileService.js
+import crypto from 'crypto';
+import path from 'path';
+import sharp from 'sharp';
+import { v4 as uuidv4 } from 'uuid';
+import { getPrintfulVariant, getPrintfulPrintfiles, uploadFileToPrintful } from './printfulService.js';
+import { loadAssetImage, getAssetByUrl } from './assetService.js';
+import { renderDesignForPrint } from './designService.js';
+import { storage } from './storageService.js';
+import { createJsonFileStore, DATA_DIR } from './jsonFileStore.js';
+
+// Below PRINT_MIN_DPI a print file is refused; below PRINT_WARN_DPI it is made with a warning
+const PRINT_MIN_DPI = Number(process.env.PRINT_MIN_DPI || 100);
+const PRINT_WARN_DPI = Number(process.env.PRINT_WARN_DPI || 150);
+
+// Lifetime of the signed URL Printful downloads a print file from
+const PRINT_FILE_URL_TTL_SECONDS = Number(process.env.PRINT_FILE_URL_TTL_SECONDS || 24 * 60 * 60);
+
+// Generated print files, keyed by design URL + Printful printfile, so every variant
+// sharing a print area reuses one Printful file
+const printFileStore = createJsonFileStore(path.join(DATA_DIR, 'print-files.json'));
+const printAreaCache = new Map();
+
+// Error raised when a print file cannot be made. `code` is no_print_area or low_resolution.
+export class PrintFileError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'PrintFileError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Look up the print area ({ printfileId, width, height, dpi, placement }) of a variant.
+// Without a placement, 'front' is preferred, then 'default', then whatever comes first.
+export const getPrintArea = async (variantId, placement) => {
+    const cacheKey = `${variantId}:${placement || ''}`;
+    if (printAreaCache.has(cacheKey)) {
+        return printAreaCache.get(cacheKey);
+    }
+
+    const { result: { variant } } = await getPrintfulVariant(variantId);
+    const { result } = await getPrintfulPrintfiles(variant.product_id);
+    const placements = result.variant_printfiles.find(entry => entry.variant_id === variant.id)?.placements || {};
+    const chosenPlacement = placement
+        || (placements.front && 'front')
+        || (placements.default && 'default')
+        || Object.keys(placements)[0];
+
+    const printfile = result.printfiles.find(entry => entry.printfile_id === placements[chosenPlacement]);
+    if (!printfile) {
+        throw new PrintFileError(`Variant ${variantId} has no "${placement || 'front'}" print area.`, 'no_print_area', {
+            variantId,
+            placements: Object.keys(placements)
+        });
+    }
+
+    const printArea = {
+        printfileId: printfile.printfile_id,
+        width: printfile.width,
+        height: printfile.height,
+        dpi: printfile.dpi,
+        placement: chosenPlacement
+    };
+    printAreaCache.set(cacheKey, printArea);
+    return printArea;
+};
+
+// DPI the design would print at when scaled to fit inside the print area
+export const effectiveDpi = (designWidth, designHeight, printArea) => {
+    const scale = Math.min(printArea.width / designWidth, printArea.height / designHeight);
+    return Math.round(printArea.dpi / scale);
+};
+
+// Render a design as a transparent PNG at the print area's pixel size and DPI,
+// centred and scaled to fit
+export const renderPrintFile = (designBuffer, printArea) => {
+    return sharp(designBuffer)
+        .ensureAlpha()
+        .resize(printArea.width, printArea.height, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+        .withMetadata({ density: printArea.dpi })
+        .png()
+        .toBuffer();
+};
+
+// The design to print and the DPI it prints at. Designs made from a design document are
+// rendered from it at the print area's size, so text and shapes stay sharp; other
+// designs are their clean image, scaled by renderPrintFile.
+const loadPrintDesign = async (designUrl, printArea) => {
+    const asset = await getAssetByUrl(designUrl);
+    if (asset?.document) {
+        const { buffer, effectiveDpi: dpi, layer } = await renderDesignForPrint(asset.document, printArea);
+        return { buffer, dpi, details: { layer } };
+    }
+
+    const buffer = await loadAssetImage(designUrl);
+    const { width, height } = await sharp(buffer).metadata();
+    return { buffer, dpi: effectiveDpi(width, height, printArea), details: { designWidth: width, designHeight: height } };
+};
+
+// Without the storage key, which is never handed out
+const describePrintFile = ({ storageKey, ...printFile }, printArea) => ({ ...printFile, placement: printArea.placement });
+
+// The stored print file record for a design on a variant, made if missing
+const preparePrintFileRecord = async ({ designUrl, variantId, placement }) => {
+    const printArea = await getPrintArea(variantId, placement);
+    const key = crypto.createHash('sha256').update(`${designUrl}|${printArea.printfileId}`).digest('hex');
+
+    // Placements sharing a print area (e.g. front and back) share the file, so the
+    // placement always comes from this request
+    const printFiles = await printFileStore.load();
+    if (printFiles[key]) {
+        return { key, printFile: printFiles[key], printArea };
+    }
+
+    const { buffer: designBuffer, dpi, details } = await loadPrintDesign(designUrl, printArea);
+
+    if (dpi < PRINT_MIN_DPI) {
+        throw new PrintFileError(
+            `The design would print at ${dpi} DPI; at least ${PRINT_MIN_DPI} DPI is required for this product.`,
+            'low_resolution',
+            { effectiveDpi: dpi, minDpi: PRINT_MIN_DPI, ...details }
+        );
+    }
+
+    const warnings = dpi < PRINT_WARN_DPI
+        ? [{ code: 'low_resolution', message: `The design will print at ${dpi} DPI and may look soft.` }]
+        : [];
+
+    const rendered = await renderPrintFile(designBuffer, printArea);
+    const stored = await storage.put(rendered, { folder: 'print_files', id: uuidv4(), format: 'png', access: 'private' });
+
+    printFiles[key] = {
+        printfulFileId: null,
+        storageKey: stored.key,
+        designUrl,
+        placement: printArea.placement,
+        width: printArea.width,
+        height: printArea.height,
+        dpi: printArea.dpi,
+        effectiveDpi: dpi,
+        warnings,
+        createdAt: new Date().toISOString()
+    };
+    await printFileStore.persist();
+    return { key, printFile: printFiles[key], printArea };
+};
+
+// Make (or reuse) the print-ready file for a design on a Printful variant, stored
+// privately, without giving it to Printful; checkouts call this before payment so
+// unprintable designs are refused up front. Returns { printfulFileId (null until
+// registered), placement, width, height, dpi, effectiveDpi, warnings }.
+export const preparePrintFile = async ({ designUrl, variantId, placement }) => {
+    const { printFile, printArea } = await preparePrintFileRecord({ designUrl, variantId, placement });
+    return describePrintFile(printFile, printArea);
+};
+
+// Make (or reuse) the print-ready file for a design on a Printful variant and register it
+// with Printful, which downloads it from a signed, expiring URL. Only for designs that
+// have been paid for (store products included), as Printful gets the clean file. Returns what
+// preparePrintFile does, with printfulFileId set.
+export const ensurePrintFile = async ({ designUrl, variantId, placement }) => {
+    const { key, printFile, printArea } = await preparePrintFileRecord({ designUrl, variantId, placement });
+
+    if (!printFile.printfulFileId) {
+        const fileUrl = await storage.signedUrl(printFile.storageKey, { expiresIn: PRINT_FILE_URL_TTL_SECONDS });
+        const { result } = await uploadFileToPrintful(fileUrl, `${key.slice(0, 16)}.png`);
+        printFile.printfulFileId = result.id;
+        await printFileStore.persist();
+    }
+    return describePrintFile(printFile, printArea);
+};
+
+// Replace URL-only Printful order/sync-variant files ([{ type?, url }]) with print-ready
+// files registered through ensurePrintFile ([{ type, id }]). Files that already carry
+// a Printful file ID just keep it.
+export const toPrintReadyFiles = async (variantId, files = []) => {
+    return Promise.all(files.map(async (file) => {
+        if (file.id) return { type: file.type, id: file.id };
+        const printFile = await ensurePrintFile({ designUrl: file.url, variantId, placement: file.type });
+        return { type: printFile.placement, id: printFile.printfulFileId };
+    }));
+};
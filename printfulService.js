@@ -1,106 +1,265 @@
 // backend/printfulService.js
 import axios from 'axios';
 import dotenv from 'dotenv';
+import { SANDBOX, publicBaseUrl } from './sandbox.js';
+import { logger, requestIdHeader } from './logger.js';
+import { timeUpstreamCall } from './metrics.js';
 
 dotenv.config();
 
-const PRINTFUL_ACCESS_TOKEN = 'XGzhUZbJCiEe1FbDOz74TWXsPcDFyMNmvr4m6Ne6';
-const PRINTFUL_BASE_URL = 'https://api.printful.com';
+// Printful client configuration, all read from the environment. The sandbox talks to
+// the fake Printful API it serves itself (see sandboxRoutes.js).
+export const printfulConfig = {
+    apiKey: SANDBOX ? 'sandbox' : process.env.PRINTFUL_API_KEY,
+    storeId: SANDBOX ? null : process.env.PRINTFUL_STORE_ID,
+    baseUrl: SANDBOX ? `${publicBaseUrl()}/sandbox/printful` : process.env.PRINTFUL_API_URL || 'https://api.printful.com',
+    maxRetries: Number(process.env.PRINTFUL_MAX_RETRIES || 4),
+    retryBaseDelayMs: Number(process.env.PRINTFUL_RETRY_BASE_DELAY_MS || 500),
+    retryMaxDelayMs: Number(process.env.PRINTFUL_RETRY_MAX_DELAY_MS || 30000),
+    pageSize: 100
+};
 
 const printfulAxios = axios.create({
-    baseURL: PRINTFUL_BASE_URL,
+    baseURL: printfulConfig.baseUrl,
+    timeout: Number(process.env.PRINTFUL_TIMEOUT_MS || 30000),
     headers: {
-        'Authorization': `Bearer ${PRINTFUL_ACCESS_TOKEN}`,
         'Content-Type': 'application/json'
     }
 });
 
+// Error raised for every failed Printful call. `status` is the HTTP status (0 for
+// network failures), `code` Printful's own error code and `reason` its error reason
+// (e.g. 'BadRequest'); `result` carries Printful's raw `result` payload.
+export class PrintfulError extends Error {
+    constructor(message, { status = 0, code = null, reason = null, result = null } = {}) {
+        super(message);
+        this.name = 'PrintfulError';
+        this.status = status;
+        this.code = code;
+        this.reason = reason;
+        this.result = result;
+    }
+}
+
+const toPrintfulError = (error, method, url) => {
+    const body = error.response?.data;
+    if (!error.response) {
+        return new PrintfulError(`Printful ${method.toUpperCase()} ${url} failed: ${error.message}`, { reason: error.code || 'NetworkError' });
+    }
+    return new PrintfulError(body?.error?.message || (typeof body?.result === 'string' ? body.result : error.message), {
+        status: error.response.status,
+        code: body?.code ?? error.response.status,
+        reason: body?.error?.reason || null,
+        result: body?.result ?? null
+    });
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Honour Retry-After (seconds or an HTTP date); otherwise back off exponentially with jitter
+const retryDelay = (error, attempt) => {
+    const retryAfter = error.response?.headers?.['retry-after'];
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const delay = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+        if (delay >= 0) return Math.min(delay, printfulConfig.retryMaxDelayMs);
+    }
+    const backoff = printfulConfig.retryBaseDelayMs * 2 ** attempt;
+    return Math.min(backoff + Math.random() * backoff / 2, printfulConfig.retryMaxDelayMs);
+};
+
+// Rate-limited calls (429) were never processed, so every method is retried on them.
+// Network errors and 5xx are only retried for reads, so an order is never created twice.
+const isRetryable = (error, method) => {
+    const status = error.response?.status;
+    if (status === 429) return true;
+    if (method !== 'get') return false;
+    return !error.response || status >= 500;
+};
+
+// Metrics name calls by path with IDs taken out, e.g. GET /orders/:id
+const operationName = (method, url) => `${method.toUpperCase()} ${url.replace(/\/@?[\w-]*\d[\w-]*(?=\/|$)/g, '/:id')}`;
+
+// Send a request to the Printful API and return its body ({ code, result, paging?, extra? }).
+// The current request's ID is passed on in X-Request-Id.
+export const printfulRequest = async (method, url, { data, params, storeId } = {}) => {
+    if (!printfulConfig.apiKey) {
+        throw new PrintfulError('PRINTFUL_API_KEY is not configured.', { reason: 'MissingCredentials' });
+    }
+
+    const headers = { 'Authorization': `Bearer ${printfulConfig.apiKey}`, ...requestIdHeader() };
+    if (storeId || printfulConfig.storeId) {
+        headers['X-PF-Store-Id'] = String(storeId || printfulConfig.storeId);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const response = await timeUpstreamCall('printful', operationName(method, url), () => printfulAxios.request({ method, url, data, params, headers }));
+            return response.data;
+        } catch (error) {
+            if (attempt >= printfulConfig.maxRetries || !isRetryable(error, method)) {
+                throw toPrintfulError(error, method, url);
+            }
+            const delay = retryDelay(error, attempt);
+            logger.warn('Retrying Printful request', { method, url, status: error.response?.status, attempt: attempt + 1, delayMs: Math.round(delay) });
+            await sleep(delay);
+        }
+    }
+};
+
+// Fetch every page of an offset/limit paginated list and return all results
+export const printfulPaginate = async (url, { params = {}, storeId } = {}) => {
+    const results = [];
+    let offset = 0;
+    for (;;) {
+        const body = await printfulRequest('get', url, {
+            params: { ...params, offset, limit: printfulConfig.pageSize },
+            storeId
+        });
+        results.push(...body.result);
+
+        const paging = body.paging;
+        offset += body.result.length;
+        if (!paging || body.result.length === 0 || offset >= paging.total) {
+            return results;
+        }
+    }
+};
+
 // Function to create a Printful product using mockup generator
-export const createPrintfulProduct = async (imageUrl, productType) => {
-    try {
-        const response = await printfulAxios.post('/mockup-generator/create-task', {
+export const createPrintfulProduct = (imageUrl, productType) => {
+    return printfulRequest('post', '/mockup-generator/create-task', {
+        data: {
             variant_ids: [productType], // e.g., 4011 for t-shirt
             format: 'png',
             image_url: imageUrl
-        });
-        return response.data;
-    } catch (error) {
-        console.error('Error creating Printful product:', error.response?.data || error.message);
-        throw error;
-    }
+        }
+    });
 };
 
-// Function to add a product to the store
-export const addProductToStore = async (storeId, productData) => {
-    try {
-        const response = await printfulAxios.post(`/store/products`, productData);
-        console.log('Product added to Printful store:', response);
-        
-        return response.data;
-    } catch (error) {
-        console.error('Error adding product to Printful store:', error.response?.data || error.message);
-        // throw error;
-    }
+// Function to add a product to the store (defaults to PRINTFUL_STORE_ID)
+export const addProductToStore = (storeId, productData) => {
+    return printfulRequest('post', '/store/products', { data: productData, storeId });
 };
 
-// Function to create a Printful order
-export const createPrintfulOrder = async (orderData) => {
-    try {
-        console.log('Creating Printful order:', orderData.items[0]?.files);
-        const response = await printfulAxios.post('/orders', orderData);
-        return response.data;
-    } catch (error) {
-        console.error('Error creating Printful order:', error.response?.data || error.message);
-        throw error;
-    }
+// Function to fetch a sync product with its variants ({ sync_product, sync_variants })
+export const getStoreProduct = (storeId, productId) => {
+    return printfulRequest('get', `/store/products/${productId}`, { storeId });
+};
+
+// Function to update a sync product. Variants sent without an `id` are created and
+// variants left out are deleted, so `sync_variants` is always the full list.
+export const updateStoreProduct = (storeId, productId, productData) => {
+    return printfulRequest('put', `/store/products/${productId}`, { data: productData, storeId });
+};
+
+// Function to delete a sync product and all its variants
+export const deleteStoreProduct = (storeId, productId) => {
+    return printfulRequest('delete', `/store/products/${productId}`, { storeId });
+};
+
+// Function to create a Printful order. Orders are drafts (not charged or fulfilled)
+// until confirmed with confirmPrintfulOrder.
+export const createPrintfulOrder = (orderData) => {
+    return printfulRequest('post', '/orders', { data: orderData, params: { confirm: false } });
+};
+
+// Function to submit a draft order for fulfilment
+export const confirmPrintfulOrder = (orderId) => {
+    return printfulRequest('post', `/orders/${orderId}/confirm`);
 };
 
+// Function to cancel an order. Drafts are deleted; submitted orders can only be
+// canceled while Printful has not started fulfilling them.
+export const cancelPrintfulOrder = (orderId) => {
+    return printfulRequest('delete', `/orders/${orderId}`);
+};
+
+// Function to estimate an order's costs ({ costs, retail_costs }) without creating it
+export const estimatePrintfulOrderCosts = (orderData) => {
+    return printfulRequest('post', '/orders/estimate-costs', { data: orderData });
+};
+
+// Function to list the shipping methods and rates for a recipient and items
+export const getPrintfulShippingRates = ({ recipient, items, currency }) => {
+    return printfulRequest('post', '/shipping/rates', { data: { recipient, items, currency } });
+};
 
-// Function to fetch Printful products
-export const getPrintfulProducts = async () => {
+// Function to fetch a single Printful order by ID or by `@external_id`
+export const getPrintfulOrder = async (orderId) => {
     try {
-        const response = await printfulAxios.get('/store/products');
-        return response.data;
+        return await printfulRequest('get', `/orders/${orderId}`);
     } catch (error) {
-        console.error('Error fetching Printful products:', error.response?.data || error.message);
+        if (error.status === 404) {
+            return null;
+        }
         throw error;
     }
 };
-export const uploadFileToPrintful = async (fileUrl, fileName) => {
-    try {
-      const payload = { url: fileUrl };
-      if (fileName) payload.filename = fileName;
-      
-      const response = await printfulAxios.post('/files', payload);
-      return response.data; // Contains { code, result, extra }
-    } catch (error) {
-      console.error('Error uploading file to Printful:', error.response?.data || error.message);
-      throw error;
-    }
-  };
 
-  export const getFileInfoFromPrintful = async (fileId) => {
-    try {
-      // GET /files/{file_id}
-      const response = await printfulAxios.get(`/files/${fileId}`);
-      // response.data => { code, result, extra }
-      console.log('File info from Printful:', response.data);
-      
-      return response.data;
-    } catch (error) {
-      console.error('Error retrieving file info from Printful:', error.response?.data || error.message);
-      throw error;
-    }
-  };
-  
+// Function to list the store's orders, newest first ({ result, paging }), optionally
+// only those in one Printful status
+export const listPrintfulOrders = ({ status, limit = 20, offset = 0 } = {}) => {
+    return printfulRequest('get', '/orders', { params: { status, limit, offset } });
+};
+
+// Function to fetch all of the store's sync products
+export const getPrintfulProducts = async (storeId) => {
+    const result = await printfulPaginate('/store/products', { storeId });
+    return { code: 200, result };
+};
+
+// Function to fetch the Printful catalog products
+export const getCatalogProducts = (params) => {
+    return printfulRequest('get', '/products', { params });
+};
+
+// Function to fetch a catalog product with all its variants
+export const getCatalogProduct = (productId) => {
+    return printfulRequest('get', `/products/${productId}`);
+};
+
+// Function to fetch a catalog variant (includes Printful's base cost as `variant.price`)
+export const getPrintfulVariant = (variantId) => {
+    return printfulRequest('get', `/products/variant/${variantId}`);
+};
+
+// Function to fetch a product's print files (print-area sizes and DPI per variant and placement)
+export const getPrintfulPrintfiles = (productId) => {
+    return printfulRequest('get', `/mockup-generator/printfiles/${productId}`);
+};
+
+export const uploadFileToPrintful = (fileUrl, fileName) => {
+    const payload = { url: fileUrl };
+    if (fileName) payload.filename = fileName;
+
+    return printfulRequest('post', '/files', { data: payload }); // Contains { code, result, extra }
+};
+
+export const getFileInfoFromPrintful = (fileId) => {
+    // GET /files/{file_id} => { code, result, extra }
+    return printfulRequest('get', `/files/${fileId}`);
+};
 
 // Function to fetch store information
-export const getStoreInfo = async () => {
-    try {
-        const response = await printfulAxios.get('/stores');
-        return response.data;
-    } catch (error) {
-        console.error('Error fetching store information:', error.response?.data || error.message);
-        throw error;
+export const getStoreInfo = () => {
+    return printfulRequest('get', '/stores');
+};
+
+let resolvedStoreId = null;
+
+// The store to manage products in: PRINTFUL_STORE_ID when set, otherwise the only
+// store the API key can access
+export const resolveStoreId = async () => {
+    if (printfulConfig.storeId) return printfulConfig.storeId;
+    if (resolvedStoreId) return resolvedStoreId;
+
+    const { result: stores } = await getStoreInfo();
+    if (stores.length !== 1) {
+        throw new PrintfulError(`The API key can access ${stores.length} stores; set PRINTFUL_STORE_ID to choose one.`, {
+            reason: 'StoreNotConfigured'
+        });
     }
+    resolvedStoreId = String(stores[0].id);
+    return resolvedStoreId;
 };
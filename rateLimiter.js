@@ -0,0 +1,206 @@
+// backend/rateLimiter.js
+import dotenv from 'dotenv';
+import { logger } from './logger.js';
+import { sendError } from './apiErrors.js';
+import { describeMiddleware } from './apiContract.js';
+
+dotenv.config();
+
+// Every counter store implements the same interface (fixed windows):
+//   increment(key, windowMs, amount = 1) -> { count, resetAt }  (resetAt in ms since epoch)
+//   get(key)                 -> { count, resetAt } or null when the window is unused
+//   ping()                   -> resolves when the store can be reached (readiness checks)
+
+// Default policies. Override or add any of them with RATE_LIMITS, a JSON object such as
+// {"uploads": {"limit": 20, "windowMs": 60000}}. Policies with scope 'ip' always count
+// per client address, even for signed-in callers.
+const DEFAULT_POLICIES = {
+    uploads: { limit: 10, windowMs: 60 * 1000, description: 'Image uploads per minute' },
+    swaps: { limit: 30, windowMs: 60 * 60 * 1000, description: 'Face-swap jobs per hour' },
+    mockups: { limit: 200, windowMs: 24 * 60 * 60 * 1000, description: 'Product mockups rendered per day' },
+    designs: { limit: 60, windowMs: 60 * 60 * 1000, description: 'Design documents rendered per hour' },
+    quotes: { limit: 30, windowMs: 60 * 1000, description: 'Order quotes per minute' },
+    printFiles: { limit: 200, windowMs: 60 * 60 * 1000, description: 'Print files rendered per hour' },
+    auth: { limit: 10, windowMs: 60 * 1000, scope: 'ip', description: 'Sign-up and login attempts per minute' }
+};
+
+const loadPolicies = () => {
+    const overrides = process.env.RATE_LIMITS ? JSON.parse(process.env.RATE_LIMITS) : {};
+    const policies = {};
+    for (const name of new Set([...Object.keys(DEFAULT_POLICIES), ...Object.keys(overrides)])) {
+        policies[name] = { ...DEFAULT_POLICIES[name], ...overrides[name] };
+        if (!(policies[name].limit > 0) || !(policies[name].windowMs > 0)) {
+            throw new Error(`Rate limit policy "${name}" needs a positive limit and windowMs.`);
+        }
+    }
+    return policies;
+};
+
+export const rateLimitPolicies = loadPolicies();
+
+// In-process store. Counters are per instance, so limits multiply with the number of
+// instances; use the redis store when running more than one.
+const createMemoryStore = () => {
+    const windows = new Map();
+
+    // Drop expired windows now and then so the map does not grow without bound
+    setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of windows) {
+            if (entry.resetAt <= now) windows.delete(key);
+        }
+    }, 60 * 1000).unref();
+
+    return {
+        name: 'memory',
+
+        async increment(key, windowMs, amount = 1) {
+            const now = Date.now();
+            let entry = windows.get(key);
+            if (!entry || entry.resetAt <= now) {
+                entry = { count: 0, resetAt: now + windowMs };
+                windows.set(key, entry);
+            }
+            entry.count += amount;
+            return { ...entry };
+        },
+
+        async get(key) {
+            const entry = windows.get(key);
+            return entry && entry.resetAt > Date.now() ? { ...entry } : null;
+        },
+
+        async ping() {}
+    };
+};
+
+// Redis 7+ (or a compatible server such as Valkey or KeyDB) at REDIS_URL
+const createRedisStore = () => {
+    let client = null;
+
+    // ioredis is only loaded when this store is selected
+    const getClient = async () => {
+        if (!client) {
+            const { default: Redis } = await import('ioredis');
+            client = new Redis(process.env.REDIS_URL || 'redis://localhost:6379', { maxRetriesPerRequest: 1 });
+        }
+        return client;
+    };
+
+    const prefixed = (key) => `ratelimit:${key}`;
+
+    return {
+        name: 'redis',
+
+        async increment(key, windowMs, amount = 1) {
+            const redis = await getClient();
+            // Start the window's expiry with its first hit only
+            const [[, count], , [, ttl]] = await redis.multi()
+                .incrby(prefixed(key), amount)
+                .pexpire(prefixed(key), windowMs, 'NX')
+                .pttl(prefixed(key))
+                .exec();
+            return { count, resetAt: Date.now() + Math.max(ttl, 0) };
+        },
+
+        async get(key) {
+            const redis = await getClient();
+            const [[, count], [, ttl]] = await redis.multi().get(prefixed(key)).pttl(prefixed(key)).exec();
+            return count === null || ttl < 0 ? null : { count: Number(count), resetAt: Date.now() + ttl };
+        },
+
+        async ping() {
+            const redis = await getClient();
+            await redis.ping();
+        }
+    };
+};
+
+const stores = {
+    memory: createMemoryStore,
+    redis: createRedisStore
+};
+
+export const createRateLimitStore = (store = process.env.RATE_LIMIT_STORE || 'memory') => {
+    if (!stores[store]) {
+        throw new Error(`Unknown RATE_LIMIT_STORE "${store}".`);
+    }
+    return stores[store]();
+};
+
+export const rateLimitStore = createRateLimitStore();
+
+// Who a request counts against: the API key it used, else its user, else its IP
+export const rateLimitSubject = (req, policy = {}) => {
+    if (policy.scope === 'ip') return `ip:${req.ip}`;
+    if (req.apiKey) return `apikey:${req.apiKey.id}`;
+    if (req.user) return `user:${req.user.id}`;
+    return `ip:${req.ip}`;
+};
+
+const setRateLimitHeaders = (res, policy, remaining, resetAt) => {
+    res.set({
+        'RateLimit-Policy': `${policy.limit};w=${Math.round(policy.windowMs / 1000)}`,
+        'RateLimit-Limit': String(policy.limit),
+        'RateLimit-Remaining': String(Math.max(remaining, 0)),
+        'RateLimit-Reset': String(Math.max(Math.ceil((resetAt - Date.now()) / 1000), 0))
+    });
+};
+
+// Express middleware counting each request against the named policy, as cost(req) units
+// (default 1; it runs before the request is validated). Put it after requireUser on
+// authenticated routes so the limit follows the user, not the IP. If the store is
+// unreachable requests are let through rather than failing.
+export const rateLimit = (policyName, { cost = () => 1 } = {}) => {
+    const policy = rateLimitPolicies[policyName];
+    if (!policy) {
+        throw new Error(`Unknown rate limit policy "${policyName}".`);
+    }
+
+    const middleware = async (req, res, next) => {
+        let counter;
+        try {
+            const amount = Math.max(1, Math.floor(Number(cost(req)) || 1));
+            counter = await rateLimitStore.increment(`${policyName}:${rateLimitSubject(req, policy)}`, policy.windowMs, amount);
+        } catch (error) {
+            logger.error('Rate limit store error', { policy: policyName, error });
+            return next();
+        }
+
+        setRateLimitHeaders(res, policy, policy.limit - counter.count, counter.resetAt);
+        if (counter.count > policy.limit) {
+            const retryAfter = res.get('RateLimit-Reset');
+            res.set('Retry-After', retryAfter);
+            return sendError(res, 429, 'rate_limited',
+                `Too many requests for "${policyName}" (limit ${policy.limit} per ${Math.round(policy.windowMs / 1000)}s). Try again in ${retryAfter}s.`,
+                { policy: policyName, limit: policy.limit, windowMs: policy.windowMs, resetAt: new Date(counter.resetAt).toISOString() });
+        }
+        next();
+    };
+    return describeMiddleware(middleware, { errors: [429] });
+};
+
+// A cost (see rateLimit) of one unit per entry of the request body's `field`, for routes
+// doing work for each. A body the route's schema will refuse (not a list of 1 to maxItems
+// entries) costs 1, like any other refused request.
+export const costPerEntry = (field, maxItems) => (req) => {
+    const count = Array.isArray(req.body?.[field]) ? req.body[field].length : 0;
+    return count >= 1 && count <= maxItems ? count : 1;
+};
+
+// Remaining quota of every policy for the request's subject
+export const getUsage = async (req) => {
+    return Promise.all(Object.entries(rateLimitPolicies).map(async ([name, policy]) => {
+        const counter = await rateLimitStore.get(`${name}:${rateLimitSubject(req, policy)}`);
+        const used = Math.min(counter?.count || 0, policy.limit);
+        return {
+            policy: name,
+            description: policy.description || null,
+            limit: policy.limit,
+            windowMs: policy.windowMs,
+            used,
+            remaining: policy.limit - used,
+            resetAt: counter ? new Date(counter.resetAt).toISOString() : null
+        };
+    }));
+};
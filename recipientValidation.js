@@ -0,0 +1,104 @@
+// backend/recipientValidation.js
+
+// Countries we ship to (ISO 3166-1 alpha-2), shared with Stripe Checkout's address form
+export const shippingCountries = () => (process.env.SHIPPING_COUNTRIES || 'US').split(',').map(country => country.trim().toUpperCase());
+
+const US_STATES = [
+    'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS', 'KY', 'LA',
+    'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC', 'ND', 'OH', 'OK', 'OR',
+    'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY', 'AS', 'GU', 'MP', 'PR', 'VI', 'AA', 'AE', 'AP'
+];
+
+// Per-country address rules. `states`: accepted state codes (required when listed);
+// `zip`: postal code pattern and example (null for countries without postal codes).
+// Countries not listed only need a postal code of some kind.
+const COUNTRY_RULES = {
+    US: { states: US_STATES, zip: { pattern: /^\d{5}(-\d{4})?$/, example: '94103 or 94103-1234' } },
+    CA: { states: ['AB', 'BC', 'MB', 'NB', 'NL', 'NS', 'NT', 'NU', 'ON', 'PE', 'QC', 'SK', 'YT'], zip: { pattern: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/, example: 'K1A 0B1' } },
+    AU: { states: ['ACT', 'NSW', 'NT', 'QLD', 'SA', 'TAS', 'VIC', 'WA'], zip: { pattern: /^\d{4}$/, example: '2000' } },
+    GB: { zip: { pattern: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/, example: 'SW1A 1AA' } },
+    IE: { zip: { pattern: /^[A-Z\d]{3} ?[A-Z\d]{4}$/, example: 'D02 X285', optional: true } },
+    DE: { zip: { pattern: /^\d{5}$/, example: '10115' } },
+    FR: { zip: { pattern: /^\d{5}$/, example: '75001' } },
+    ES: { zip: { pattern: /^\d{5}$/, example: '28001' } },
+    IT: { zip: { pattern: /^\d{5}$/, example: '00118' } },
+    NL: { zip: { pattern: /^\d{4} ?[A-Z]{2}$/, example: '1012 AB' } },
+    SE: { zip: { pattern: /^\d{3} ?\d{2}$/, example: '111 22' } },
+    NZ: { zip: { pattern: /^\d{4}$/, example: '6011' } },
+    JP: { zip: { pattern: /^\d{3}-?\d{4}$/, example: '100-0001' } },
+    HK: { zip: null },
+    AE: { zip: null }
+};
+
+const FIELD_MAX_LENGTHS = { name: 100, company: 100, address1: 100, address2: 100, city: 50, phone: 30, email: 100 };
+
+// Error raised for an unusable recipient. `details` lists field-level problems as
+// [{ field, code, message }].
+export class RecipientError extends Error {
+    constructor(message, details = []) {
+        super(message);
+        this.name = 'RecipientError';
+        this.details = details;
+    }
+}
+
+const clean = (value) => (typeof value === 'string' ? value.trim() : value == null ? '' : String(value).trim());
+
+// Validate a Printful recipient ({ name, address1, address2?, city, state_code?, country_code,
+// zip?, email?, phone?, company? }) against the rules of its country. Returns the recipient
+// with trimmed, upper-cased codes; throws RecipientError listing every bad field.
+export const validateRecipient = (input) => {
+    if (!input || typeof input !== 'object') {
+        throw new RecipientError('A recipient address is required.', [
+            { field: 'recipient', code: 'required', message: 'A recipient address is required.' }
+        ]);
+    }
+
+    const recipient = {};
+    for (const field of ['name', 'company', 'address1', 'address2', 'city', 'email', 'phone']) {
+        if (clean(input[field])) recipient[field] = clean(input[field]);
+    }
+    recipient.country_code = clean(input.country_code).toUpperCase();
+    if (clean(input.state_code)) recipient.state_code = clean(input.state_code).toUpperCase();
+    if (clean(input.zip)) recipient.zip = clean(input.zip).toUpperCase();
+
+    const errors = [];
+    const fail = (field, code, message) => errors.push({ field, code, message });
+
+    for (const field of ['name', 'address1', 'city']) {
+        if (!recipient[field]) fail(field, 'required', `${field} is required.`);
+    }
+    for (const [field, max] of Object.entries(FIELD_MAX_LENGTHS)) {
+        if (recipient[field] && recipient[field].length > max) fail(field, 'too_long', `${field} must be at most ${max} characters.`);
+    }
+    if (recipient.email && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(recipient.email)) {
+        fail('email', 'invalid_format', 'email is not a valid email address.');
+    }
+
+    if (!/^[A-Z]{2}$/.test(recipient.country_code)) {
+        fail('country_code', recipient.country_code ? 'invalid_format' : 'required', 'country_code must be a two-letter ISO country code.');
+    } else if (!shippingCountries().includes(recipient.country_code)) {
+        fail('country_code', 'unsupported_country', `We do not ship to ${recipient.country_code}.`);
+    } else {
+        const rules = COUNTRY_RULES[recipient.country_code] || {};
+
+        if (rules.states && !recipient.state_code) {
+            fail('state_code', 'required', `state_code is required for ${recipient.country_code} addresses.`);
+        } else if (rules.states && !rules.states.includes(recipient.state_code)) {
+            fail('state_code', 'invalid_value', `${recipient.state_code} is not a valid state code for ${recipient.country_code}.`);
+        }
+
+        if (rules.zip === null) {
+            delete recipient.zip;
+        } else if (!recipient.zip) {
+            if (!rules.zip?.optional) fail('zip', 'required', `zip is required for ${recipient.country_code} addresses.`);
+        } else if (rules.zip && !rules.zip.pattern.test(recipient.zip)) {
+            fail('zip', 'invalid_format', `zip is not a valid ${recipient.country_code} postal code (e.g. ${rules.zip.example}).`);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new RecipientError('The recipient address is invalid.', errors);
+    }
+    return recipient;
+};
@@ -0,0 +1,191 @@
+// backend/remoteImageFetcher.js
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import fetch from 'node-fetch';
+import dotenv from 'dotenv';
+import { detectImageType } from './imageType.js';
+import { storage } from './storageService.js';
+import { SANDBOX, placeholderImage } from './sandbox.js';
+
+dotenv.config();
+
+const ALLOWED_HOSTS = (process.env.REMOTE_FETCH_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+const MAX_BYTES = Number(process.env.REMOTE_FETCH_MAX_BYTES || 15 * 1024 * 1024);
+const TIMEOUT_MS = Number(process.env.REMOTE_FETCH_TIMEOUT_MS || 15000);
+const MAX_REDIRECTS = Number(process.env.REMOTE_FETCH_MAX_REDIRECTS || 3);
+
+// Error raised when a remote image is refused or cannot be fetched. `code` tells
+// the client why: invalid_url, host_not_allowed, blocked_address, too_many_redirects,
+// timeout, too_large, not_an_image or fetch_failed.
+export class RemoteFetchError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'RemoteFetchError';
+        this.code = code;
+    }
+}
+
+// Private, loopback, link-local, CGNAT, multicast and other non-public ranges
+const blockedAddresses = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    blockedAddresses.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+    blockedAddresses.addSubnet(network, prefix, 'ipv6');
+}
+
+export const isBlockedAddress = (address) => {
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return isBlockedAddress(mapped[1]);
+
+    const family = net.isIP(address);
+    if (family === 0) return true;
+    return blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// DNS lookup that refuses to connect to blocked addresses. Because the check runs
+// on the address actually connected to, DNS rebinding cannot bypass it.
+const safeLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        if (addresses.some(({ address }) => isBlockedAddress(address))) {
+            const blockedError = new Error(`${hostname} resolves to a non-public address.`);
+            blockedError.code = 'blocked_address';
+            return callback(blockedError);
+        }
+        if (options.all) return callback(null, addresses);
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+const httpAgent = new http.Agent({ lookup: safeLookup });
+const httpsAgent = new https.Agent({ lookup: safeLookup });
+
+const isAllowedHost = (hostname) => {
+    if (ALLOWED_HOSTS.length === 0) return true;
+    return ALLOWED_HOSTS.some(allowed => allowed.startsWith('*.')
+        ? hostname.endsWith(allowed.slice(1))
+        : hostname === allowed);
+};
+
+const checkUrl = (rawUrl) => {
+    let url;
+    try {
+        url = new URL(rawUrl);
+    } catch (error) {
+        throw new RemoteFetchError(`Invalid URL: ${rawUrl}`, 'invalid_url');
+    }
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new RemoteFetchError('Only http and https URLs can be fetched.', 'invalid_url');
+    }
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (!isAllowedHost(hostname)) {
+        throw new RemoteFetchError(`Host ${hostname} is not allowed.`, 'host_not_allowed');
+    }
+    // Literal IPs skip DNS lookup, so check them here
+    if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+        throw new RemoteFetchError(`${hostname} is not a public address.`, 'blocked_address');
+    }
+    return url;
+};
+
+const readLimited = async (body, controller) => {
+    const chunks = [];
+    let received = 0;
+    for await (const chunk of body) {
+        received += chunk.length;
+        if (received > MAX_BYTES) {
+            controller.abort();
+            throw new RemoteFetchError(`Image is larger than ${MAX_BYTES} bytes.`, 'too_large');
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+};
+
+const fetchWithLimits = async (rawUrl) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+
+    try {
+        let url = checkUrl(rawUrl);
+        for (let redirects = 0; ; redirects++) {
+            const response = await fetch(url.href, {
+                redirect: 'manual',
+                signal: controller.signal,
+                agent: url.protocol === 'https:' ? httpsAgent : httpAgent,
+                headers: { 'Accept': 'image/*' }
+            });
+
+            if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+                if (redirects >= MAX_REDIRECTS) {
+                    throw new RemoteFetchError(`More than ${MAX_REDIRECTS} redirects.`, 'too_many_redirects');
+                }
+                url = checkUrl(new URL(response.headers.get('location'), url).href);
+                continue;
+            }
+
+            if (!response.ok) {
+                throw new RemoteFetchError(`Fetching ${url.href} failed with status ${response.status}.`, 'fetch_failed');
+            }
+            if (Number(response.headers.get('content-length')) > MAX_BYTES) {
+                throw new RemoteFetchError(`Image is larger than ${MAX_BYTES} bytes.`, 'too_large');
+            }
+            return await readLimited(response.body, controller);
+        }
+    } catch (error) {
+        if (error instanceof RemoteFetchError) throw error;
+        if (error.name === 'AbortError') {
+            throw new RemoteFetchError(`Fetching ${rawUrl} timed out after ${TIMEOUT_MS}ms.`, 'timeout');
+        }
+        if (error.code === 'blocked_address') {
+            throw new RemoteFetchError(`${new URL(rawUrl).hostname} is not a public address.`, 'blocked_address');
+        }
+        throw new RemoteFetchError(`Fetching ${rawUrl} failed: ${error.message}`, 'fetch_failed');
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+// Fetch an image from a client-supplied URL with host, address, redirect, time and
+// size limits, and make sure it really is an image. URLs of our own storage are
+// read through the storage driver instead of over HTTP; in the sandbox, any other
+// URL gets a placeholder image instead of being downloaded.
+export const fetchRemoteImage = async (url) => {
+    if (typeof url !== 'string') {
+        throw new RemoteFetchError('Image URL must be a string.', 'invalid_url');
+    }
+
+    const key = storage.keyFromUrl(url);
+    let buffer;
+    if (key) {
+        try {
+            buffer = await storage.get(key);
+        } catch (error) {
+            throw new RemoteFetchError(`Stored image ${key} could not be read.`, 'fetch_failed');
+        }
+    } else if (SANDBOX) {
+        checkUrl(url);
+        buffer = await placeholderImage(url);
+    } else {
+        buffer = await fetchWithLimits(url);
+    }
+
+    if (!detectImageType(buffer)) {
+        throw new RemoteFetchError(`${url} is not a supported image.`, 'not_an_image');
+    }
+    return buffer;
+};
@@ -0,0 +1,136 @@
+// backend/retentionService.js
+import dotenv from 'dotenv';
+import { findAssets, deleteAsset, removeAsset } from './assetService.js';
+import { createAuditLog } from './auditLog.js';
+import { logger } from './logger.js';
+
+dotenv.config();
+
+// Raw face uploads are purged FACE_IMAGE_TTL_MS after upload (default 7 days), checked
+// every RETENTION_SWEEP_INTERVAL_MS. CONSENT_POLICY_VERSION names the consent text
+// uploaders agree to and is recorded with each face.
+const FACE_IMAGE_TTL_MS = Number(process.env.FACE_IMAGE_TTL_MS || 7 * 24 * 60 * 60 * 1000);
+const RETENTION_SWEEP_INTERVAL_MS = Number(process.env.RETENTION_SWEEP_INTERVAL_MS || 60 * 60 * 1000);
+const CONSENT_POLICY_VERSION = process.env.CONSENT_POLICY_VERSION || null;
+
+// Asset kinds holding raw photos of people (the target_images and swap_images folders)
+export const FACE_KINDS = ['target', 'selfie'];
+
+// Every deletion of a user asset, whoever or whatever made it
+export const deletionAudit = createAuditLog('deletion-audit');
+
+// Error raised when a face is uploaded without the uploader confirming consent
+export class ConsentError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConsentError';
+        this.code = 'consent_required';
+    }
+}
+
+const CONSENT_VALUES = [true, 'true', '1', 'yes', 'on'];
+
+// Consent and expiry to store with a face upload (see storeUserAsset). consent is the
+// request's consent field, which must confirm that the people pictured agreed to their
+// faces being processed.
+export const faceUploadTerms = (consent) => {
+    if (!CONSENT_VALUES.includes(consent)) {
+        throw new ConsentError('Confirm that everyone pictured has agreed to their face being processed (consent=true).');
+    }
+
+    const now = Date.now();
+    return {
+        consent: { grantedAt: new Date(now).toISOString(), policyVersion: CONSENT_POLICY_VERSION },
+        expiresAt: new Date(now + FACE_IMAGE_TTL_MS).toISOString()
+    };
+};
+
+const auditDeletion = (asset, { actor, reason }) => deletionAudit.record({
+    action: 'asset_deleted',
+    actor,
+    reason,
+    ownerId: asset.ownerId,
+    assetId: asset.id,
+    kind: asset.kind,
+    key: asset.key,
+    consent: asset.consent || null,
+    uploadedAt: asset.createdAt
+});
+
+// Delete assets one at a time, auditing each; failures are left in place to retry
+const removeAssets = async (assets, { actor, reason }) => {
+    const deleted = [];
+    const failed = [];
+    for (const asset of assets) {
+        try {
+            await removeAsset(asset);
+            await auditDeletion(asset, { actor, reason });
+            deleted.push(asset);
+        } catch (error) {
+            logger.error('Deleting asset failed', { assetId: asset.id, error });
+            failed.push(asset.id);
+        }
+    }
+    return { deleted, failed };
+};
+
+const countByKind = (assets) => assets.reduce((counts, asset) => {
+    counts[asset.kind] = (counts[asset.kind] || 0) + 1;
+    return counts;
+}, {});
+
+// Delete one of the owner's assets at their request (throws AssetError like deleteAsset)
+export const deleteOwnAsset = async (ownerId, assetId, { actor = `user:${ownerId}` } = {}) => {
+    const asset = await deleteAsset(ownerId, assetId);
+    await auditDeletion(asset, { actor, reason: 'user_request' });
+    return asset;
+};
+
+// "Forget me": delete every face, swap result and mockup stored for the subject.
+// Returns { deleted: counts by kind, failed: asset IDs that could not be deleted }.
+export const forgetSubject = async (ownerId, { actor = `user:${ownerId}` } = {}) => {
+    const assets = await findAssets(asset => asset.ownerId === ownerId);
+    const { deleted, failed } = await removeAssets(assets, { actor, reason: 'forget_me' });
+
+    const summary = { deleted: countByKind(deleted), failed };
+    await deletionAudit.record({ action: 'subject_forgotten', actor, reason: 'forget_me', ownerId, ...summary });
+    return summary;
+};
+
+// Faces stored before expiry dates were recorded expire FACE_IMAGE_TTL_MS after upload
+const isExpired = (asset, now) => {
+    if (!FACE_KINDS.includes(asset.kind)) return false;
+    const expiresAt = asset.expiresAt ? Date.parse(asset.expiresAt) : Date.parse(asset.createdAt) + FACE_IMAGE_TTL_MS;
+    return expiresAt <= now;
+};
+
+let purgeInFlight = null;
+
+// Delete every face upload past its expiry. Concurrent calls share one purge.
+// Returns { purged, failed }.
+export const purgeExpiredFaces = () => {
+    if (!purgeInFlight) {
+        purgeInFlight = (async () => {
+            const now = Date.now();
+            const expired = await findAssets(asset => isExpired(asset, now));
+            const { deleted, failed } = await removeAssets(expired, { actor: 'system', reason: 'retention_expired' });
+            return { purged: deleted.length, failed };
+        })().finally(() => {
+            purgeInFlight = null;
+        });
+    }
+    return purgeInFlight;
+};
+
+// Purge expired faces now and every RETENTION_SWEEP_INTERVAL_MS. Serverless deployments,
+// where timers do not survive between requests, should call POST /retention/purge from a cron.
+export const startRetentionSweeper = () => {
+    const sweep = () => purgeExpiredFaces()
+        .then(({ purged, failed }) => {
+            if (purged || failed.length) logger.info('Retention sweep purged expired face images', { purged, failed: failed.length });
+        })
+        .catch(error => logger.error('Retention sweep failed', { error }));
+
+    sweep();
+    setInterval(sweep, RETENTION_SWEEP_INTERVAL_MS).unref();
+};
@@ -0,0 +1,27 @@
+// backend/sandbox.js
+import crypto from 'crypto';
+import sharp from 'sharp';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// SANDBOX=true runs the app without any outside service: images are stored on local
+// disk, face swaps use the stub provider, and Stripe and Printful are replaced by
+// in-process fakes (see fakeStripe.js and sandboxRoutes.js). Real credentials are ignored.
+export const SANDBOX = /^(1|true|yes)$/i.test(process.env.SANDBOX || '');
+
+// How often a confirmed fake Printful order moves on to its next status
+export const SANDBOX_ORDER_STEP_MS = Number(process.env.SANDBOX_ORDER_STEP_MS || 10000);
+
+// Where this app is reachable; the sandbox's fakes are served from it under /sandbox
+export const publicBaseUrl = () => (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+// Stand-in for an image outside our storage (e.g. a Printful product photo), which
+// the sandbox never downloads: a flat colour picked from the URL, so each URL always
+// gets the same picture.
+export const placeholderImage = (url) => {
+    const [red, green, blue] = crypto.createHash('sha256').update(url).digest();
+    return sharp({
+        create: { width: 1000, height: 1000, channels: 3, background: { r: 128 + (red >> 1), g: 128 + (green >> 1), b: 128 + (blue >> 1) } }
+    }).jpeg().toBuffer();
+};
@@ -0,0 +1,142 @@
+// backend/sandboxRoutes.js
+import express from 'express';
+import { createFakePrintfulServer, catalogVariants } from './fakePrintfulServer.js';
+import { loadPriceCatalog, seedPriceCatalog } from './pricingService.js';
+import { SANDBOX_ORDER_STEP_MS } from './sandbox.js';
+
+// Address the checkout page is filled in with
+const SANDBOX_CUSTOMER = {
+    name: 'Sandbox Customer',
+    email: 'customer@example.com',
+    address: { line1: '1 Market St', line2: '', city: 'San Francisco', state: 'CA', postal_code: '94103', country: 'US' }
+};
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+const formatAmount = (cents, currency) => `${(cents / 100).toFixed(2)} ${currency.toUpperCase()}`;
+
+const page = (title, body) => `<!doctype html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title>
+<style>body{font-family:sans-serif;max-width:520px;margin:40px auto;padding:0 16px}table{width:100%;border-collapse:collapse}td{padding:4px 0}label{display:block;margin:8px 0 2px}input{width:100%;padding:6px;box-sizing:border-box}button{margin-top:16px;padding:8px 16px}.note{color:#a15c00}</style>
+</head>
+<body>${body}</body>
+</html>`;
+
+const checkoutPage = (session, lineItems) => {
+    const rows = lineItems.data.map(item => `<tr><td>${escapeHtml(item.description)} × ${item.quantity}</td><td align="right">${formatAmount(item.amount_total, item.currency)}</td></tr>`);
+    if (session.shipping_cost) {
+        rows.push(`<tr><td>${escapeHtml(session.shipping_cost.display_name)}</td><td align="right">${formatAmount(session.shipping_cost.amount_total, session.currency)}</td></tr>`);
+    }
+
+    const field = (name, label, value) => `<label for="${name}">${label}</label><input id="${name}" name="${name}" value="${escapeHtml(value)}">`;
+    const { address } = SANDBOX_CUSTOMER;
+    const addressFields = session.shipping_address_collection ? `
+        <h3>Shipping address</h3>
+        ${field('line1', 'Address', address.line1)}
+        ${field('line2', 'Address line 2', address.line2)}
+        ${field('city', 'City', address.city)}
+        ${field('state', 'State', address.state)}
+        ${field('postal_code', 'Postal code', address.postal_code)}
+        ${field('country', `Country (${session.shipping_address_collection.allowed_countries.join(', ')})`, address.country)}` : '';
+
+    return page('Sandbox checkout', `
+        <h1>Sandbox checkout</h1>
+        <p class="note">Sandbox mode: no card is charged and nothing is sent to Stripe.</p>
+        <table>${rows.join('')}<tr><td><strong>Total</strong></td><td align="right"><strong>${formatAmount(session.amount_total, session.currency)}</strong></td></tr></table>
+        <form method="post" action="${escapeHtml(session.id)}/complete">
+            ${field('name', 'Name', SANDBOX_CUSTOMER.name)}
+            ${field('email', 'Email', session.customer_email || SANDBOX_CUSTOMER.email)}
+            ${addressFields}
+            <button type="submit">Pay ${formatAmount(session.amount_total, session.currency)}</button>
+        </form>
+        <form method="post" action="${escapeHtml(session.id)}/cancel"><button type="submit">Cancel</button></form>`);
+};
+
+// Send the customer on to the session's success or cancel URL, or show a local page
+// when the frontend URL is not configured
+const finish = (req, res, session, url, message) => {
+    if (req.is('application/json')) {
+        return res.status(200).json({ session });
+    }
+    if (/^https?:\/\//.test(url || '')) {
+        return res.redirect(303, url.replace('{CHECKOUT_SESSION_ID}', session.id));
+    }
+    return res.status(200).send(page('Sandbox checkout', `<h1>${escapeHtml(message)}</h1><p>Session <code>${escapeHtml(session.id)}</code> is ${escapeHtml(session.status)}.</p>`));
+};
+
+// Put every fake Printful variant up for sale. Runs once the server is listening, as
+// prices are read from the fake Printful API it serves.
+export const seedSandboxPrices = async () => {
+    const catalog = await loadPriceCatalog();
+    const missing = catalogVariants.map(variant => variant.id).filter(id => !catalog.variants[id]);
+    if (missing.length > 0) {
+        await seedPriceCatalog(missing);
+    }
+};
+
+// Routes that stand in for outside services in SANDBOX mode, mounted under /sandbox:
+//   /printful/*                     the fake Printful API (its webhook events go to onPrintfulEvent)
+//   GET  /checkout/:id              checkout page for a fake Stripe session
+//   POST /checkout/:id/complete     pay for it (form post, or JSON { name, email, address })
+//   POST /checkout/:id/cancel       abandon it
+// POSTs with a JSON body answer { session } instead of redirecting, for scripted tests.
+export const createSandboxRouter = ({ stripe, onPrintfulEvent }) => {
+    const router = express.Router();
+
+    router.use('/printful', createFakePrintfulServer({ orderStepMs: SANDBOX_ORDER_STEP_MS, onEvent: onPrintfulEvent }));
+
+    router.get('/checkout/:id', async (req, res) => {
+        try {
+            const session = await stripe.checkout.sessions.retrieve(req.params.id);
+            if (session.status !== 'open') {
+                return finish(req, res, session, null, 'This checkout session is closed.');
+            }
+            const lineItems = await stripe.checkout.sessions.listLineItems(session.id, { limit: 100 });
+            return res.status(200).send(checkoutPage(session, lineItems));
+        } catch (error) {
+            return res.status(error.statusCode || 500).send(page('Sandbox checkout', `<h1>${escapeHtml(error.message)}</h1>`));
+        }
+    });
+
+    router.post('/checkout/:id/complete', express.urlencoded({ extended: false }), async (req, res) => {
+        const body = req.body || {};
+        const customer = req.is('application/json')
+            ? body
+            : {
+                name: body.name,
+                email: body.email,
+                address: {
+                    line1: body.line1,
+                    line2: body.line2 || null,
+                    city: body.city,
+                    state: body.state || null,
+                    postal_code: body.postal_code,
+                    country: (body.country || '').trim().toUpperCase()
+                }
+            };
+
+        try {
+            const session = await stripe.sandbox.completeSession(req.params.id, customer);
+            return finish(req, res, session, session.success_url, 'Payment complete.');
+        } catch (error) {
+            if (req.is('application/json')) {
+                return res.status(error.statusCode || 500).json({ message: error.message, code: error.code });
+            }
+            return res.status(error.statusCode || 500).send(page('Sandbox checkout', `<h1>Payment failed</h1><p>${escapeHtml(error.message)}</p>`));
+        }
+    });
+
+    router.post('/checkout/:id/cancel', async (req, res) => {
+        try {
+            const session = await stripe.sandbox.expireSession(req.params.id);
+            return finish(req, res, session, session.cancel_url, 'Checkout canceled.');
+        } catch (error) {
+            return res.status(error.statusCode || 500).json({ message: error.message, code: error.code });
+        }
+    });
+
+    return router;
+};
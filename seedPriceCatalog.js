@@ -0,0 +1,23 @@
+// backend/seedPriceCatalog.js
+// Usage: npm run seed-prices -- <variantId> [variantId...]
+// Adds or refreshes the given Printful variants in DATA_DIR/price-catalog.json (or
+// PRICE_CATALOG_PATH), margin from PRICE_MARGIN. Running servers pick the prices up.
+import { seedPriceCatalog } from './pricingService.js';
+
+const variantIds = process.argv.slice(2).map(Number).filter(Boolean);
+
+if (variantIds.length === 0) {
+    console.error('Usage: npm run seed-prices -- <variantId> [variantId...]');
+    process.exit(1);
+}
+
+try {
+    const catalog = await seedPriceCatalog(variantIds);
+    for (const variantId of variantIds) {
+        const entry = catalog.variants[variantId];
+        console.log(`${variantId} ${entry.name}: cost ${(entry.cost / 100).toFixed(2)}, price ${(entry.unitAmount / 100).toFixed(2)}`);
+    }
+} catch (error) {
+    console.error('Error seeding price catalog:', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,420 @@
+// backend/storageService.js
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { v2 as cloudinary } from 'cloudinary';
+import fetch from 'node-fetch';
+import sharp from 'sharp';
+import dotenv from 'dotenv';
+import { SANDBOX } from './sandbox.js';
+import { logger, requestIdHeader } from './logger.js';
+import { timeUpstreamCall } from './metrics.js';
+
+dotenv.config();
+
+// Every storage driver implements the same interface:
+//   put(buffer, { folder, id, format, access }) -> { key, url }
+//                                   (format: optional output format, e.g. 'png' to keep transparency;
+//                                   access: 'public' (default) or 'private', see below)
+//   get(key)                     -> Buffer
+//   delete(key)                  -> void
+//   signedUrl(key, { expiresIn }) -> string (expiresIn in seconds)
+//   keyFromUrl(url)              -> key when url points into this storage and can be
+//                                   read with get(), otherwise null
+//   ping()                       -> resolves when the storage can be reached (readiness checks)
+//   signUpload({ folder, id, contentType, size, expiresIn })
+//                                -> { key, upload: { method, url, headers, fields }, resumableUrl }
+//                                   lets a client write one file of contentType and size bytes
+//                                   straight to the private key for expiresIn seconds: a
+//                                   request of upload.method to upload.url with those headers
+//                                   (and, for POST, a multipart form of fields plus `file`).
+//                                   resumableUrl, when not null, takes the same file in chunks
+//                                   over the tus protocol.
+
+//
+// Private files have no public URL (url is null) and are only readable with get() or
+// through signedUrl(). Their keys start with private/; S3 bucket policies must not make
+// that prefix public.
+
+const DEFAULT_SIGNED_URL_TTL = 15 * 60;
+
+const PRIVATE_PREFIX = 'private/';
+
+export const isPrivateKey = (key) => key.startsWith(PRIVATE_PREFIX);
+
+const storedFolder = (folder, access) => access === 'private' ? `${PRIVATE_PREFIX}${folder}` : folder;
+
+const CONTENT_TYPES = {
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    avif: 'image/avif'
+};
+
+const extensionFor = (contentType) => ({ 'image/jpeg': 'jpg', 'image/heif': 'heic' }[contentType] || contentType.split('/')[1]);
+
+// Detect the stored file extension and content type from the image itself
+const describeImage = async (buffer) => {
+    const { format } = await sharp(buffer).metadata();
+    return {
+        extension: format === 'jpeg' ? 'jpg' : format,
+        contentType: CONTENT_TYPES[format] || 'application/octet-stream'
+    };
+};
+
+// Convert to the requested output format, if any; metadata such as DPI is kept
+const convertImage = async (buffer, format) => {
+    if (!format) return buffer;
+    const { format: current } = await sharp(buffer).metadata();
+    if (current === format || (current === 'jpeg' && format === 'jpg')) return buffer;
+    return sharp(buffer).keepMetadata().toFormat(format).toBuffer();
+};
+
+// Cloudinary driver. Keys are Cloudinary public IDs plus the stored format (folder/id.jpg).
+const createCloudinaryDriver = () => {
+    cloudinary.config({
+        cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+        api_key: process.env.CLOUDINARY_API_KEY,
+        api_secret: process.env.CLOUDINARY_API_SECRET
+    });
+
+    const splitKey = (key) => {
+        const { dir, name, ext } = path.posix.parse(key);
+        return {
+            publicId: dir ? `${dir}/${name}` : name,
+            format: ext.slice(1) || 'jpg',
+            type: isPrivateKey(key) ? 'private' : 'upload'
+        };
+    };
+
+    // Promisify Cloudinary upload_stream for cleaner async/await usage
+    const uploadToCloudinary = (fileBuffer, folder, publicId, format = 'jpg', type = 'upload') => {
+        return new Promise((resolve, reject) => {
+            const stream = cloudinary.uploader.upload_stream(
+                {
+                    folder: folder,
+                    public_id: publicId,
+                    resource_type: 'image',
+                    type,
+                    overwrite: true,
+                    format: format,
+                    extra_headers: requestIdHeader()
+                },
+                (error, result) => {
+                    if (error) {
+                        reject(error);
+                    } else {
+                        resolve(result);
+                    }
+                }
+            );
+            stream.end(fileBuffer);
+        });
+    };
+
+    return {
+        name: 'cloudinary',
+
+        async put(buffer, { folder, id, format, access = 'public' }) {
+            const type = access === 'private' ? 'private' : 'upload';
+            const result = await uploadToCloudinary(buffer, storedFolder(folder, access), id, format, type);
+            return { key: `${result.public_id}.${result.format}`, url: type === 'private' ? null : result.secure_url };
+        },
+
+        async get(key) {
+            const { publicId, format, type } = splitKey(key);
+            const url = type === 'private'
+                ? cloudinary.utils.private_download_url(publicId, format, { resource_type: 'image', type })
+                : cloudinary.url(publicId, { secure: true, format });
+            const response = await fetch(url, { headers: requestIdHeader() });
+            if (!response.ok) {
+                throw new Error(`Failed to fetch ${key} from Cloudinary (${response.status}).`);
+            }
+            return response.buffer();
+        },
+
+        async ping() {
+            await cloudinary.api.ping();
+        },
+
+        async delete(key) {
+            const { publicId, type } = splitKey(key);
+            await cloudinary.uploader.destroy(publicId, { resource_type: 'image', type });
+        },
+
+        async signedUrl(key, { expiresIn = DEFAULT_SIGNED_URL_TTL } = {}) {
+            const { publicId, format, type } = splitKey(key);
+            return cloudinary.utils.private_download_url(publicId, format, {
+                resource_type: 'image',
+                type,
+                expires_at: Math.floor(Date.now() / 1000) + expiresIn
+            });
+        },
+
+        // Delivery URLs of this cloud's public images:
+        // https://res.cloudinary.com/<cloud>/image/upload/[<transformations>/][v<version>/]<public_id>.<format>.
+        // Transformation segments are comma-separated <param>_<value> pairs (c_fill,w_100),
+        // which no folder of ours looks like. Without a format the image is read as a JPEG.
+        keyFromUrl(url) {
+            let parsed;
+            try {
+                parsed = new URL(url);
+            } catch (error) {
+                return null;
+            }
+            const prefix = `/${process.env.CLOUDINARY_CLOUD_NAME}/image/upload/`;
+            if (!['http:', 'https:'].includes(parsed.protocol) || parsed.hostname !== 'res.cloudinary.com' || !parsed.pathname.startsWith(prefix)) {
+                return null;
+            }
+            const segments = parsed.pathname.slice(prefix.length).split('/');
+            while (segments.length > 1 && /^\$?[a-z]{1,3}_[^,]*(,\$?[a-z]{1,3}_[^,]*)*$/.test(segments[0])) segments.shift();
+            if (segments.length > 1 && /^v\d+$/.test(segments[0])) segments.shift();
+            const publicId = decodeURIComponent(segments.join('/'));
+            const key = path.posix.extname(publicId) ? publicId : `${publicId}.jpg`;
+            return publicId && !isPrivateKey(key) ? key : null;
+        },
+
+        // A signed upload of one file in the declared format. Cloudinary cannot limit the
+        // size and honours signatures for an hour, so callers must check the stored file.
+        async signUpload({ folder, id, contentType }) {
+            const format = extensionFor(contentType);
+            const params = {
+                timestamp: Math.floor(Date.now() / 1000),
+                folder: storedFolder(folder, 'private'),
+                public_id: id,
+                type: 'private',
+                allowed_formats: format
+            };
+            const signature = cloudinary.utils.api_sign_request(params, process.env.CLOUDINARY_API_SECRET);
+            return {
+                key: `${params.folder}/${id}.${format}`,
+                upload: {
+                    method: 'POST',
+                    url: `https://api.cloudinary.com/v1_1/${process.env.CLOUDINARY_CLOUD_NAME}/image/upload`,
+                    headers: {},
+                    fields: { ...params, api_key: process.env.CLOUDINARY_API_KEY, signature }
+                },
+                resumableUrl: null
+            };
+        }
+    };
+};
+
+// S3-compatible driver (AWS S3, MinIO, R2...). Set S3_ENDPOINT for non-AWS stores.
+const createS3Driver = () => {
+    const bucket = process.env.S3_BUCKET;
+    const endpoint = process.env.S3_ENDPOINT;
+    const region = process.env.S3_REGION || 'us-east-1';
+    let sdk = null;
+
+    // The AWS SDK is only loaded when this driver is selected
+    const loadSdk = async () => {
+        if (!sdk) {
+            const [s3, presigner] = await Promise.all([
+                import('@aws-sdk/client-s3'),
+                import('@aws-sdk/s3-request-presigner')
+            ]);
+            const client = new s3.S3Client({
+                region,
+                endpoint,
+                forcePathStyle: Boolean(endpoint),
+                credentials: process.env.S3_ACCESS_KEY_ID ? {
+                    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+                } : undefined
+            });
+            sdk = { ...s3, getSignedUrl: presigner.getSignedUrl, client };
+        }
+        return sdk;
+    };
+
+    const publicUrl = (key) => {
+        if (process.env.S3_PUBLIC_URL) return `${process.env.S3_PUBLIC_URL.replace(/\/$/, '')}/${key}`;
+        if (endpoint) return `${endpoint.replace(/\/$/, '')}/${bucket}/${key}`;
+        return `https://${bucket}.s3.${region}.amazonaws.com/${key}`;
+    };
+
+    return {
+        name: 's3',
+
+        async put(buffer, { folder, id, format, access = 'public' }) {
+            const { client, PutObjectCommand } = await loadSdk();
+            buffer = await convertImage(buffer, format);
+            const { extension, contentType } = await describeImage(buffer);
+            const key = `${storedFolder(folder, access)}/${id}.${extension}`;
+            await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType }));
+            return { key, url: access === 'private' ? null : publicUrl(key) };
+        },
+
+        async get(key) {
+            const { client, GetObjectCommand } = await loadSdk();
+            const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+            return Buffer.from(await response.Body.transformToByteArray());
+        },
+
+        async delete(key) {
+            const { client, DeleteObjectCommand } = await loadSdk();
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        },
+
+        async ping() {
+            const { client, HeadBucketCommand } = await loadSdk();
+            await client.send(new HeadBucketCommand({ Bucket: bucket }));
+        },
+
+        async signedUrl(key, { expiresIn = DEFAULT_SIGNED_URL_TTL } = {}) {
+            const { client, GetObjectCommand, getSignedUrl } = await loadSdk();
+            return getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn });
+        },
+
+        keyFromUrl(url) {
+            const prefix = publicUrl('');
+            const key = url.startsWith(prefix) ? decodeURIComponent(url.slice(prefix.length).split('?')[0]) : null;
+            return key && !isPrivateKey(key) ? key : null;
+        },
+
+        // A presigned PUT whose signature covers the content type and exact length
+        async signUpload({ folder, id, contentType, size, expiresIn = DEFAULT_SIGNED_URL_TTL }) {
+            const { client, PutObjectCommand, getSignedUrl } = await loadSdk();
+            const key = `${storedFolder(folder, 'private')}/${id}.${extensionFor(contentType)}`;
+            const url = await getSignedUrl(client, new PutObjectCommand({ Bucket: bucket, Key: key, ContentType: contentType, ContentLength: size }), {
+                expiresIn,
+                signableHeaders: new Set(['content-type', 'content-length'])
+            });
+            return { key, upload: { method: 'PUT', url, headers: { 'Content-Type': contentType }, fields: null }, resumableUrl: null };
+        }
+    };
+};
+
+// Local-disk driver. Public files are served by the app under /storage (see app.js);
+// signed URLs go through /storage-signed, which checks an HMAC and expiry. Private files
+// live in a separate directory that is never served, so only signed URLs reach them.
+// Signed uploads go to /storage-upload, whole with PUT or in chunks over tus (see
+// localUploadRoutes.js).
+const createLocalDriver = () => {
+    const directory = path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(process.env.DATA_DIR || 'data', 'uploads'));
+    const privateDirectory = path.resolve(process.env.STORAGE_LOCAL_PRIVATE_DIR || path.join(process.env.DATA_DIR || 'data', 'private-uploads'));
+    const baseUrl = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+    // Without STORAGE_SIGNING_SECRET signed URLs only work until the process restarts
+    const signingSecret = process.env.STORAGE_SIGNING_SECRET || crypto.randomBytes(32).toString('hex');
+    if (!process.env.STORAGE_SIGNING_SECRET) {
+        logger.warn('STORAGE_SIGNING_SECRET is not set; using a random secret, so signed URLs stop working on restart.');
+    }
+
+    // Resolve a key inside its storage directory, refusing path traversal
+    const resolveKey = (key) => {
+        const root = isPrivateKey(key) ? privateDirectory : directory;
+        const filePath = path.resolve(root, isPrivateKey(key) ? key.slice(PRIVATE_PREFIX.length) : key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    const sign = (key, expires) => crypto.createHmac('sha256', signingSecret).update(`${key}:${expires}`).digest('hex');
+    const signForUpload = (key, size, type, expires) => crypto.createHmac('sha256', signingSecret).update(`upload:${key}:${size}:${type}:${expires}`).digest('hex');
+
+    const signatureMatches = (expectedSignature, signature) => {
+        const expected = Buffer.from(expectedSignature);
+        const provided = Buffer.from(String(signature));
+        return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+    };
+
+    return {
+        name: 'local',
+        directory,
+
+        async put(buffer, { folder, id, format, access = 'public' }) {
+            buffer = await convertImage(buffer, format);
+            const { extension } = await describeImage(buffer);
+            const key = `${storedFolder(folder, access)}/${id}.${extension}`;
+            const filePath = resolveKey(key);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, buffer);
+            return { key, url: access === 'private' ? null : `${baseUrl}/storage/${key}` };
+        },
+
+        get(key) {
+            return fs.readFile(resolveKey(key));
+        },
+
+        async delete(key) {
+            await fs.rm(resolveKey(key), { force: true });
+        },
+
+        async ping() {
+            for (const root of [directory, privateDirectory]) {
+                await fs.mkdir(root, { recursive: true });
+                await fs.access(root, fs.constants.W_OK);
+            }
+        },
+
+        async signedUrl(key, { expiresIn = DEFAULT_SIGNED_URL_TTL } = {}) {
+            const expires = Math.floor(Date.now() / 1000) + expiresIn;
+            return `${baseUrl}/storage-signed/${key}?expires=${expires}&signature=${sign(key, expires)}`;
+        },
+
+        keyFromUrl(url) {
+            const prefix = `${baseUrl}/storage/`;
+            const key = url.startsWith(prefix) ? decodeURIComponent(url.slice(prefix.length).split('?')[0]) : null;
+            return key && !isPrivateKey(key) ? key : null;
+        },
+
+        // Check a signed URL's parameters; returns the file path when valid
+        verifySignedUrl(key, expires, signature) {
+            if (!expires || !signature || Number(expires) < Date.now() / 1000) {
+                return null;
+            }
+            if (!signatureMatches(sign(key, expires), signature)) {
+                return null;
+            }
+            return resolveKey(key);
+        },
+
+        async signUpload({ folder, id, contentType, size, expiresIn = DEFAULT_SIGNED_URL_TTL }) {
+            const key = `${storedFolder(folder, 'private')}/${id}.${extensionFor(contentType)}`;
+            const expires = Math.floor(Date.now() / 1000) + expiresIn;
+            const query = new URLSearchParams({ expires, size, type: contentType, signature: signForUpload(key, size, contentType, expires) });
+            const url = `${baseUrl}/storage-upload/${key}?${query}`;
+            return { key, upload: { method: 'PUT', url, headers: { 'Content-Type': contentType }, fields: null }, resumableUrl: url };
+        },
+
+        // Check a signed upload URL's parameters; returns { filePath, size, contentType }
+        // when valid
+        verifySignedUpload(key, { expires, size, type, signature }) {
+            if (!expires || !size || !type || !signature || Number(expires) < Date.now() / 1000) {
+                return null;
+            }
+            if (!signatureMatches(signForUpload(key, size, type, expires), signature)) {
+                return null;
+            }
+            return { filePath: resolveKey(key), size: Number(size), contentType: String(type) };
+        }
+    };
+};
+
+const drivers = {
+    cloudinary: createCloudinaryDriver,
+    s3: createS3Driver,
+    local: createLocalDriver
+};
+
+// Record every call that reaches the backing store as an upstream call named after the driver
+const instrument = (driver) => {
+    for (const method of ['put', 'get', 'delete', 'ping']) {
+        const call = driver[method].bind(driver);
+        driver[method] = (...args) => timeUpstreamCall(driver.name, method, () => call(...args));
+    }
+    return driver;
+};
+
+// The sandbox always stores files on local disk
+export const createStorage = (driver = SANDBOX ? 'local' : process.env.STORAGE_DRIVER || 'cloudinary') => {
+    if (!drivers[driver]) {
+        throw new Error(`Unknown STORAGE_DRIVER "${driver}".`);
+    }
+    return instrument(drivers[driver]());
+};
+
+export const storage = createStorage();
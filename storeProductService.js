@@ -0,0 +1,171 @@
+// backend/storeProductService.js
+import {
+    addProductToStore,
+    getPrintfulProducts,
+    getStoreProduct as getPrintfulStoreProduct,
+    updateStoreProduct as updatePrintfulStoreProduct,
+    deleteStoreProduct as deletePrintfulStoreProduct,
+    resolveStoreId
+} from './printfulService.js';
+import { loadPriceCatalog } from './pricingService.js';
+import { getCatalogEntry } from './catalogService.js';
+import { toPrintReadyFiles } from './printFileService.js';
+
+// Error raised when a store product request is invalid. `details` lists the problems
+// as [{ index?, variantId?, code, message }].
+export class StoreProductError extends Error {
+    constructor(message, details = []) {
+        super(message);
+        this.name = 'StoreProductError';
+        this.details = details;
+    }
+}
+
+// Expand a catalog product into variant requests, optionally narrowed to some colours and sizes
+const expandCatalogVariants = async ({ productId, colors, sizes, retailPrice, placements }) => {
+    const product = await getCatalogEntry(productId);
+    if (!product) {
+        throw new StoreProductError(`Catalog product ${productId} not found.`, [
+            { code: 'unknown_product', message: `Catalog product ${productId} not found.` }
+        ]);
+    }
+
+    const wanted = (list, value) => !list || list.some(entry => entry.toLowerCase() === (value || '').toLowerCase());
+    return product.variants
+        .filter(variant => wanted(colors, variant.color) && wanted(sizes, variant.size))
+        .map(variant => ({ variantId: variant.id, retailPrice, placements }));
+};
+
+// Turn the request's variants into Printful sync variants: each gets a retail price
+// (its own, else the price catalog's) and a print-ready file per placement.
+// Variants: [{ variantId, retailPrice?, placements? }]; placements default to the
+// request's `placements`, then to the variant's primary print area.
+const buildSyncVariants = async (input) => {
+    const requested = input.productId
+        ? await expandCatalogVariants(input)
+        : input.variants;
+    const errors = [];
+
+    if (!Array.isArray(requested) || requested.length === 0) {
+        throw new StoreProductError('At least one variant is required.', [
+            { code: 'no_variants', message: 'Pass variants: [{ variantId, retailPrice?, placements? }] or a catalog productId.' }
+        ]);
+    }
+
+    const priceCatalog = await loadPriceCatalog();
+    requested.forEach((variant, index) => {
+        if (!Number.isInteger(variant.variantId)) {
+            errors.push({ index, code: 'invalid_variant', message: 'Each variant needs an integer variantId.' });
+        } else if (variant.retailPrice !== undefined && !(Number(variant.retailPrice) > 0)) {
+            errors.push({ index, variantId: variant.variantId, code: 'invalid_price', message: 'retailPrice must be a positive number.' });
+        } else if (variant.placements !== undefined && (!Array.isArray(variant.placements) || variant.placements.some(placement => typeof placement !== 'string'))) {
+            errors.push({ index, variantId: variant.variantId, code: 'invalid_placements', message: 'placements must be a list of placement names, e.g. ["front", "back"].' });
+        }
+    });
+    if (errors.length > 0) {
+        throw new StoreProductError('Some variants are invalid.', errors);
+    }
+
+    // One variant at a time so variants sharing a print area reuse the same print file
+    const syncVariants = [];
+    for (const variant of requested) {
+        const placements = variant.placements || input.placements || [undefined];
+        const catalogEntry = priceCatalog.variants[variant.variantId];
+        const retailPrice = variant.retailPrice ?? input.retailPrice ?? (catalogEntry && catalogEntry.unitAmount / 100);
+        const syncVariant = {
+            variant_id: variant.variantId,
+            files: await toPrintReadyFiles(variant.variantId, placements.map(placement => ({ type: placement, url: input.designUrl })))
+        };
+        if (retailPrice !== undefined) {
+            syncVariant.retail_price = Number(retailPrice).toFixed(2);
+        }
+        syncVariants.push(syncVariant);
+    }
+    return syncVariants;
+};
+
+const validateProductFields = (input, { partial }) => {
+    const errors = [];
+    if (!partial || input.title !== undefined) {
+        if (typeof input.title !== 'string' || !input.title.trim()) {
+            errors.push({ code: 'invalid_title', message: 'title is required.' });
+        }
+    }
+    if (!partial || input.designUrl !== undefined) {
+        if (typeof input.designUrl !== 'string' || !input.designUrl) {
+            errors.push({ code: 'invalid_design', message: 'designUrl is required.' });
+        }
+    }
+    if (errors.length > 0) {
+        throw new StoreProductError('Invalid store product.', errors);
+    }
+};
+
+export const listStoreProducts = async () => {
+    const storeId = await resolveStoreId();
+    const { result } = await getPrintfulProducts(storeId);
+    return result;
+};
+
+// Returns { sync_product, sync_variants }, or null when the product does not exist
+export const getStoreProduct = async (productId) => {
+    const storeId = await resolveStoreId();
+    try {
+        const { result } = await getPrintfulStoreProduct(storeId, productId);
+        return result;
+    } catch (error) {
+        if (error.status === 404) return null;
+        throw error;
+    }
+};
+
+// Create a store product from one design:
+// { title, description?, designUrl, thumbnailUrl?, externalId?, placements?, retailPrice?,
+//   variants: [{ variantId, retailPrice?, placements? }] | productId, colors?, sizes? }
+export const createStoreProduct = async (input) => {
+    validateProductFields(input, { partial: false });
+    const storeId = await resolveStoreId();
+
+    const syncProduct = {
+        name: input.title,
+        thumbnail: input.thumbnailUrl || input.designUrl
+    };
+    if (input.description) syncProduct.description = input.description;
+    if (input.externalId) syncProduct.external_id = input.externalId;
+
+    const { result } = await addProductToStore(storeId, {
+        sync_product: syncProduct,
+        sync_variants: await buildSyncVariants(input)
+    });
+    return result;
+};
+
+// Update a store product. Only the fields given change; passing variants (or a
+// productId) replaces the whole variant list, which needs the designUrl to print.
+export const updateStoreProduct = async (productId, input) => {
+    validateProductFields(input, { partial: true });
+    const storeId = await resolveStoreId();
+    const productData = { sync_product: {} };
+
+    if (input.title !== undefined) productData.sync_product.name = input.title;
+    if (input.description !== undefined) productData.sync_product.description = input.description;
+    if (input.thumbnailUrl !== undefined) productData.sync_product.thumbnail = input.thumbnailUrl;
+
+    if (input.variants !== undefined || input.productId !== undefined) {
+        if (!input.designUrl) {
+            throw new StoreProductError('Invalid store product.', [
+                { code: 'invalid_design', message: 'designUrl is required when replacing variants.' }
+            ]);
+        }
+        productData.sync_variants = await buildSyncVariants(input);
+    }
+
+    const { result } = await updatePrintfulStoreProduct(storeId, productId, productData);
+    return result;
+};
+
+export const deleteStoreProduct = async (productId) => {
+    const storeId = await resolveStoreId();
+    const { result } = await deletePrintfulStoreProduct(storeId, productId);
+    return result;
+};
@@ -0,0 +1,40 @@
+// backend/stripeClient.js
+import Stripe from 'stripe';
+import dotenv from 'dotenv';
+import { SANDBOX, publicBaseUrl } from './sandbox.js';
+import { createFakeStripe } from './fakeStripe.js';
+import { requestIdHeader } from './logger.js';
+import { observeUpstreamCall } from './metrics.js';
+
+dotenv.config();
+
+// Metrics name calls by path with object IDs (cs_test_..., pi_...) taken out
+const operationName = (method, path) => `${method} ${path.split('?')[0].replace(/\/[a-z]+_(?=[\w]*\d)\w+/g, '/:id')}`;
+
+// The Stripe client. Every API call carries the current request's ID in X-Request-Id
+// and is recorded in the upstream metrics. The sandbox uses an in-process fake whose
+// sessions are paid on its own checkout page; their events go to onSandboxEvent.
+export const createStripeClient = ({ onSandboxEvent }) => {
+    if (SANDBOX) {
+        return createFakeStripe({
+            checkoutUrl: sessionId => `${publicBaseUrl()}/sandbox/checkout/${sessionId}`,
+            onEvent: onSandboxEvent
+        });
+    }
+
+    const httpClient = Stripe.createNodeHttpClient();
+    const makeRequest = httpClient.makeRequest.bind(httpClient);
+    httpClient.makeRequest = (host, port, path, method, headers, ...rest) => makeRequest(host, port, path, method, { ...headers, ...requestIdHeader() }, ...rest);
+
+    const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, {
+        apiVersion: '2022-11-15',
+        httpClient
+    });
+    stripe.on('response', event => observeUpstreamCall({
+        upstream: 'stripe',
+        operation: operationName(event.method, event.path),
+        seconds: event.elapsed / 1000,
+        failed: event.status >= 400
+    }));
+    return stripe;
+};
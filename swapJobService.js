@@ -0,0 +1,118 @@
+// backend/swapJobService.js
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import dotenv from 'dotenv';
+import { createSwapProvider } from './swapProviders.js';
+import { storeUserAsset } from './assetService.js';
+import { RemoteFetchError } from './remoteImageFetcher.js';
+import { notifySwapReady } from './notificationService.js';
+import { logger } from './logger.js';
+
+dotenv.config();
+
+// Face-swap jobs are queued in memory and run by the configured provider, at most
+// SWAP_CONCURRENCY at a time. Jobs live as long as the process does. A failed attempt is
+// queued again after SWAP_RETRY_BASE_MS, doubling each time, until SWAP_MAX_ATTEMPTS.
+const SWAP_CONCURRENCY = Number(process.env.SWAP_CONCURRENCY || 2);
+const SWAP_MAX_ATTEMPTS = Number(process.env.SWAP_MAX_ATTEMPTS || 3);
+const SWAP_RETRY_BASE_MS = Number(process.env.SWAP_RETRY_BASE_MS || 5000);
+// Images we refused to fetch are refused again, so retrying them cannot help
+const FINAL_FETCH_ERRORS = ['invalid_url', 'host_not_allowed', 'blocked_address', 'not_an_image', 'too_large'];
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+const provider = createSwapProvider();
+const jobs = new Map();
+const queue = [];
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+let running = 0;
+
+export const isFinished = (job) => job.status === 'succeeded' || job.status === 'failed';
+
+const updateJob = (job, changes) => {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    jobEvents.emit(job.id, { ...job });
+};
+
+const isFinalError = (error) => error instanceof RemoteFetchError && FINAL_FETCH_ERRORS.includes(error.code);
+
+const runJob = async (job) => {
+    updateJob(job, { status: 'running', attempts: job.attempts + 1, startedAt: job.startedAt || new Date().toISOString() });
+    try {
+        const resultBuffer = await provider.swap({
+            targetImageUrl: job.targetImageUrl,
+            swapImageUrl: job.swapImageUrl
+        });
+
+        // Store the result in the owner's gallery, the same way /uploadResult does
+        const asset = await storeUserAsset(resultBuffer, { ownerId: job.ownerId, kind: 'swap_result' });
+        updateJob(job, { status: 'succeeded', resultImageUrl: asset.url, resultAssetId: asset.id, error: null, nextAttemptAt: null, finishedAt: new Date().toISOString() });
+        notifySwapReady(job);
+    } catch (error) {
+        if (job.attempts < SWAP_MAX_ATTEMPTS && !isFinalError(error)) {
+            const delay = SWAP_RETRY_BASE_MS * 2 ** (job.attempts - 1);
+            logger.warn('Face-swap attempt failed; retrying', { jobId: job.id, attempts: job.attempts, error });
+            updateJob(job, { status: 'queued', error: error.message, nextAttemptAt: new Date(Date.now() + delay).toISOString() });
+            setTimeout(() => {
+                queue.push(job);
+                drainQueue();
+            }, delay).unref();
+            return;
+        }
+        logger.error('Face-swap job failed', { jobId: job.id, attempts: job.attempts, error });
+        updateJob(job, { status: 'failed', error: error.message, nextAttemptAt: null, finishedAt: new Date().toISOString() });
+    }
+
+    // Forget finished jobs after a while so memory does not grow without bound
+    setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+};
+
+const drainQueue = () => {
+    while (running < SWAP_CONCURRENCY && queue.length > 0) {
+        const job = queue.shift();
+        running++;
+        runJob(job).finally(() => {
+            running--;
+            drainQueue();
+        });
+    }
+};
+
+// Queue a face-swap of swapImageUrl onto targetImageUrl (both as returned by /upload)
+// for the user ownerId
+export const createSwapJob = ({ targetImageUrl, swapImageUrl, ownerId }) => {
+    const now = new Date().toISOString();
+    const job = {
+        id: uuidv4(),
+        status: 'queued',
+        provider: provider.name,
+        ownerId,
+        targetImageUrl,
+        swapImageUrl,
+        resultImageUrl: null,
+        resultAssetId: null,
+        error: null,
+        attempts: 0,
+        nextAttemptAt: null,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        finishedAt: null
+    };
+
+    jobs.set(job.id, job);
+    queue.push(job);
+    setImmediate(drainQueue);
+    return { ...job };
+};
+
+export const getSwapJob = (id) => {
+    const job = jobs.get(id);
+    return job ? { ...job } : null;
+};
+
+// Call listener with a snapshot of the job on every status change; returns an unsubscribe function
+export const subscribeToSwapJob = (id, listener) => {
+    jobEvents.on(id, listener);
+    return () => jobEvents.off(id, listener);
+};
@@ -0,0 +1,99 @@
+// backend/swapProviders.js
+import fetch from 'node-fetch';
+import sharp from 'sharp';
+import dotenv from 'dotenv';
+import { fetchRemoteImage } from './remoteImageFetcher.js';
+import { SANDBOX } from './sandbox.js';
+
+dotenv.config();
+
+// Every face-swap provider implements:
+//   swap({ targetImageUrl, swapImageUrl }) -> Buffer (the result image)
+
+// Fetch an image from a URL the provider itself returned
+const fetchImage = async (url) => {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to fetch image ${url} (${response.status}).`);
+    }
+    return response.buffer();
+};
+
+// Adapter for an external face-swap HTTP API. The API receives the two image URLs
+// and answers either with the result image itself or with JSON containing its URL.
+const createHttpProvider = () => {
+    const endpoint = process.env.SWAP_PROVIDER_URL;
+    const timeout = Number(process.env.SWAP_PROVIDER_TIMEOUT_MS || 120000);
+
+    return {
+        name: 'http',
+
+        async swap({ targetImageUrl, swapImageUrl }) {
+            if (!endpoint) {
+                throw new Error('SWAP_PROVIDER_URL is not configured.');
+            }
+
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(process.env.SWAP_PROVIDER_API_KEY && { 'Authorization': `Bearer ${process.env.SWAP_PROVIDER_API_KEY}` })
+                },
+                body: JSON.stringify({ targetImageUrl, swapImageUrl }),
+                timeout
+            });
+
+            if (!response.ok) {
+                throw new Error(`Face-swap provider responded with ${response.status}: ${await response.text()}`);
+            }
+
+            if ((response.headers.get('content-type') || '').startsWith('image/')) {
+                return response.buffer();
+            }
+
+            const data = await response.json();
+            const resultUrl = data.resultUrl || data.result_url || data.output;
+            if (!resultUrl) {
+                throw new Error('Face-swap provider response did not include a result URL.');
+            }
+            return fetchImage(resultUrl);
+        }
+    };
+};
+
+// Deterministic offline provider: pastes the swap image, cropped to a circle,
+// onto the centre of the target image. The same inputs always give the same output.
+const createStubProvider = () => ({
+    name: 'stub',
+
+    async swap({ targetImageUrl, swapImageUrl }) {
+        const [targetBuffer, swapBuffer] = await Promise.all([fetchRemoteImage(targetImageUrl), fetchRemoteImage(swapImageUrl)]);
+        const { width, height } = await sharp(targetBuffer).metadata();
+        const size = Math.max(1, Math.round(Math.min(width, height) / 2));
+
+        const circle = Buffer.from(`<svg width="${size}" height="${size}"><circle cx="${size / 2}" cy="${size / 2}" r="${size / 2}"/></svg>`);
+        const face = await sharp(swapBuffer)
+            .resize(size, size, { fit: 'cover' })
+            .composite([{ input: circle, blend: 'dest-in' }])
+            .png()
+            .toBuffer();
+
+        return sharp(targetBuffer)
+            .composite([{ input: face, left: Math.round((width - size) / 2), top: Math.round((height - size) / 2) }])
+            .jpeg()
+            .toBuffer();
+    }
+});
+
+const providers = {
+    http: createHttpProvider,
+    stub: createStubProvider
+};
+
+// The sandbox always uses the offline stub
+export const createSwapProvider = (name = SANDBOX ? 'stub' : process.env.SWAP_PROVIDER || 'http') => {
+    if (!providers[name]) {
+        throw new Error(`Unknown SWAP_PROVIDER "${name}".`);
+    }
+    return providers[name]();
+};
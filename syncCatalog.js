@@ -0,0 +1,13 @@
+// backend/syncCatalog.js
+// Usage: npm run sync-catalog
+// Pulls products, variants and print areas from Printful into the catalog cache, as the
+// server does in the background (CATALOG_PRODUCT_IDS narrows it).
+import { syncCatalog } from './catalogService.js';
+
+try {
+    const catalog = await syncCatalog();
+    console.log(`Synced ${catalog.products.length} products at ${catalog.syncedAt}`);
+} catch (error) {
+    console.error('Error syncing catalog:', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,258 @@
+// test/adminService.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+
+// Admin order operations against the fake Stripe and Printful APIs: refund planning,
+// cancel and retry transitions, and what each leaves in the audit log
+
+const actor = 'ops@example.com';
+
+// Printful order ID -> status to report instead of the fake's own
+const printfulStatuses = new Map();
+let printfulDown = false;
+let printful;
+let dataDir;
+let stripe;
+let admin;
+let orderStore;
+let processEmailQueue;
+let printfulExternalIdForSession;
+
+before(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'face-swap-admin-'));
+    Object.assign(process.env, {
+        DATA_DIR: dataDir,
+        PRINTFUL_API_KEY: 'test-printful-key',
+        PRINTFUL_MAX_RETRIES: '0',
+        EMAIL_TRANSPORT: 'file',
+        LOG_LEVEL: 'error'
+    });
+    delete process.env.SANDBOX;
+
+    const { createFakePrintfulServer } = await import('../fakePrintfulServer.js');
+    const app = express();
+    app.use((req, res, next) => (printfulDown ? res.status(500).json({ code: 500, error: { message: 'Printful is down' } }) : next()));
+    app.get('/orders/:id', (req, res, next) => {
+        const status = printfulStatuses.get(req.params.id);
+        return status ? res.json({ code: 200, result: { id: Number(req.params.id), status } }) : next();
+    });
+    app.use(createFakePrintfulServer());
+    printful = await new Promise(resolve => {
+        const server = app.listen(0, () => resolve(server));
+    });
+    process.env.PRINTFUL_API_URL = `http://localhost:${printful.address().port}`;
+
+    const { createFakeStripe } = await import('../fakeStripe.js');
+    stripe = createFakeStripe({ checkoutUrl: id => `http://localhost/checkout/${id}` });
+    admin = await import('../adminService.js');
+    ({ printfulExternalIdForSession } = await import('../fulfillmentService.js'));
+    ({ orderStore } = await import('../orderStore.js'));
+    ({ processEmailQueue } = await import('../emailQueue.js'));
+});
+
+after(async () => {
+    await new Promise(resolve => printful.close(resolve));
+    // Let the cancellation emails queued above finish writing before the directory goes
+    await new Promise(resolve => setImmediate(resolve));
+    await processEmailQueue();
+    await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+const recipient = { name: 'Ann Lee', address1: '1 Main St', city: 'Austin', state_code: 'TX', country_code: 'US', zip: '78701' };
+
+const printfulRequest = async (method, route, body) => {
+    const response = await fetch(`${process.env.PRINTFUL_API_URL}${route}`, {
+        method,
+        headers: { authorization: 'Bearer test', 'content-type': 'application/json' },
+        body: body && JSON.stringify(body)
+    });
+    return (await response.json()).result;
+};
+
+// An order paid for amount cents. printful: 'draft' or 'pending' for an order Printful has
+// (the ledger only knows a pending one), null for one it never got.
+const paidOrder = async ({ amount = 3000, printful: printfulState = 'pending' } = {}) => {
+    const session = await stripe.checkout.sessions.create({
+        mode: 'payment',
+        line_items: [{ price_data: { currency: 'usd', unit_amount: amount, product_data: { name: 'T-Shirt' } }, quantity: 1 }]
+    });
+    await stripe.sandbox.completeSession(session.id, {
+        email: 'ann@example.com',
+        name: 'Ann Lee',
+        address: { line1: '1 Main St', city: 'Austin', state: 'TX', country: 'US', postal_code: '78701' }
+    });
+
+    const externalId = printfulExternalIdForSession(session.id);
+    const printfulOrder = printfulState && await printfulRequest('POST', `/orders${printfulState === 'pending' ? '?confirm=true' : ''}`, {
+        external_id: externalId,
+        recipient,
+        items: [{ variant_id: 4011, quantity: 1, files: [{ url: 'https://example.com/design.png' }] }]
+    });
+    return orderStore.create({
+        status: printfulState === 'pending' ? 'submitted' : 'paid',
+        stripeSessionId: session.id,
+        externalId,
+        printfulOrderId: printfulState === 'pending' ? printfulOrder.id : null,
+        email: 'ann@example.com',
+        recipient,
+        timeline: [{ type: 'payment_succeeded', at: new Date().toISOString(), amountTotal: amount }]
+    });
+};
+
+const refunded = (order) => order.refunds.reduce((sum, refund) => sum + refund.amount, 0);
+const eventTypes = (order) => order.timeline.map(event => event.type);
+
+test('partial refunds add up to what was paid, and no more', async () => {
+    const order = await paidOrder({ amount: 3000 });
+
+    const first = await admin.refundOrder(stripe, order.id, { actor, reason: 'Damaged print', amount: 1000 });
+    assert.equal(first.refund.amount, 1000);
+    assert.equal(first.refund.actor, actor);
+    const second = await admin.refundOrder(stripe, order.id, { actor, reason: 'Second item damaged', amount: 1000 });
+    assert.notEqual(second.refund.id, first.refund.id);
+    assert.equal(refunded(second.order), 2000);
+
+    // More than is left is refused before Stripe is asked
+    await assert.rejects(admin.refundOrder(stripe, order.id, { actor, reason: 'Too much', amount: 1500 }), {
+        name: 'AdminActionError',
+        code: 'invalid_refund',
+        details: { orderId: order.id, amount: 1500, refundable: 1000 }
+    });
+    for (const amount of [0, -5, 2.5]) {
+        await assert.rejects(admin.refundOrder(stripe, order.id, { actor, reason: 'Odd amount', amount }), { code: 'invalid_refund' });
+    }
+
+    // Without an amount, the rest is refunded; after that nothing is left
+    const rest = await admin.refundOrder(stripe, order.id, { actor, reason: 'Refund the rest' });
+    assert.equal(rest.refund.amount, 1000);
+    assert.equal(refunded(rest.order), 3000);
+    assert.deepEqual(eventTypes(rest.order).filter(type => type === 'refund_issued').length, 3);
+    await assert.rejects(admin.refundOrder(stripe, order.id, { actor, reason: 'Again' }), {
+        code: 'invalid_refund',
+        details: { orderId: order.id, amount: 0, refundable: 0 }
+    });
+});
+
+test('a repeated refund request cannot refund twice', async () => {
+    const order = await paidOrder({ amount: 2000 });
+    const { refund } = await admin.refundOrder(stripe, order.id, { actor, reason: 'Late delivery', amount: 500 });
+
+    // As if the ledger write after the refund had been lost: the repeat is the same refund
+    await orderStore.update(order.id, { refunds: [] });
+    const repeated = await admin.refundOrder(stripe, order.id, { actor, reason: 'Late delivery', amount: 500 });
+    assert.equal(repeated.refund.id, refund.id);
+});
+
+test('orders never paid through Stripe cannot be refunded', async () => {
+    const order = await orderStore.create({ status: 'submitted' });
+    await assert.rejects(admin.refundOrder(stripe, order.id, { actor, reason: 'Goodwill' }), { code: 'invalid_refund' });
+    await assert.rejects(admin.refundOrder(stripe, 'no-such-order', { actor, reason: 'Goodwill' }), { code: 'not_found' });
+});
+
+test('canceling an unfulfilled order cancels it in Printful and refunds it, once', async () => {
+    const order = await paidOrder({ amount: 2500 });
+
+    const { order: canceled, printfulStatus, refund } = await admin.cancelOrder(stripe, order.id, { actor, reason: 'Customer asked' });
+    assert.equal(printfulStatus, 'pending');
+    assert.equal(canceled.status, 'canceled');
+    assert.equal(refund.amount, 2500);
+    assert.deepEqual(eventTypes(canceled).slice(1), ['cancel_requested_by_admin', 'canceled_by_admin', 'refund_issued']);
+    assert.equal((await printfulRequest('GET', `/orders/${order.printfulOrderId}`)).status, 'canceled');
+
+    await assert.rejects(admin.cancelOrder(stripe, order.id, { actor, reason: 'Again' }), {
+        code: 'not_cancelable',
+        details: { orderId: order.id, status: 'canceled' }
+    });
+    await assert.rejects(admin.retryOrderSubmission(stripe, order.id, { actor, reason: 'Resubmit' }), { code: 'not_retryable' });
+});
+
+test('a cancel can skip the refund, and is refused once Printful has started', async () => {
+    const kept = await paidOrder();
+    const { order, refund } = await admin.cancelOrder(stripe, kept.id, { actor, reason: 'Refunded by bank transfer', refundAmount: 0 });
+    assert.equal(order.status, 'canceled');
+    assert.equal(refund, null);
+    assert.equal(refunded(order), 0);
+
+    const started = await paidOrder();
+    printfulStatuses.set(String(started.printfulOrderId), 'inprocess');
+    await assert.rejects(admin.cancelOrder(stripe, started.id, { actor, reason: 'Customer asked' }), {
+        code: 'not_cancelable',
+        details: { orderId: started.id, printfulStatus: 'inprocess' }
+    });
+    const unchanged = await orderStore.get(started.id);
+    assert.equal(unchanged.status, 'submitted');
+    assert.equal(refunded(unchanged), 0);
+});
+
+test('a cancel with an impossible refund changes nothing', async () => {
+    const order = await paidOrder({ amount: 1000 });
+    await assert.rejects(admin.cancelOrder(stripe, order.id, { actor, reason: 'Customer asked', refundAmount: 5000 }), { code: 'invalid_refund' });
+    assert.equal((await orderStore.get(order.id)).status, 'submitted');
+    assert.equal((await printfulRequest('GET', `/orders/${order.printfulOrderId}`)).status, 'pending');
+});
+
+test('a refund that fails after the cancel leaves the order canceled for refundOrder to finish', async () => {
+    const order = await paidOrder({ amount: 1800 });
+    const failingStripe = { ...stripe, refunds: { create: async () => { throw Object.assign(new Error('Stripe is down'), { code: 'api_error' }); } } };
+
+    await assert.rejects(admin.cancelOrder(failingStripe, order.id, { actor, reason: 'Customer asked' }), {
+        code: 'refund_failed',
+        details: { orderId: order.id, refundCode: 'api_error' }
+    });
+    const canceled = await orderStore.get(order.id);
+    assert.equal(canceled.status, 'canceled');
+    assert.ok(eventTypes(canceled).includes('refund_failed'));
+
+    const { refund } = await admin.refundOrder(stripe, order.id, { actor, reason: 'Finish the cancel refund' });
+    assert.equal(refund.amount, 1800);
+});
+
+test('a paid order Printful has not accepted can be retried until it is', async () => {
+    const order = await paidOrder({ printful: 'draft' });
+    const accepted = await paidOrder();
+    await assert.rejects(admin.retryOrderSubmission(stripe, accepted.id, { actor, reason: 'Resubmit' }), {
+        code: 'not_retryable',
+        details: { orderId: accepted.id, status: 'submitted' }
+    });
+
+    printfulDown = true;
+    try {
+        await assert.rejects(admin.retryOrderSubmission(stripe, order.id, { actor, reason: 'Printful outage' }), { name: 'PrintfulError' });
+    } finally {
+        printfulDown = false;
+    }
+    assert.equal((await orderStore.get(order.id)).status, 'paid');
+
+    // Printful already has the draft, so it is confirmed and recorded rather than created again
+    const { order: submitted, result } = await admin.retryOrderSubmission(stripe, order.id, { actor, reason: 'Printful is back' });
+    assert.equal(result, 'duplicate');
+    assert.equal(submitted.status, 'submitted');
+    assert.ok(submitted.printfulOrderId);
+    assert.equal((await printfulRequest('GET', `/orders/${submitted.printfulOrderId}`)).status, 'pending');
+    assert.deepEqual(eventTypes(submitted).filter(type => type === 'submission_retried').length, 2);
+});
+
+test('every operation is audited with its actor, reason and outcome; one without a reason is refused', async () => {
+    const order = await paidOrder({ amount: 1200 });
+    await admin.refundOrder(stripe, order.id, { actor, reason: 'Damaged print', amount: 200 });
+    await assert.rejects(admin.refundOrder(stripe, order.id, { actor, reason: 'Too much', amount: 5000 }));
+    await admin.cancelOrder(stripe, order.id, { actor: 'lead@example.com', reason: 'Customer asked' });
+    for (const reason of [undefined, '', '   ']) {
+        await assert.rejects(admin.refundOrder(stripe, order.id, { actor, reason, amount: 100 }), { code: 'reason_required' });
+    }
+
+    const entries = await admin.adminAudit.list({ orderId: order.id });
+    assert.deepEqual(entries.map(({ action, actor: who, reason, outcome, code }) => ({ action, actor: who, reason, outcome, code })), [
+        { action: 'order_canceled', actor: 'lead@example.com', reason: 'Customer asked', outcome: 'succeeded', code: undefined },
+        { action: 'order_refunded', actor, reason: 'Too much', outcome: 'failed', code: 'invalid_refund' },
+        { action: 'order_refunded', actor, reason: 'Damaged print', outcome: 'succeeded', code: undefined }
+    ]);
+    assert.equal(entries[0].refund.amount, 1000);
+    assert.equal(entries[0].printfulStatus, 'pending');
+    assert.match(entries[1].error, /from 1 to 1000/);
+    assert.ok(entries.every(entry => entry.id && entry.at));
+});
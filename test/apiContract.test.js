@@ -0,0 +1,166 @@
+// test/apiContract.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+
+// The API contract of the whole app: the error envelope, request validation from the route
+// schemas, and /openapi.json describing exactly the routes that are registered. Responses
+// are validated strictly, so a response off its schema fails as a 500.
+
+const freePort = () => new Promise((resolve, reject) => {
+    const probe = net.createServer().once('error', reject).listen(0, () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    });
+});
+
+let dataDir;
+let app;
+let server;
+let baseUrl;
+
+before(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'face-swap-contract-'));
+    const port = await freePort();
+    Object.assign(process.env, {
+        SANDBOX: 'true',
+        DATA_DIR: dataDir,
+        PORT: String(port),
+        JWT_SECRET: 'test-jwt-secret',
+        ADMIN_API_KEY: 'test-admin-key',
+        RESPONSE_VALIDATION: 'strict',
+        EMAIL_TRANSPORT: 'file',
+        LOG_LEVEL: 'error'
+    });
+
+    const { createApp } = await import('../app.js');
+    app = createApp();
+    server = await new Promise(resolve => {
+        const listening = app.listen(port, () => resolve(listening));
+    });
+    baseUrl = `http://localhost:${port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+const request = async (method, route, { headers = {}, json, body } = {}) => {
+    const response = await fetch(`${baseUrl}${route}`, {
+        method,
+        headers: { ...(json ? { 'content-type': 'application/json' } : {}), ...headers },
+        body: json ? JSON.stringify(json) : body
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+};
+
+// Assert the error envelope, and that its requestId is the response's X-Request-Id
+const assertEnvelope = ({ status, headers, body }, expectedStatus, code) => {
+    assert.equal(status, expectedStatus, JSON.stringify(body));
+    assert.deepEqual(Object.keys(body).sort(), ['code', 'details', 'message', 'requestId']);
+    assert.equal(body.code, code);
+    assert.equal(typeof body.message, 'string');
+    assert.ok(body.details === null || typeof body.details === 'object');
+    assert.equal(body.requestId, headers.get('x-request-id'));
+    return body;
+};
+
+test('every kind of error is answered with the envelope', async () => {
+    assertEnvelope(await request('GET', '/no-such-route'), 404, 'route_not_found');
+    assertEnvelope(await request('GET', '/me/gallery'), 401, 'unauthenticated');
+    assertEnvelope(await request('GET', '/admin/orders', { headers: { 'x-admin-key': 'wrong' } }), 401, 'invalid_admin_key');
+    assertEnvelope(await request('POST', '/auth/login', { headers: { 'content-type': 'application/json' }, body: '{"email":' }), 400, 'invalid_json');
+    assertEnvelope(await request('POST', '/auth/login', { json: { email: 'nobody@example.com', password: 'password123' } }), 401, 'invalid_credentials');
+});
+
+test('a caller\'s X-Request-Id is kept, and a malformed one replaced', async () => {
+    const kept = await request('GET', '/no-such-route', { headers: { 'x-request-id': 'trace-123' } });
+    assert.equal(assertEnvelope(kept, 404, 'route_not_found').requestId, 'trace-123');
+
+    const replaced = await request('GET', '/no-such-route', { headers: { 'x-request-id': 'not valid!' } });
+    assert.notEqual(assertEnvelope(replaced, 404, 'route_not_found').requestId, 'not valid!');
+});
+
+test('bodies that do not match the route schema are refused with every problem listed', async () => {
+    const { details } = assertEnvelope(await request('POST', '/auth/register', { json: { email: 'not-an-email', password: '' } }), 400, 'invalid_request');
+    assert.deepEqual(details.errors.map(error => [error.in, error.path]).sort(), [['body', '/email'], ['body', '/password']]);
+
+    const missing = assertEnvelope(await request('POST', '/auth/register', { json: {} }), 400, 'invalid_request');
+    assert.deepEqual(missing.details.errors, [
+        { in: 'body', path: '/email', message: 'is required' },
+        { in: 'body', path: '/password', message: 'is required' }
+    ]);
+});
+
+test('query strings are coerced to their schema types before they are checked', async () => {
+    const { details } = assertEnvelope(await request('GET', '/catalog/products?offset=-1&limit=lots&minPrice=5'), 400, 'invalid_request');
+    assert.deepEqual(details.errors.map(error => error.path).sort(), ['/limit', '/offset']);
+    assert.ok(details.errors.every(error => error.in === 'query'));
+
+    assertEnvelope(await request('GET', '/catalog/products?limit=101'), 400, 'invalid_request');
+});
+
+test('authentication answers before request validation', async () => {
+    assertEnvelope(await request('POST', '/uploads/sign', { json: { kind: 'nonsense' } }), 401, 'unauthenticated');
+});
+
+// Every route registered on the app (and its routers) as "METHOD /path", in OpenAPI's
+// path syntax. Express keeps these in its router stack.
+const registeredRoutes = (stack, prefix = '') => stack.flatMap(layer => {
+    if (layer.route) {
+        return Object.keys(layer.route.methods)
+            .filter(method => method !== '_all')
+            .map(method => `${method.toUpperCase()} ${prefix}${layer.route.path}`);
+    }
+    if (layer.name === 'router') {
+        const mount = layer.regexp.source.match(/^\^\\\/([\w-]+)/);
+        return registeredRoutes(layer.handle.stack, mount ? `${prefix}/${mount[1]}` : prefix);
+    }
+    return [];
+}).map(route => route.replace(/:(\w+)/g, '{$1}').replace(/\/\*$/, '/{key}'));
+
+test('/openapi.json describes exactly the registered routes', async () => {
+    const { status, body: document } = await request('GET', '/openapi.json');
+    assert.equal(status, 200);
+    assert.equal(document.openapi, '3.1.0');
+
+    const documented = Object.entries(document.paths)
+        .flatMap(([route, operations]) => Object.keys(operations).map(method => `${method.toUpperCase()} ${route}`))
+        .sort();
+    // The sandbox's stand-ins for Stripe and Printful are not part of the API
+    const registered = [...new Set(registeredRoutes(app._router.stack))]
+        .filter(route => !route.split(' ')[1].startsWith('/sandbox/'))
+        .sort();
+    assert.deepEqual(documented, registered);
+
+    for (const [route, operations] of Object.entries(document.paths)) {
+        for (const [method, operation] of Object.entries(operations)) {
+            const name = `${method.toUpperCase()} ${route}`;
+            assert.ok(operation.summary, `${name} has no summary`);
+            assert.ok(operation.responses.default, `${name} has no default response`);
+            for (const parameter of route.match(/\{\w+\}/g) || []) {
+                assert.ok(operation.parameters?.some(candidate => candidate.in === 'path' && `{${candidate.name}}` === parameter), `${name} does not describe ${parameter}`);
+            }
+            if (operation.requestBody?.content?.['application/json'] || operation.parameters?.some(parameter => parameter.in === 'query')) {
+                assert.ok(operation.responses[400], `${name} validates its request but documents no 400`);
+            }
+            for (const response of Object.values(operation.responses)) {
+                const ref = response.$ref;
+                if (ref) assert.ok(document.components.responses[ref.split('/').pop()], `${name} refers to a missing ${ref}`);
+            }
+        }
+    }
+});
+
+test('documented error statuses use the envelope schema', async () => {
+    const { body: document } = await request('GET', '/openapi.json');
+    assert.deepEqual(document.components.schemas.Error.required, ['code', 'message', 'details', 'requestId']);
+    const signUpload = document.paths['/uploads/sign'].post;
+    assert.ok(signUpload.security.some(requirement => 'bearerAuth' in requirement));
+    assert.ok(signUpload.responses[401]);
+    assert.ok(signUpload.responses[429]);
+});
@@ -0,0 +1,95 @@
+// test/catalogService.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+
+// The catalog sync against a stand-in for Printful's catalog API, whose products can be
+// made to fail
+
+const failing = new Set();
+const hits = { products: 0 };
+let printful;
+let dataDir;
+let catalogService;
+
+const product = (id) => ({
+    product: { id, title: `Product ${id}`, type: 'T-SHIRT', type_name: 'T-Shirt', brand: null, model: null, image: null },
+    variants: [{ id: id * 100, name: `Variant ${id * 100}`, size: 'M', color: 'White', color_code: '#ffffff', image: null, in_stock: true, price: '9.25' }]
+});
+
+before(async () => {
+    const app = express();
+    app.get('/products', (req, res) => {
+        hits.products++;
+        return failing.has('list') ? res.status(500).json({ code: 500, error: { message: 'Listing failed' } }) : res.json({ code: 200, result: [{ id: 1 }, { id: 2 }] });
+    });
+    app.get('/products/:id', (req, res) => (failing.has(Number(req.params.id))
+        ? res.status(500).json({ code: 500, error: { message: 'Product failed' } })
+        : res.json({ code: 200, result: product(Number(req.params.id)) })));
+    app.get('/mockup-generator/printfiles/:id', (req, res) => res.json({ code: 200, result: { available_placements: { front: 'Front' }, printfiles: [], variant_printfiles: [] } }));
+    printful = await new Promise(resolve => {
+        const server = app.listen(0, () => resolve(server));
+    });
+
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'face-swap-catalog-'));
+    Object.assign(process.env, {
+        DATA_DIR: dataDir,
+        PRINTFUL_API_URL: `http://localhost:${printful.address().port}`,
+        PRINTFUL_API_KEY: 'test-printful-key',
+        PRINTFUL_MAX_RETRIES: '0',
+        CATALOG_RETRY_MS: '60000',
+        LOG_LEVEL: 'error'
+    });
+    catalogService = await import('../catalogService.js');
+});
+
+after(async () => {
+    await new Promise(resolve => printful.close(resolve));
+    await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 100));
+
+test('a failed first sync is not retried by every request', async () => {
+    failing.add('list');
+    await assert.rejects(catalogService.searchCatalog(), { name: 'CatalogError', code: 'catalog_syncing' });
+    await settle();
+    assert.equal(hits.products, 1);
+
+    await assert.rejects(catalogService.searchCatalog(), { code: 'catalog_syncing' });
+    await assert.rejects(catalogService.getCatalogEntry(1), { code: 'catalog_syncing' });
+    await settle();
+    assert.equal(hits.products, 1);
+
+    const stored = JSON.parse(await fs.readFile(path.join(dataDir, 'catalog.json'), 'utf8'));
+    assert.equal(stored.failedAttempts, 1);
+    assert.ok(Date.parse(stored.nextAttemptAt) > Date.now());
+    failing.delete('list');
+});
+
+test('a product that fails to sync is skipped, and keeps its entry from the last sync', async () => {
+    const first = await catalogService.syncCatalog();
+    assert.deepEqual(first.products.map(entry => entry.id), [1, 2]);
+    assert.equal(first.failedAttempts, 0);
+
+    failing.add(2);
+    const second = await catalogService.syncCatalog();
+    assert.deepEqual(second.products.map(entry => entry.id), [1, 2]);
+    assert.deepEqual(second.failedProducts.map(entry => entry.id), [2]);
+    assert.ok(await catalogService.getCatalogEntry(2));
+    failing.delete(2);
+});
+
+test('a sync in which every product fails keeps the last catalog', async () => {
+    const before = await catalogService.searchCatalog();
+    failing.add(1);
+    failing.add(2);
+    await assert.rejects(catalogService.syncCatalog(), /Every one of the 2 products failed/);
+    const after = await catalogService.searchCatalog();
+    assert.equal(after.syncedAt, before.syncedAt);
+    assert.equal(after.total, 2);
+    failing.clear();
+});
@@ -0,0 +1,198 @@
+// test/emailQueue.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Customer emails from notification to the messages EMAIL_TRANSPORT=file writes: rendering,
+// one email per occasion, and retries of failed sends
+
+let dataDir;
+let outbox;
+let emailQueue;
+let notifications;
+
+before(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'face-swap-email-'));
+    outbox = path.join(dataDir, 'outbox');
+    Object.assign(process.env, {
+        DATA_DIR: dataDir,
+        EMAIL_TRANSPORT: 'file',
+        EMAIL_OUTBOX_DIR: outbox,
+        EMAIL_MAX_ATTEMPTS: '2',
+        EMAIL_RETRY_BASE_MS: '20',
+        LOG_LEVEL: 'error'
+    });
+    delete process.env.SANDBOX;
+    emailQueue = await import('../emailQueue.js');
+    notifications = await import('../notificationService.js');
+});
+
+after(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+const waitFor = async (check, { timeoutMs = 5000, intervalMs = 20 } = {}) => {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const value = await check();
+        if (value) return value;
+        if (Date.now() > deadline) return null;
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+};
+
+const emailWithKey = async (key) => (await emailQueue.listEmails()).find(email => email.key === key);
+
+const sent = (key) => waitFor(async () => {
+    const email = await emailWithKey(key);
+    return email?.status === 'sent' && email;
+});
+
+// The .eml files written so far, as { headers, text, html }
+const readOutbox = async () => {
+    const files = (await fs.readdir(outbox).catch(() => [])).sort();
+    return Promise.all(files.map(async (file) => {
+        const raw = (await fs.readFile(path.join(outbox, file), 'utf8')).replace(/\r\n/g, '\n');
+        const [head] = raw.split('\n\n');
+        const headers = Object.fromEntries(head.replace(/\n\s+/g, ' ').split('\n').map(line => {
+            const colon = line.indexOf(':');
+            return [line.slice(0, colon).toLowerCase(), line.slice(colon + 1).trim()];
+        }));
+        const part = (type) => {
+            const match = raw.match(new RegExp(`Content-Type: ${type}; charset=utf-8\\nContent-Transfer-Encoding: ([\\w-]+)\\n\\n([\\s\\S]*?)\\n----`));
+            if (!match) return null;
+            return match[1] === 'quoted-printable'
+                ? Buffer.from(match[2].replace(/=\n/g, '').replace(/=([0-9A-F]{2})/g, (all, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1').toString('utf8')
+                : match[2];
+        };
+        return { file, headers, text: part('text/plain'), html: part('text/html') };
+    }));
+};
+
+const paidOrder = (id, extra = {}) => ({
+    id,
+    email: 'ann@example.com',
+    recipient: { name: 'Ann Lee', address1: '1 Main St', city: 'Austin', state_code: 'TX', zip: '78701', country_code: 'US' },
+    timeline: [{ type: 'payment_succeeded', amountTotal: 3150 }],
+    ...extra
+});
+
+test('a shipped order is emailed once per shipment, rendered and escaped', async () => {
+    const order = paidOrder('1a2b3c4d-0000-4000-8000-000000000001');
+    const shipment = { id: 11, carrier: 'UPS', service: 'UPS <Ground> & more', trackingNumber: '1Z999', trackingUrl: 'https://track.example/1Z999?a=1&b=2' };
+
+    const first = await notifications.notifyOrderShipped(order, shipment);
+    // Webhook redeliveries notify again; the email is not queued twice
+    const again = await notifications.notifyOrderShipped(order, shipment);
+    assert.equal(again.id, first.id);
+    assert.equal(first.to, undefined, 'addresses stay out of the listing');
+
+    const email = await sent(`order_shipped:${order.id}:11`);
+    assert.ok(email, 'the email was never sent');
+    assert.equal(email.attempts, 1);
+    assert.ok(email.messageId);
+
+    const messages = await readOutbox();
+    assert.equal(messages.length, 1);
+    const [message] = messages;
+    assert.equal(message.headers.to, 'ann@example.com');
+    assert.equal(message.headers.subject, 'Order #1A2B3C4D has shipped');
+    assert.equal(message.headers['message-id'], email.messageId);
+    assert.match(message.text, /Hi Ann,/);
+    assert.match(message.text, /on its way with UPS <Ground> & more\./);
+    assert.match(message.text, /Tracking number: 1Z999/);
+    assert.match(message.html, /with UPS &lt;Ground&gt; &amp; more\./);
+    assert.match(message.html, /href="https:\/\/track\.example\/1Z999\?a=1&amp;b=2"/);
+
+    // A second package of the same order is its own occasion
+    await notifications.notifyOrderShipped(order, { ...shipment, id: 12, trackingUrl: 'javascript:alert(1)' });
+    assert.ok(await sent(`order_shipped:${order.id}:12`));
+    const second = (await readOutbox())[1];
+    assert.doesNotMatch(second.html, /javascript:/);
+    assert.doesNotMatch(second.text, /Track your package/);
+});
+
+test('an order confirmation lists the quote and what was charged', async () => {
+    const order = paidOrder('5e6f7a8b-0000-4000-8000-000000000002', {
+        quote: {
+            currency: 'usd',
+            lines: [{ name: 'Unisex Staple T-Shirt (M)', quantity: 2, unitAmount: 1200 }],
+            shipping: { name: 'Flat Rate', amount: 499 },
+            tax: 251,
+            total: 3150
+        }
+    });
+    await notifications.notifyOrderConfirmed(order);
+    await notifications.notifyOrderConfirmed(order);
+    assert.ok(await sent(`order_confirmation:${order.id}`));
+
+    const messages = (await readOutbox()).filter(message => message.headers.subject === 'Order #5E6F7A8B confirmed');
+    assert.equal(messages.length, 1);
+    const [{ text, html }] = messages;
+    assert.match(text, /Unisex Staple T-Shirt \(M\)/);
+    assert.match(text, /\$24\.00/);
+    assert.match(text, /\$4\.99/);
+    assert.match(text, /\$31\.50/);
+    assert.match(text, /Shipping to:\nAnn Lee\n1 Main St\nAustin TX 78701\nUS/);
+    assert.match(html, /Ann Lee<br>1 Main St/);
+});
+
+test('problems are only emailed about paid orders, once per problem', async () => {
+    const unpaid = paidOrder('9c0d1e2f-0000-4000-8000-000000000003', { timeline: [] });
+    assert.equal(await notifications.notifyOrderProblem(unpaid, 'canceled'), null);
+
+    const order = paidOrder('9c0d1e2f-0000-4000-8000-000000000004', { refunds: [{ amount: 1000 }, { amount: 575 }] });
+    await notifications.notifyOrderProblem(order, 'canceled');
+    await notifications.notifyOrderProblem(order, 'canceled');
+    assert.ok(await sent(`order_problem:${order.id}:canceled`));
+
+    const messages = (await readOutbox()).filter(message => message.headers.subject?.startsWith('Order #9C0D1E2F'));
+    assert.equal(messages.length, 1);
+    assert.equal(messages[0].headers.subject, 'Order #9C0D1E2F was canceled');
+    assert.match(messages[0].text, /We have refunded \$15\.75/);
+    assert.equal(await emailWithKey(`order_problem:${unpaid.id}:canceled`), undefined);
+});
+
+test('a failed send is retried, left failed after EMAIL_MAX_ATTEMPTS and sent again on an admin retry', async () => {
+    // A file where the outbox directory should be makes every send fail
+    const delivered = await fs.readdir(outbox);
+    await fs.rename(outbox, `${outbox}.aside`);
+    await fs.writeFile(outbox, 'not a directory');
+
+    const order = paidOrder('3d4e5f60-0000-4000-8000-000000000005');
+    const key = `order_shipped:${order.id}:21`;
+    await notifications.notifyOrderShipped(order, { id: 21, carrier: 'USPS', trackingNumber: '9400' });
+
+    const retrying = await waitFor(async () => {
+        const email = await emailWithKey(key);
+        return email?.attempts === 1 && email;
+    });
+    assert.equal(retrying.status, 'queued');
+    assert.ok(retrying.lastError);
+    assert.ok(Date.parse(retrying.nextAttemptAt) > Date.parse(retrying.createdAt));
+
+    // The worker picks it up once it is due
+    const failed = await waitFor(async () => {
+        await emailQueue.processEmailQueue();
+        const email = await emailWithKey(key);
+        return email.status === 'failed' && email;
+    });
+    assert.equal(failed.attempts, 2);
+    assert.equal(failed.nextAttemptAt, null);
+    assert.deepEqual((await emailQueue.listEmails({ status: 'failed' })).map(email => email.key), [key]);
+
+    await fs.rm(outbox);
+    await fs.rename(`${outbox}.aside`, outbox);
+    const queued = await emailQueue.retryEmail(failed.id);
+    assert.equal(queued.status, 'queued');
+    assert.equal(queued.attempts, 0);
+    const email = await sent(key);
+    assert.ok(email);
+    assert.equal(email.attempts, 1);
+    assert.equal((await fs.readdir(outbox)).length, delivered.length + 1);
+
+    await assert.rejects(emailQueue.retryEmail(failed.id), { name: 'EmailQueueError', code: 'not_retryable' });
+    await assert.rejects(emailQueue.retryEmail('no-such-email'), { code: 'not_found' });
+});
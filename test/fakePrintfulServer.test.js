@@ -0,0 +1,176 @@
+// test/fakePrintfulServer.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// The webhooks the fake Printful API emits as orders move along, and what
+// recordPrintfulEvent does with them: ledger updates, and emails only for what Printful
+// itself confirms
+
+const ORDER_STEP_MS = 30;
+
+const events = [];
+let printful;
+let dataDir;
+let recordPrintfulEvent;
+let orderStore;
+let emailQueue;
+
+before(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'face-swap-printful-events-'));
+    Object.assign(process.env, {
+        DATA_DIR: dataDir,
+        PRINTFUL_API_KEY: 'test-printful-key',
+        PRINTFUL_MAX_RETRIES: '0',
+        EMAIL_TRANSPORT: 'file',
+        EMAIL_OUTBOX_DIR: path.join(dataDir, 'outbox'),
+        LOG_LEVEL: 'error'
+    });
+    delete process.env.SANDBOX;
+
+    const { createFakePrintfulServer } = await import('../fakePrintfulServer.js');
+    const app = createFakePrintfulServer({ orderStepMs: ORDER_STEP_MS, onEvent: event => events.push(event) });
+    printful = await new Promise(resolve => {
+        const server = app.listen(0, () => resolve(server));
+    });
+    process.env.PRINTFUL_API_URL = `http://localhost:${printful.address().port}`;
+
+    ({ recordPrintfulEvent } = await import('../fulfillmentService.js'));
+    ({ orderStore } = await import('../orderStore.js'));
+    emailQueue = await import('../emailQueue.js');
+});
+
+after(async () => {
+    await new Promise(resolve => printful.close(resolve));
+    await new Promise(resolve => setImmediate(resolve));
+    await emailQueue.processEmailQueue();
+    await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+const waitFor = async (check, { timeoutMs = 5000, intervalMs = 20 } = {}) => {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const value = await check();
+        if (value) return value;
+        if (Date.now() > deadline) return null;
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const printfulRequest = async (method, route, body) => {
+    const response = await fetch(`${process.env.PRINTFUL_API_URL}${route}`, {
+        method,
+        headers: { authorization: 'Bearer test', 'content-type': 'application/json' },
+        body: body && JSON.stringify(body)
+    });
+    return (await response.json()).result;
+};
+
+let orderCount = 0;
+const createPrintfulOrder = ({ confirm }) => printfulRequest('POST', `/orders${confirm ? '?confirm=true' : ''}`, {
+    external_id: `events-${++orderCount}`,
+    recipient: { name: 'Ann Lee', address1: '1 Main St', city: 'Austin', country_code: 'US', zip: '78701' },
+    items: [{ variant_id: 4011, quantity: 1, files: [{ url: 'https://example.com/design.png' }] }]
+});
+
+// The ledger order for a Printful order, as fulfillment would have recorded it
+const ledgerOrder = (printfulOrder) => orderStore.create({
+    status: 'submitted',
+    externalId: printfulOrder.external_id,
+    printfulOrderId: printfulOrder.id,
+    email: 'ann@example.com',
+    recipient: printfulOrder.recipient,
+    timeline: [{ type: 'payment_succeeded', at: new Date().toISOString(), amountTotal: 2500 }]
+});
+
+const eventsFor = (orderId) => events.filter(event => event.data.order.id === orderId);
+const emailKeys = async (orderId) => (await emailQueue.listEmails())
+    .filter(email => email.key.includes(orderId))
+    .map(email => email.key)
+    .sort();
+
+test('a confirmed order is updated as it moves on, then shipped', async () => {
+    const order = await createPrintfulOrder({ confirm: true });
+    const shipped = await waitFor(() => eventsFor(order.id).find(event => event.type === 'package_shipped'));
+    assert.ok(shipped, 'no package_shipped event');
+
+    assert.deepEqual(eventsFor(order.id).map(event => [event.type, event.data.order.status]), [
+        ['order_updated', 'inprocess'],
+        ['package_shipped', 'fulfilled']
+    ]);
+    for (const event of eventsFor(order.id)) {
+        assert.equal(typeof event.created, 'number');
+        assert.equal(event.retries, 0);
+    }
+    const { shipment } = shipped.data;
+    assert.equal(shipment.carrier, 'USPS');
+    assert.match(shipment.tracking_number, /^9400\d{18}$/);
+    assert.deepEqual((await printfulRequest('GET', `/orders/${order.id}`)).shipments, [shipment]);
+});
+
+test('drafts emit nothing until confirmed, and a canceled order stops where it is', async () => {
+    const draft = await createPrintfulOrder({ confirm: false });
+    await sleep(ORDER_STEP_MS * 3);
+    assert.deepEqual(eventsFor(draft.id), []);
+
+    await printfulRequest('POST', `/orders/${draft.id}/confirm`);
+    await printfulRequest('DELETE', `/orders/${draft.id}`);
+    await sleep(ORDER_STEP_MS * 3);
+    assert.deepEqual(eventsFor(draft.id).map(event => [event.type, event.data.order.status, event.data.reason]), [
+        ['order_canceled', 'canceled', 'Canceled by the store.']
+    ]);
+    assert.equal((await printfulRequest('GET', `/orders/${draft.id}`)).status, 'canceled');
+});
+
+test('recorded events update the ledger order and email the customer', async () => {
+    const printfulOrder = await createPrintfulOrder({ confirm: true });
+    const order = await ledgerOrder(printfulOrder);
+    const shipped = await waitFor(() => eventsFor(printfulOrder.id).find(event => event.type === 'package_shipped'));
+
+    // order_updated is not tracked
+    assert.equal(await recordPrintfulEvent(eventsFor(printfulOrder.id)[0]), null);
+
+    const recorded = await recordPrintfulEvent(shipped);
+    assert.equal(recorded.status, 'shipped');
+    assert.deepEqual(recorded.shipments.map(shipment => shipment.trackingNumber), [shipped.data.shipment.tracking_number]);
+    assert.deepEqual(recorded.timeline.at(-1), {
+        ...recorded.timeline.at(-1),
+        type: 'package_shipped',
+        printfulStatus: 'fulfilled',
+        trackingNumber: shipped.data.shipment.tracking_number,
+        carrier: 'USPS'
+    });
+
+    // A redelivery neither adds a shipment nor a second email
+    assert.equal((await recordPrintfulEvent(shipped)).shipments.length, 1);
+    assert.deepEqual(await emailKeys(order.id), [`order_shipped:${order.id}:${shipped.data.shipment.id}`]);
+
+    const canceledInPrintful = await createPrintfulOrder({ confirm: false });
+    const canceled = await ledgerOrder(canceledInPrintful);
+    await printfulRequest('DELETE', `/orders/${canceledInPrintful.id}`);
+    const canceledEvent = await waitFor(() => eventsFor(canceledInPrintful.id)[0]);
+    assert.equal((await recordPrintfulEvent(canceledEvent)).status, 'canceled');
+    assert.deepEqual(await emailKeys(canceled.id), [`order_problem:${canceled.id}:canceled`]);
+});
+
+test('events Printful does not confirm are recorded but not emailed', async () => {
+    const printfulOrder = await createPrintfulOrder({ confirm: false });
+    const order = await ledgerOrder(printfulOrder);
+
+    // Forged: the order is still a draft in Printful and has no such shipment
+    const forgedOrder = { ...printfulOrder, status: 'fulfilled' };
+    await recordPrintfulEvent({
+        type: 'package_shipped',
+        data: { order: forgedOrder, shipment: { id: 999999, carrier: 'USPS', tracking_number: 'FORGED' } }
+    });
+    const forgedCancel = await recordPrintfulEvent({ type: 'order_canceled', data: { order: { ...printfulOrder, status: 'canceled' }, reason: 'Forged' } });
+    assert.deepEqual(forgedCancel.timeline.slice(1).map(entry => entry.type), ['package_shipped', 'order_canceled']);
+    assert.deepEqual(await emailKeys(order.id), []);
+
+    // Orders the ledger does not know are ignored
+    assert.equal(await recordPrintfulEvent({ type: 'order_canceled', data: { order: { id: 424242, external_id: 'unknown', status: 'canceled' } } }), null);
+});
@@ -0,0 +1,57 @@
+// test/imageIngest.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { ingestImage } from '../imageIngest.js';
+import { heifDimensions } from '../imageType.js';
+
+const box = (type, ...contents) => {
+    const body = Buffer.concat(contents);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + body.length);
+    header.write(type, 4, 'ascii');
+    return Buffer.concat([header, body]);
+};
+const fullBox = (type, ...contents) => box(type, Buffer.alloc(4), ...contents);
+const ispe = (width, height) => {
+    const size = Buffer.alloc(8);
+    size.writeUInt32BE(width);
+    size.writeUInt32BE(height, 4);
+    return fullBox('ispe', size);
+};
+
+// The headers of a HEIC file, with image data that does not exist
+const heicHeaders = (...extents) => Buffer.concat([
+    box('ftyp', Buffer.from('heic'), Buffer.alloc(4), Buffer.from('mif1heic')),
+    fullBox('meta', fullBox('hdlr', Buffer.alloc(20)), box('iprp', box('ipco', ...extents.map(([width, height]) => ispe(width, height))))),
+    box('mdat', Buffer.alloc(16))
+]);
+
+test('HEIC dimensions come from the largest ispe box', () => {
+    assert.deepEqual(heifDimensions(heicHeaders([320, 240], [4032, 3024])), { width: 4032, height: 3024 });
+    assert.equal(heifDimensions(heicHeaders()), null);
+    assert.equal(heifDimensions(Buffer.from('not an image at all')), null);
+});
+
+test('an oversized HEIC is refused from its headers, before it is decoded', async () => {
+    await assert.rejects(ingestImage(heicHeaders([100000, 100000])), { name: 'IngestError', code: 'too_large' });
+});
+
+test('a HEIC without dimensions is refused as corrupt', async () => {
+    await assert.rejects(ingestImage(heicHeaders()), { code: 'corrupt_image' });
+});
+
+test('an oversized PNG is refused from its header', async () => {
+    // One colour, so it compresses to a small file
+    const png = await sharp({ create: { width: 12000, height: 12000, channels: 3, background: '#888' } }).png().toBuffer();
+    await assert.rejects(ingestImage(png), { code: 'too_large' });
+});
+
+test('an ordinary photo is normalised', async () => {
+    const photo = await sharp(crypto.randomBytes(800 * 600 * 3), { raw: { width: 800, height: 600, channels: 3 } }).jpeg().toBuffer();
+    const image = await ingestImage(photo);
+    assert.equal(image.width, 800);
+    assert.equal(image.height, 600);
+    assert.equal(image.format, 'jpeg');
+});
@@ -0,0 +1,75 @@
+// test/pricingService.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+
+// Prices seeded into DATA_DIR, against a stand-in for Printful's variant API
+
+let printful;
+let dataDir;
+let pricingService;
+const repoCatalog = new URL('../priceCatalog.json', import.meta.url);
+let repoCatalogBefore;
+
+before(async () => {
+    const app = express();
+    app.get('/products/variant/:id', (req, res) => res.json({
+        code: 200,
+        result: { variant: { id: Number(req.params.id), product_id: 71, name: `Variant ${req.params.id}`, image: null, price: '10.00' } }
+    }));
+    printful = await new Promise(resolve => {
+        const server = app.listen(0, () => resolve(server));
+    });
+
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'face-swap-pricing-'));
+    Object.assign(process.env, {
+        DATA_DIR: dataDir,
+        PRINTFUL_API_URL: `http://localhost:${printful.address().port}`,
+        PRINTFUL_API_KEY: 'test-printful-key',
+        PRINTFUL_MAX_RETRIES: '0',
+        PRICE_MARGIN: '0.5',
+        LOG_LEVEL: 'error'
+    });
+    repoCatalogBefore = await fs.readFile(repoCatalog, 'utf8');
+    pricingService = await import('../pricingService.js');
+});
+
+after(async () => {
+    await new Promise(resolve => printful.close(resolve));
+    await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+const cartItem = (variantId) => ({ variantId, quantity: 1, designUrl: 'https://example.com/design.png' });
+
+test('until prices are seeded, the catalog in the repo is used', async () => {
+    const catalog = await pricingService.loadPriceCatalog();
+    assert.deepEqual(catalog, JSON.parse(repoCatalogBefore));
+    await assert.rejects(pricingService.resolveCartItems([cartItem(4012)]), { name: 'PricingError' });
+});
+
+test('seeded prices are written to DATA_DIR and used straight away', async () => {
+    await pricingService.seedPriceCatalog([4012]);
+    const [item] = await pricingService.resolveCartItems([cartItem(4012)]);
+    assert.equal(item.cost, 1000);
+    assert.equal(item.unitAmount, 1500);
+
+    const stored = JSON.parse(await fs.readFile(path.join(dataDir, 'price-catalog.json'), 'utf8'));
+    assert.equal(stored.variants[4012].unitAmount, 1500);
+    assert.equal(await fs.readFile(repoCatalog, 'utf8'), repoCatalogBefore);
+});
+
+test('prices seeded by another process are read again without a restart', async () => {
+    const filePath = path.join(dataDir, 'price-catalog.json');
+    const stored = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    stored.variants[4013] = { ...stored.variants[4012], variantId: 4013, unitAmount: 2000 };
+    await fs.writeFile(filePath, JSON.stringify(stored));
+    // Make sure the modification time moves on coarse-grained filesystems
+    const later = new Date(Date.now() + 2000);
+    await fs.utimes(filePath, later, later);
+
+    const [item] = await pricingService.resolveCartItems([cartItem(4013)]);
+    assert.equal(item.unitAmount, 2000);
+});
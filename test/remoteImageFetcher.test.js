@@ -0,0 +1,182 @@
+// test/remoteImageFetcher.test.js
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import dns from 'dns';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import sharp from 'sharp';
+
+// The SSRF guard of remote image fetches. Host names resolve through a stubbed
+// dns.lookup; PUBLIC_ADDRESS stands for a public host and is routed to a local
+// server once the fetcher's own lookup has checked it.
+
+const PUBLIC_ADDRESS = '203.0.113.10';
+const MAX_BYTES = 4096;
+
+// host name -> addresses it resolves to
+const hosts = {
+    'images.test': [PUBLIC_ADDRESS],
+    'private.test': ['10.0.0.5'],
+    'loopback.test': ['127.0.0.1'],
+    'metadata.test': ['169.254.169.254'],
+    'ula.test': ['fd00::2'],
+    'mapped.test': ['::ffff:127.0.0.1'],
+    'mixed.test': [PUBLIC_ADDRESS, '192.168.1.10']
+};
+
+const originalLookup = dns.lookup;
+const originalCreateConnection = http.Agent.prototype.createConnection;
+const requests = [];
+let server;
+let dataDir;
+let port;
+let png;
+let fetchRemoteImage;
+let isBlockedAddress;
+
+before(async () => {
+    png = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#c0ffee' } }).png().toBuffer();
+
+    const app = express();
+    app.use((req, res, next) => {
+        requests.push(req.path);
+        next();
+    });
+    app.get('/photo.png', (req, res) => res.type('png').send(png));
+    app.get('/page.html', (req, res) => res.type('html').send('<!doctype html><html><body>' + 'x'.repeat(64) + '</body></html>'));
+    app.get('/redirect', (req, res) => res.redirect(302, req.query.to));
+    app.get('/loop/:n', (req, res) => res.redirect(302, `/loop/${Number(req.params.n) + 1}`));
+    app.get('/huge-declared.png', (req, res) => res.set('Content-Length', String(MAX_BYTES * 4)).type('png').end(png));
+    app.get('/huge-chunked.png', (req, res) => {
+        res.type('png');
+        res.write(png);
+        res.end(Buffer.alloc(MAX_BYTES * 2));
+    });
+    app.get('/slow.png', (req, res) => setTimeout(() => res.type('png').send(png), 1000));
+    server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    port = server.address().port;
+
+    dns.lookup = (hostname, options, callback) => {
+        const addresses = hosts[hostname];
+        if (!addresses) {
+            const error = new Error(`getaddrinfo ENOTFOUND ${hostname}`);
+            error.code = 'ENOTFOUND';
+            return process.nextTick(callback, error);
+        }
+        const all = addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+        if (options.all) return process.nextTick(callback, null, all);
+        return process.nextTick(callback, null, all[0].address, all[0].family);
+    };
+    http.Agent.prototype.createConnection = function (options, callback) {
+        const route = (address) => address === PUBLIC_ADDRESS ? '127.0.0.1' : address;
+        const lookup = (hostname, lookupOptions, done) => options.lookup(hostname, lookupOptions, (error, address, family) => {
+            if (error) return done(error);
+            if (Array.isArray(address)) return done(null, address.map(entry => ({ address: route(entry.address), family: 4 })));
+            return done(null, route(address), 4);
+        });
+        return originalCreateConnection.call(this, { ...options, lookup }, callback);
+    };
+
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'face-swap-fetch-'));
+    Object.assign(process.env, {
+        DATA_DIR: dataDir,
+        STORAGE_DRIVER: 'local',
+        STORAGE_SIGNING_SECRET: 'test-signing-secret',
+        REMOTE_FETCH_MAX_BYTES: String(MAX_BYTES),
+        REMOTE_FETCH_TIMEOUT_MS: '300',
+        REMOTE_FETCH_MAX_REDIRECTS: '2',
+        LOG_LEVEL: 'error'
+    });
+    delete process.env.SANDBOX;
+    delete process.env.REMOTE_FETCH_ALLOWED_HOSTS;
+    ({ fetchRemoteImage, isBlockedAddress } = await import('../remoteImageFetcher.js'));
+});
+
+after(async () => {
+    dns.lookup = originalLookup;
+    http.Agent.prototype.createConnection = originalCreateConnection;
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+afterEach(() => {
+    requests.length = 0;
+});
+
+const url = (host, pathname) => `http://${host}:${port}${pathname}`;
+
+const rejectsWith = (promise, code) => assert.rejects(promise, { name: 'RemoteFetchError', code });
+
+test('private, loopback, link-local and IPv4-mapped IPv6 addresses are blocked', () => {
+    for (const address of [
+        '10.1.2.3', '127.0.0.1', '169.254.169.254', '172.16.0.1', '192.168.1.1', '100.64.0.1', '0.0.0.0',
+        '::', '::1', 'fe80::1', 'fd00::2', '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:a9fe:a9fe', 'not-an-ip'
+    ]) {
+        assert.equal(isBlockedAddress(address), true, address);
+    }
+    for (const address of [PUBLIC_ADDRESS, '8.8.8.8', '2606:4700::1111', '::ffff:8.8.8.8']) {
+        assert.equal(isBlockedAddress(address), false, address);
+    }
+});
+
+test('an image on a public host is fetched', async () => {
+    const buffer = await fetchRemoteImage(url('images.test', '/photo.png'));
+    assert.deepEqual(buffer, png);
+});
+
+test('literal private addresses are refused before connecting', async () => {
+    await rejectsWith(fetchRemoteImage(`http://127.0.0.1:${port}/photo.png`), 'blocked_address');
+    await rejectsWith(fetchRemoteImage(`http://[::ffff:127.0.0.1]:${port}/photo.png`), 'blocked_address');
+    await rejectsWith(fetchRemoteImage('http://169.254.169.254/latest/meta-data/'), 'blocked_address');
+    await rejectsWith(fetchRemoteImage(`http://[::1]:${port}/photo.png`), 'blocked_address');
+    assert.deepEqual(requests, []);
+});
+
+test('host names resolving to a non-public address are refused', async () => {
+    for (const host of ['private.test', 'loopback.test', 'metadata.test', 'ula.test', 'mapped.test', 'mixed.test']) {
+        await rejectsWith(fetchRemoteImage(url(host, '/photo.png')), 'blocked_address');
+    }
+    assert.deepEqual(requests, []);
+});
+
+test('redirects to private hosts are refused', async () => {
+    const to = (target) => url('images.test', `/redirect?to=${encodeURIComponent(target)}`);
+    await rejectsWith(fetchRemoteImage(to(url('loopback.test', '/photo.png'))), 'blocked_address');
+    await rejectsWith(fetchRemoteImage(to(`http://127.0.0.1:${port}/photo.png`)), 'blocked_address');
+    await rejectsWith(fetchRemoteImage(to('http://169.254.169.254/latest/meta-data/')), 'blocked_address');
+    await rejectsWith(fetchRemoteImage(to('file:///etc/passwd')), 'invalid_url');
+    assert.deepEqual(requests, ['/redirect', '/redirect', '/redirect', '/redirect']);
+
+    // Redirects between public hosts are followed
+    assert.deepEqual(await fetchRemoteImage(to(url('images.test', '/photo.png'))), png);
+});
+
+test('redirect chains are cut off after REMOTE_FETCH_MAX_REDIRECTS', async () => {
+    await rejectsWith(fetchRemoteImage(url('images.test', '/loop/0')), 'too_many_redirects');
+    assert.deepEqual(requests, ['/loop/0', '/loop/1', '/loop/2']);
+});
+
+test('images over REMOTE_FETCH_MAX_BYTES are refused, whether declared or streamed', async () => {
+    await rejectsWith(fetchRemoteImage(url('images.test', '/huge-declared.png')), 'too_large');
+    await rejectsWith(fetchRemoteImage(url('images.test', '/huge-chunked.png')), 'too_large');
+});
+
+test('fetches slower than REMOTE_FETCH_TIMEOUT_MS time out', async () => {
+    const startedAt = Date.now();
+    await rejectsWith(fetchRemoteImage(url('images.test', '/slow.png')), 'timeout');
+    assert.ok(Date.now() - startedAt < 1000);
+});
+
+test('other failures are reported by code', async () => {
+    await rejectsWith(fetchRemoteImage(url('images.test', '/page.html')), 'not_an_image');
+    await rejectsWith(fetchRemoteImage(url('images.test', '/missing.png')), 'fetch_failed');
+    await rejectsWith(fetchRemoteImage(url('unknown.test', '/photo.png')), 'fetch_failed');
+    await rejectsWith(fetchRemoteImage('ftp://images.test/photo.png'), 'invalid_url');
+    await rejectsWith(fetchRemoteImage(42), 'invalid_url');
+});
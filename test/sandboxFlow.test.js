@@ -0,0 +1,275 @@
+// test/sandboxFlow.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+
+// The whole customer flow against the sandbox (fake Stripe and Printful, local storage):
+// upload, mockups, checkout and the order Printful ships. Nothing leaves the machine.
+
+const freePort = () => new Promise((resolve, reject) => {
+    const probe = net.createServer().once('error', reject).listen(0, () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    });
+});
+
+let dataDir;
+let server;
+let baseUrl;
+
+before(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'face-swap-test-'));
+    const port = await freePort();
+    // The sandbox's URLs are read from the environment when the modules load
+    Object.assign(process.env, {
+        SANDBOX: 'true',
+        SANDBOX_ORDER_STEP_MS: '50',
+        DATA_DIR: dataDir,
+        PORT: String(port),
+        JWT_SECRET: 'test-jwt-secret',
+        ADMIN_API_KEY: 'test-admin-key',
+        EMAIL_TRANSPORT: 'file',
+        LOG_LEVEL: 'error'
+    });
+
+    const { createApp } = await import('../app.js');
+    const { seedSandboxPrices } = await import('../sandboxRoutes.js');
+    server = await new Promise(resolve => {
+        const listening = createApp().listen(port, () => resolve(listening));
+    });
+    baseUrl = `http://localhost:${port}`;
+    await seedSandboxPrices();
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+const call = async (method, route, { token, json, form } = {}) => {
+    const response = await fetch(`${baseUrl}${route}`, {
+        method,
+        headers: {
+            ...(token ? { authorization: `Bearer ${token}` } : {}),
+            ...(json ? { 'content-type': 'application/json' } : {})
+        },
+        body: json ? JSON.stringify(json) : form
+    });
+    const body = await response.json();
+    assert.ok(response.ok, `${method} ${route} answered ${response.status}: ${JSON.stringify(body)}`);
+    return body;
+};
+
+const waitFor = async (check, { timeoutMs = 10000, intervalMs = 50 } = {}) => {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const value = await check();
+        if (value) return value;
+        if (Date.now() > deadline) return null;
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+};
+
+const address = { line1: '1 Main St', city: 'Austin', state: 'TX', postal_code: '78701', country: 'US' };
+const recipient = { name: 'Ann Lee', address1: '1 Main St', city: 'Austin', state_code: 'TX', country_code: 'US', zip: '78701' };
+
+let accounts = 0;
+
+// A new customer with a face upload turned into a design; { token, swapImageUrl, resultImageUrl }
+const customerWithDesign = async () => {
+    accounts++;
+    const { token } = await call('POST', '/auth/register', { json: { email: `customer${accounts}@example.com`, password: 'password123' } });
+
+    // Noise, so the upload passes the sharpness check, large enough to print on a T-shirt
+    const photo = await sharp(crypto.randomBytes(1200 * 1200 * 3), { raw: { width: 1200, height: 1200, channels: 3 } }).jpeg().toBuffer();
+    const form = new FormData();
+    form.append('consent', 'true');
+    form.append('swapImage', new Blob([photo], { type: 'image/jpeg' }), 'face.jpg');
+    const { swapImageUrl } = await call('POST', '/uploadSwap', { token, form });
+    assert.ok(swapImageUrl);
+
+    const { resultImageUrl } = await call('POST', '/uploadResult', { token, json: { resultUrl: swapImageUrl } });
+    assert.ok(resultImageUrl);
+    return { token, swapImageUrl, resultImageUrl };
+};
+
+const sessionIdOf = (url) => new URL(url).pathname.split('/').filter(Boolean).pop();
+
+const pay = (sessionId) => fetch(`${baseUrl}/sandbox/checkout/${sessionId}/complete`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ name: 'Ann Lee', email: 'ann@example.com', address })
+});
+
+// A draft order of one T-shirt and the checkout session paying for it
+const draftWithCheckout = async ({ token, resultImageUrl }) => {
+    const { orderId } = await call('POST', '/place-order', {
+        token,
+        json: { recipient, items: [{ variantId: 4011, quantity: 1, designUrl: resultImageUrl }] }
+    });
+    const { url } = await call('POST', '/create-checkout-session', { token, json: { orderId } });
+    return { orderId, sessionId: sessionIdOf(url) };
+};
+
+test('a customer uploads a face, previews mockups, pays and gets the order shipped', async () => {
+    const { token, swapImageUrl, resultImageUrl } = await customerWithDesign();
+
+    const mockups = await call('POST', '/generateMockups', {
+        token,
+        json: { resultImageUrl, products: [{ id: 71, variantId: 4011, name: 'T-Shirt', baseImageUrl: swapImageUrl }] }
+    });
+    assert.equal(mockups.mockupUrls.length, 1, JSON.stringify(mockups.skipped));
+
+    const { url } = await call('POST', '/create-checkout-session', {
+        token,
+        json: { cartItems: [{ variantId: 4011, quantity: 1, designUrl: resultImageUrl }] }
+    });
+    const paid = await pay(sessionIdOf(url));
+    assert.equal(paid.status, 200);
+
+    const order = await waitFor(async () => {
+        const { orders } = await call('GET', '/orders', { token });
+        return orders.find(candidate => candidate.status === 'shipped');
+    });
+    assert.ok(order, 'the order was never shipped');
+    assert.ok(order.printfulOrderId);
+    assert.ok(order.timeline.some(event => event.type === 'payment_succeeded'));
+
+    const fetched = await call('GET', `/orders/${order.id}`, { token });
+    assert.equal(fetched.id, order.id);
+});
+
+test('canceling a draft expires its checkout, so it can no longer be paid', async () => {
+    const customer = await customerWithDesign();
+    const { orderId, sessionId } = await draftWithCheckout(customer);
+
+    const { order } = await call('POST', `/orders/${orderId}/cancel`, { token: customer.token });
+    assert.equal(order.status, 'canceled');
+
+    const paid = await pay(sessionId);
+    assert.equal(paid.status, 400);
+    assert.equal((await paid.json()).code, 'checkout_session_not_open');
+});
+
+const unwantedRefunds = (order) => order.timeline.filter(event => event.type === 'unwanted_payment_refunded');
+
+test('a payment that lands on a canceled draft is refunded', async () => {
+    const customer = await customerWithDesign();
+    const { orderId, sessionId } = await draftWithCheckout(customer);
+
+    // As if the customer canceled while paying, before the checkout could be expired
+    const { orderStore } = await import('../orderStore.js');
+    await orderStore.update(orderId, { status: 'canceled' });
+
+    const paid = await pay(sessionId);
+    assert.equal(paid.status, 200);
+
+    const order = await call('GET', `/orders/${orderId}`, { token: customer.token });
+    assert.equal(order.status, 'canceled');
+    assert.equal(order.printfulOrderId, null);
+    assert.equal(unwantedRefunds(order).length, 1);
+    assert.equal(unwantedRefunds(order)[0].stripeSessionId, sessionId);
+    assert.ok(unwantedRefunds(order)[0].amount > 0);
+});
+
+test('a new checkout for a draft expires the earlier one', async () => {
+    const customer = await customerWithDesign();
+    const { orderId, sessionId: first } = await draftWithCheckout(customer);
+    const { url } = await call('POST', '/create-checkout-session', { token: customer.token, json: { orderId } });
+
+    assert.equal((await pay(first)).status, 400);
+    assert.equal((await pay(sessionIdOf(url))).status, 200);
+    const order = await call('GET', `/orders/${orderId}`, { token: customer.token });
+    assert.notEqual(order.status, 'draft');
+    assert.equal(unwantedRefunds(order).length, 0);
+});
+
+test('a second payment for a draft is refunded, and the first one kept', async () => {
+    const customer = await customerWithDesign();
+    const { orderId, sessionId: first } = await draftWithCheckout(customer);
+
+    // As if both checkouts were opened at once, before either could expire the other
+    const { orderStore } = await import('../orderStore.js');
+    const { timeline } = await orderStore.get(orderId);
+    await orderStore.update(orderId, { timeline: timeline.filter(event => event.type !== 'checkout_started') });
+    const { url } = await call('POST', '/create-checkout-session', { token: customer.token, json: { orderId } });
+    const second = sessionIdOf(url);
+    await orderStore.addEvent(orderId, { type: 'checkout_started', stripeSessionId: first });
+
+    assert.equal((await pay(first)).status, 200);
+    assert.equal((await pay(second)).status, 200);
+
+    const order = await call('GET', `/orders/${orderId}`, { token: customer.token });
+    assert.equal(order.stripeSessionId, first);
+    assert.deepEqual(unwantedRefunds(order).map(event => event.stripeSessionId), [second]);
+});
+
+test('a payment that is not the quoted total leaves the draft unpaid and is refunded', async () => {
+    const customer = await customerWithDesign();
+    const { orderId, sessionId } = await draftWithCheckout(customer);
+
+    const { orderStore } = await import('../orderStore.js');
+    const { quote } = await orderStore.get(orderId);
+    await orderStore.update(orderId, { quote: { ...quote, total: quote.total + 100 } });
+
+    assert.equal((await pay(sessionId)).status, 200);
+    const order = await call('GET', `/orders/${orderId}`, { token: customer.token });
+    assert.equal(order.status, 'draft');
+    assert.equal(unwantedRefunds(order).length, 1);
+});
+
+test('every product of a mockup request counts against the mockups rate limit', async () => {
+    const { token, swapImageUrl, resultImageUrl } = await customerWithDesign();
+    const generate = (count) => fetch(`${baseUrl}/generateMockups`, {
+        method: 'POST',
+        headers: { authorization: `Bearer ${token}`, 'content-type': 'application/json' },
+        body: JSON.stringify({
+            resultImageUrl,
+            products: Array.from({ length: count }, () => ({ id: 71, variantId: 4011, name: 'T-Shirt', baseImageUrl: swapImageUrl }))
+        })
+    });
+
+    const first = await generate(3);
+    assert.equal(first.status, 200);
+    const limit = Number(first.headers.get('ratelimit-limit'));
+    assert.equal(Number(first.headers.get('ratelimit-remaining')), limit - 3);
+
+    const second = await generate(2);
+    assert.equal(second.status, 200);
+    assert.equal(Number(second.headers.get('ratelimit-remaining')), limit - 5);
+
+    // Refused by the schema, so charged like any refused request
+    const tooMany = await generate(21);
+    assert.equal(tooMany.status, 400);
+    assert.equal(Number(tooMany.headers.get('ratelimit-remaining')), limit - 6);
+});
+
+test('print files count against their rate limit, one per cart line', async () => {
+    const { token, resultImageUrl } = await customerWithDesign();
+    const response = await fetch(`${baseUrl}/create-checkout-session`, {
+        method: 'POST',
+        headers: { authorization: `Bearer ${token}`, 'content-type': 'application/json' },
+        body: JSON.stringify({ cartItems: [4011, 4012].map(variantId => ({ variantId, quantity: 1, designUrl: resultImageUrl })) })
+    });
+    assert.equal(response.status, 200);
+    assert.equal(Number(response.headers.get('ratelimit-remaining')), Number(response.headers.get('ratelimit-limit')) - 2);
+});
+
+test('the catalog answers 503 until its first sync, which runs in the background', async () => {
+    const first = await fetch(`${baseUrl}/catalog/products`);
+    assert.equal(first.status, 503);
+    assert.equal((await first.json()).code, 'catalog_syncing');
+
+    const catalog = await waitFor(async () => {
+        const response = await fetch(`${baseUrl}/catalog/products`);
+        return response.status === 200 && response.json();
+    });
+    assert.ok(catalog, 'the catalog was never synced');
+    assert.ok(catalog.syncedAt);
+    assert.ok(catalog.products.length > 0);
+});
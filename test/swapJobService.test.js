@@ -0,0 +1,121 @@
+// test/swapJobService.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+
+// Face-swap jobs run by the offline stub provider, on images kept in local storage
+
+let dataDir;
+let storage;
+let swapJobs;
+let targetImageUrl;
+let swapImageUrl;
+
+before(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'face-swap-jobs-'));
+    Object.assign(process.env, {
+        SANDBOX: 'true',
+        DATA_DIR: dataDir,
+        STORAGE_SIGNING_SECRET: 'test-signing-secret',
+        SWAP_MAX_ATTEMPTS: '3',
+        SWAP_RETRY_BASE_MS: '20',
+        EMAIL_TRANSPORT: 'file',
+        LOG_LEVEL: 'error'
+    });
+    ({ storage } = await import('../storageService.js'));
+    swapJobs = await import('../swapJobService.js');
+
+    const image = (width, height) => sharp(crypto.randomBytes(width * height * 3), { raw: { width, height, channels: 3 } }).jpeg().toBuffer();
+    ({ url: targetImageUrl } = await storage.put(await image(300, 200), { folder: 'test', id: 'target', format: 'jpg' }));
+    ({ url: swapImageUrl } = await storage.put(await image(100, 100), { folder: 'test', id: 'face', format: 'jpg' }));
+});
+
+after(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+// Queue a job and collect the status of every update until it finishes
+const runJob = async (job) => {
+    const created = swapJobs.createSwapJob({ ownerId: 'user-1', ...job });
+    const statuses = [created.status];
+    const finished = await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Job ${created.id} did not finish: ${statuses.join(' > ')}`)), 5000);
+        const unsubscribe = swapJobs.subscribeToSwapJob(created.id, (snapshot) => {
+            statuses.push(snapshot.status);
+            if (swapJobs.isFinished(snapshot)) {
+                clearTimeout(timer);
+                unsubscribe();
+                resolve(snapshot);
+            }
+        });
+    });
+    return { job: finished, statuses };
+};
+
+test('a job is queued, run and its result stored in the gallery', async () => {
+    const { job, statuses } = await runJob({ targetImageUrl, swapImageUrl });
+    assert.deepEqual(statuses, ['queued', 'running', 'succeeded']);
+    assert.equal(job.provider, 'stub');
+    assert.equal(job.attempts, 1);
+    assert.equal(job.error, null);
+    assert.ok(job.resultAssetId);
+    assert.deepEqual(swapJobs.getSwapJob(job.id), job);
+
+    const result = await sharp(await storage.get(storage.keyFromUrl(job.resultImageUrl))).metadata();
+    assert.deepEqual([result.width, result.height], [300, 200]);
+});
+
+test('the stub provider is deterministic', async () => {
+    const first = await runJob({ targetImageUrl, swapImageUrl });
+    const second = await runJob({ targetImageUrl, swapImageUrl });
+    const read = ({ job }) => storage.get(storage.keyFromUrl(job.resultImageUrl));
+    assert.deepEqual(await read(first), await read(second));
+});
+
+test('a failed attempt is retried, and the job succeeds once the provider can read the images', async () => {
+    // The face is only stored after the first attempt has failed
+    const missing = swapImageUrl.replace('/face.', '/late-face.');
+    const created = swapJobs.createSwapJob({ ownerId: 'user-1', targetImageUrl, swapImageUrl: missing });
+    const statuses = [created.status];
+    const finished = await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Job did not finish: ${statuses.join(' > ')}`)), 5000);
+        const unsubscribe = swapJobs.subscribeToSwapJob(created.id, async (snapshot) => {
+            statuses.push(snapshot.status);
+            if (snapshot.status === 'queued' && snapshot.attempts === 1) {
+                assert.match(snapshot.error, /could not be read/);
+                assert.ok(snapshot.nextAttemptAt);
+                await storage.put(await storage.get(storage.keyFromUrl(swapImageUrl)), { folder: 'test', id: 'late-face', format: 'jpg' });
+            }
+            if (swapJobs.isFinished(snapshot)) {
+                clearTimeout(timer);
+                unsubscribe();
+                resolve(snapshot);
+            }
+        });
+    });
+
+    assert.deepEqual(statuses, ['queued', 'running', 'queued', 'running', 'succeeded']);
+    assert.equal(finished.attempts, 2);
+    assert.equal(finished.error, null);
+    assert.equal(finished.nextAttemptAt, null);
+});
+
+test('a job failing every attempt ends failed after SWAP_MAX_ATTEMPTS', async () => {
+    const { job, statuses } = await runJob({ targetImageUrl, swapImageUrl: swapImageUrl.replace('/face.', '/never.') });
+    assert.deepEqual(statuses, ['queued', 'running', 'queued', 'running', 'queued', 'running', 'failed']);
+    assert.equal(job.attempts, 3);
+    assert.match(job.error, /could not be read/);
+    assert.equal(job.resultImageUrl, null);
+    assert.ok(job.finishedAt);
+});
+
+test('images that are refused fail the job without retrying', async () => {
+    const { job, statuses } = await runJob({ targetImageUrl, swapImageUrl: 'ftp://example.com/face.jpg' });
+    assert.deepEqual(statuses, ['queued', 'running', 'failed']);
+    assert.equal(job.attempts, 1);
+    assert.match(job.error, /http and https/);
+});
@@ -0,0 +1,252 @@
+// test/uploadService.test.js
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+
+// Direct uploads to the local storage driver: sign, send the file whole (PUT) or in tus
+// chunks (HEAD and PATCH), complete, and the sweeper for uploads never completed
+
+const freePort = () => new Promise((resolve, reject) => {
+    const probe = net.createServer().once('error', reject).listen(0, () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+    });
+});
+
+let dataDir;
+let server;
+let baseUrl;
+let token;
+let photo;
+let storage;
+let purgeAbandonedUploads;
+
+before(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'face-swap-upload-'));
+    const port = await freePort();
+    Object.assign(process.env, {
+        SANDBOX: 'true',
+        DATA_DIR: dataDir,
+        PORT: String(port),
+        JWT_SECRET: 'test-jwt-secret',
+        STORAGE_SIGNING_SECRET: 'test-signing-secret',
+        EMAIL_TRANSPORT: 'file',
+        LOG_LEVEL: 'error'
+    });
+
+    const { createApp } = await import('../app.js');
+    ({ storage } = await import('../storageService.js'));
+    ({ purgeAbandonedUploads } = await import('../uploadService.js'));
+    server = await new Promise(resolve => {
+        const listening = createApp().listen(port, () => resolve(listening));
+    });
+    baseUrl = `http://localhost:${port}`;
+
+    // Noise, so the upload passes the sharpness check
+    photo = await sharp(crypto.randomBytes(800 * 800 * 3), { raw: { width: 800, height: 800, channels: 3 } }).jpeg().toBuffer();
+    ({ token } = await (await fetch(`${baseUrl}/auth/register`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ email: 'uploader@example.com', password: 'password123' })
+    })).json());
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+const post = async (route, json) => {
+    const response = await fetch(`${baseUrl}${route}`, {
+        method: 'POST',
+        headers: { authorization: `Bearer ${token}`, 'content-type': 'application/json' },
+        body: JSON.stringify(json)
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+const sign = async (size = photo.length, contentType = 'image/jpeg') => {
+    const { status, body } = await post('/uploads/sign', { kind: 'selfie', contentType, size, consent: true });
+    assert.equal(status, 201, JSON.stringify(body));
+    return body;
+};
+
+const complete = (uploadId) => post('/uploads/complete', { uploadId });
+
+const put = (url, body, contentType = 'image/jpeg') => fetch(url, { method: 'PUT', headers: { 'content-type': contentType }, body });
+
+const patch = (url, body, offset) => fetch(url, {
+    method: 'PATCH',
+    headers: { 'content-type': 'application/offset+octet-stream', 'tus-resumable': '1.0.0', 'upload-offset': String(offset) },
+    body
+});
+
+const offsetOf = async (url) => {
+    const response = await fetch(url, { method: 'HEAD' });
+    assert.equal(response.status, 200);
+    return Number(response.headers.get('upload-offset'));
+};
+
+test('a file sent whole with PUT completes into a gallery image, once', async () => {
+    const { uploadId, upload } = await sign();
+    assert.equal(upload.method, 'PUT');
+
+    const stored = await put(upload.url, photo);
+    assert.equal(stored.status, 204);
+
+    const first = await complete(uploadId);
+    assert.equal(first.status, 200, JSON.stringify(first.body));
+    assert.equal(first.body.kind, 'selfie');
+    assert.ok(first.body.expiresAt);
+
+    const again = await complete(uploadId);
+    assert.equal(again.body.assetId, first.body.assetId);
+});
+
+test('a file sent in tus chunks can be resumed from HEAD', async () => {
+    const { uploadId, resumableUrl } = await sign();
+    const half = Math.floor(photo.length / 2);
+
+    assert.equal(await offsetOf(resumableUrl), 0);
+    assert.equal((await patch(resumableUrl, photo.subarray(0, half), 0)).status, 204);
+    assert.equal(await offsetOf(resumableUrl), half);
+
+    // Not finished yet, so it can still be resumed
+    const early = await complete(uploadId);
+    assert.equal(early.status, 409);
+    assert.equal(early.body.code, 'upload_incomplete');
+    assert.deepEqual(early.body.details, { received: half, expected: photo.length });
+
+    const resumed = await patch(resumableUrl, photo.subarray(half), half);
+    assert.equal(resumed.status, 204);
+    assert.equal(resumed.headers.get('upload-offset'), String(photo.length));
+    assert.equal((await complete(uploadId)).status, 200);
+});
+
+test('a PATCH from the wrong offset is refused with the offset to resume from', async () => {
+    const { resumableUrl } = await sign();
+    await patch(resumableUrl, photo.subarray(0, 100), 0);
+
+    for (const offset of [0, 50, 200]) {
+        const response = await patch(resumableUrl, photo.subarray(offset, offset + 100), offset);
+        assert.equal(response.status, 409);
+        assert.equal(response.headers.get('upload-offset'), '100');
+        const body = await response.json();
+        assert.equal(body.code, 'offset_mismatch');
+        assert.deepEqual(body.details, { offset: 100 });
+    }
+    assert.equal(await offsetOf(resumableUrl), 100);
+});
+
+test('bodies larger than the signed size are refused', async () => {
+    const { uploadId, upload, resumableUrl } = await sign(1000);
+
+    const whole = await put(upload.url, photo);
+    assert.equal(whole.status, 413);
+    assert.equal((await whole.json()).code, 'too_large');
+    // The rest of the body was never read, so the connection is not reused
+    assert.equal(whole.headers.get('connection'), 'close');
+    assert.equal(await offsetOf(resumableUrl), 0);
+
+    const chunk = await patch(resumableUrl, photo.subarray(0, 1001), 0);
+    assert.equal(chunk.status, 413);
+    assert.equal((await chunk.json()).code, 'too_large');
+    assert.ok(Number(chunk.headers.get('upload-offset')) <= 1000);
+
+    // A PUT short of the signed size is not stored either
+    const short = await put(upload.url, photo.subarray(0, 999));
+    assert.equal(short.status, 400);
+    assert.equal((await short.json()).code, 'incomplete');
+
+    const refused = await complete(uploadId);
+    assert.equal(refused.status, 409);
+});
+
+test('sizes over DIRECT_UPLOAD_MAX_BYTES are not signed', async () => {
+    const { status, body } = await post('/uploads/sign', { kind: 'selfie', contentType: 'image/jpeg', size: 26 * 1024 * 1024, consent: true });
+    assert.equal(status, 400);
+    assert.equal(body.code, 'invalid_upload');
+    assert.equal(body.details.field, 'size');
+});
+
+test('a wrong content type is refused, on the request and in the bytes', async () => {
+    const { uploadId, upload, resumableUrl } = await sign();
+
+    const wrongHeader = await put(upload.url, photo, 'image/png');
+    assert.equal(wrongHeader.status, 415);
+    assert.equal((await wrongHeader.json()).code, 'unsupported_type');
+
+    const wrongChunk = await fetch(resumableUrl, { method: 'PATCH', headers: { 'content-type': 'image/jpeg', 'upload-offset': '0' }, body: photo });
+    assert.equal(wrongChunk.status, 415);
+
+    // Bytes that are not the signed type are deleted when the upload is completed
+    const signedPng = await sign(photo.length, 'image/png');
+    assert.equal((await put(signedPng.upload.url, photo, 'image/png')).status, 204);
+    const mismatched = await complete(signedPng.uploadId);
+    assert.equal(mismatched.status, 400);
+    assert.equal(mismatched.body.code, 'type_mismatch');
+    assert.deepEqual(mismatched.body.details, { declared: 'image/png', detected: 'jpeg' });
+    assert.equal(await offsetOf(signedPng.resumableUrl), 0);
+
+    assert.equal((await complete(uploadId)).body.code, 'upload_incomplete');
+});
+
+test('tampered and expired upload URLs are refused', async () => {
+    const { upload } = await sign();
+    const tamper = (name, value) => {
+        const url = new URL(upload.url);
+        url.searchParams.set(name, value);
+        return url.href;
+    };
+
+    for (const url of [
+        tamper('size', String(photo.length * 2)),
+        tamper('type', 'image/png'),
+        tamper('expires', String(Math.floor(Date.now() / 1000) + 86400)),
+        tamper('signature', '0'.repeat(64)),
+        upload.url.replace('/incoming/', '/elsewhere/')
+    ]) {
+        for (const response of [await put(url, photo), await fetch(url, { method: 'HEAD' })]) {
+            assert.equal(response.status, 403, url);
+        }
+    }
+
+    const expired = await storage.signUpload({ folder: 'users/nobody/incoming', id: 'expired', contentType: 'image/jpeg', size: photo.length, expiresIn: -1 });
+    const response = await put(expired.upload.url, photo);
+    assert.equal(response.status, 403);
+    assert.equal((await response.json()).code, 'invalid_signature');
+});
+
+test('the sweeper deletes uploads an hour after their URL expired, and what was stored for them', async () => {
+    const abandoned = await sign();
+    await patch(abandoned.resumableUrl, photo.subarray(0, 100), 0);
+    const finished = await sign();
+    await put(finished.upload.url, photo);
+    const asset = await complete(finished.uploadId);
+
+    // Nothing is due yet
+    assert.equal(await purgeAbandonedUploads(), 0);
+    assert.equal(await offsetOf(abandoned.resumableUrl), 100);
+
+    const now = Date.now();
+    mock.method(Date, 'now', () => now + 2 * 60 * 60 * 1000 + 15 * 60 * 1000);
+    let purged;
+    try {
+        purged = await purgeAbandonedUploads();
+    } finally {
+        mock.restoreAll();
+    }
+    assert.ok(purged >= 1);
+    assert.equal(await offsetOf(abandoned.resumableUrl), 0);
+    assert.equal((await complete(abandoned.uploadId)).status, 404);
+
+    // The gallery image of a completed upload stays; only its upload record goes
+    const gallery = await (await fetch(`${baseUrl}/me/gallery`, { headers: { authorization: `Bearer ${token}` } })).json();
+    assert.ok(JSON.stringify(gallery).includes(asset.body.assetId));
+    assert.equal((await complete(finished.uploadId)).status, 404);
+});
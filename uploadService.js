@@ -0,0 +1,220 @@
+// backend/uploadService.js
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import dotenv from 'dotenv';
+import { storage } from './storageService.js';
+import { createJsonFileStore, DATA_DIR } from './jsonFileStore.js';
+import { storeUserAsset, getAsset } from './assetService.js';
+import { faceUploadTerms } from './retentionService.js';
+import { ingestImage } from './imageIngest.js';
+import { detectImageType } from './imageType.js';
+import { logger } from './logger.js';
+
+dotenv.config();
+
+// Direct uploads are signed for DIRECT_UPLOAD_TTL_SECONDS and up to DIRECT_UPLOAD_MAX_BYTES.
+// Ones not completed within an hour of their URL expiring are deleted.
+const DIRECT_UPLOAD_TTL_SECONDS = Number(process.env.DIRECT_UPLOAD_TTL_SECONDS || 15 * 60);
+const DIRECT_UPLOAD_MAX_BYTES = Number(process.env.DIRECT_UPLOAD_MAX_BYTES || 25 * 1024 * 1024);
+const ABANDONED_UPLOAD_MS = 60 * 60 * 1000;
+const UPLOAD_SWEEP_INTERVAL_MS = 15 * 60 * 1000;
+
+// Content types that may be uploaded, and the type (see imageType.js) the bytes must be
+const UPLOAD_TYPES = {
+    'image/jpeg': 'jpeg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/heic': 'heic',
+    'image/heif': 'heic'
+};
+
+// Asset kinds users upload themselves (the rest are made by the app). Both are faces, so
+// every direct upload needs the uploader's consent.
+export const UPLOAD_KINDS = ['target', 'selfie'];
+
+// Signed direct uploads, keyed by upload ID: { id, ownerId, kind, key, contentType, size,
+// consent, faceExpiresAt, status: 'pending' | 'completed', assetId, expiresAt, createdAt }
+const uploadStore = createJsonFileStore(path.join(DATA_DIR, 'direct-uploads.json'));
+
+// Error raised when a direct upload is refused. `code` is invalid_upload, not_found,
+// upload_incomplete, too_large or type_mismatch.
+export class UploadError extends Error {
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'UploadError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Let the owner upload one image of kind straight to storage: contentType and size (bytes)
+// are what the browser will send, and the signature holds it to them where the storage
+// can. Throws ConsentError without consent. Returns { uploadId, expiresAt, upload,
+// resumableUrl } (see signUpload in storageService.js); once the file is uploaded, the
+// client calls completeUpload with the uploadId.
+export const createSignedUpload = async ({ ownerId, kind, contentType, size, consent }) => {
+    if (!UPLOAD_KINDS.includes(kind)) {
+        throw new UploadError(`kind must be one of ${UPLOAD_KINDS.join(', ')}.`, 'invalid_upload', { field: 'kind' });
+    }
+    if (!UPLOAD_TYPES[contentType]) {
+        throw new UploadError(`contentType must be one of ${Object.keys(UPLOAD_TYPES).join(', ')}.`, 'invalid_upload', { field: 'contentType' });
+    }
+    if (!Number.isInteger(size) || size <= 0 || size > DIRECT_UPLOAD_MAX_BYTES) {
+        throw new UploadError(`size must be a number of bytes up to ${DIRECT_UPLOAD_MAX_BYTES}.`, 'invalid_upload', {
+            field: 'size',
+            maxBytes: DIRECT_UPLOAD_MAX_BYTES
+        });
+    }
+
+    // Faces only reach storage with the uploader's confirmation of consent
+    const faceTerms = faceUploadTerms(consent);
+
+    const id = uuidv4();
+    const { key, upload, resumableUrl } = await storage.signUpload({
+        folder: `users/${ownerId}/incoming`,
+        id,
+        contentType,
+        size,
+        expiresIn: DIRECT_UPLOAD_TTL_SECONDS
+    });
+    const expiresAt = new Date(Date.now() + DIRECT_UPLOAD_TTL_SECONDS * 1000).toISOString();
+
+    const uploads = await uploadStore.load();
+    uploads[id] = {
+        id,
+        ownerId,
+        kind,
+        key,
+        contentType,
+        size,
+        consent: faceTerms.consent,
+        faceExpiresAt: faceTerms.expiresAt,
+        status: 'pending',
+        assetId: null,
+        expiresAt,
+        createdAt: new Date().toISOString()
+    };
+    await uploadStore.persist();
+    return { uploadId: id, expiresAt, upload, resumableUrl };
+};
+
+// Drop an upload that can never be completed, with whatever was stored for it
+const discardUpload = async (upload) => {
+    await storage.delete(upload.key).catch(error => logger.warn('Deleting a direct upload failed', { uploadId: upload.id, error }));
+    const uploads = await uploadStore.load();
+    delete uploads[upload.id];
+    await uploadStore.persist();
+};
+
+// Check what arrived for a signed upload and register it as one of the owner's assets.
+// An unfinished upload is left to resume (upload_incomplete); one that is too large, not
+// the declared type or refused by ingestImage (IngestError) is deleted.
+const verifyAndRegister = async (upload) => {
+    let buffer;
+    try {
+        buffer = await storage.get(upload.key);
+    } catch (error) {
+        throw new UploadError('Nothing has been uploaded yet; finish the upload first.', 'upload_incomplete', { received: 0, expected: upload.size });
+    }
+
+    if (buffer.length < upload.size) {
+        throw new UploadError(`Only ${buffer.length} of ${upload.size} bytes have been uploaded.`, 'upload_incomplete', {
+            received: buffer.length,
+            expected: upload.size
+        });
+    }
+    if (buffer.length > upload.size) {
+        await discardUpload(upload);
+        throw new UploadError(`The upload is larger than the ${upload.size} bytes it was signed for.`, 'too_large', {
+            received: buffer.length,
+            expected: upload.size
+        });
+    }
+    const type = detectImageType(buffer);
+    if (type !== UPLOAD_TYPES[upload.contentType]) {
+        await discardUpload(upload);
+        throw new UploadError(`The upload is not the ${upload.contentType} image it was signed for.`, 'type_mismatch', {
+            declared: upload.contentType,
+            detected: type
+        });
+    }
+
+    let image;
+    try {
+        image = await ingestImage(buffer);
+    } catch (error) {
+        await discardUpload(upload);
+        throw error;
+    }
+
+    const asset = await storeUserAsset(image.buffer, {
+        ownerId: upload.ownerId,
+        kind: upload.kind,
+        consent: upload.consent,
+        expiresAt: upload.faceExpiresAt
+    });
+    await storage.delete(upload.key).catch(error => logger.warn('Deleting a direct upload failed', { uploadId: upload.id, error }));
+
+    const uploads = await uploadStore.load();
+    uploads[upload.id] = { ...uploads[upload.id], status: 'completed', assetId: asset.id };
+    await uploadStore.persist();
+    return asset;
+};
+
+// Completions in progress by upload ID, so a repeated call does not register twice
+const inFlightCompletions = new Map();
+
+// Finish one of the owner's signed uploads (see verifyAndRegister) and return the asset.
+// Completing an upload again returns the same asset.
+export const completeUpload = async (ownerId, uploadId) => {
+    const uploads = await uploadStore.load();
+    const upload = uploads[uploadId];
+    if (!upload || upload.ownerId !== ownerId) {
+        throw new UploadError('Upload not found.', 'not_found');
+    }
+
+    if (upload.status === 'completed') {
+        const asset = await getAsset(upload.assetId);
+        if (!asset) {
+            throw new UploadError('The asset made from this upload has been deleted.', 'not_found');
+        }
+        return asset;
+    }
+
+    if (!inFlightCompletions.has(uploadId)) {
+        inFlightCompletions.set(uploadId, verifyAndRegister(upload).finally(() => inFlightCompletions.delete(uploadId)));
+    }
+    return inFlightCompletions.get(uploadId);
+};
+
+// Delete uploads, and what was stored for them, an hour after their URL expired.
+// Returns the number of unfinished uploads deleted.
+export const purgeAbandonedUploads = async () => {
+    const cutoff = Date.now() - ABANDONED_UPLOAD_MS;
+    const uploads = await uploadStore.load();
+    const stale = Object.values(uploads).filter(upload => Date.parse(upload.expiresAt) < cutoff);
+
+    let purged = 0;
+    for (const upload of stale) {
+        if (upload.status === 'pending') {
+            await discardUpload(upload);
+            purged++;
+        } else {
+            delete uploads[upload.id];
+        }
+    }
+    await uploadStore.persist();
+    return purged;
+};
+
+// Purge abandoned uploads every UPLOAD_SWEEP_INTERVAL_MS
+export const startUploadSweeper = () => {
+    const sweep = () => purgeAbandonedUploads()
+        .then(purged => {
+            if (purged) logger.info('Upload sweep deleted abandoned uploads', { purged });
+        })
+        .catch(error => logger.error('Upload sweep failed', { error }));
+
+    setInterval(sweep, UPLOAD_SWEEP_INTERVAL_MS).unref();
+};